@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+/**
+ * co2calc - Command-line CO2 Calculator
+ *
+ * Runs the calculation engine of the web app (see js/core.js) for one trip
+ * and prints its emissions, the comparison with the other transport modes
+ * and the carbon credits needed to offset it.
+ *
+ * Usage:
+ *   co2calc --from "São Paulo, SP" --to "Rio de Janeiro, RJ" --mode bus
+ *   co2calc --from Curitiba --to Joinville --km 130 --json
+ *
+ * Exit codes: 0 on success, 1 when the trip can't be calculated, 2 for
+ * invalid options.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const {
+  CONFIG,
+  I18n,
+  FactorSets,
+  TransportModes,
+  CreditPricing,
+  Calculator,
+  CitySearch,
+  Itinerary
+} = require('../js/core');
+
+const CommandLine = {
+  /**
+   * Options accepted by util.parseArgs()
+   */
+  OPTIONS: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    mode: { type: 'string', default: TransportModes.DEFAULT_MODE },
+    km: { type: 'string' },
+    unit: { type: 'string', default: 'vehicle' },
+    'factor-set': { type: 'string', default: FactorSets.DEFAULT_SET },
+    locale: { type: 'string' },
+    currency: { type: 'string' },
+    prices: { type: 'string', default: path.join(__dirname, '..', CONFIG.CARBON_CREDIT.PRICE_TABLE_URL) },
+    date: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+  },
+
+  /**
+   * Build the help text, listing the registered modes and factor sets
+   *
+   * @returns {string} Usage text
+   */
+  getUsage: function() {
+    return [
+      'Usage: co2calc --from <city> --to <city> [options]',
+      '',
+      'Options:',
+      '  --from <city>        Origin, e.g. "São Paulo, SP" (accents and state are optional)',
+      '  --to <city>          Destination',
+      `  --mode <mode>        Transport mode (default: ${TransportModes.DEFAULT_MODE})`,
+      `                       ${TransportModes.getKeys().join(', ')}`,
+      '  --km <distance>      Distance in km, instead of looking the route up',
+      `  --unit <unit>        Comparison unit: ${Object.keys(CONFIG.FUNCTIONAL_UNITS).join(', ')} (default: vehicle)`,
+      `  --factor-set <key>   Emission factors (default: ${FactorSets.DEFAULT_SET})`,
+      `                       ${FactorSets.getKeys().join(', ')}`,
+      `  --locale <locale>    ${Object.keys(I18n.LOCALES).join(', ')} (default: from LANG, else ${I18n.DEFAULT_LOCALE})`,
+      `  --currency <code>    Offset price currency: ${Object.keys(CONFIG.CURRENCIES).join(', ')} (default: the locale's)`,
+      '  --prices <file>      Carbon credit price table (default: data/credit-prices.json)',
+      '  --date <YYYY-MM-DD>  Date of the credit prices (default: today)',
+      '  --json               Print the result as JSON',
+      '  -h, --help           Show this help'
+    ].join('\n');
+  },
+
+  /**
+   * Read and check the command-line options
+   *
+   * @param {Array<string>} args - Arguments after the script name
+   * @returns {Object} Options, with km as a number (null when not given)
+   * @throws {Error} When an option is unknown or invalid
+   */
+  parseOptions: function(args) {
+    const { values } = parseArgs({ args: args, options: this.OPTIONS, strict: true });
+
+    if (values.help) {
+      return values;
+    }
+
+    if (!values.from || !values.to) {
+      throw new Error('Both --from and --to are required');
+    }
+
+    if (!TransportModes.has(values.mode)) {
+      throw new Error(`Unknown mode "${values.mode}"; use one of: ${TransportModes.getKeys().join(', ')}`);
+    }
+
+    if (!(values.unit in CONFIG.FUNCTIONAL_UNITS)) {
+      throw new Error(`Unknown unit "${values.unit}"; use one of: ${Object.keys(CONFIG.FUNCTIONAL_UNITS).join(', ')}`);
+    }
+
+    if (!FactorSets.has(values['factor-set'])) {
+      throw new Error(`Unknown factor set "${values['factor-set']}"; use one of: ${FactorSets.getKeys().join(', ')}`);
+    }
+
+    if (values.locale && !(values.locale in I18n.LOCALES)) {
+      throw new Error(`Unknown locale "${values.locale}"; use one of: ${Object.keys(I18n.LOCALES).join(', ')}`);
+    }
+
+    if (values.currency && !(values.currency in CONFIG.CURRENCIES)) {
+      throw new Error(`Unknown currency "${values.currency}"; use one of: ${Object.keys(CONFIG.CURRENCIES).join(', ')}`);
+    }
+
+    if (values.date && !CreditPricing.setDate(values.date)) {
+      throw new Error(`Invalid date "${values.date}"; use YYYY-MM-DD`);
+    }
+
+    const km = values.km === undefined ? null : Number(values.km);
+    if (km !== null && !(km > 0)) {
+      throw new Error(`Invalid distance "${values.km}"; use a number of km greater than zero`);
+    }
+
+    return Object.assign({}, values, { km: km });
+  },
+
+  /**
+   * Choose the locale and currency of the output
+   * Without --locale, the language of the LANG environment variable is used
+   *
+   * @param {Object} options - Options from parseOptions()
+   */
+  setLocale: function(options) {
+    const lang = (process.env.LANG || '').split('.')[0].replace('_', '-');
+
+    I18n.locale = options.locale || I18n.resolveLocale(lang) || I18n.DEFAULT_LOCALE;
+    I18n.currency = options.currency || I18n.LOCALES[I18n.locale].currency;
+  },
+
+  /**
+   * Load the carbon credit price table
+   * Prices fall back to the CONFIG range when the file can't be used
+   *
+   * @param {string} file - Path of the JSON table
+   */
+  loadPrices: function(file) {
+    try {
+      CreditPricing.setTable(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+      console.warn(`Could not load the credit price table (${error.message}), using the default range`);
+    }
+  },
+
+  /**
+   * Calculate the trip
+   *
+   * @param {Object} options - Options from parseOptions()
+   * @returns {Object} Result:
+   *   { origin, destination, mode, distance: { km, manual, estimated, method }, emission, intensity,
+   *     gases, savings, credits, price, comparison, factorSet, factorSources }
+   *   factorSet is the chosen set; factorSources the sets the factors came from
+   *   (see Calculator.calculateItinerary())
+   * @throws {Error} When the cities or the route can't be resolved
+   */
+  calculate: function(options) {
+    const origin = CitySearch.resolve(options.from) || options.from.trim();
+    const destination = CitySearch.resolve(options.to) || options.to.trim();
+    const factorSet = options['factor-set'];
+    const leg = Itinerary.createLeg(origin, destination, options.mode, options.km === null ? undefined : options.km);
+    const fieldErrors = Itinerary.validateLeg(leg);
+    const errors = Object.values(fieldErrors);
+
+    if (errors.length > 0) {
+      const hints = [options.from, options.to]
+        .filter(city => !CitySearch.resolve(city))
+        .map(city => CitySearch.suggest(city)[0])
+        .filter(Boolean);
+
+      throw new Error([errors.join('; ')]
+        .concat(hints.length > 0 ? [I18n.t('distance.suggestion', { cities: hints.join(' / ') }).trim()] : [])
+        // Only a missing route is solved by --km; same-city and unknown mode errors aren't
+        .concat(leg.distance === null && fieldErrors.distance ? [I18n.t('error.cliUseKm')] : [])
+        .join('\n'));
+    }
+
+    const itinerary = Calculator.calculateItinerary([leg], factorSet);
+    const result = itinerary.legs[0];
+    const distances = leg.manual ? {} : Itinerary.getModeDistances(origin, destination);
+    const carEmission = Calculator.calculateEmission(distances.car || leg.distance, 'car', factorSet);
+    const credits = Calculator.calculateCarbonCredits(result.emission);
+
+    return {
+      origin: origin,
+      destination: destination,
+      mode: options.mode,
+      distance: { km: leg.distance, manual: leg.manual, estimated: leg.estimated, method: leg.method },
+      emission: result.emission,
+      intensity: result.intensity,
+      gases: result.gases,
+      savings: Calculator.calculateSavings(result.emission, carEmission),
+      credits: credits,
+      price: Calculator.estimateCreditPrice(credits, I18n.getCurrency()),
+      comparison: Calculator.calculateAllModes(leg.distance, {
+        unit: options.unit,
+        distances: distances,
+        factorSet: factorSet,
+        currency: I18n.getCurrency(),
+        legs: [leg]
+      }),
+      factorSet: itinerary.factorSet,
+      factorSources: itinerary.factorSources
+    };
+  },
+
+  /**
+   * Format a result as text in the selected locale
+   *
+   * @param {Object} result - Result from calculate()
+   * @returns {string} Report lines
+   */
+  formatText: function(result) {
+    const t = (key, params) => I18n.t(key, params);
+    const number = (value, decimals) => I18n.formatNumber(value, decimals);
+    const money = value => I18n.formatCurrency(value, result.price.currency);
+    const modeText = mode => `${TransportModes.get(mode).icon} ${TransportModes.getLabel(mode)}`;
+    const unit = result.comparison.length > 0 ? result.comparison[0].unit : 'vehicle';
+    const decimals = CONFIG.FUNCTIONAL_UNITS[unit].decimals;
+
+    const estimate = {
+      graph: ` (${t('results.estimatedGraph')})`,
+      greatCircle: ` (${t('results.estimatedGreatCircle')})`
+    };
+
+    const rows = result.comparison.map(item => {
+      const vsCar = item.percentageVsCar === null ? '' : `${number(item.percentageVsCar, 1)}${t('comparison.vsCar')}`;
+      const duration = item.duration === null ? '—' : I18n.formatDuration(item.duration);
+      const cost = item.cost === null ? '—' : money(item.cost);
+      const marker = item.mode === result.mode ? '▸' : (item.feasible ? ' ' : '✗');
+      return `${marker} ${modeText(item.mode).padEnd(20)} ${number(item.value, decimals).padStart(12)}  ` +
+        `${vsCar.padEnd(16)} ${duration.padStart(12)} ${cost.padStart(14)}`;
+    });
+    const infeasible = result.comparison.filter(item => !item.feasible).map(item => TransportModes.getLabel(item.mode));
+    // Sets the factors came from, which differ from the chosen set when it lacks the mode
+    const sources = result.factorSources.map(source => FactorSets.getLabel(source.key));
+
+    return [
+      `${result.origin} → ${result.destination}`,
+      `${t('results.mode')}: ${modeText(result.mode)}`,
+      `${t('results.distance')}: ${number(result.distance.km, 1)} km` +
+        (result.distance.manual ? ` (${t('results.manual')})` : (estimate[result.distance.method] || '')),
+      `${t('results.emission')}: ${number(result.emission, 2)} kg`,
+      `  ${t('results.scope.ttw')}: ${number(result.gases.ttw.co2e, 2)} kg CO₂e`,
+      `  ${t('results.scope.wtw')}: ${number(result.gases.wtw.co2e, 2)} kg CO₂e`,
+      `${t('credits.needed')}: ${number(result.credits, 4)} ` +
+        `(${t('credits.perCredit', { kg: number(CONFIG.CARBON_CREDIT.KG_PER_CREDIT, 0) })})`,
+      `${t('credits.price')}: ${money(result.price.average)} ` +
+        `(${t('credits.range', { min: money(result.price.min), max: money(result.price.max) })})`,
+      `  ${CreditPricing.describe(result.price.entry)}`,
+      t('results.factorSource', { source: sources.join(' · ') }),
+      '',
+      t('comparison.note', { label: t(`unit.${unit}.label`), unit: t(`unit.${unit}.unit`) }),
+      ...rows
+    ].concat(infeasible.length > 0 ? [`✗ ${t('comparison.infeasible', { modes: infeasible.join(', ') })}`] : [])
+      .join('\n');
+  },
+
+  /**
+   * Run the command
+   *
+   * @param {Array<string>} args - Arguments after the script name
+   * @returns {number} Exit code
+   */
+  run: function(args) {
+    let options;
+
+    try {
+      options = this.parseOptions(args);
+    } catch (error) {
+      console.error(`${error.message}\n\n${this.getUsage()}`);
+      return 2;
+    }
+
+    if (options.help) {
+      console.log(this.getUsage());
+      return 0;
+    }
+
+    this.setLocale(options);
+    this.loadPrices(options.prices);
+
+    try {
+      const result = this.calculate(options);
+      console.log(options.json ? JSON.stringify(result, null, 2) : this.formatText(result));
+      return 0;
+    } catch (error) {
+      console.error(error.message);
+      return 1;
+    }
+  }
+};
+
+process.exitCode = CommandLine.run(process.argv.slice(2));
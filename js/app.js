@@ -0,0 +1,1935 @@
+/**
+ * App - Application Controller
+ *
+ * Wires the calculator form to the Calculator engine and the UI renderers.
+ * Runs the initialization sequence, validates user input with inline error
+ * states, and orchestrates rendering of the results, comparison, and carbon
+ * credit sections.
+ */
+
+const App = {
+  /**
+   * Simulated processing time in milliseconds
+   * Gives the loading state on the submit button time to be noticed
+   */
+  CALCULATION_DELAY_MS: 600,
+
+  /**
+   * Cached references to form elements, filled by cacheElements()
+   */
+  elements: {},
+
+  /**
+   * Result of the last calculation, used by the export buttons
+   */
+  lastResult: null,
+
+  /**
+   * Shareable link to the last calculation (see Permalink)
+   */
+  lastPermalink: null,
+
+  /**
+   * True while the calculation restored from a link runs, which is not
+   * saved to the history: reloading the page would save it again
+   */
+  restoring: false,
+
+  /**
+   * Greenhouse gas scope shown in the results, 'ttw' or 'wtw'
+   */
+  gasScope: 'ttw',
+
+  /**
+   * Rows and file name of the last batch import, rendered again when the
+   * locale or the currency changes
+   */
+  lastBatch: null,
+
+  /**
+   * Offset checkout in progress, null when closed:
+   * { projects, projectKey, requested, rounding }
+   */
+  offset: null,
+
+  /**
+   * Last trip logged against a budget, so the same result is not logged
+   * twice: { result, budgetId, tripId }
+   */
+  lastBudgetLog: null,
+
+  /**
+   * Input ids of the vehicle profile fields, keyed by profile field name
+   */
+  VEHICLE_FIELD_IDS: {
+    fuel: 'vehicle-fuel',
+    consumption: 'vehicle-consumption',
+    ethanolShare: 'vehicle-ethanol-share',
+    electricConsumption: 'vehicle-electric-consumption',
+    electricShare: 'vehicle-electric-share'
+  },
+
+  /**
+   * Initialize the application
+   *
+   * Sequence:
+   * 1. Cache form elements
+   * 2. Load the language preferences and translate the page
+   * 3. Load the selected emission factor set
+   * 4. Build the transport grid from TransportModes
+   * 5. Populate the cities datalist
+   * 6. Setup distance autofill
+   * 7. Bind form events
+   * 8. Render the saved calculation history, compensation certificates, user routes and carbon budgets
+   * 9. Restore and run a calculation shared by link
+   * 10. Load the carbon credit price table
+   */
+  init: function() {
+    if (!this.cacheElements()) {
+      console.error('App initialization aborted: required form elements not found');
+      return;
+    }
+
+    I18n.init();
+    I18n.translatePage();
+    this.populateLocaleOptions();
+    FactorSets.init();
+    CreditPricing.init();
+
+    this.elements.transportGrid.innerHTML = UI.renderTransportGrid(TransportModes.DEFAULT_MODE);
+    CityInputs.populateDatalist();
+    CityInputs.setupDistanceAutofill();
+    this.populateFuelOptions();
+    this.populateFunctionalUnits();
+    this.populateFactorSets();
+    this.populateHistoryFilters();
+    this.bindEvents();
+    this.renderHistory();
+    this.renderCertificates();
+    this.renderUserRoutes();
+    this.populateBudgetPeriods();
+    this.populateBudgetOptions();
+    this.renderBudgets();
+    this.restoreFromUrl();
+
+    // Prices use the CONFIG range until the price table arrives
+    CreditPricing.load()
+      .then(() => this.refreshPrices())
+      .catch(error => console.warn('Could not load the credit price table, using the default range:', error));
+
+    console.log('App initialized');
+  },
+
+  /**
+   * Look up and store the form elements used by the controller
+   *
+   * @returns {boolean} True if all required elements were found
+   */
+  cacheElements: function() {
+    this.elements = {
+      form: document.getElementById('calculador-form'),
+      localeSelect: document.getElementById('locale-select'),
+      currencySelect: document.getElementById('currency-select'),
+      origin: document.getElementById('origin'),
+      destination: document.getElementById('destination'),
+      distance: document.getElementById('distance'),
+      manualDistance: document.getElementById('manual-distance'),
+      roundTrip: document.getElementById('round-trip'),
+      tripCount: document.getElementById('trip-count'),
+      tripPeriod: document.getElementById('trip-period'),
+      tripHorizon: document.getElementById('trip-horizon'),
+      tripBudget: document.getElementById('trip-budget'),
+      transportGrid: document.getElementById('transport-grid'),
+      passengersField: document.getElementById('passengers-field'),
+      passengers: document.getElementById('passengers'),
+      cargoField: document.getElementById('cargo-field'),
+      cargoTonnes: document.getElementById('cargo-tonnes'),
+      functionalUnit: document.getElementById('functional-unit'),
+      factorSet: document.getElementById('factor-set'),
+      factorSetCitation: document.getElementById('factor-set-citation'),
+      resultsContent: document.getElementById('results-content'),
+      exportActions: document.getElementById('export-actions'),
+      printReport: document.getElementById('print-report'),
+      batchFile: document.getElementById('batch-file'),
+      batchContent: document.getElementById('batch-content'),
+      routeForm: document.getElementById('route-form'),
+      routeId: document.getElementById('route-id'),
+      routeOrigin: document.getElementById('route-origin'),
+      routeDestination: document.getElementById('route-destination'),
+      routeDistance: document.getElementById('route-distance'),
+      routeSave: document.getElementById('route-save'),
+      routeCancel: document.getElementById('route-cancel'),
+      routesExport: document.getElementById('routes-export'),
+      routesImport: document.getElementById('routes-import'),
+      routesContent: document.getElementById('routes-content'),
+      budgetForm: document.getElementById('budget-form'),
+      budgetId: document.getElementById('budget-id'),
+      budgetName: document.getElementById('budget-name'),
+      budgetLimit: document.getElementById('budget-limit'),
+      budgetPeriod: document.getElementById('budget-period'),
+      budgetSave: document.getElementById('budget-save'),
+      budgetCancel: document.getElementById('budget-cancel'),
+      budgetsContent: document.getElementById('budgets-content'),
+      budgetCheck: document.getElementById('budget-check'),
+      historyContent: document.getElementById('history-content'),
+      historyClear: document.getElementById('history-clear'),
+      historyFilterQuery: document.getElementById('history-filter-query'),
+      historyFilterMode: document.getElementById('history-filter-mode'),
+      historyFilterMonth: document.getElementById('history-filter-month'),
+      carbonCreditsContent: document.getElementById('carbon-credits-content'),
+      offsetContent: document.getElementById('offset-content'),
+      certificatesContent: document.getElementById('certificates-content'),
+      useVehicleProfile: document.getElementById('use-vehicle-profile'),
+      vehicleFields: document.getElementById('vehicle-fields'),
+      vehicleFuel: document.getElementById('vehicle-fuel'),
+      vehicleFactor: document.getElementById('vehicle-factor'),
+      legsList: document.getElementById('legs-list'),
+      addLegButton: document.getElementById('add-leg'),
+      submitButton: document.querySelector('#calculador-form button[type="submit"]')
+    };
+
+    return Object.values(this.elements).every(element => element !== null);
+  },
+
+  /**
+   * Attach submit handler and clear field errors as the user edits them
+   */
+  bindEvents: function() {
+    const { form, origin, destination, distance, manualDistance, legsList, addLegButton } = this.elements;
+
+    form.addEventListener('submit', event => this.handleSubmit(event));
+    addLegButton.addEventListener('click', () => this.addLeg());
+
+    // Clear a field's error as soon as the user changes it
+    [origin, destination, distance, this.elements.tripCount, this.elements.tripHorizon,
+      this.elements.passengers, this.elements.cargoTonnes].forEach(input => {
+      input.addEventListener('input', () => this.clearFieldError(input));
+    });
+
+    // Autofill and manual entry toggling change what the distance field holds
+    [origin, destination, manualDistance].forEach(input => {
+      input.addEventListener('change', () => this.clearFieldError(distance));
+    });
+
+    form.querySelectorAll('input[name="transport"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        this.clearFormError();
+        this.updateLoadFields();
+      });
+    });
+    this.updateLoadFields();
+
+    // Trip count only applies to recurring trips
+    this.elements.tripPeriod.addEventListener('change', () => this.updateFrequencyFields());
+    this.updateFrequencyFields();
+
+    // Vehicle profile fields depend on the fuel type
+    this.elements.useVehicleProfile.addEventListener('change', () => this.updateVehicleFields());
+    this.elements.vehicleFields.addEventListener('input', event => {
+      this.clearFieldError(event.target);
+      this.updateVehicleFields();
+    });
+    this.elements.vehicleFuel.addEventListener('change', () => this.updateVehicleFields());
+    this.updateVehicleFields();
+
+    // Additional legs start where the main destination ends
+    destination.addEventListener('change', () => this.refreshLegs());
+
+    this.elements.batchFile.addEventListener('change', () => this.handleBatchFile());
+
+    // Route editor: the list's edit and delete buttons are delegated
+    this.elements.routeForm.addEventListener('submit', event => this.handleRouteSubmit(event));
+    this.elements.routeCancel.addEventListener('click', () => this.resetRouteForm());
+    [this.elements.routeOrigin, this.elements.routeDestination, this.elements.routeDistance].forEach(input => {
+      input.addEventListener('input', () => this.clearFieldError(input));
+    });
+    this.elements.routesContent.addEventListener('click', event => {
+      const button = event.target.closest('[data-action]');
+      const entry = event.target.closest('[data-route-id]');
+      if (!button || !entry) {
+        return;
+      }
+
+      if (button.dataset.action === 'edit-route') {
+        this.editRoute(entry.dataset.routeId);
+      } else if (button.dataset.action === 'delete-route') {
+        this.deleteRoute(entry.dataset.routeId);
+      }
+    });
+    this.elements.routesExport.addEventListener('click', () => {
+      ResultExport.download(UserRoutes.toJSON(), I18n.t('routes.fileName'), 'application/json');
+    });
+    this.elements.routesImport.addEventListener('change', () => this.handleRoutesImport());
+
+    // Budget editor: the list's edit, delete and trip remove buttons are delegated
+    this.elements.budgetForm.addEventListener('submit', event => this.handleBudgetSubmit(event));
+    this.elements.budgetCancel.addEventListener('click', () => this.resetBudgetForm());
+    [this.elements.budgetName, this.elements.budgetLimit].forEach(input => {
+      input.addEventListener('input', () => this.clearFieldError(input));
+    });
+    this.elements.budgetsContent.addEventListener('click', event => {
+      const button = event.target.closest('[data-action]');
+      const entry = event.target.closest('[data-budget-id]');
+      if (!button || !entry) {
+        return;
+      }
+
+      if (button.dataset.action === 'edit-budget') {
+        this.editBudget(entry.dataset.budgetId);
+      } else if (button.dataset.action === 'delete-budget') {
+        this.deleteBudget(entry.dataset.budgetId);
+      } else if (button.dataset.action === 'budget-unlog') {
+        this.removeBudgetTrip(entry.dataset.budgetId, button.closest('[data-trip-id]').dataset.tripId);
+      }
+    });
+
+    // The budget of the trip can be picked before or after calculating
+    this.elements.tripBudget.addEventListener('change', () => this.renderBudgetCheck());
+    this.elements.budgetCheck.addEventListener('click', event => {
+      const button = event.target.closest('[data-action]');
+      if (button && button.dataset.action === 'budget-log') {
+        this.logBudgetTrip();
+      } else if (button && button.dataset.action === 'budget-use-mode') {
+        this.useMode(button.value);
+      }
+    });
+
+    // The chosen factor set is saved for the next visits
+    this.elements.factorSet.addEventListener('change', event => {
+      FactorSets.select(event.target.value);
+      this.updateFactorSetCitation();
+    });
+
+    // Language and currency switchers; I18n announces the change with "localechange"
+    this.elements.localeSelect.addEventListener('change', event => I18n.setLocale(event.target.value));
+    this.elements.currencySelect.addEventListener('change', event => I18n.setCurrency(event.target.value));
+    document.addEventListener('localechange', () => this.refreshLocale());
+
+    // Scope toggle of the greenhouse gas breakdown
+    this.elements.resultsContent.addEventListener('click', event => {
+      const button = event.target.closest('[data-action="gas-scope"]');
+      if (button) {
+        this.setGasScope(button.value);
+      }
+    });
+
+    // Offset checkout: opened from the carbon credits section
+    this.elements.carbonCreditsContent.addEventListener('click', event => {
+      if (event.target.closest('[data-action="offset-start"]')) {
+        this.openOffset();
+      }
+    });
+
+    // Price series and date of the carbon credit prices
+    this.elements.carbonCreditsContent.addEventListener('change', event => {
+      if (event.target.id === 'price-series') {
+        CreditPricing.select(event.target.value);
+        this.refreshPrices();
+      } else if (event.target.id === 'price-date' && CreditPricing.setDate(event.target.value)) {
+        this.refreshPrices();
+      }
+    });
+
+    this.elements.offsetContent.addEventListener('click', event => {
+      const button = event.target.closest('[data-action]');
+      if (button && button.dataset.action === 'offset-confirm') {
+        this.confirmOffset(button);
+      } else if (button && button.dataset.action === 'offset-cancel') {
+        this.closeOffset();
+      }
+    });
+
+    // Project, quantity and rounding update the checkout summary as they change
+    ['input', 'change'].forEach(type => {
+      this.elements.offsetContent.addEventListener(type, event => {
+        if (event.target.matches('input, select')) {
+          this.updateOffsetOrder();
+        }
+      });
+    });
+
+    this.elements.exportActions.addEventListener('click', event => {
+      const button = event.target.closest('[data-export]');
+      if (button && button.dataset.export === 'link') {
+        this.copyPermalink(button);
+      } else if (button) {
+        this.exportResult(button.dataset.export);
+      }
+    });
+
+    // History filters re-render the panel as they change
+    [this.elements.historyFilterQuery, this.elements.historyFilterMode, this.elements.historyFilterMonth]
+      .forEach(input => input.addEventListener('input', () => this.renderHistory()));
+
+    this.elements.historyClear.addEventListener('click', () => {
+      if (window.confirm(I18n.t('history.confirmClear'))) {
+        CalculationHistory.clear();
+        this.renderHistory();
+      }
+    });
+
+    // Delegated handlers for the history entry buttons
+    this.elements.historyContent.addEventListener('click', event => {
+      const button = event.target.closest('[data-action]');
+      if (!button) {
+        return;
+      }
+
+      const entryId = button.closest('.history__entry').dataset.entryId;
+
+      if (button.dataset.action === 'rerun-entry') {
+        this.rerunEntry(entryId);
+      } else if (button.dataset.action === 'delete-entry') {
+        CalculationHistory.remove(entryId);
+        this.renderHistory();
+      }
+    });
+
+    // Delegated handlers for the dynamically rendered leg rows
+    legsList.addEventListener('click', event => {
+      const removeButton = event.target.closest('[data-action="remove-leg"]');
+      if (removeButton) {
+        this.removeLeg(parseInt(removeButton.closest('.calculadora__leg').dataset.legIndex, 10));
+      }
+    });
+
+    legsList.addEventListener('change', event => {
+      const legField = event.target.dataset.legField;
+
+      if (legField === 'destination') {
+        // Replace loosely typed names with the canonical city name
+        const canonical = CitySearch.resolve(event.target.value);
+        if (canonical) {
+          event.target.value = canonical;
+        }
+
+        this.clearFieldError(event.target);
+      }
+
+      // Estimated distances depend on the leg's mode
+      if (legField === 'destination' || legField === 'mode') {
+        this.refreshLegs();
+      }
+    });
+
+    legsList.addEventListener('input', event => {
+      if (event.target.dataset.legField === 'distance') {
+        // A typed distance is kept as manual; clearing it re-enables autofill
+        event.target.dataset.manual = event.target.value !== '' ? 'true' : '';
+        this.clearFieldError(event.target);
+      }
+    });
+  },
+
+  /**
+   * Enable the trip count and horizon fields only for recurring trips
+   */
+  updateFrequencyFields: function() {
+    const { tripCount, tripPeriod, tripHorizon } = this.elements;
+    const recurring = tripPeriod.value !== 'once';
+
+    tripCount.disabled = !recurring;
+    tripHorizon.disabled = !recurring;
+  },
+
+  /**
+   * Fill the comparison select with the units from CONFIG.FUNCTIONAL_UNITS
+   * Keeps the selected unit when the options are rebuilt
+   */
+  populateFunctionalUnits: function() {
+    const select = this.elements.functionalUnit;
+    const selected = select.value;
+    select.innerHTML = '';
+
+    Object.keys(CONFIG.FUNCTIONAL_UNITS).forEach(unit => {
+      const option = document.createElement('option');
+      option.value = unit;
+      option.textContent = I18n.t(`unit.${unit}.label`);
+      select.appendChild(option);
+    });
+
+    if (selected) {
+      select.value = selected;
+    }
+  },
+
+  /**
+   * Fill the factor set select from FactorSets and show the selected set's citation
+   */
+  populateFactorSets: function() {
+    const select = this.elements.factorSet;
+    select.innerHTML = '';
+
+    FactorSets.getKeys().forEach(key => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = `${FactorSets.getLabel(key)} (${FactorSets.get(key).region})`;
+      select.appendChild(option);
+    });
+
+    select.value = FactorSets.getSelected();
+    this.updateFactorSetCitation();
+  },
+
+  /**
+   * Show the citation of the selected factor set below its select
+   */
+  updateFactorSetCitation: function() {
+    this.elements.factorSetCitation.textContent = FactorSets.describe(this.elements.factorSet.value).citation;
+  },
+
+  /**
+   * Fill the language and currency switchers
+   * Languages are listed by their own name; currency names follow the locale
+   */
+  populateLocaleOptions: function() {
+    const { localeSelect, currencySelect } = this.elements;
+
+    localeSelect.innerHTML = '';
+    Object.keys(I18n.LOCALES).forEach(locale => {
+      const option = document.createElement('option');
+      option.value = locale;
+      option.lang = locale;
+      option.textContent = I18n.LOCALES[locale].label;
+      localeSelect.appendChild(option);
+    });
+
+    currencySelect.innerHTML = '';
+    Object.keys(CONFIG.CURRENCIES).forEach(currency => {
+      const option = document.createElement('option');
+      option.value = currency;
+      option.textContent = I18n.t(`currency.${currency}`);
+      currencySelect.appendChild(option);
+    });
+
+    localeSelect.value = I18n.getLocale();
+    currencySelect.value = I18n.getCurrency();
+  },
+
+  /**
+   * Rebuild the text rendered from JavaScript after the locale or currency
+   * changed; static text is translated by I18n.translatePage()
+   *
+   * Form values, legs and the last result are kept. The offset prices of the
+   * last result are converted to the selected currency (see refreshPrices),
+   * and open field errors are cleared since they were written in the
+   * previous language.
+   */
+  refreshLocale: function() {
+    this.populateLocaleOptions();
+    this.populateFuelOptions();
+    this.populateFunctionalUnits();
+    this.populateHistoryFilters();
+
+    this.elements.transportGrid.querySelectorAll('input[name="transport"]').forEach(radio => {
+      radio.closest('.calculadora__transport-item').querySelector('.calculadora__transport-text').textContent =
+        TransportModes.getLabel(radio.value);
+    });
+
+    this.clearErrors();
+    this.updateLoadFields();
+    this.updateVehicleFields();
+    this.renderLegs(this.getExtraLegValues());
+    this.renderHistory();
+    this.renderCertificates();
+    this.renderUserRoutes();
+    this.populateBudgetPeriods();
+    this.populateBudgetOptions();
+    this.renderBudgets();
+    this.refreshPrices();
+
+    // translatePage() reset the save buttons to "add", also while editing
+    this.elements.routeSave.textContent = I18n.t(this.elements.routeId.value ? 'routes.update' : 'routes.add');
+    this.elements.budgetSave.textContent = I18n.t(this.elements.budgetId.value ? 'budget.update' : 'budget.add');
+    [this.elements.routeOrigin, this.elements.routeDestination, this.elements.routeDistance,
+      this.elements.budgetName, this.elements.budgetLimit].forEach(input => this.clearFieldError(input));
+  },
+
+  /**
+   * Price the last result and batch import again, after the currency, the
+   * price table, its series or its date changed
+   */
+  refreshPrices: function() {
+    if (this.lastBatch) {
+      this.renderBatch(this.lastBatch.rows, this.lastBatch.fileName);
+    }
+
+    if (this.lastResult) {
+      const result = this.lastResult;
+      const currency = I18n.getCurrency();
+
+      result.price = Calculator.estimateCreditPrice(result.credits, currency);
+      result.comparison.forEach(item => {
+        item.cost = Calculator.estimateTripCost(item.mode, item.distance, currency);
+        item.currency = currency;
+      });
+      if (result.projection.horizon) {
+        result.projection.horizon.price = Calculator.estimateCreditPrice(result.projection.horizon.credits, currency);
+      }
+
+      this.render(result, false);
+    }
+
+    if (this.offset) {
+      this.renderOffset();
+    }
+  },
+
+  /**
+   * Show the selected mode's typical load as placeholders, hide the
+   * occupancy field for shared modes (their factors are already per
+   * passenger) and show the cargo field only for modes that carry cargo
+   */
+  updateLoadFields: function() {
+    const { form, passengersField, passengers, cargoField, cargoTonnes } = this.elements;
+    const selectedMode = form.querySelector('input[name="transport"]:checked');
+    const modeInfo = selectedMode ? TransportModes.get(selectedMode.value) : null;
+    const defaults = selectedMode ? TransportModes.getLoad(selectedMode.value) : {};
+
+    passengersField.classList.toggle('hidden', Boolean(modeInfo && modeInfo.shared));
+    passengers.placeholder = defaults.passengers
+      ? I18n.t('form.average', { value: UI.formatNumber(defaults.passengers, 1) })
+      : '';
+    cargoTonnes.placeholder = defaults.cargoTonnes
+      ? I18n.t('form.average', { value: UI.formatNumber(defaults.cargoTonnes, 1) })
+      : '';
+    cargoField.classList.toggle('hidden', !defaults.cargoTonnes);
+  },
+
+  /**
+   * Show the greenhouse gas breakdown of one scope
+   * The choice is kept for the next results
+   *
+   * @param {string} scope - 'ttw' (tank-to-wheel) or 'wtw' (well-to-wheel)
+   */
+  setGasScope: function(scope) {
+    this.gasScope = scope;
+
+    this.elements.resultsContent.querySelectorAll('[data-gas-scope]').forEach(table => {
+      table.classList.toggle('hidden', table.dataset.gasScope !== scope);
+    });
+
+    this.elements.resultsContent.querySelectorAll('[data-action="gas-scope"]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.value === scope));
+    });
+  },
+
+  /**
+   * Export the last calculation
+   *
+   * @param {string} format - 'json', 'csv' or 'print' (print report, saved as PDF by the browser)
+   */
+  exportResult: function(format) {
+    if (!this.lastResult) {
+      return;
+    }
+
+    const report = ResultExport.buildReport(this.lastResult);
+
+    if (format === 'json') {
+      ResultExport.download(ResultExport.toJSON(report), ResultExport.getFileName(report, 'json'), 'application/json');
+    } else if (format === 'csv') {
+      ResultExport.download(ResultExport.toCSV(report), ResultExport.getFileName(report, 'csv'), 'text/csv');
+    } else if (format === 'print') {
+      this.elements.printReport.innerHTML = UI.renderReport(report);
+      window.print();
+    }
+  },
+
+  /**
+   * Copy the link to the last calculation and confirm it on the button
+   *
+   * @param {HTMLButtonElement} button - Button that triggered the copy
+   */
+  copyPermalink: function(button) {
+    if (!this.lastPermalink) {
+      return;
+    }
+
+    const originalText = button.dataset.originalText || button.textContent;
+    button.dataset.originalText = originalText;
+
+    Permalink.copy(this.lastPermalink)
+      .then(() => { button.textContent = I18n.t('export.linkCopied'); })
+      .catch(error => {
+        console.error('Could not copy link:', error);
+        window.prompt(I18n.t('export.copyPrompt'), this.lastPermalink);
+      })
+      .finally(() => {
+        setTimeout(() => { button.textContent = originalText; }, 2000);
+      });
+  },
+
+  /**
+   * Fill the form from a shared link and run the calculation
+   */
+  restoreFromUrl: function() {
+    const trip = Permalink.decode(window.location.search);
+
+    if (trip) {
+      this.fillForm(trip);
+      this.restoring = true;
+      this.elements.form.requestSubmit();
+    }
+  },
+
+  /**
+   * Update the address bar with the link to the calculation just made
+   *
+   * @param {Object} values - Validated form values
+   */
+  updatePermalink: function(values) {
+    this.lastPermalink = Permalink.buildUrl({
+      origin: values.origin,
+      destination: values.destination,
+      mode: values.mode,
+      distance: values.distance,
+      manual: values.manual,
+      legs: values.legs.slice(1)
+    });
+
+    try {
+      window.history.replaceState(null, '', this.lastPermalink);
+    } catch (error) {
+      // Some browsers block URL changes on file:// pages; the copy button still works
+      console.warn('Could not update the page URL:', error);
+    }
+  },
+
+  /**
+   * Read the selected batch file and render its import report
+   */
+  handleBatchFile: function() {
+    const file = this.elements.batchFile.files[0];
+    const content = this.elements.batchContent;
+
+    this.lastBatch = null;
+
+    if (!file) {
+      content.innerHTML = '';
+      return;
+    }
+
+    content.innerHTML = SafeHTML.html`<p class="calculadora__helper"><span class="spinner"></span> ${I18n.t('batch.processing')}</p>`;
+
+    file.text()
+      .then(text => {
+        const rawRows = BatchImport.parse(text, file.name);
+
+        if (rawRows.length === 0) {
+          throw new Error(I18n.t('batch.noTrips'));
+        }
+
+        this.lastBatch = { rows: rawRows, fileName: file.name };
+        this.renderBatch(rawRows, file.name);
+      })
+      .catch(error => {
+        console.error('Batch import failed:', error);
+        content.innerHTML = SafeHTML.html`<p class="calculadora__error calculadora__error--form" role="alert">${error.message}</p>`;
+      });
+  },
+
+  /**
+   * Calculate batch rows in the selected currency and render the report
+   *
+   * @param {Array<Object>} rawRows - Raw rows from BatchImport.parse()
+   * @param {string} fileName - Name of the imported file
+   */
+  renderBatch: function(rawRows, fileName) {
+    this.elements.batchContent.innerHTML = UI.renderBatchReport(BatchImport.run(rawRows, I18n.getCurrency()), fileName);
+  },
+
+  /**
+   * Render the user routes
+   *
+   * @param {Object|null} notice - Notice of the last change (see UI.renderUserRoutes)
+   */
+  renderUserRoutes: function(notice = null) {
+    this.elements.routesContent.innerHTML = UI.renderUserRoutes(UserRoutes.load(), notice);
+  },
+
+  /**
+   * Save the route of the editor, as a new route or over the route being edited
+   *
+   * @param {Event} event - Submit event of the route form
+   */
+  handleRouteSubmit: function(event) {
+    event.preventDefault();
+
+    const { routeId, routeOrigin, routeDestination, routeDistance } = this.elements;
+    const inputs = { origin: routeOrigin, destination: routeDestination, distanceKm: routeDistance };
+
+    Object.values(inputs).forEach(input => this.clearFieldError(input));
+
+    const validation = UserRoutes.put({
+      id: routeId.value || undefined,
+      origin: routeOrigin.value,
+      destination: routeDestination.value,
+      distanceKm: routeDistance.value
+    });
+
+    if (!validation.valid) {
+      Object.keys(inputs)
+        .filter(field => validation.errors[field])
+        .forEach(field => this.showFieldError(inputs[field], validation.errors[field]));
+
+      this.renderUserRoutes(validation.errors.route ? { type: 'error', message: validation.errors.route } : null);
+
+      const firstInvalid = this.elements.routeForm.querySelector('[aria-invalid="true"]');
+      if (firstInvalid) {
+        firstInvalid.focus();
+      }
+      return;
+    }
+
+    const route = validation.route;
+    const message = I18n.t(routeId.value ? 'routes.updated' : 'routes.added', {
+      origin: route.origin,
+      destination: route.destination
+    });
+
+    this.resetRouteForm();
+    this.renderUserRoutes({
+      type: validation.warning ? 'warning' : 'success',
+      message: validation.warning ? `${message} ${validation.warning}` : message
+    });
+    this.refreshRouteLookups();
+  },
+
+  /**
+   * Load a saved route into the editor
+   *
+   * @param {string} id - Route id
+   */
+  editRoute: function(id) {
+    const route = UserRoutes.find(id);
+    if (!route) {
+      return;
+    }
+
+    const { routeId, routeOrigin, routeDestination, routeDistance, routeSave } = this.elements;
+
+    this.resetRouteForm();
+    routeId.value = route.id;
+    routeOrigin.value = route.origin;
+    routeDestination.value = route.destination;
+    routeDistance.value = String(route.distanceKm);
+    routeSave.textContent = I18n.t('routes.update');
+    UI.showElement('route-cancel');
+    routeOrigin.focus();
+  },
+
+  /**
+   * Delete a saved route
+   *
+   * @param {string} id - Route id
+   */
+  deleteRoute: function(id) {
+    const route = UserRoutes.find(id);
+    if (!route) {
+      return;
+    }
+
+    if (!UserRoutes.remove(id)) {
+      this.renderUserRoutes({ type: 'error', message: I18n.t('routes.error.storage') });
+      return;
+    }
+
+    // The route being edited no longer exists
+    if (this.elements.routeId.value === id) {
+      this.resetRouteForm();
+    }
+
+    this.renderUserRoutes({
+      type: 'success',
+      message: I18n.t('routes.deleted', { origin: route.origin, destination: route.destination })
+    });
+    this.refreshRouteLookups();
+  },
+
+  /**
+   * Empty the route editor and leave edit mode
+   */
+  resetRouteForm: function() {
+    const { routeForm, routeId, routeOrigin, routeDestination, routeDistance, routeSave } = this.elements;
+
+    routeForm.reset();
+    routeId.value = '';
+    [routeOrigin, routeDestination, routeDistance].forEach(input => this.clearFieldError(input));
+    routeSave.textContent = I18n.t('routes.add');
+    UI.hideElement('route-cancel');
+  },
+
+  /**
+   * Import the routes of the selected JSON file and report the ones skipped
+   */
+  handleRoutesImport: function() {
+    const input = this.elements.routesImport;
+    const file = input.files[0];
+
+    if (!file) {
+      return;
+    }
+
+    file.text()
+      .then(text => {
+        const result = UserRoutes.importJSON(text);
+
+        this.renderUserRoutes({
+          type: result.failed.length > 0 ? 'warning' : 'success',
+          message: I18n.t('routes.imported', { added: I18n.formatNumber(result.added, 0), file: file.name }),
+          failed: result.failed
+        });
+        this.refreshRouteLookups();
+      })
+      .catch(error => {
+        console.error('Route import failed:', error);
+        this.renderUserRoutes({ type: 'error', message: error.message });
+      })
+      .then(() => {
+        // Lets the same file be imported again after it is edited
+        input.value = '';
+      });
+  },
+
+  /**
+   * Update what depends on the route set after user routes change:
+   * the city suggestions and the distance of the trip being entered
+   */
+  refreshRouteLookups: function() {
+    const { origin, destination } = this.elements;
+
+    CityInputs.populateDatalist();
+
+    if (origin.value.trim() && destination.value.trim()) {
+      // Runs the distance autofill again (see CityInputs.setupDistanceAutofill)
+      destination.dispatchEvent(new Event('change'));
+    }
+  },
+
+  /**
+   * Fill the budget period select from CONFIG.CARBON_BUDGET.PERIODS
+   * Keeps the selected period when rebuilt
+   */
+  populateBudgetPeriods: function() {
+    const select = this.elements.budgetPeriod;
+    const selected = select.value || CONFIG.CARBON_BUDGET.DEFAULT_PERIOD;
+    select.innerHTML = '';
+
+    CONFIG.CARBON_BUDGET.PERIODS.forEach(period => {
+      const option = document.createElement('option');
+      option.value = period;
+      option.textContent = I18n.t(`budget.period.${period}`);
+      select.appendChild(option);
+    });
+
+    select.value = selected;
+  },
+
+  /**
+   * Fill the trip budget select with the saved budgets
+   * Keeps the "no budget" option and the selected budget while it exists
+   */
+  populateBudgetOptions: function() {
+    const select = this.elements.tripBudget;
+    const selected = select.value;
+    select.innerHTML = '';
+
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = I18n.t('form.noBudget');
+    select.appendChild(none);
+
+    CarbonBudget.load().forEach(budget => {
+      const option = document.createElement('option');
+      option.value = budget.id;
+      option.textContent = budget.name;
+      select.appendChild(option);
+    });
+
+    select.value = CarbonBudget.find(selected) ? selected : '';
+  },
+
+  /**
+   * Render the carbon budgets and how the last trip fits the selected one
+   *
+   * @param {Object|null} notice - Notice of the last change (see UI.renderBudgets)
+   */
+  renderBudgets: function(notice = null) {
+    this.elements.budgetsContent.innerHTML = UI.renderBudgets(CarbonBudget.load(), notice);
+    this.renderBudgetCheck();
+  },
+
+  /**
+   * Save the budget of the editor, as a new budget or over the budget being edited
+   *
+   * @param {Event} event - Submit event of the budget form
+   */
+  handleBudgetSubmit: function(event) {
+    event.preventDefault();
+
+    const { budgetId, budgetName, budgetLimit, budgetPeriod } = this.elements;
+    const inputs = { name: budgetName, limitKg: budgetLimit, period: budgetPeriod };
+
+    Object.values(inputs).forEach(input => this.clearFieldError(input));
+
+    const validation = CarbonBudget.put({
+      id: budgetId.value || undefined,
+      name: budgetName.value,
+      limitKg: budgetLimit.value,
+      period: budgetPeriod.value
+    });
+
+    if (!validation.valid) {
+      Object.keys(inputs)
+        .filter(field => validation.errors[field])
+        .forEach(field => this.showFieldError(inputs[field], validation.errors[field]));
+
+      if (validation.errors.budget) {
+        this.renderBudgets({ type: 'error', message: validation.errors.budget });
+      }
+
+      const firstInvalid = this.elements.budgetForm.querySelector('[aria-invalid="true"]');
+      if (firstInvalid) {
+        firstInvalid.focus();
+      }
+      return;
+    }
+
+    const message = I18n.t(budgetId.value ? 'budget.updated' : 'budget.added', { name: validation.budget.name });
+
+    this.resetBudgetForm();
+    this.populateBudgetOptions();
+    this.renderBudgets({ type: 'success', message: message });
+  },
+
+  /**
+   * Load a saved budget into the editor
+   *
+   * @param {string} id - Budget id
+   */
+  editBudget: function(id) {
+    const budget = CarbonBudget.find(id);
+    if (!budget) {
+      return;
+    }
+
+    const { budgetId, budgetName, budgetLimit, budgetPeriod, budgetSave } = this.elements;
+
+    this.resetBudgetForm();
+    budgetId.value = budget.id;
+    budgetName.value = budget.name;
+    budgetLimit.value = String(budget.limitKg);
+    budgetPeriod.value = budget.period;
+    budgetSave.textContent = I18n.t('budget.update');
+    UI.showElement('budget-cancel');
+    budgetName.focus();
+  },
+
+  /**
+   * Delete a saved budget and its logged trips
+   *
+   * @param {string} id - Budget id
+   */
+  deleteBudget: function(id) {
+    const budget = CarbonBudget.find(id);
+    if (!budget) {
+      return;
+    }
+
+    if (!CarbonBudget.remove(id)) {
+      this.renderBudgets({ type: 'error', message: I18n.t('budget.error.storage') });
+      return;
+    }
+
+    // The budget being edited no longer exists
+    if (this.elements.budgetId.value === id) {
+      this.resetBudgetForm();
+    }
+
+    this.populateBudgetOptions();
+    this.renderBudgets({ type: 'success', message: I18n.t('budget.deleted', { name: budget.name }) });
+  },
+
+  /**
+   * Empty the budget editor and leave edit mode
+   */
+  resetBudgetForm: function() {
+    const { budgetForm, budgetId, budgetName, budgetLimit, budgetPeriod, budgetSave } = this.elements;
+
+    budgetForm.reset();
+    budgetId.value = '';
+    budgetPeriod.value = CONFIG.CARBON_BUDGET.DEFAULT_PERIOD;
+    [budgetName, budgetLimit].forEach(input => this.clearFieldError(input));
+    budgetSave.textContent = I18n.t('budget.add');
+    UI.hideElement('budget-cancel');
+  },
+
+  /**
+   * Show how a trip fits the budget selected in the form
+   * Empty when there is no result or no budget selected
+   *
+   * @param {Object|null} result - Object returned by Calculator.calculateTrip() (default: the last result)
+   */
+  renderBudgetCheck: function(result = this.lastResult) {
+    const budget = CarbonBudget.find(this.elements.tripBudget.value);
+
+    if (!result || !budget) {
+      this.elements.budgetCheck.innerHTML = '';
+      return;
+    }
+
+    const log = this.lastBudgetLog;
+    const logged = Boolean(log && log.result === result && log.budgetId === budget.id);
+
+    // One planned trip: both ways when it is a round trip
+    const emission = result.projection.perTrip.emission;
+    const check = CarbonBudget.check(budget, emission);
+    const suggestion = check.fits ? null : CarbonBudget.suggestMode(result.comparison, check.remaining, {
+      exclude: result.mode,
+      multiplier: result.projection.roundTrip ? 2 : 1
+    });
+
+    this.elements.budgetCheck.innerHTML = UI.renderBudgetCheck({
+      budget: budget,
+      emission: emission,
+      check: check,
+      suggestion: suggestion,
+      logged: logged
+    });
+  },
+
+  /**
+   * Log the last trip against the budget selected in the form
+   */
+  logBudgetTrip: function() {
+    const result = this.lastResult;
+    const budgetId = this.elements.tripBudget.value;
+    const log = this.lastBudgetLog;
+
+    if (!result || (log && log.result === result && log.budgetId === budgetId) || !CarbonBudget.find(budgetId)) {
+      return;
+    }
+
+    const budget = CarbonBudget.logTrip(budgetId, {
+      origin: result.origin,
+      destination: result.destination,
+      mode: result.mode,
+      emission: result.projection.perTrip.emission
+    });
+
+    if (!budget) {
+      this.renderBudgets({ type: 'error', message: I18n.t('budget.error.storage') });
+      return;
+    }
+
+    this.lastBudgetLog = { result: result, budgetId: budgetId, tripId: budget.trips[0].id };
+    this.renderBudgets({
+      type: 'success',
+      message: I18n.t('budget.tripLogged', { origin: result.origin, destination: result.destination, name: budget.name })
+    });
+  },
+
+  /**
+   * Remove a logged trip from a budget
+   *
+   * @param {string} id - Budget id
+   * @param {string} tripId - Trip id
+   */
+  removeBudgetTrip: function(id, tripId) {
+    const budget = CarbonBudget.find(id);
+    const trip = budget && budget.trips.find(other => other.id === tripId);
+
+    if (!trip) {
+      return;
+    }
+
+    if (!CarbonBudget.removeTrip(id, tripId)) {
+      this.renderBudgets({ type: 'error', message: I18n.t('budget.error.storage') });
+      return;
+    }
+
+    // The last trip can be logged again once removed
+    if (this.lastBudgetLog && this.lastBudgetLog.tripId === tripId) {
+      this.lastBudgetLog = null;
+    }
+    this.renderBudgets({
+      type: 'success',
+      message: I18n.t('budget.tripRemoved', { origin: trip.origin, destination: trip.destination, name: budget.name })
+    });
+  },
+
+  /**
+   * Calculate the trip again with another transport mode, for every leg
+   *
+   * @param {string} mode - Transport mode key
+   */
+  useMode: function(mode) {
+    const radio = this.elements.form.querySelector(`input[name="transport"][value="${mode}"]`);
+
+    if (!radio) {
+      return;
+    }
+
+    radio.checked = true;
+    // Runs the distance autofill for the new mode and updates the load fields
+    radio.dispatchEvent(new Event('change'));
+    this.renderLegs(this.getExtraLegValues().map(leg => Object.assign(leg, { mode: mode })));
+
+    this.elements.form.requestSubmit();
+  },
+
+  /**
+   * Fill the history mode filter with the registered transport modes
+   * Keeps the "all modes" option and the selected mode when rebuilt
+   */
+  populateHistoryFilters: function() {
+    const select = this.elements.historyFilterMode;
+    const selected = select.value;
+
+    select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+
+    TransportModes.getKeys().forEach(mode => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = `${TransportModes.get(mode).icon} ${TransportModes.getLabel(mode)}`;
+      select.appendChild(option);
+    });
+
+    select.value = selected;
+  },
+
+  /**
+   * Render the history panel with the current filters
+   * The panel stays hidden until the first calculation is saved
+   */
+  renderHistory: function() {
+    const entries = CalculationHistory.load();
+    const filtered = CalculationHistory.filter(entries, {
+      query: this.elements.historyFilterQuery.value,
+      mode: this.elements.historyFilterMode.value,
+      month: this.elements.historyFilterMonth.value
+    });
+
+    this.elements.historyContent.innerHTML = UI.renderHistory(filtered, {
+      byMode: CalculationHistory.getTotalsByMode(filtered),
+      byMonth: CalculationHistory.getTotalsByMonth(filtered)
+    }, filtered.length !== entries.length);
+
+    if (entries.length > 0) {
+      UI.showElement('history');
+    } else {
+      UI.hideElement('history');
+    }
+  },
+
+  /**
+   * Open the offset checkout for the last calculation
+   * Loads the projects of the active provider, then renders the checkout
+   * with the trip's credits rounded up
+   */
+  openOffset: function() {
+    if (!this.lastResult) {
+      return;
+    }
+
+    const content = this.elements.offsetContent;
+    content.innerHTML = SafeHTML.html`<p class="calculadora__helper">${I18n.t('offset.loading')}</p>`;
+    UI.showElement('offset');
+    UI.scrollToElement('offset');
+
+    CarbonOffset.getProjects()
+      .then(projects => {
+        if (projects.length === 0) {
+          throw new Error('The offset provider has no projects');
+        }
+
+        this.offset = {
+          projects: projects,
+          projectKey: projects[0].key,
+          requested: this.lastResult.credits,
+          rounding: 'up'
+        };
+        this.renderOffset();
+      })
+      .catch(error => {
+        console.error('Could not load offset projects:', error);
+        content.innerHTML = SafeHTML.html`<p class="calculadora__error calculadora__error--form" role="alert">${I18n.t('offset.loadError')}</p>`;
+      });
+  },
+
+  /**
+   * Build the order for the current checkout choices
+   *
+   * @returns {Object} Order from CarbonOffset.createOrder()
+   */
+  getOffsetOrder: function() {
+    const project = this.offset.projects.find(candidate => candidate.key === this.offset.projectKey);
+    return CarbonOffset.createOrder(project, this.offset.requested, this.offset.rounding, I18n.getCurrency());
+  },
+
+  /**
+   * Render the offset checkout with the current choices
+   */
+  renderOffset: function() {
+    const projection = this.lastResult.projection;
+
+    this.elements.offsetContent.innerHTML = UI.renderOffset(this.offset.projects, this.getOffsetOrder(), {
+      tripCredits: this.lastResult.credits,
+      horizonCredits: projection.recurring ? projection.horizon.credits : null
+    });
+  },
+
+  /**
+   * Read the checkout fields and update the summary
+   * Only the summary is rendered again, so the field being edited keeps focus
+   */
+  updateOffsetOrder: function() {
+    const content = this.elements.offsetContent;
+    const project = content.querySelector('input[name="offset-project"]:checked');
+    const requested = parseFloat(content.querySelector('#offset-quantity').value);
+
+    this.offset.projectKey = project ? project.value : this.offset.projectKey;
+    this.offset.requested = Number.isFinite(requested) && requested > 0 ? requested : 0;
+    this.offset.rounding = content.querySelector('#offset-rounding').value;
+
+    content.querySelectorAll('.offset__project').forEach(label => {
+      label.classList.toggle('offset__project--selected', label.querySelector('input').checked);
+    });
+    content.querySelector('#offset-summary').innerHTML = UI.renderOffsetSummary(this.getOffsetOrder());
+  },
+
+  /**
+   * Purchase the offset and show its certificate
+   *
+   * @param {HTMLButtonElement} button - Confirm button
+   */
+  confirmOffset: function(button) {
+    const order = this.getOffsetOrder();
+    const trip = {
+      origin: this.lastResult.origin,
+      destination: this.lastResult.destination,
+      emission: this.lastResult.emission
+    };
+
+    button.disabled = true;
+    button.textContent = I18n.t('offset.processing');
+
+    CarbonOffset.checkout(order, trip)
+      .then(certificate => {
+        this.offset = null;
+        this.elements.offsetContent.innerHTML = UI.renderOffsetConfirmation(certificate);
+        this.renderCertificates();
+      })
+      .catch(error => {
+        console.error('Offset purchase failed:', error);
+        button.disabled = false;
+        button.textContent = I18n.t('offset.confirm');
+        this.elements.offsetContent.querySelector('#offset-summary').innerHTML = SafeHTML.html`
+          ${UI.renderOffsetSummary(order)}
+          <p class="calculadora__error calculadora__error--form" role="alert">${I18n.t('offset.purchaseError')}</p>
+        `;
+      });
+  },
+
+  /**
+   * Close the offset checkout
+   */
+  closeOffset: function() {
+    this.offset = null;
+    this.elements.offsetContent.innerHTML = '';
+    UI.hideElement('offset');
+  },
+
+  /**
+   * Render the saved compensation certificates
+   * The section stays hidden until the first offset is confirmed
+   */
+  renderCertificates: function() {
+    const certificates = CarbonOffset.load();
+
+    this.elements.certificatesContent.innerHTML = UI.renderCertificates(certificates);
+
+    if (certificates.length > 0) {
+      UI.showElement('certificates');
+    } else {
+      UI.hideElement('certificates');
+    }
+  },
+
+  /**
+   * Fill the form with a saved calculation and submit it again
+   *
+   * @param {string} entryId - Id of the history entry
+   */
+  rerunEntry: function(entryId) {
+    const entry = CalculationHistory.find(entryId);
+
+    if (!entry) {
+      return;
+    }
+
+    const [firstLeg, ...extraLegs] = entry.legs;
+
+    // Use the factor set of the saved calculation while it is still registered
+    if (entry.factorSet && FactorSets.select(entry.factorSet.key)) {
+      this.elements.factorSet.value = entry.factorSet.key;
+      this.updateFactorSetCitation();
+    }
+
+    this.fillForm(Object.assign({}, firstLeg, {
+      legs: extraLegs.map(leg => ({
+        destination: leg.destination,
+        mode: leg.mode,
+        distance: leg.distance,
+        manual: leg.manual
+      }))
+    }));
+
+    this.elements.form.requestSubmit();
+  },
+
+  /**
+   * Fill the main trip fields (and optionally the additional legs)
+   * Distances typed by hand are restored; the others are looked up again
+   *
+   * @param {Object} trip - { origin, destination, mode, distance, manual, legs }
+   *   legs are the additional leg values for renderLegs() (default: none)
+   */
+  fillForm: function(trip) {
+    const { form, origin, destination, distance, manualDistance } = this.elements;
+    const radio = form.querySelector(`input[name="transport"][value="${trip.mode}"]`);
+
+    this.clearErrors();
+    origin.value = CitySearch.resolve(trip.origin) || trip.origin;
+    destination.value = CitySearch.resolve(trip.destination) || trip.destination;
+
+    if (radio) {
+      radio.checked = true;
+      this.updateLoadFields();
+    }
+
+    // Toggling the checkbox runs the autofill (or clears the field for manual entry)
+    manualDistance.checked = trip.manual;
+    manualDistance.dispatchEvent(new Event('change'));
+    if (trip.manual) {
+      distance.value = trip.distance;
+    }
+
+    this.renderLegs(trip.legs || []);
+  },
+
+  /**
+   * Fill the fuel select with the fuel types from CONFIG.FUEL_TYPES
+   * Flex is selected at first; the selected fuel is kept when rebuilt
+   */
+  populateFuelOptions: function() {
+    const select = this.elements.vehicleFuel;
+    const selected = select.value || 'flex';
+    select.innerHTML = '';
+
+    Object.keys(CONFIG.FUEL_TYPES).forEach(fuel => {
+      const option = document.createElement('option');
+      option.value = fuel;
+      option.textContent = I18n.t(`fuel.${fuel}`);
+      select.appendChild(option);
+    });
+
+    select.value = selected;
+  },
+
+  /**
+   * Show the vehicle profile fields used by the selected fuel and preview
+   * the resulting emission factor
+   */
+  updateVehicleFields: function() {
+    const { useVehicleProfile, vehicleFields, vehicleFuel, vehicleFactor } = this.elements;
+
+    vehicleFields.classList.toggle('hidden', !useVehicleProfile.checked);
+
+    // Each field lists the fuels that use it in data-fuels
+    vehicleFields.querySelectorAll('[data-fuels]').forEach(field => {
+      field.classList.toggle('hidden', !field.dataset.fuels.split(' ').includes(vehicleFuel.value));
+    });
+
+    const profile = this.getVehicleProfile();
+    const factor = profile ? VehicleProfiles.getEmissionFactor(profile) : null;
+
+    vehicleFactor.textContent = factor !== null
+      ? I18n.t('form.vehicleFactor', { factor: UI.formatNumber(factor, 3) })
+      : I18n.t('form.vehicleFactorHint');
+  },
+
+  /**
+   * Build the vehicle profile from the form
+   *
+   * @returns {Object|null} Profile for VehicleProfiles, null when not in use
+   */
+  getVehicleProfile: function() {
+    if (!this.elements.useVehicleProfile.checked) {
+      return null;
+    }
+
+    const value = field => document.getElementById(this.VEHICLE_FIELD_IDS[field]).value;
+
+    // Shares are typed as percentages
+    return VehicleProfiles.createProfile({
+      fuel: value('fuel'),
+      consumption: value('consumption'),
+      ethanolShare: parseFloat(value('ethanolShare')) / 100,
+      electricConsumption: value('electricConsumption'),
+      electricShare: parseFloat(value('electricShare')) / 100
+    });
+  },
+
+  /**
+   * Append an empty leg row after the last leg
+   */
+  addLeg: function() {
+    const values = this.getExtraLegValues();
+    values.push({ destination: '', mode: 'car', distance: '', manual: false });
+    this.renderLegs(values);
+
+    const rows = this.elements.legsList.querySelectorAll('.calculadora__leg');
+    rows[rows.length - 1].querySelector('[data-leg-field="destination"]').focus();
+  },
+
+  /**
+   * Remove a leg row and renumber the remaining ones
+   *
+   * @param {number} index - Index of the leg to remove (1 = second leg)
+   */
+  removeLeg: function(index) {
+    const values = this.getExtraLegValues();
+    values.splice(index - 1, 1);
+    this.renderLegs(values);
+  },
+
+  /**
+   * Rebuild the leg rows from a list of values
+   *
+   * @param {Array<Object>} values - [{ destination, mode, distance, manual }, ...]
+   */
+  renderLegs: function(values) {
+    const legsList = this.elements.legsList;
+    legsList.innerHTML = values.map((value, i) => UI.renderLegRow(i + 1)).join('');
+
+    // Restore values into the freshly rendered rows
+    legsList.querySelectorAll('.calculadora__leg').forEach((row, i) => {
+      row.querySelector('[data-leg-field="destination"]').value = values[i].destination;
+      row.querySelector('[data-leg-field="mode"]').value = values[i].mode;
+
+      const distanceInput = row.querySelector('[data-leg-field="distance"]');
+      distanceInput.value = values[i].manual ? values[i].distance : '';
+      distanceInput.dataset.manual = values[i].manual ? 'true' : '';
+    });
+
+    this.refreshLegs();
+  },
+
+  /**
+   * Update each leg row's origin label and autofill its distance
+   * The origin of each leg is the destination of the previous one
+   */
+  refreshLegs: function() {
+    let origin = this.elements.destination.value.trim();
+
+    this.elements.legsList.querySelectorAll('.calculadora__leg').forEach(row => {
+      const destination = row.querySelector('[data-leg-field="destination"]').value.trim();
+      const mode = row.querySelector('[data-leg-field="mode"]').value;
+      const distanceInput = row.querySelector('[data-leg-field="distance"]');
+
+      row.querySelector('.calculadora__leg-origin').textContent = I18n.t('leg.from', { origin: origin || '—' });
+
+      // Only overwrite distances the user did not type
+      if (distanceInput.dataset.manual !== 'true') {
+        const distance = Itinerary.resolveDistance(origin, destination, mode);
+        distanceInput.value = distance !== null ? distance : '';
+      }
+
+      origin = destination;
+    });
+  },
+
+  /**
+   * Read the values of the additional leg rows
+   *
+   * @returns {Array<Object>} [{ destination, mode, distance, manual }, ...]
+   */
+  getExtraLegValues: function() {
+    const rows = this.elements.legsList.querySelectorAll('.calculadora__leg');
+
+    return Array.from(rows).map(row => {
+      const distanceInput = row.querySelector('[data-leg-field="distance"]');
+
+      return {
+        destination: row.querySelector('[data-leg-field="destination"]').value.trim(),
+        mode: row.querySelector('[data-leg-field="mode"]').value,
+        distance: distanceInput.value,
+        manual: distanceInput.dataset.manual === 'true'
+      };
+    });
+  },
+
+  /**
+   * Read the current form values
+   *
+   * @returns {Object} { origin, destination, distance, manual, mode, legs, frequency, vehicle, load, unit, currency }
+   *   legs holds every leg of the trip, the first one built from the main fields
+   *   frequency holds the raw options for TripFrequency
+   *   vehicle holds the vehicle profile (null when not in use)
+   *   load holds the occupancy and cargo of the selected mode (NaN when blank)
+   *   unit is the functional unit used to compare modes
+   *   currency is the currency of the offset prices
+   *   factorSet is the FactorSets key of the emission factors
+   */
+  getFormValues: function() {
+    const { form, origin, destination, distance, manualDistance } = this.elements;
+    const selectedMode = form.querySelector('input[name="transport"]:checked');
+
+    const values = {
+      origin: origin.value.trim(),
+      destination: destination.value.trim(),
+      distance: parseFloat(distance.value),
+      manual: manualDistance.checked,
+      mode: selectedMode ? selectedMode.value : null,
+      frequency: {
+        roundTrip: this.elements.roundTrip.checked,
+        trips: parseFloat(this.elements.tripCount.value),
+        period: this.elements.tripPeriod.value,
+        horizonMonths: parseFloat(this.elements.tripHorizon.value)
+      },
+      vehicle: this.getVehicleProfile(),
+      load: {
+        passengers: parseFloat(this.elements.passengers.value),
+        cargoTonnes: parseFloat(this.elements.cargoTonnes.value)
+      },
+      unit: this.elements.functionalUnit.value,
+      currency: I18n.getCurrency(),
+      factorSet: this.elements.factorSet.value
+    };
+
+    // First leg comes from the main fields, the rest from the leg rows
+    // The main distance field was autofilled from the same RoutesDB lookup
+    const firstLeg = values.manual
+      ? Itinerary.createLeg(values.origin, values.destination, values.mode, values.distance)
+      : Itinerary.createLeg(values.origin, values.destination, values.mode);
+
+    let legOrigin = values.destination;
+    const extraLegs = this.getExtraLegValues().map(legValue => {
+      const manualDistance = legValue.manual ? parseFloat(legValue.distance) : undefined;
+      const leg = Itinerary.createLeg(legOrigin, legValue.destination, legValue.mode, manualDistance);
+      legOrigin = legValue.destination;
+      return leg;
+    });
+
+    values.legs = [firstLeg].concat(extraLegs);
+
+    // The typed load applies to every leg made with the selected mode
+    values.legs
+      .filter(leg => leg.mode === values.mode)
+      .forEach(leg => { leg.load = values.load; });
+
+    // The vehicle profile replaces the average car factor on car legs
+    if (values.vehicle) {
+      values.legs
+        .filter(leg => leg.mode === 'car')
+        .forEach(leg => { leg.vehicle = values.vehicle; });
+    }
+
+    return values;
+  },
+
+  /**
+   * Validate the form values
+   *
+   * Rules:
+   * - Origin and destination are required and must differ
+   * - Distance must be a positive number
+   * - A known transport mode must be selected
+   *
+   * @param {Object} values - Values returned by getFormValues()
+   * @returns {Object} { valid: boolean, errors: { fieldName: message } }
+   */
+  validate: function(values) {
+    const errors = {};
+
+    if (!values.origin) {
+      errors.origin = I18n.t('error.origin');
+    }
+
+    if (!values.destination) {
+      errors.destination = I18n.t('error.destination');
+    } else if (values.origin && CitySearch.normalize(values.origin) === CitySearch.normalize(values.destination)) {
+      errors.destination = I18n.t('error.sameCity');
+    }
+
+    if (isNaN(values.distance)) {
+      // Only blame the distance when the route fields are filled
+      if (!errors.origin && !errors.destination) {
+        errors.distance = values.manual
+          ? I18n.t('error.manualDistance')
+          : I18n.t('error.routeNotFound');
+      }
+    } else if (values.distance <= 0) {
+      errors.distance = I18n.t('error.distancePositive');
+    }
+
+    if (!TransportModes.has(values.mode)) {
+      errors.transport = I18n.t('error.mode');
+    }
+
+    // Load fields are optional, but must be positive when filled
+    if (!isNaN(values.load.passengers) && values.load.passengers < 1) {
+      errors.passengers = I18n.t('error.passengers');
+    }
+
+    if (!isNaN(values.load.cargoTonnes) && values.load.cargoTonnes < 0) {
+      errors['cargo-tonnes'] = I18n.t('error.cargo');
+    }
+
+    // Frequency fields are only used for recurring trips
+    if (values.frequency.period !== 'once') {
+      if (!(values.frequency.trips > 0)) {
+        errors['trip-count'] = I18n.t('error.tripCount');
+      }
+
+      if (!(values.frequency.horizonMonths > 0)) {
+        errors['trip-horizon'] = I18n.t('error.tripHorizon');
+      }
+    }
+
+    // Vehicle profile errors are keyed by their input id
+    if (values.vehicle) {
+      const vehicleErrors = VehicleProfiles.validate(values.vehicle);
+
+      Object.keys(vehicleErrors).forEach(field => {
+        errors[this.VEHICLE_FIELD_IDS[field]] = vehicleErrors[field];
+      });
+    }
+
+    // Additional legs are keyed by their input id (e.g. "leg-1-destination")
+    values.legs.slice(1).forEach((leg, i) => {
+      const legErrors = Itinerary.validateLeg(leg);
+
+      // The leg origin is the previous destination, already reported above
+      delete legErrors.origin;
+
+      Object.keys(legErrors).forEach(field => {
+        errors[`leg-${i + 1}-${field}`] = legErrors[field];
+      });
+    });
+
+    return {
+      valid: Object.keys(errors).length === 0,
+      errors: errors
+    };
+  },
+
+  /**
+   * Handle form submission
+   *
+   * Validates input, shows loading state, runs the calculation and renders
+   * every result section. The calculation is saved to the history, unless
+   * it was restored from a link.
+   *
+   * @param {Event} event - Submit event
+   */
+  handleSubmit: function(event) {
+    event.preventDefault();
+
+    // Only the submit started by restoreFromUrl() is a restored run
+    const restored = this.restoring;
+    this.restoring = false;
+
+    this.clearErrors();
+
+    const values = this.getFormValues();
+    const validation = this.validate(values);
+
+    if (!validation.valid) {
+      this.showErrors(validation.errors);
+      return;
+    }
+
+    const button = this.elements.submitButton;
+    UI.showLoading(button);
+
+    setTimeout(() => {
+      try {
+        const result = Calculator.calculateTrip(values);
+        this.closeOffset();
+        this.render(result);
+        this.lastResult = result;
+        this.updatePermalink(values);
+
+        if (!restored) {
+          CalculationHistory.add(CalculationHistory.createEntry(result));
+          this.renderHistory();
+        }
+      } catch (error) {
+        console.error('Calculation failed:', error);
+        this.showFormError(I18n.t('error.calculation'));
+      } finally {
+        UI.hideLoading(button);
+      }
+    }, this.CALCULATION_DELAY_MS);
+  },
+
+  /**
+   * Render result data into the results, comparison and carbon credit sections,
+   * with the check against the selected carbon budget
+   *
+   * @param {Object} result - Object returned by Calculator.calculateTrip()
+   * @param {boolean} scroll - Scroll to the results (default: true)
+   */
+  render: function(result, scroll = true) {
+    this.elements.resultsContent.innerHTML = result.legs.length > 1
+      ? UI.renderItinerary({
+        legs: result.legs,
+        totalDistance: result.distance,
+        totalEmission: result.emission,
+        totalPerPassenger: result.perPassenger,
+        savings: result.savings,
+        projection: result.projection,
+        factorSources: result.factorSources,
+        gases: result.gases,
+        gasScope: this.gasScope
+      })
+      : UI.renderResults(Object.assign({ gasScope: this.gasScope }, result));
+    document.getElementById('comparison-content').innerHTML = UI.renderComparison(result.comparison, result.mode);
+    document.getElementById('carbon-credits-content').innerHTML = UI.renderCarbonoCredits({
+      credits: result.credits,
+      price: result.price,
+      projection: result.projection
+    });
+    this.renderBudgetCheck(result);
+
+    UI.showElement('results');
+    UI.showElement('comparison');
+    UI.showElement('carbon-credits');
+    UI.showElement('export-actions');
+
+    if (scroll) {
+      UI.scrollToElement('results');
+    }
+  },
+
+  /**
+   * Display inline errors for each invalid field
+   *
+   * @param {Object} errors - Map of field name to error message
+   */
+  showErrors: function(errors) {
+    const fieldElements = {
+      origin: this.elements.origin,
+      destination: this.elements.destination,
+      distance: this.elements.distance
+    };
+
+    Object.keys(errors).forEach(field => {
+      // Leg errors are keyed by the id of their input
+      const input = fieldElements[field] || document.getElementById(field);
+
+      if (input) {
+        this.showFieldError(input, errors[field]);
+      } else {
+        this.showFormError(errors[field]);
+      }
+    });
+
+    // Move focus to the first invalid field
+    const firstInvalid = this.elements.form.querySelector('[aria-invalid="true"]');
+    if (firstInvalid) {
+      firstInvalid.focus();
+    }
+  },
+
+  /**
+   * Mark an input as invalid and show a message below its field
+   *
+   * @param {HTMLElement} input - Invalid input element
+   * @param {string} message - Error message to display
+   */
+  showFieldError: function(input, message) {
+    const field = input.closest('.calculadora__field');
+    const errorId = `${input.id}-error`;
+    let errorElement = document.getElementById(errorId);
+
+    if (!errorElement) {
+      errorElement = document.createElement('p');
+      errorElement.id = errorId;
+      errorElement.className = 'calculadora__error';
+      errorElement.setAttribute('role', 'alert');
+      field.appendChild(errorElement);
+    }
+
+    errorElement.textContent = message;
+    input.classList.add('calculadora__input--error');
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-describedby', errorId);
+  },
+
+  /**
+   * Remove the error state from a single input
+   *
+   * @param {HTMLElement} input - Input element to clear
+   */
+  clearFieldError: function(input) {
+    const errorElement = document.getElementById(`${input.id}-error`);
+    if (errorElement) {
+      errorElement.remove();
+    }
+
+    input.classList.remove('calculadora__input--error');
+    input.removeAttribute('aria-invalid');
+    input.removeAttribute('aria-describedby');
+  },
+
+  /**
+   * Show an error that is not tied to a single input
+   * Displayed above the submit button
+   *
+   * @param {string} message - Error message to display
+   */
+  showFormError: function(message) {
+    let errorElement = document.getElementById('form-error');
+
+    if (!errorElement) {
+      errorElement = document.createElement('p');
+      errorElement.id = 'form-error';
+      errorElement.className = 'calculadora__error calculadora__error--form';
+      errorElement.setAttribute('role', 'alert');
+      this.elements.form.querySelector('.calculadora__actions').before(errorElement);
+    }
+
+    errorElement.textContent = message;
+  },
+
+  /**
+   * Remove the form-level error message
+   */
+  clearFormError: function() {
+    const errorElement = document.getElementById('form-error');
+    if (errorElement) {
+      errorElement.remove();
+    }
+  },
+
+  /**
+   * Remove every inline error from the form
+   */
+  clearErrors: function() {
+    const { origin, destination, distance, legsList } = this.elements;
+    [origin, destination, distance, this.elements.tripCount, this.elements.tripHorizon,
+      this.elements.passengers, this.elements.cargoTonnes]
+      .forEach(input => this.clearFieldError(input));
+    Object.values(this.VEHICLE_FIELD_IDS)
+      .forEach(id => this.clearFieldError(document.getElementById(id)));
+    legsList.querySelectorAll('[data-leg-field]').forEach(input => this.clearFieldError(input));
+    this.clearFormError();
+  }
+};
+
+// Start the application once the DOM is ready
+document.addEventListener('DOMContentLoaded', () => App.init());
@@ -0,0 +1,365 @@
+/**
+ * BatchImport - CSV/JSON Trip Import
+ *
+ * Parses a list of trips (e.g. a fleet log or an expense report) from CSV or
+ * JSON text, resolves each trip's distance through RoutesDB and calculates
+ * its emissions with Calculator. Rows that cannot be calculated are reported
+ * with their line number instead of stopping the import.
+ *
+ * Accepted columns (CSV header or JSON keys, Portuguese and Spanish names also work):
+ * - origin / origem / origen: Origin city
+ * - destination / destino: Destination city
+ * - mode / modo / medio: Transport mode key or label in any locale (e.g. "car", "Ônibus", "avion")
+ * - km / distance / distancia: Distance in kilometers (optional, looked up when empty)
+ */
+
+const BatchImport = {
+  /**
+   * Column aliases, keyed by row field
+   * Compared after CitySearch.normalize(), so accents and case don't matter
+   */
+  COLUMN_ALIASES: {
+    origin: ['origin', 'origem', 'origen'],
+    destination: ['destination', 'destino'],
+    mode: ['mode', 'modo', 'medio', 'transport', 'transporte', 'modo de transporte', 'medio de transporte'],
+    distance: ['km', 'distance', 'distancia', 'distancia (km)', 'distancia km']
+  },
+
+  /**
+   * Maximum number of rows processed from a single file
+   */
+  MAX_ROWS: 5000,
+
+  /**
+   * Distances like "1.234" or "12.500": a dot before groups of exactly three
+   * digits, with no comma, reads as a thousands separator in pt-BR and es-ES
+   * spreadsheets and as a decimal point in en-US ones
+   */
+  AMBIGUOUS_DISTANCE: /^\d{1,3}(\.\d{3})+$/,
+
+  /**
+   * Parse file contents into raw rows
+   * JSON is detected by the file extension or a leading "[" / "{"
+   *
+   * @param {string} text - File contents
+   * @param {string} fileName - File name (optional)
+   * @returns {Array<Object>} Raw rows: [{ line, values }] where values are keyed by column name
+   * @throws {Error} When the file cannot be parsed
+   */
+  parse: function(text, fileName = '') {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    const isJSON = /\.json$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{');
+
+    return isJSON ? this.parseJSON(trimmed) : this.parseCSV(trimmed);
+  },
+
+  /**
+   * Parse JSON text: an array of trips, or an object with a "trips" array
+   *
+   * @param {string} text - JSON text
+   * @returns {Array<Object>} Raw rows: [{ line, values }] (line is the 1-based item number)
+   * @throws {Error} When the JSON is invalid or holds no trip list
+   */
+  parseJSON: function(text) {
+    let data;
+
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(I18n.t('batch.invalidJSON'));
+    }
+
+    const trips = Array.isArray(data) ? data : data && data.trips;
+
+    if (!Array.isArray(trips)) {
+      throw new Error(I18n.t('batch.invalidJSONList'));
+    }
+
+    return trips.map((values, i) => ({ line: i + 1, values: values || {} }));
+  },
+
+  /**
+   * Parse CSV text with a header row
+   *
+   * - Delimiter is detected from the header: ";" (Excel pt-BR) or ","
+   * - Fields may be quoted with "", and quotes are escaped by doubling them
+   * - Blank lines are skipped
+   *
+   * @param {string} text - CSV text
+   * @returns {Array<Object>} Raw rows: [{ line, values }] (line is the file line number)
+   * @throws {Error} When there is no header row
+   */
+  parseCSV: function(text) {
+    const records = this.splitCSV(text);
+
+    if (records.length === 0) {
+      throw new Error(I18n.t('batch.emptyCSV'));
+    }
+
+    const header = records[0].fields.map(field => field.trim());
+
+    return records.slice(1)
+      .filter(record => record.fields.some(field => field.trim() !== ''))
+      .map(record => {
+        const values = {};
+        header.forEach((column, i) => {
+          values[column] = record.fields[i] !== undefined ? record.fields[i].trim() : '';
+        });
+        return { line: record.line, values: values };
+      });
+  },
+
+  /**
+   * Split CSV text into records, honoring quoted fields
+   *
+   * @param {string} text - CSV text
+   * @returns {Array<Object>} [{ line, fields }] (line where the record starts)
+   */
+  splitCSV: function(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+    const records = [];
+
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        fields.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        // Treat \r\n as a single line break
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        fields.push(field);
+        records.push({ line: recordLine, fields: fields });
+        fields = [];
+        field = '';
+        line++;
+        recordLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    fields.push(field);
+    records.push({ line: recordLine, fields: fields });
+
+    return records;
+  },
+
+  /**
+   * Map raw column values to trip fields using COLUMN_ALIASES
+   *
+   * @param {Object} values - Raw values keyed by column name
+   * @returns {Object} { origin, destination, mode, distance } (strings, empty when missing;
+   *   distance stays a number when the JSON had one, so it is never read as text like "1.234")
+   */
+  normalizeRow: function(values) {
+    const row = { origin: '', destination: '', mode: '', distance: '' };
+
+    Object.keys(values).forEach(column => {
+      const normalizedColumn = CitySearch.normalize(column);
+
+      Object.keys(this.COLUMN_ALIASES).forEach(field => {
+        if (this.COLUMN_ALIASES[field].includes(normalizedColumn)) {
+          const value = values[column];
+          row[field] = value === null || value === undefined ? ''
+            : (field === 'distance' && typeof value === 'number' ? value : String(value).trim());
+        }
+      });
+    });
+
+    return row;
+  },
+
+  /**
+   * Resolve a mode key or label to a registered mode key
+   * Labels are matched in every locale, so a file doesn't depend on the page language
+   *
+   * @param {string} text - Mode text (e.g. "car", "Carro", "onibus", "autobus")
+   * @returns {string|null} Mode key, null if no mode matches
+   */
+  resolveMode: function(text) {
+    const normalizedText = CitySearch.normalize(text);
+
+    if (!normalizedText) {
+      return null;
+    }
+
+    return TransportModes.getKeys().find(mode =>
+      [mode, TransportModes.getLabel(mode)].concat(I18n.translations(`mode.${mode}`))
+        .some(name => CitySearch.normalize(name) === normalizedText)
+    ) || null;
+  },
+
+  /**
+   * Parse a distance typed in a spreadsheet
+   * Accepts "1234.5", "1234,5" and "1.234,5"; rejects "1.234" (see AMBIGUOUS_DISTANCE).
+   * Numbers (from JSON) are taken as they are.
+   *
+   * @param {string|number} text - Distance text, or a number
+   * @returns {number|null} Distance in kilometers, null when empty, NaN when invalid or ambiguous
+   */
+  parseDistance: function(text) {
+    if (typeof text === 'number') {
+      return Number.isFinite(text) ? text : NaN;
+    }
+
+    if (text === '') {
+      return null;
+    }
+
+    if (this.AMBIGUOUS_DISTANCE.test(text)) {
+      return NaN;
+    }
+
+    const normalized = text.includes(',')
+      ? text.replace(/\./g, '').replace(',', '.')
+      : text;
+
+    return /^\d+(\.\d+)?$/.test(normalized) ? parseFloat(normalized) : NaN;
+  },
+
+  /**
+   * Calculate a single row
+   *
+   * @param {Object} raw - Raw row { line, values } from parse()
+   * @param {string} factorSet - FactorSets key (default: the selected set)
+   * @returns {Object} Calculated row { line, origin, destination, mode, distance, manual, emission, credits }
+   *   or failed row { line, values, errors: Array<string> }
+   */
+  processRow: function(raw, factorSet = FactorSets.getSelected()) {
+    const row = this.normalizeRow(raw.values);
+    const mode = this.resolveMode(row.mode);
+    const manualDistance = this.parseDistance(row.distance);
+    const errors = [];
+
+    if (!mode) {
+      errors.push(row.mode ? I18n.t('batch.unknownMode', { mode: row.mode }) : I18n.t('batch.missingMode'));
+    }
+
+    if (manualDistance !== null && isNaN(manualDistance)) {
+      const ambiguous = typeof row.distance === 'string' && this.AMBIGUOUS_DISTANCE.test(row.distance);
+      errors.push(I18n.t(ambiguous ? 'error.ambiguousDistance' : 'batch.invalidDistance',
+        { distance: row.distance }));
+    }
+
+    const origin = CitySearch.resolve(row.origin) || row.origin;
+    const destination = CitySearch.resolve(row.destination) || row.destination;
+    const distance = manualDistance !== null
+      ? manualDistance
+      : (mode && origin && destination ? RoutesDB.findDistance(origin, destination, mode) : null);
+
+    // Reuse the leg rules for cities and distance (skipping the mode, reported above)
+    if (errors.length === 0) {
+      const legErrors = Itinerary.validateLeg({ origin: origin, destination: destination, mode: mode, distance: distance });
+      errors.push(...Object.values(legErrors));
+    }
+
+    if (errors.length > 0) {
+      return { line: raw.line, values: row, errors: errors };
+    }
+
+    const emission = Calculator.calculateEmission(distance, mode, factorSet);
+
+    return {
+      line: raw.line,
+      origin: origin,
+      destination: destination,
+      mode: mode,
+      distance: distance,
+      manual: manualDistance !== null,
+      emission: emission,
+      credits: Calculator.calculateCarbonCredits(emission)
+    };
+  },
+
+  /**
+   * Calculate every row and aggregate the results
+   *
+   * @param {Array<Object>} rawRows - Raw rows from parse()
+   * @param {string} currency - Currency of the offset price (default: 'BRL')
+   * @param {string} factorSet - FactorSets key (default: the selected set)
+   * @returns {Object} Report:
+   *   - rows: Array<Object> calculated rows (see processRow)
+   *   - failed: Array<Object> failed rows { line, values, errors }
+   *   - skipped: number of rows beyond MAX_ROWS
+   *   - totals: { trips, distance, emission, credits }
+   *   - byMode: Array<Object> [{ mode, trips, distance, emission, credits }], highest emission first
+   *   - price: Object from Calculator.estimateCreditPrice() for the total credits
+   *   - factorSet: Object from FactorSets.describe(), the chosen dataset
+   *   - factorSources: Array<Object> from FactorSets.getSources(), the sets the row factors came from
+   */
+  run: function(rawRows, currency = 'BRL', factorSet = FactorSets.getSelected()) {
+    const rows = [];
+    const failed = [];
+
+    rawRows.slice(0, this.MAX_ROWS).forEach(raw => {
+      const result = this.processRow(raw, factorSet);
+      (result.errors ? failed : rows).push(result);
+    });
+
+    const byMode = {};
+    rows.forEach(row => {
+      const subtotal = byMode[row.mode] || (byMode[row.mode] = { mode: row.mode, trips: 0, distance: 0, emission: 0 });
+      subtotal.trips += 1;
+      subtotal.distance += row.distance;
+      subtotal.emission += row.emission;
+    });
+
+    const round = value => Math.round(value * 100) / 100;
+    const totalEmission = round(rows.reduce((sum, row) => sum + row.emission, 0));
+    const totalCredits = Calculator.calculateCarbonCredits(totalEmission);
+
+    return {
+      rows: rows,
+      failed: failed,
+      skipped: Math.max(0, rawRows.length - this.MAX_ROWS),
+      totals: {
+        trips: rows.length,
+        distance: round(rows.reduce((sum, row) => sum + row.distance, 0)),
+        emission: totalEmission,
+        credits: totalCredits
+      },
+      byMode: Object.values(byMode)
+        .map(subtotal => Object.assign(subtotal, {
+          distance: round(subtotal.distance),
+          emission: round(subtotal.emission),
+          credits: Calculator.calculateCarbonCredits(subtotal.emission)
+        }))
+        .sort((a, b) => b.emission - a.emission),
+      price: Calculator.estimateCreditPrice(totalCredits, currency),
+      factorSet: FactorSets.describe(factorSet),
+      factorSources: FactorSets.getSources(factorSet, rows.map(row => row.mode))
+    };
+  }
+};
+
+// Node: export the module and load the modules it uses (see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.BatchImport = BatchImport;
+  require('./calculator');
+  require('./city-search');
+  require('./factor-sets');
+  require('./i18n');
+  require('./itinerary');
+  require('./routes-data');
+  require('./modes');
+}
@@ -0,0 +1,348 @@
+/**
+ * CarbonBudget - Carbon Budgets
+ *
+ * Lets users set CO2 budgets for a person or a team (e.g. 150 kg per
+ * employee per month) and log calculated trips against them. Budgets and
+ * their logged trips are kept in localStorage; the consumption of a budget
+ * is the sum of the trips logged in its current period.
+ *
+ * Structure of a budget:
+ * - id: Unique budget id
+ * - name: Person or team the budget belongs to
+ * - limitKg: kg CO2 allowed per period
+ * - period: 'week', 'month' or 'year' (see CONFIG.CARBON_BUDGET.PERIODS)
+ * - trips: Logged trips, newest first:
+ *   [{ id, timestamp, origin, destination, mode, emission }]
+ *
+ * Periods follow the calendar in local time; weeks start on Monday.
+ */
+
+const CarbonBudget = {
+  /**
+   * localStorage key holding the saved budgets
+   */
+  STORAGE_KEY: 'co2-calculator-budgets',
+
+  /**
+   * Maximum number of budgets; put() refuses new budgets beyond it
+   */
+  MAX_BUDGETS: 50,
+
+  /**
+   * Maximum number of trips kept per budget; the oldest are dropped first
+   */
+  MAX_TRIPS: 1000,
+
+  /**
+   * Read the saved budgets
+   *
+   * @returns {Array<Object>} Budgets in the order they were added (empty if storage is unavailable)
+   */
+  load: function() {
+    try {
+      // Node has no saved budgets. Browsers that block storage throw on any
+      // access to localStorage, typeof included, and end up in the catch
+      if (typeof localStorage === 'undefined') {
+        return [];
+      }
+
+      const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.error('Could not read carbon budgets:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Write the budgets to localStorage
+   *
+   * @param {Array<Object>} budgets - Budgets
+   * @returns {boolean} True if the budgets were saved
+   */
+  save: function(budgets) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(budgets));
+      return true;
+    } catch (error) {
+      console.error('Could not save carbon budgets:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Validate a budget against the saved budgets
+   *
+   * @param {Object} budget - { id, name, limitKg, period } (id when editing)
+   * @param {Array<Object>} budgets - Saved budgets to check against (default: load())
+   * @returns {Object} { valid, budget, errors }
+   *   - budget: the budget with trimmed name and numeric limit
+   *   - errors: messages keyed by field (name, limitKg, period)
+   */
+  validate: function(budget, budgets = this.load()) {
+    const errors = {};
+    const name = String(budget.name || '').trim();
+    const limitKg = typeof budget.limitKg === 'number' ? budget.limitKg : parseFloat(budget.limitKg);
+    const normalized = {
+      id: budget.id,
+      name: name,
+      limitKg: limitKg,
+      period: budget.period
+    };
+
+    if (!name) {
+      errors.name = I18n.t('budget.error.name');
+    } else if (budgets.some(other => other.id !== budget.id && other.name.toLowerCase() === name.toLowerCase())) {
+      errors.name = I18n.t('budget.error.duplicate', { name: name });
+    }
+
+    if (!Number.isFinite(limitKg) || limitKg <= 0) {
+      errors.limitKg = I18n.t('budget.error.limit');
+    }
+
+    if (!CONFIG.CARBON_BUDGET.PERIODS.includes(budget.period)) {
+      errors.period = I18n.t('budget.error.period');
+    }
+
+    return {
+      valid: Object.keys(errors).length === 0,
+      budget: normalized,
+      errors: errors
+    };
+  },
+
+  /**
+   * Validate and save a new budget, or replace the budget with the same id
+   * An edited budget keeps its logged trips.
+   *
+   * @param {Object} budget - { id, name, limitKg, period } (id when editing)
+   * @returns {Object} Validation from validate(); the budget is saved only when valid.
+   *   A new budget beyond MAX_BUDGETS, or a budget the storage refused, is invalid
+   *   with errors.budget set
+   */
+  put: function(budget) {
+    const budgets = this.load();
+    const validation = this.validate(budget, budgets);
+
+    if (!validation.valid) {
+      return validation;
+    }
+
+    const index = budgets.findIndex(other => other.id === budget.id);
+
+    if (index === -1 && budgets.length >= this.MAX_BUDGETS) {
+      return Object.assign(validation, {
+        valid: false,
+        errors: { budget: I18n.t('budget.error.max', { max: I18n.formatNumber(this.MAX_BUDGETS, 0) }) }
+      });
+    }
+
+    const saved = Object.assign({}, validation.budget, {
+      id: budget.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      trips: index === -1 ? [] : budgets[index].trips
+    });
+
+    if (index === -1) {
+      budgets.push(saved);
+    } else {
+      budgets[index] = saved;
+    }
+
+    if (!this.save(budgets)) {
+      return Object.assign(validation, { valid: false, errors: { budget: I18n.t('budget.error.storage') } });
+    }
+
+    validation.budget = saved;
+    return validation;
+  },
+
+  /**
+   * Find a budget by id
+   *
+   * @param {string} id - Budget id
+   * @returns {Object|null} Budget, null if not found
+   */
+  find: function(id) {
+    return this.load().find(budget => budget.id === id) || null;
+  },
+
+  /**
+   * Delete a budget and its logged trips
+   *
+   * @param {string} id - Budget id
+   * @returns {Array<Object>|null} Remaining budgets, null when the storage refused the change
+   */
+  remove: function(id) {
+    const budgets = this.load().filter(budget => budget.id !== id);
+    return this.save(budgets) ? budgets : null;
+  },
+
+  /**
+   * Log a calculated trip against a budget
+   *
+   * @param {string} id - Budget id
+   * @param {Object} trip - { origin, destination, mode, emission } (emission in kg CO2)
+   * @param {Date} date - Date of the trip (default: now)
+   * @returns {Object|null} Updated budget, null if not found or the storage refused the change
+   */
+  logTrip: function(id, trip, date = new Date()) {
+    const budgets = this.load();
+    const budget = budgets.find(other => other.id === id);
+
+    if (!budget) {
+      return null;
+    }
+
+    budget.trips = [{
+      id: `${date.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: date.toISOString(),
+      origin: trip.origin,
+      destination: trip.destination,
+      mode: trip.mode,
+      emission: trip.emission
+    }].concat(budget.trips).slice(0, this.MAX_TRIPS);
+
+    return this.save(budgets) ? budget : null;
+  },
+
+  /**
+   * Remove a logged trip from a budget
+   *
+   * @param {string} id - Budget id
+   * @param {string} tripId - Trip id
+   * @returns {Object|null} Updated budget, null if not found or the storage refused the change
+   */
+  removeTrip: function(id, tripId) {
+    const budgets = this.load();
+    const budget = budgets.find(other => other.id === id);
+
+    if (!budget) {
+      return null;
+    }
+
+    budget.trips = budget.trips.filter(trip => trip.id !== tripId);
+    return this.save(budgets) ? budget : null;
+  },
+
+  /**
+   * Get the calendar period that contains a date
+   *
+   * @param {string} period - 'week', 'month' or 'year'
+   * @param {Date} date - Date inside the period (default: now)
+   * @returns {Object} { start, end } local dates; start is included, end is not
+   */
+  getPeriodRange: function(period, date = new Date()) {
+    const year = date.getFullYear();
+    const month = date.getMonth();
+
+    if (period === 'week') {
+      // getDay() is 0 on Sunday; weeks start on Monday
+      const start = new Date(year, month, date.getDate() - (date.getDay() + 6) % 7);
+      return { start: start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7) };
+    }
+
+    if (period === 'year') {
+      return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+    }
+
+    return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+  },
+
+  /**
+   * Measure the consumption of a budget in the period of a date
+   *
+   * @param {Object} budget - Budget
+   * @param {Date} date - Date inside the period (default: now)
+   * @returns {Object} { consumed, remaining, share, exceeded, trips, start, end }
+   *   - consumed / remaining: kg CO2 (remaining is 0 once the limit is passed)
+   *   - share: consumed share of the limit (1 = 100%)
+   *   - trips: trips logged in the period, newest first
+   */
+  getProgress: function(budget, date = new Date()) {
+    const range = this.getPeriodRange(budget.period, date);
+    const trips = budget.trips.filter(trip => {
+      const time = new Date(trip.timestamp);
+      return time >= range.start && time < range.end;
+    });
+    const consumed = Math.round(trips.reduce((sum, trip) => sum + trip.emission, 0) * 100) / 100;
+
+    return {
+      consumed: consumed,
+      remaining: Math.max(0, Math.round((budget.limitKg - consumed) * 100) / 100),
+      share: consumed / budget.limitKg,
+      exceeded: consumed > budget.limitKg,
+      trips: trips,
+      start: range.start,
+      end: range.end
+    };
+  },
+
+  /**
+   * Check whether a planned trip fits in a budget
+   *
+   * @param {Object} budget - Budget
+   * @param {number} emission - kg CO2 of the planned trip
+   * @param {Date} date - Date of the trip (default: now)
+   * @returns {Object} { fits, consumed, remaining, after, over }
+   *   - remaining: kg left before the trip
+   *   - after: kg consumed once the trip is logged
+   *   - over: kg above the limit once the trip is logged (0 when it fits)
+   */
+  check: function(budget, emission, date = new Date()) {
+    const progress = this.getProgress(budget, date);
+    const after = Math.round((progress.consumed + emission) * 100) / 100;
+
+    return {
+      fits: after <= budget.limitKg,
+      consumed: progress.consumed,
+      remaining: progress.remaining,
+      after: after,
+      over: Math.max(0, Math.round((after - budget.limitKg) * 100) / 100)
+    };
+  },
+
+  /**
+   * Suggest a transport mode that keeps a trip within the remaining budget
+   *
+   * Among the practical modes that fit, the fastest is suggested, since
+   * the user already picked a mode for its convenience; ties go to the
+   * lowest emission.
+   *
+   * @param {Array<Object>} comparison - Results of Calculator.calculateAllModes()
+   * @param {number} remainingKg - kg CO2 left in the budget
+   * @param {Object} options - (optional):
+   *   - exclude: string (mode key left out, e.g. the selected mode)
+   *   - multiplier: number (trips per planned trip, e.g. 2 for round trips; default 1)
+   * @returns {Object|null} { mode, emission, duration, cost, currency }, null when no mode fits
+   */
+  suggestMode: function(comparison, remainingKg, options = {}) {
+    const multiplier = options.multiplier || 1;
+    const duration = item => item.duration === null || item.duration === undefined ? Infinity : item.duration;
+
+    const candidates = comparison
+      .filter(item => item.mode !== options.exclude && item.feasible !== false)
+      .map(item => Object.assign({}, item, { emission: Math.round(item.emission * multiplier * 100) / 100 }))
+      .filter(item => item.emission <= remainingKg)
+      .sort((a, b) => duration(a) - duration(b) || a.emission - b.emission);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const best = candidates[0];
+    return {
+      mode: best.mode,
+      emission: best.emission,
+      duration: best.duration === null ? null : best.duration * multiplier,
+      cost: best.cost === null ? null : best.cost * multiplier,
+      currency: best.currency
+    };
+  }
+};
+
+// Node: export the module and load the modules it uses (see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.CarbonBudget = CarbonBudget;
+  require('./config');
+  require('./i18n');
+}
@@ -12,20 +12,29 @@ const Calculator = {
    * 
    * Formula: Distance (km) × Emission Factor (kg CO2/km) = Total Emissions (kg)
    * 
+   * Factors come from a FactorSets dataset (some depend on the distance,
+   * e.g. short-haul vs long-haul flights). A vehicle profile (see
+   * VehicleProfiles) can be passed in place of the mode key; its factor is
+   * derived from fuel type and consumption.
+   * 
    * @param {number} distanceKm - Distance traveled in kilometers
-   * @param {string} transportMode - Transport mode key (bicycle, car, bus, truck)
+   * @param {string|Object} transportMode - Registered transport mode key or vehicle profile
+   * @param {string} factorSet - FactorSets key (default: the selected set)
    * @returns {number} CO2 emissions in kg, rounded to 2 decimal places
    */
-  calculateEmission: function(distanceKm, transportMode) {
+  calculateEmission: function(distanceKm, transportMode, factorSet = FactorSets.getSelected()) {
+    // Get emission factor for the vehicle profile or transport mode
+    const emissionFactor = VehicleProfiles.isProfile(transportMode)
+      ? VehicleProfiles.getEmissionFactor(transportMode)
+      : TransportModes.getFactor(transportMode, distanceKm, factorSet);
+
     // Validate inputs
-    if (distanceKm < 0 || !CONFIG.EMISSION_FACTORS[transportMode]) {
-      console.error(`Invalid inputs: distance=${distanceKm}, mode=${transportMode}`);
+    // Bicycle has a factor of 0, so check the type instead of a truthy value
+    if (distanceKm < 0 || typeof emissionFactor !== 'number') {
+      console.error(`Invalid inputs: distance=${distanceKm}, mode=${JSON.stringify(transportMode)}`);
       return 0;
     }
 
-    // Get emission factor for the transport mode
-    const emissionFactor = CONFIG.EMISSION_FACTORS[transportMode];
-
     // Calculate total emission
     const emission = distanceKm * emissionFactor;
 
@@ -33,45 +42,324 @@ const Calculator = {
     return Math.round(emission * 100) / 100;
   },
 
+  /**
+   * Break down the emissions of a trip by greenhouse gas, for the
+   * tank-to-wheel (TTW) and well-to-wheel (WTW) scopes
+   *
+   * The CO2 emission from calculateEmission() is scaled with the mode's ghg
+   * profile (see TransportModes):
+   * - TTW: the CO2, plus CH4 and N2O in proportion to it; zero for electric
+   *   modes, which emit nothing while driving
+   * - WTW: each TTW gas × (1 + wtt) for fuels; the whole CO2 for electric
+   *   modes, whose factor is the grid's
+   * - CO2e: sum of each gas × its GWP (CONFIG.GWP, or the mode's gwp)
+   *
+   * Modes without a ghg profile count only their CO2, in both scopes.
+   *
+   * @param {number} emissionKg - CO2 emissions in kg, from calculateEmission()
+   * @param {string} transportMode - Transport mode key
+   * @param {Object} vehicle - Vehicle profile used for the emission (optional);
+   *   electric profiles are counted like electric modes
+   * @returns {Object} Breakdown in kg:
+   *   { ttw: { co2, ch4, n2o, co2e }, wtw: { co2, ch4, n2o, co2e }, gwp: { co2, ch4, n2o } }
+   */
+  calculateGases: function(emissionKg, transportMode, vehicle) {
+    const mode = TransportModes.get(transportMode);
+    const ghg = Object.assign({ ch4: 0, n2o: 0, wtt: 0, electric: false }, mode && mode.ghg);
+    const gwp = Object.assign({}, CONFIG.GWP, ghg.gwp);
+    const electric = vehicle ? vehicle.fuel === 'electric' : ghg.electric;
+
+    const scope = (co2, ch4, n2o) => ({
+      co2: Math.round(co2 * 100) / 100,
+      ch4: Math.round(ch4 * 1000000) / 1000000,
+      n2o: Math.round(n2o * 1000000) / 1000000,
+      co2e: Math.round((co2 * gwp.co2 + ch4 * gwp.ch4 + n2o * gwp.n2o) * 100) / 100
+    });
+
+    if (electric) {
+      return { ttw: scope(0, 0, 0), wtw: scope(emissionKg, 0, 0), gwp: gwp };
+    }
+
+    const ch4 = emissionKg * ghg.ch4;
+    const n2o = emissionKg * ghg.n2o;
+    const upstream = 1 + ghg.wtt;
+
+    return {
+      ttw: scope(emissionKg, ch4, n2o),
+      wtw: scope(emissionKg * upstream, ch4 * upstream, n2o * upstream),
+      gwp: gwp
+    };
+  },
+
+  /**
+   * Add up gas breakdowns (e.g. the legs of an itinerary)
+   *
+   * @param {Array<Object>} breakdowns - Objects from calculateGases()
+   * @returns {Object} { ttw, wtw } totals with the same structure, without gwp
+   */
+  sumGases: function(breakdowns) {
+    const total = scope => ['co2', 'ch4', 'n2o', 'co2e'].reduce((sum, gas) => {
+      const value = breakdowns.reduce((acc, breakdown) => acc + breakdown[scope][gas], 0);
+      sum[gas] = gas === 'ch4' || gas === 'n2o'
+        ? Math.round(value * 1000000) / 1000000
+        : Math.round(value * 100) / 100;
+      return sum;
+    }, {});
+
+    return { ttw: total('ttw'), wtw: total('wtw') };
+  },
+
+  /**
+   * Split vehicle emissions by occupancy and cargo
+   *
+   * Formulas:
+   * - Per passenger: emission ÷ passengers
+   * - Per tonne-km: emission ÷ (cargo tonnes × distance)
+   *
+   * Missing load values fall back to the mode's typical load. Shared modes
+   * (bus, train, plane...) already have per-passenger factors, so their
+   * occupancy is always one passenger.
+   *
+   * @param {number} emission - Vehicle CO2 emissions in kg
+   * @param {number} distanceKm - Distance traveled in kilometers
+   * @param {string} transportMode - Transport mode key
+   * @param {Object} load - Load of the vehicle (optional): { passengers, cargoTonnes }
+   * @returns {Object} Intensity:
+   *   { passengers, cargoTonnes, perPassenger, perPassengerKm, perTonneKm }
+   *   cargoTonnes and perTonneKm are null for modes that carry no cargo
+   */
+  calculateIntensity: function(emission, distanceKm, transportMode, load = {}) {
+    const defaults = TransportModes.getLoad(transportMode);
+    const mode = TransportModes.get(transportMode);
+
+    // Prefer the user's load, then the mode's typical load
+    const passengers = load.passengers > 0 && !(mode && mode.shared)
+      ? load.passengers
+      : (defaults.passengers || 1);
+    const cargoTonnes = load.cargoTonnes > 0 ? load.cargoTonnes : (defaults.cargoTonnes || null);
+
+    const perPassenger = emission / passengers;
+
+    return {
+      passengers: passengers,
+      cargoTonnes: cargoTonnes,
+      perPassenger: Math.round(perPassenger * 100) / 100,
+      perPassengerKm: distanceKm > 0 ? Math.round(perPassenger / distanceKm * 10000) / 10000 : 0,
+      perTonneKm: cargoTonnes && distanceKm > 0
+        ? Math.round(emission / (cargoTonnes * distanceKm) * 10000) / 10000
+        : null
+    };
+  },
+
+  /**
+   * Calculate CO2 emissions for a multi-leg itinerary
+   *
+   * Each leg is calculated with its own transport mode (or vehicle profile,
+   * when the leg has one); totals are the sum of all legs. Per-passenger
+   * emissions use each leg's load, or the typical load of its mode.
+   *
+   * @param {Array<Object>} legs - Legs from Itinerary.createLeg():
+   *   [{ origin, destination, mode, distance, manual, vehicle, load }, ...]
+   * @param {string} factorSet - FactorSets key (default: the selected set)
+   * @returns {Object} Itinerary result:
+   *   { legs: [{ ...leg, emission, gases, intensity, factorSource }], totalDistance, totalEmission,
+   *     totalPerPassenger, gases, factorSet, factorSources }
+   *   gases are the per-gas TTW/WTW breakdowns (see calculateGases(); totals from sumGases())
+   *   factorSet describes the chosen dataset (see FactorSets.describe())
+   *   factorSource describes the set the leg's factor comes from: the chosen set, or
+   *   FactorSets.DEFAULT_SET when it lacks the mode (null for vehicle profiles and
+   *   modes outside every set); factorSources lists those sets once each
+   */
+  calculateItinerary: function(legs, factorSet = FactorSets.getSelected()) {
+    // Calculate emission for each leg with its own mode
+    const legResults = legs.map(leg => {
+      const emission = this.calculateEmission(leg.distance, leg.vehicle || leg.mode, factorSet);
+
+      return Object.assign({}, leg, {
+        emission: emission,
+        gases: this.calculateGases(emission, leg.mode, leg.vehicle),
+        intensity: this.calculateIntensity(emission, leg.distance, leg.mode, leg.load),
+        factorSource: leg.vehicle ? null : FactorSets.getSources(factorSet, [leg.mode])[0] || null
+      });
+    });
+
+    // Sum distances and emissions across legs
+    const totalDistance = legResults.reduce((sum, leg) => sum + leg.distance, 0);
+    const totalEmission = legResults.reduce((sum, leg) => sum + leg.emission, 0);
+    const totalPerPassenger = legResults.reduce((sum, leg) => sum + leg.intensity.perPassenger, 0);
+
+    return {
+      legs: legResults,
+      totalDistance: Math.round(totalDistance * 100) / 100,
+      totalEmission: Math.round(totalEmission * 100) / 100,
+      totalPerPassenger: Math.round(totalPerPassenger * 100) / 100,
+      gases: this.sumGases(legResults.map(leg => leg.gases)),
+      factorSet: FactorSets.describe(factorSet),
+      factorSources: FactorSets.getSources(factorSet, legResults.filter(leg => !leg.vehicle).map(leg => leg.mode))
+    };
+  },
+
+  /**
+   * Run every calculation needed to present a trip: emissions, comparison
+   * with the other modes, carbon credits and the projection over time
+   *
+   * For multi-leg trips, distance and emission are itinerary totals and the
+   * comparison shows the whole trip made in each mode. Single-leg trips with
+   * a looked-up distance are compared on each mode's own distance (see
+   * Itinerary.getModeDistances()); manual distances are shared by all modes.
+   *
+   * @param {Object} values - Validated trip values:
+   *   { origin, destination, manual, mode, legs, load, vehicle, unit, currency, factorSet, frequency }
+   *   legs come from Itinerary.createLeg(); frequency holds the options of TripFrequency
+   * @returns {Object} Result data:
+   *   { origin, destination, distance, estimated, distanceMethod, mode, vehicle, emission, legs,
+   *     intensity, perPassenger, savings, comparison, credits, price, projection, gases, factorSet,
+   *     factorSources }
+   *   mode is null when the legs use different transport modes
+   *   gases is the per-gas TTW/WTW breakdown (see calculateGases())
+   *   factorSet describes the chosen emission factor dataset (see FactorSets.describe());
+   *   factorSources the sets the leg factors actually come from (see calculateItinerary())
+   *   estimated is true when any leg distance is not a direct route
+   */
+  calculateTrip: function(values) {
+    const itinerary = this.calculateItinerary(values.legs, values.factorSet);
+    const lastLeg = itinerary.legs[itinerary.legs.length - 1];
+
+    const distance = itinerary.totalDistance;
+    const emission = itinerary.totalEmission;
+    const distances = values.legs.length === 1 && !values.manual
+      ? Itinerary.getModeDistances(values.origin, values.destination)
+      : {};
+    const carEmission = this.calculateEmission(distances.car || distance, 'car', values.factorSet);
+    const credits = this.calculateCarbonCredits(emission);
+
+    return {
+      origin: values.origin,
+      destination: lastLeg.destination,
+      distance: distance,
+      estimated: itinerary.legs.some(leg => leg.estimated),
+      distanceMethod: itinerary.legs[0].method,
+      mode: Itinerary.isMixedMode(itinerary.legs) ? null : values.mode,
+      vehicle: itinerary.legs.some(leg => leg.vehicle) ? values.vehicle : null,
+      emission: emission,
+      legs: itinerary.legs,
+      intensity: itinerary.legs.length === 1 ? itinerary.legs[0].intensity : null,
+      perPassenger: itinerary.totalPerPassenger,
+      savings: this.calculateSavings(emission, carEmission),
+      comparison: this.calculateAllModes(distance, {
+        unit: values.unit,
+        loads: { [values.mode]: values.load },
+        distances: distances,
+        factorSet: values.factorSet,
+        currency: values.currency,
+        legs: values.legs
+      }),
+      credits: credits,
+      price: this.estimateCreditPrice(credits, values.currency),
+      projection: TripFrequency.project(
+        { emission: emission, carEmission: carEmission },
+        Object.assign({ currency: values.currency }, values.frequency)
+      ),
+      gases: itinerary.gases,
+      factorSet: itinerary.factorSet,
+      factorSources: itinerary.factorSources
+    };
+  },
+
   /**
    * Calculate emissions for all transport modes and compare them
    * 
    * Uses car as the baseline (100%) for comparison purposes
-   * Results are sorted from lowest to highest emissions
+   * Modes are ranked on the chosen functional unit (see CONFIG.FUNCTIONAL_UNITS):
+   * - vehicle: total vehicle emissions (default)
+   * - passenger: emissions per passenger
+   * - tonne-km: emissions per tonne of cargo per km (modes without cargo are left out)
+   * Results are sorted from lowest to highest value
+   *
+   * Each result also has the trip duration and cost, and whether the mode is
+   * practical for its distance and cities (see TransportModes.isFeasible())
    * 
    * @param {number} distanceKm - Distance traveled in kilometers
+   * @param {Object} options - Comparison options (optional):
+   *   - unit: string (functional unit key, default 'vehicle')
+   *   - loads: Object (load per mode key, e.g. { car: { passengers: 3 } })
+   *   - distances: Object (distance per mode key, e.g. { plane: 1950 }; other modes use distanceKm)
+   *   - factorSet: string (FactorSets key, default: the selected set)
+   *   - currency: string (currency of the costs, default 'BRL')
+   *   - legs: Array<Object> ([{ origin, destination }] of the trip, for the feasibility of water modes)
    * @returns {Array<Object>} Array of emission results with structure:
-   *   [{ mode, label, icon, emission, percentageVsCar }, ...]
+   *   [{ mode, label, icon, color, distance, emission, value, unit, passengers, cargoTonnes, percentageVsCar,
+   *      duration, cost, currency, feasible }, ...]
+   *   percentageVsCar is null when car has no value for the unit
+   *   duration is in hours and cost comes from estimateTripCost(); both are
+   *   null for modes without speed or cost data
    */
-  calculateAllModes: function(distanceKm) {
+  calculateAllModes: function(distanceKm, options = {}) {
+    const unit = options.unit in CONFIG.FUNCTIONAL_UNITS ? options.unit : 'vehicle';
+    const loads = options.loads || {};
+    const distances = options.distances || {};
+    const factorSet = options.factorSet || FactorSets.getSelected();
+    const currency = options.currency in CONFIG.CURRENCIES ? options.currency : 'BRL';
     const results = [];
+    const distanceFor = mode => distances[mode] > 0 ? distances[mode] : distanceKm;
+
+    // Get the value of a mode in the chosen functional unit
+    const valueFor = (emission, intensity) => {
+      if (unit === 'passenger') return intensity.perPassenger;
+      if (unit === 'tonne-km') return intensity.perTonneKm;
+      return emission;
+    };
+
+    // Calculate car value as baseline for comparison
+    const carDistance = distanceFor('car');
+    const carEmission = this.calculateEmission(carDistance, 'car', factorSet);
+    const carValue = valueFor(carEmission, this.calculateIntensity(carEmission, carDistance, 'car', loads.car));
 
-    // Calculate car emission as baseline for comparison
-    const carEmission = this.calculateEmission(distanceKm, 'car');
+    // Calculate emissions for each registered transport mode
+    TransportModes.getKeys().forEach(mode => {
+      const distance = distanceFor(mode);
+      const emission = this.calculateEmission(distance, mode, factorSet);
+      const intensity = this.calculateIntensity(emission, distance, mode, loads[mode]);
+      const value = valueFor(emission, intensity);
+      const duration = TransportModes.getDuration(mode, distance);
 
-    // Calculate emissions for each transport mode
-    Object.keys(CONFIG.EMISSION_FACTORS).forEach(mode => {
-      const emission = this.calculateEmission(distanceKm, mode);
+      // Modes that don't carry cargo have no tonne-km value
+      if (value === null) {
+        return;
+      }
       
       // Calculate percentage vs car baseline
-      // If car emission is 0 (edge case), use 100%
-      const percentageVsCar = carEmission > 0 
-        ? Math.round((emission / carEmission) * 100 * 100) / 100 
-        : 100;
+      // If car value is 0 (edge case), use 100%
+      let percentageVsCar = null;
+      if (carValue !== null) {
+        percentageVsCar = carValue > 0 
+          ? Math.round((value / carValue) * 100 * 100) / 100 
+          : 100;
+      }
 
       // Add result with mode metadata
+      const modeInfo = TransportModes.get(mode);
       results.push({
         mode: mode,
-        label: CONFIG.TRANSPORT_MODES[mode].label,
-        icon: CONFIG.TRANSPORT_MODES[mode].icon,
-        color: CONFIG.TRANSPORT_MODES[mode].color,
+        label: TransportModes.getLabel(mode),
+        icon: modeInfo.icon,
+        color: modeInfo.color,
+        distance: distance,
         emission: emission,
-        percentageVsCar: percentageVsCar
+        value: value,
+        unit: unit,
+        passengers: intensity.passengers,
+        cargoTonnes: intensity.cargoTonnes,
+        percentageVsCar: percentageVsCar,
+        duration: duration !== null ? Math.round(duration * 100) / 100 : null,
+        cost: this.estimateTripCost(mode, distance, currency),
+        currency: currency,
+        feasible: TransportModes.isFeasible(mode, distance, options.legs)
       });
     });
 
-    // Sort by emission (lowest first) for display
-    results.sort((a, b) => a.emission - b.emission);
+    // Sort by value (lowest first) for display
+    results.sort((a, b) => a.value - b.value);
 
     return results;
   },
@@ -123,27 +411,72 @@ const Calculator = {
   /**
    * Estimate carbon credit market price based on credit amount
    * 
-   * Uses CONFIG.CARBON_CREDIT price range (min/max BRL)
-   * Provides minimum, maximum, and average estimates
+   * Uses the CreditPricing price table at the given date, converted to the
+   * requested currency with the table's exchange rates
+   * Provides minimum, maximum, and average estimates; the average is the
+   * closing price of the table
    * 
    * @param {number} credits - Number of carbon credits
+   * @param {string} currency - Currency code, a CONFIG.CURRENCIES key (default: 'BRL')
+   * @param {string} date - Price date as YYYY-MM-DD (default: CreditPricing.getDate())
+   * @param {string} series - Price series key (default: CreditPricing.getSelected())
    * @returns {Object} Price range estimation:
-   *   { min: number, max: number, average: number } (all in BRL)
+   *   { min: number, max: number, average: number, currency: string, entry: Object }
+   *   entry is the price table entry used (see CreditPricing.getPrice())
+   *   Unknown currencies fall back to BRL
    */
-  estimateCreditPrice: function(credits) {
-    // Get price range from config
-    const priceMin = CONFIG.CARBON_CREDIT.PRICE_MIN_BRL;
-    const priceMax = CONFIG.CARBON_CREDIT.PRICE_MAX_BRL;
+  estimateCreditPrice: function(credits, currency = 'BRL', date = CreditPricing.getDate(), series = CreditPricing.getSelected()) {
+    const code = currency in CONFIG.CURRENCIES ? currency : 'BRL';
+    const rate = CreditPricing.getRate(code, date);
+    const price = CreditPricing.getPrice(date, series);
 
     // Calculate price estimates
-    const minPrice = credits * priceMin;
-    const maxPrice = credits * priceMax;
-    const averagePrice = (minPrice + maxPrice) / 2;
+    const minPrice = credits * price.min * rate;
+    const maxPrice = credits * price.max * rate;
+    const averagePrice = credits * price.close * rate;
 
     return {
       min: Math.round(minPrice * 100) / 100,
       max: Math.round(maxPrice * 100) / 100,
-      average: Math.round(averagePrice * 100) / 100
+      average: Math.round(averagePrice * 100) / 100,
+      currency: code,
+      entry: price.entry
     };
+  },
+
+  /**
+   * Estimate the cost of a trip in a mode
+   *
+   * Formula: distance × mode cost per km (BRL), converted with the exchange
+   * rates of the credit price table (see CreditPricing.getRate())
+   * Like emissions, private modes cost the fuel of the whole vehicle and
+   * shared modes the fare of one passenger.
+   *
+   * @param {string} mode - Transport mode key
+   * @param {number} distanceKm - Distance traveled in kilometers
+   * @param {string} currency - Currency code, a CONFIG.CURRENCIES key (default: 'BRL')
+   * @returns {number|null} Cost rounded to cents, null when the mode has no cost data
+   */
+  estimateTripCost: function(mode, distanceKm, currency = 'BRL') {
+    const modeInfo = TransportModes.get(mode);
+
+    if (!modeInfo || typeof modeInfo.cost !== 'number') {
+      return null;
+    }
+
+    const code = currency in CONFIG.CURRENCIES ? currency : 'BRL';
+    return Math.round(distanceKm * modeInfo.cost * CreditPricing.getRate(code) * 100) / 100;
   }
 };
+
+// Node: export the module and load the modules it uses (see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.Calculator = Calculator;
+  require('./config');
+  require('./factor-sets');
+  require('./modes');
+  require('./vehicles');
+  require('./pricing');
+  require('./itinerary');
+  require('./frequency');
+}
@@ -0,0 +1,496 @@
+/**
+ * CarbonCalculatorElement - Embeddable <carbon-calculator> Element
+ *
+ * Packages the trip form, the distance autofill and the UI result renderers
+ * as a custom element, so partner sites can embed the calculator:
+ *
+ *   <carbon-calculator locale="en-US" mode="bus"
+ *     origin="São Paulo, SP" destination="Rio de Janeiro, RJ"></carbon-calculator>
+ *
+ * Each element renders into its own shadow root, so element ids (#origin,
+ * #cities-list...) and styles don't clash with the page or with other
+ * instances. The app stylesheet is loaded into the shadow root from
+ * css/style.css next to this script (or the URL of a "stylesheet" attribute);
+ * see BASE_URL when the script is inlined or bundled.
+ *
+ * Attributes:
+ * - mode: Transport mode checked by default (default: TransportModes.DEFAULT_MODE)
+ * - locale: Language of the element (default: the page's lang, else the I18n locale)
+ * - origin / destination: Route filled in when the element is created
+ * - stylesheet: URL of the stylesheet (optional)
+ *
+ * Each calculation dispatches a "calculated" event whose detail is the
+ * result of Calculator.calculateTrip(); it bubbles out of the shadow root.
+ *
+ * Needs the scripts of index.html from messages.js to frequency.js, plus
+ * charts.js and ui.js, loaded before this one (see embed.html); App is not used.
+ */
+
+class CarbonCalculatorElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['mode', 'locale', 'origin', 'destination'];
+  }
+
+  /**
+   * Load the carbon credit price table once for every element on the page
+   * Prices use the CONFIG range until it arrives (or when it can't be loaded).
+   *
+   * @returns {Promise<boolean>} Resolves to true when the table was loaded
+   */
+  static loadPrices() {
+    if (!CarbonCalculatorElement.pricesLoaded) {
+      CreditPricing.init();
+      CarbonCalculatorElement.pricesLoaded = CreditPricing.table
+        ? Promise.resolve(true)
+        : CreditPricing.load(new URL(`../${CONFIG.CARBON_CREDIT.PRICE_TABLE_URL}`, CarbonCalculatorElement.BASE_URL).href)
+          .then(() => true)
+          .catch(error => {
+            console.warn('Could not load the credit price table, using the default range:', error);
+            return false;
+          });
+    }
+
+    return CarbonCalculatorElement.pricesLoaded;
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.lastResult = null;
+    this.gasScope = 'ttw';
+    this.rendered = false;
+  }
+
+  /**
+   * Build the shadow DOM the first time the element is added to the page
+   */
+  connectedCallback() {
+    if (this.rendered) {
+      return;
+    }
+
+    this.rendered = true;
+    this.inLocale(() => this.render());
+
+    const root = this.shadowRoot;
+    this.elements = {
+      form: root.getElementById('form'),
+      origin: root.getElementById('origin'),
+      destination: root.getElementById('destination'),
+      distance: root.getElementById('distance'),
+      manualDistance: root.getElementById('manual-distance'),
+      helper: root.querySelector('.calculadora__helper'),
+      results: root.getElementById('results-content'),
+      comparison: root.getElementById('comparison-content'),
+      credits: root.getElementById('carbon-credits-content')
+    };
+
+    CityInputs.populateDatalist('', root.getElementById('cities-list'));
+    CityInputs.setupDistanceAutofill(root, () => this.getLocale());
+    this.bindEvents();
+    this.setRoute();
+
+    CarbonCalculatorElement.loadPrices().then(loaded => {
+      if (loaded && this.lastResult) {
+        this.refreshResult();
+      }
+    });
+  }
+
+  /**
+   * Apply attribute changes made after the element was created
+   *
+   * @param {string} name - Attribute name
+   * @param {string|null} oldValue - Previous value
+   * @param {string|null} newValue - New value
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.rendered || oldValue === newValue) {
+      return;
+    }
+
+    if (name === 'mode') {
+      const radio = this.shadowRoot.querySelector(`input[name="transport"][value="${this.getMode()}"]`);
+      radio.checked = true;
+      radio.dispatchEvent(new Event('change'));
+    } else if (name === 'locale') {
+      this.refreshLocale();
+    } else {
+      this.setRoute();
+    }
+  }
+
+  /**
+   * @returns {string} Locale of the element: its locale attribute, else the
+   *   page's lang when supported, else the I18n locale
+   */
+  getLocale() {
+    return I18n.resolveLocale(this.getAttribute('locale')) ||
+      I18n.resolveLocale(document.documentElement.lang) ||
+      I18n.getLocale();
+  }
+
+  /**
+   * @returns {string} Currency of offset prices: the currency of the element's locale
+   */
+  getCurrency() {
+    return I18n.LOCALES[this.getLocale()].currency;
+  }
+
+  /**
+   * @returns {string} Mode of the mode attribute, else the default mode
+   */
+  getMode() {
+    const mode = this.getAttribute('mode');
+    return TransportModes.has(mode) ? mode : TransportModes.DEFAULT_MODE;
+  }
+
+  /**
+   * Run a function in the locale of the element
+   *
+   * @param {Function} callback - Function to run
+   * @returns {*} Value returned by the callback
+   */
+  inLocale(callback) {
+    return I18n.withLocale(this.getLocale(), callback);
+  }
+
+  /**
+   * Write the form and the result sections into the shadow root
+   * The inline style repeats the .hidden rule so the result sections stay
+   * hidden while the stylesheet loads.
+   */
+  render() {
+    const html = SafeHTML.html;
+    const stylesheet = this.getAttribute('stylesheet') ||
+      new URL('../css/style.css', CarbonCalculatorElement.BASE_URL).href;
+
+    this.shadowRoot.innerHTML = html`
+      <link rel="stylesheet" href="${stylesheet}">
+      <style>
+        :host {
+          display: block;
+          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+          color: var(--text);
+          line-height: 1.6;
+        }
+
+        :host([hidden]),
+        .hidden {
+          display: none;
+        }
+      </style>
+
+      <div id="container" lang="${this.getLocale()}">
+        <form id="form" class="calculadora__form" novalidate>
+          <fieldset class="calculadora__fieldset">
+            <legend class="calculadora__legend" data-i18n="form.legend"></legend>
+
+            <div class="calculadora__field">
+              <label for="origin" class="calculadora__label" data-i18n="form.origin"></label>
+              <input id="origin" name="origin" class="calculadora__input" list="cities-list" data-i18n-placeholder="form.originPlaceholder" autocomplete="off">
+            </div>
+
+            <div class="calculadora__field">
+              <label for="destination" class="calculadora__label" data-i18n="form.destination"></label>
+              <input id="destination" name="destination" class="calculadora__input" list="cities-list" data-i18n-placeholder="form.destinationPlaceholder" autocomplete="off">
+            </div>
+
+            <datalist id="cities-list"></datalist>
+
+            <div class="calculadora__field">
+              <label for="distance" class="calculadora__label" data-i18n="form.distance"></label>
+              <input id="distance" name="distance" type="number" class="calculadora__input calculadora__input--readonly" readonly>
+              <p class="calculadora__helper" data-i18n="distance.auto"></p>
+            </div>
+
+            <div class="calculadora__field calculadora__field--checkbox">
+              <input id="manual-distance" name="manual-distance" type="checkbox" class="calculadora__checkbox">
+              <label for="manual-distance" class="calculadora__label" data-i18n="form.manualDistance"></label>
+            </div>
+
+            <fieldset class="calculadora__field calculadora__transport">
+              <legend class="calculadora__label" data-i18n="form.transport"></legend>
+              <div class="calculadora__transport-grid">${UI.renderTransportGrid(this.getMode())}</div>
+            </fieldset>
+
+            <div class="calculadora__field">
+              <button type="submit" class="calculadora__button" data-i18n="form.submit"></button>
+            </div>
+          </fieldset>
+        </form>
+
+        <section id="results" class="results hidden">
+          <div id="results-content" aria-live="polite"></div>
+        </section>
+
+        <section id="comparison" class="comparison hidden">
+          <div id="comparison-content"></div>
+        </section>
+
+        <section id="carbon-credits" class="carbon-credits hidden">
+          <div id="carbon-credits-content"></div>
+        </section>
+      </div>
+    `;
+
+    I18n.translatePage(this.shadowRoot);
+  }
+
+  /**
+   * Bind the form events
+   * The autofill listeners are added by CityInputs.setupDistanceAutofill().
+   */
+  bindEvents() {
+    this.elements.form.addEventListener('submit', event => {
+      event.preventDefault();
+      this.calculate();
+    });
+
+    // Clear a field error as soon as the field is edited
+    [this.elements.origin, this.elements.destination, this.elements.distance].forEach(input => {
+      input.addEventListener('input', () => this.clearFieldError(input));
+    });
+
+    this.shadowRoot.addEventListener('click', event => {
+      const button = event.target.closest('[data-action="gas-scope"]');
+
+      if (button) {
+        this.gasScope = button.value;
+        this.showResult(this.lastResult);
+      }
+    });
+
+    // Without a locale attribute, follow the language chosen on the page
+    document.addEventListener('localechange', () => {
+      if (!this.hasAttribute('locale')) {
+        this.refreshLocale();
+      }
+    });
+  }
+
+  /**
+   * Fill the route fields from the origin and destination attributes and
+   * look the distance up
+   */
+  setRoute() {
+    const { origin, destination } = this.elements;
+    const city = name => {
+      const value = this.getAttribute(name) || '';
+      return CitySearch.resolve(value) || value;
+    };
+
+    origin.value = city('origin');
+    destination.value = city('destination');
+    this.clearErrors();
+    destination.dispatchEvent(new Event('change'));
+  }
+
+  /**
+   * Translate the element again after its locale changed
+   */
+  refreshLocale() {
+    this.shadowRoot.getElementById('container').lang = this.getLocale();
+
+    this.inLocale(() => {
+      I18n.translatePage(this.shadowRoot);
+
+      this.shadowRoot.querySelectorAll('.calculadora__transport-item').forEach(item => {
+        item.querySelector('.calculadora__transport-text').textContent =
+          TransportModes.getLabel(item.querySelector('input').value);
+      });
+    });
+
+    // translatePage() reset the helper text; the autofill rewrites it
+    if (this.elements.manualDistance.checked) {
+      this.elements.helper.textContent = this.inLocale(() => I18n.t('distance.manual'));
+    } else {
+      this.elements.destination.dispatchEvent(new Event('change'));
+    }
+
+    this.clearErrors();
+
+    if (this.lastResult) {
+      this.refreshResult();
+    }
+  }
+
+  /**
+   * Validate the form, calculate the trip, show it and dispatch "calculated"
+   *
+   * @returns {Object|null} Result of Calculator.calculateTrip(), null when the form is invalid
+   */
+  calculate() {
+    return this.inLocale(() => {
+      const { origin, destination, distance, manualDistance } = this.elements;
+      const selectedMode = this.shadowRoot.querySelector('input[name="transport"]:checked');
+      const mode = selectedMode ? selectedMode.value : this.getMode();
+      const leg = manualDistance.checked
+        ? Itinerary.createLeg(origin.value, destination.value, mode, parseFloat(distance.value))
+        : Itinerary.createLeg(origin.value, destination.value, mode);
+      const errors = Itinerary.validateLeg(leg);
+
+      // Same messages as the page form: the distance field is filled from the route
+      if (errors.distance && leg.distance === null) {
+        errors.distance = I18n.t(manualDistance.checked ? 'error.manualDistance' : 'error.routeNotFound');
+      }
+
+      this.clearErrors();
+
+      if (Object.keys(errors).length > 0) {
+        this.showErrors(errors);
+        return null;
+      }
+
+      const result = Calculator.calculateTrip({
+        origin: leg.origin,
+        destination: leg.destination,
+        manual: leg.manual,
+        mode: mode,
+        legs: [leg],
+        load: {},
+        vehicle: null,
+        unit: 'vehicle',
+        currency: this.getCurrency(),
+        factorSet: FactorSets.getSelected(),
+        frequency: { period: 'once' }
+      });
+
+      this.lastResult = result;
+      this.showResult(result);
+      this.dispatchEvent(new CustomEvent('calculated', { detail: result, bubbles: true, composed: true }));
+      return result;
+    });
+  }
+
+  /**
+   * Price the last result and its mode costs again in the current currency
+   * and price table, then render it; "calculated" is not dispatched again
+   */
+  refreshResult() {
+    const result = this.lastResult;
+
+    const currency = this.getCurrency();
+
+    // A copy, since the result was handed out as the detail of "calculated"
+    this.lastResult = Object.assign({}, result, {
+      price: Calculator.estimateCreditPrice(result.credits, currency),
+      comparison: result.comparison.map(item => Object.assign({}, item, {
+        cost: Calculator.estimateTripCost(item.mode, item.distance, currency),
+        currency: currency
+      }))
+    });
+    this.showResult(this.lastResult);
+  }
+
+  /**
+   * Render a result into the result sections
+   *
+   * @param {Object} result - Object returned by Calculator.calculateTrip()
+   */
+  showResult(result) {
+    this.inLocale(() => {
+      this.elements.results.innerHTML = UI.renderResults(Object.assign({ gasScope: this.gasScope }, result));
+      this.elements.comparison.innerHTML = UI.renderComparison(result.comparison, result.mode);
+      this.elements.credits.innerHTML = UI.renderCarbonoCredits({
+        credits: result.credits,
+        price: result.price
+      }, { controls: false });
+    });
+
+    ['results', 'comparison', 'carbon-credits'].forEach(id => {
+      this.shadowRoot.getElementById(id).classList.remove('hidden');
+    });
+  }
+
+  /**
+   * Display inline errors and move focus to the first invalid field
+   *
+   * @param {Object} errors - Errors from Itinerary.validateLeg()
+   */
+  showErrors(errors) {
+    const inputs = {
+      origin: this.elements.origin,
+      destination: this.elements.destination,
+      distance: this.elements.distance,
+      mode: this.shadowRoot.querySelector('input[name="transport"]')
+    };
+
+    Object.keys(errors).forEach(field => this.showFieldError(inputs[field], errors[field]));
+
+    const firstInvalid = this.shadowRoot.querySelector('[aria-invalid="true"]');
+    if (firstInvalid) {
+      firstInvalid.focus();
+    }
+  }
+
+  /**
+   * Mark an input as invalid and show a message below its field
+   *
+   * @param {HTMLElement} input - Invalid input element
+   * @param {string} message - Error message to display
+   */
+  showFieldError(input, message) {
+    const errorId = `${input.id || input.name}-error`;
+    let errorElement = this.shadowRoot.getElementById(errorId);
+
+    if (!errorElement) {
+      errorElement = document.createElement('p');
+      errorElement.id = errorId;
+      errorElement.className = 'calculadora__error';
+      errorElement.setAttribute('role', 'alert');
+      input.closest('.calculadora__field').appendChild(errorElement);
+    }
+
+    errorElement.textContent = message;
+    input.classList.add('calculadora__input--error');
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-describedby', errorId);
+  }
+
+  /**
+   * Remove the error state from a single input
+   *
+   * @param {HTMLElement} input - Input element to clear
+   */
+  clearFieldError(input) {
+    const errorElement = this.shadowRoot.getElementById(`${input.id || input.name}-error`);
+    if (errorElement) {
+      errorElement.remove();
+    }
+
+    input.classList.remove('calculadora__input--error');
+    input.removeAttribute('aria-invalid');
+    input.removeAttribute('aria-describedby');
+  }
+
+  /**
+   * Remove every inline error
+   */
+  clearErrors() {
+    this.shadowRoot.querySelectorAll('[aria-invalid="true"]').forEach(input => this.clearFieldError(input));
+  }
+}
+
+/**
+ * URL the script was loaded from; the stylesheet (../css/style.css) and the
+ * price table are found relative to it, so they work from any page
+ *
+ * An inlined or bundled script has no src, so the files are looked up as if
+ * the script were js/carbon-calculator.js next to the page (document.baseURI).
+ * Pages that serve the files elsewhere set BASE_URL to where the script would
+ * be, before the elements are added:
+ *
+ *   CarbonCalculatorElement.BASE_URL = 'https://example.com/co2/js/carbon-calculator.js';
+ */
+CarbonCalculatorElement.BASE_URL = (document.currentScript && document.currentScript.src) ||
+  new URL('js/carbon-calculator.js', document.baseURI).href;
+
+/**
+ * Promise of the price table shared by every element (see loadPrices())
+ */
+CarbonCalculatorElement.pricesLoaded = null;
+
+if (!customElements.get('carbon-calculator')) {
+  customElements.define('carbon-calculator', CarbonCalculatorElement);
+}
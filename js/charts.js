@@ -0,0 +1,216 @@
+/**
+ * Charts - SVG Charts
+ *
+ * Draws the mode comparison bar chart and the cumulative history chart as
+ * inline SVG, without external libraries. Charts are SafeHTML fragments,
+ * like the UI renderers, so labels typed by the user are escaped.
+ *
+ * Accessibility:
+ * - Each chart is an image with a title and a text description of its data
+ * - Every bar and point has a <title>, shown by browsers as a tooltip and
+ *   read by screen readers when focused
+ * - Colors are repeated in a legend with the mode names
+ *
+ * Values are formatted by the caller (see the label fields), so charts stay
+ * independent of the locale.
+ */
+
+const Charts = {
+  /**
+   * Drawing size in SVG units; charts scale to the width of their container
+   */
+  WIDTH: 640,
+  BAR_HEIGHT: 22,
+  BAR_GAP: 10,
+  LINE_HEIGHT: 240,
+
+  /**
+   * Space around the plot area for labels and axes
+   */
+  PADDING: { top: 16, right: 96, bottom: 32, left: 140 },
+
+  /**
+   * Counter for unique title/description ids
+   */
+  lastId: 0,
+
+  /**
+   * Get a unique element id
+   *
+   * @param {string} prefix - Id prefix
+   * @returns {string} Id (e.g., "chart-3")
+   */
+  nextId: function(prefix = 'chart') {
+    this.lastId += 1;
+    return `${prefix}-${this.lastId}`;
+  },
+
+  /**
+   * Round a maximum up to a value that gives readable axis ticks
+   *
+   * @param {number} value - Largest value of the data
+   * @returns {number} 1, 2, 2.5 or 5 × a power of ten (1 when value is 0)
+   */
+  niceMax: function(value) {
+    if (!(value > 0)) {
+      return 1;
+    }
+
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 2.5, 5, 10].find(candidate => candidate * magnitude >= value);
+    return step * magnitude;
+  },
+
+  /**
+   * Render the accessible wrapper shared by every chart
+   *
+   * @param {Object} options - { title, description, width, height, className }
+   * @param {Object} body - SafeHTML fragment with the chart shapes
+   * @returns {Object} SafeHTML fragment
+   */
+  renderSvg: function(options, body) {
+    const html = SafeHTML.html;
+    const titleId = this.nextId();
+    const descriptionId = this.nextId();
+
+    return html`
+      <svg class="chart ${options.className}" viewBox="0 0 ${options.width} ${options.height}" role="img"
+        aria-labelledby="${titleId} ${descriptionId}" preserveAspectRatio="xMinYMin meet">
+        <title id="${titleId}">${options.title}</title>
+        <desc id="${descriptionId}">${options.description}</desc>
+        ${body}
+      </svg>
+    `;
+  },
+
+  /**
+   * Render a horizontal bar chart, one bar per item
+   *
+   * @param {Array<Object>} items - Bars, in display order:
+   *   [{ label, value, valueLabel, color, tooltip, highlighted }]
+   *   valueLabel is the formatted value shown after the bar
+   * @param {Object} options - { title, description }
+   * @returns {Object} SafeHTML fragment with the SVG chart
+   */
+  renderBarChart: function(items, options) {
+    const html = SafeHTML.html;
+    const padding = this.PADDING;
+    const plotWidth = this.WIDTH - padding.left - padding.right;
+    const rowHeight = this.BAR_HEIGHT + this.BAR_GAP;
+    const height = padding.top + items.length * rowHeight + this.BAR_GAP;
+    const max = Math.max(...items.map(item => item.value), 0) || 1;
+
+    const bars = items.map((item, i) => {
+      const y = padding.top + i * rowHeight;
+      const width = Math.max(item.value / max * plotWidth, item.value > 0 ? 2 : 0);
+      const middle = y + this.BAR_HEIGHT / 2;
+
+      return html`
+        <g class="chart__bar${item.highlighted ? ' chart__bar--highlighted' : ''}" tabindex="0">
+          <title>${item.tooltip}</title>
+          <text class="chart__label" x="${padding.left - 8}" y="${middle}" text-anchor="end" dominant-baseline="middle">${item.label}</text>
+          <rect x="${padding.left}" y="${y}" width="${width.toFixed(1)}" height="${this.BAR_HEIGHT}" rx="4" fill="${item.color}"></rect>
+          <text class="chart__value" x="${(padding.left + width + 6).toFixed(1)}" y="${middle}" dominant-baseline="middle">${item.valueLabel}</text>
+        </g>
+      `;
+    });
+
+    return this.renderSvg({
+      title: options.title,
+      description: options.description,
+      width: this.WIDTH,
+      height: height,
+      className: 'chart--bars'
+    }, html`
+      <line class="chart__axis" x1="${padding.left}" y1="${padding.top - 4}" x2="${padding.left}" y2="${height - this.BAR_GAP + 4}"></line>
+      ${bars}
+    `);
+  },
+
+  /**
+   * Render a line chart of a value over time (e.g. cumulative emissions)
+   *
+   * @param {Array<Object>} points - Points in chronological order:
+   *   [{ date: Date, value, color, tooltip }]
+   * @param {Object} options - Chart options:
+   *   - title / description: Accessible name and summary
+   *   - formatValue: function(number) for the y axis labels
+   *   - formatDate: function(Date) for the x axis labels
+   * @returns {Object} SafeHTML fragment with the SVG chart (empty without points)
+   */
+  renderTimeSeries: function(points, options) {
+    if (points.length === 0) {
+      return '';
+    }
+
+    const html = SafeHTML.html;
+    const padding = Object.assign({}, this.PADDING, { left: 72, right: 24 });
+    const width = this.WIDTH;
+    const height = this.LINE_HEIGHT;
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const times = points.map(point => point.date.getTime());
+    const start = Math.min(...times);
+    const span = Math.max(...times) - start;
+    const max = this.niceMax(Math.max(...points.map(point => point.value)));
+
+    // A single point (or points at the same time) sits in the middle
+    const x = time => padding.left + (span > 0 ? (time - start) / span * plotWidth : plotWidth / 2);
+    const y = value => padding.top + plotHeight - value / max * plotHeight;
+
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(share => html`
+      <line class="chart__grid" x1="${padding.left}" y1="${y(max * share).toFixed(1)}" x2="${width - padding.right}" y2="${y(max * share).toFixed(1)}"></line>
+      <text class="chart__label" x="${padding.left - 8}" y="${y(max * share).toFixed(1)}" text-anchor="end" dominant-baseline="middle">${options.formatValue(max * share)}</text>
+    `);
+
+    const path = points
+      .map((point, i) => `${i === 0 ? 'M' : 'L'}${x(times[i]).toFixed(1)},${y(point.value).toFixed(1)}`)
+      .join(' ');
+
+    const markers = points.map((point, i) => html`
+      <circle class="chart__point" cx="${x(times[i]).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="5" fill="${point.color}" tabindex="0">
+        <title>${point.tooltip}</title>
+      </circle>
+    `);
+
+    const first = points[0].date;
+    const last = points[points.length - 1].date;
+
+    return this.renderSvg({
+      title: options.title,
+      description: options.description,
+      width: width,
+      height: height,
+      className: 'chart--line'
+    }, html`
+      ${ticks}
+      <line class="chart__axis" x1="${padding.left}" y1="${height - padding.bottom}" x2="${width - padding.right}" y2="${height - padding.bottom}"></line>
+      <text class="chart__label" x="${padding.left}" y="${height - 8}">${options.formatDate(first)}</text>
+      ${span > 0 ? html`<text class="chart__label" x="${width - padding.right}" y="${height - 8}" text-anchor="end">${options.formatDate(last)}</text>` : ''}
+      <path class="chart__line" d="${path}"></path>
+      ${markers}
+    `);
+  },
+
+  /**
+   * Render a color legend
+   *
+   * @param {Array<Object>} items - [{ label, color }]
+   * @param {string} ariaLabel - Accessible name of the legend
+   * @returns {Object} SafeHTML fragment with the legend list
+   */
+  renderLegend: function(items, ariaLabel) {
+    const html = SafeHTML.html;
+
+    return html`
+      <ul class="chart__legend" aria-label="${ariaLabel}">
+        ${items.map(item => html`
+        <li class="chart__legend-item">
+          <span class="chart__swatch" style="background-color: ${item.color};" aria-hidden="true"></span>
+          ${item.label}
+        </li>`)}
+      </ul>
+    `;
+  }
+};
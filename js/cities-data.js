@@ -0,0 +1,146 @@
+/**
+ * CitiesDB - Registry of Brazilian Cities
+ *
+ * This module provides geographic data for the cities used by the calculator
+ * and utility methods to query it and measure great-circle distances.
+ *
+ * Structure:
+ * - cities: Array of city objects with name, state, region, lat, lon and waters
+ * - Methods for looking up cities and calculating haversine distances
+ */
+
+const CitiesDB = {
+  /**
+   * Mean radius of the Earth in kilometers, used by the haversine formula
+   */
+  EARTH_RADIUS_KM: 6371,
+
+  /**
+   * Array of city objects
+   * Each city has:
+   * - name: City name with state abbreviation (same format as RoutesDB)
+   * - state: State abbreviation (UF)
+   * - region: Brazilian macro-region
+   * - lat / lon: Coordinates in decimal degrees
+   * - waters: Navigable waters the city has a passenger port on (optional):
+   *   'atlantic' (sea coast, Lagoa dos Patos included) or 'amazon' (Amazon
+   *   basin rivers); Belém and Macapá are on both
+   */
+  cities: [
+    // Southeast Region
+    { name: "São Paulo, SP", state: "SP", region: "Sudeste", lat: -23.5505, lon: -46.6333 },
+    { name: "Campinas, SP", state: "SP", region: "Sudeste", lat: -22.9056, lon: -47.0608 },
+    { name: "Santos, SP", state: "SP", region: "Sudeste", lat: -23.9608, lon: -46.3336, waters: ["atlantic"] },
+    { name: "Sorocaba, SP", state: "SP", region: "Sudeste", lat: -23.5015, lon: -47.4526 },
+    { name: "Ribeirão Preto, SP", state: "SP", region: "Sudeste", lat: -21.1775, lon: -47.8103 },
+    { name: "Rio de Janeiro, RJ", state: "RJ", region: "Sudeste", lat: -22.9068, lon: -43.1729, waters: ["atlantic"] },
+    { name: "Niterói, RJ", state: "RJ", region: "Sudeste", lat: -22.8832, lon: -43.1034, waters: ["atlantic"] },
+    { name: "Petrópolis, RJ", state: "RJ", region: "Sudeste", lat: -22.5112, lon: -43.1779 },
+    { name: "Belo Horizonte, MG", state: "MG", region: "Sudeste", lat: -19.9167, lon: -43.9345 },
+    { name: "Ouro Preto, MG", state: "MG", region: "Sudeste", lat: -20.3856, lon: -43.5035 },
+    { name: "Betim, MG", state: "MG", region: "Sudeste", lat: -19.9678, lon: -44.1983 },
+    { name: "Vitória, ES", state: "ES", region: "Sudeste", lat: -20.3155, lon: -40.3128, waters: ["atlantic"] },
+
+    // South Region
+    { name: "Curitiba, PR", state: "PR", region: "Sul", lat: -25.4284, lon: -49.2733 },
+    { name: "Florianópolis, SC", state: "SC", region: "Sul", lat: -27.5954, lon: -48.5480, waters: ["atlantic"] },
+    { name: "Porto Alegre, RS", state: "RS", region: "Sul", lat: -30.0346, lon: -51.2177, waters: ["atlantic"] },
+
+    // Northeast Region
+    { name: "Salvador, BA", state: "BA", region: "Nordeste", lat: -12.9777, lon: -38.5016, waters: ["atlantic"] },
+    { name: "Feira de Santana, BA", state: "BA", region: "Nordeste", lat: -12.2664, lon: -38.9663 },
+    { name: "Recife, PE", state: "PE", region: "Nordeste", lat: -8.0476, lon: -34.8770, waters: ["atlantic"] },
+    { name: "Caruaru, PE", state: "PE", region: "Nordeste", lat: -8.2760, lon: -35.9819 },
+    { name: "Fortaleza, CE", state: "CE", region: "Nordeste", lat: -3.7319, lon: -38.5267, waters: ["atlantic"] },
+    { name: "Aracaju, SE", state: "SE", region: "Nordeste", lat: -10.9472, lon: -37.0731, waters: ["atlantic"] },
+    { name: "Maceió, AL", state: "AL", region: "Nordeste", lat: -9.6658, lon: -35.7350, waters: ["atlantic"] },
+    { name: "João Pessoa, PB", state: "PB", region: "Nordeste", lat: -7.1195, lon: -34.8450, waters: ["atlantic"] },
+    { name: "Natal, RN", state: "RN", region: "Nordeste", lat: -5.7945, lon: -35.2110, waters: ["atlantic"] },
+    { name: "Teresina, PI", state: "PI", region: "Nordeste", lat: -5.0892, lon: -42.8019 },
+    { name: "São Luís, MA", state: "MA", region: "Nordeste", lat: -2.5307, lon: -44.3068, waters: ["atlantic"] },
+
+    // North Region
+    { name: "Manaus, AM", state: "AM", region: "Norte", lat: -3.1190, lon: -60.0217, waters: ["amazon"] },
+    { name: "Belém, PA", state: "PA", region: "Norte", lat: -1.4558, lon: -48.4902, waters: ["atlantic", "amazon"] },
+    { name: "Palmas, TO", state: "TO", region: "Norte", lat: -10.1844, lon: -48.3336 },
+    { name: "Porto Velho, RO", state: "RO", region: "Norte", lat: -8.7612, lon: -63.9004, waters: ["amazon"] },
+    { name: "Rio Branco, AC", state: "AC", region: "Norte", lat: -9.9747, lon: -67.8243 },
+    { name: "Boa Vista, RR", state: "RR", region: "Norte", lat: 2.8235, lon: -60.6758 },
+    { name: "Macapá, AP", state: "AP", region: "Norte", lat: 0.0349, lon: -51.0694, waters: ["atlantic", "amazon"] },
+
+    // Center-West Region
+    { name: "Brasília, DF", state: "DF", region: "Centro-Oeste", lat: -15.7939, lon: -47.8828 },
+    { name: "Goiânia, GO", state: "GO", region: "Centro-Oeste", lat: -16.6869, lon: -49.2648 },
+    { name: "Cuiabá, MT", state: "MT", region: "Centro-Oeste", lat: -15.6014, lon: -56.0979 },
+    { name: "Campo Grande, MS", state: "MS", region: "Centro-Oeste", lat: -20.4697, lon: -54.6201 },
+  ],
+
+  /**
+   * Get all city names in the registry
+   * @returns {Array<string>} Sorted array of city names with states
+   */
+  getAllNames: function() {
+    return this.cities.map(city => city.name).sort();
+  },
+
+  /**
+   * Find a city by name
+   * @param {string} name - City name with state (accent-, case- and separator-insensitive)
+   * @returns {Object|null} City object if found, null otherwise
+   */
+  findCity: function(name) {
+    const normalizedName = CitySearch.normalize(name);
+    return this.cities.find(city => CitySearch.normalize(city.name) === normalizedName) || null;
+  },
+
+  /**
+   * Check whether a boat can sail between two cities
+   * @param {string} origin - Origin city name
+   * @param {string} destination - Destination city name
+   * @returns {boolean|null} True when both cities have a port on the same waters,
+   *   null if a city is unknown
+   */
+  shareWaters: function(origin, destination) {
+    const from = this.findCity(origin);
+    const to = this.findCity(destination);
+
+    if (!from || !to) {
+      return null;
+    }
+
+    return (from.waters || []).some(water => (to.waters || []).includes(water));
+  },
+
+  /**
+   * Calculate the great-circle distance between two cities
+   * Uses the haversine formula over the Earth's mean radius
+   * @param {string} origin - Origin city name
+   * @param {string} destination - Destination city name
+   * @returns {number|null} Straight-line distance in kilometers, null if a city is unknown
+   */
+  greatCircleDistance: function(origin, destination) {
+    const from = this.findCity(origin);
+    const to = this.findCity(destination);
+
+    if (!from || !to) {
+      return null;
+    }
+
+    const toRadians = degrees => degrees * Math.PI / 180;
+
+    // Haversine formula
+    const deltaLat = toRadians(to.lat - from.lat);
+    const deltaLon = toRadians(to.lon - from.lon);
+    const a = Math.sin(deltaLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLon / 2) ** 2;
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    return this.EARTH_RADIUS_KM * c;
+  }
+};
+
+// Node: export the module and load the modules it uses (see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.CitiesDB = CitiesDB;
+  require('./city-search');
+}
@@ -0,0 +1,216 @@
+/**
+ * CityInputs - City Fields of the Form
+ *
+ * Browser-only helpers for the origin and destination inputs: the cities
+ * datalist used for autocomplete and the distance filled in from the route
+ * lookup (see RoutesDB).
+ *
+ * Elements are looked up by id in a root: the page by default, or the shadow
+ * root of a <carbon-calculator> element (see js/carbon-calculator.js).
+ */
+
+const CityInputs = {
+  /**
+   * Populate the cities datalist from RoutesDB
+   * Creates option elements for autocomplete functionality
+   *
+   * With a query, only the best CitySearch matches are listed, ranked by
+   * relevance. Each option carries an accent-free label so browsers also
+   * match input typed without accents.
+   *
+   * @param {string} query - Partial city text typed by the user (optional)
+   * @param {HTMLDataListElement} datalist - Datalist to fill (default: #cities-list of the page)
+   */
+  populateDatalist: function(query, datalist = document.getElementById('cities-list')) {
+    if (!datalist) {
+      console.error('Datalist element with id "cities-list" not found');
+      return;
+    }
+
+    // Clear existing options
+    datalist.innerHTML = '';
+
+    // Get all unique cities from RoutesDB, or the ranked matches for the query
+    const cities = query ? CitySearch.search(query) : RoutesDB.getAllCities();
+
+    // Create and append option elements for each city
+    cities.forEach(city => {
+      const option = document.createElement('option');
+      option.value = city;
+
+      // Accent-free label lets "sao paulo" match "São Paulo, SP"
+      const plainName = CitySearch.stripDiacritics(city);
+      if (plainName !== city) {
+        option.label = plainName;
+      }
+
+      datalist.appendChild(option);
+    });
+
+    if (!query) {
+      console.log(`Datalist populated with ${cities.length} cities`);
+    }
+  },
+
+  /**
+   * Setup automatic distance autofill based on origin and destination
+   * Listens for changes in origin/destination inputs and manual-distance checkbox
+   *
+   * @param {Document|ShadowRoot} root - Root holding the form fields (default: the page)
+   * @param {Function} getLocale - Returns the locale of the helper text (default: the page locale)
+   */
+  setupDistanceAutofill: function(root = document, getLocale = () => I18n.getLocale()) {
+    // Get form elements
+    const originInput = root.getElementById('origin');
+    const destinationInput = root.getElementById('destination');
+    const distanceInput = root.getElementById('distance');
+    const manualDistanceCheckbox = root.getElementById('manual-distance');
+    const datalist = root.getElementById('cities-list');
+    const helperText = root.querySelector('.calculadora__helper');
+
+    if (!originInput || !destinationInput || !distanceInput || !manualDistanceCheckbox || !helperText) {
+      console.error('Required form elements for distance autofill not found');
+      return;
+    }
+
+    /**
+     * Build a "did you mean…" hint for inputs that are not known cities
+     * @returns {string} Hint text, empty when both inputs resolve
+     */
+    const buildSuggestionText = () => {
+      const hints = [originInput, destinationInput]
+        .filter(input => !CitySearch.resolve(input.value))
+        .map(input => CitySearch.suggest(input.value)[0])
+        .filter(Boolean);
+
+      return hints.length > 0 ? I18n.t('distance.suggestion', { cities: hints.join(' / ') }) : '';
+    };
+
+    /**
+     * Internal function to attempt automatic distance population
+     */
+    const attemptAutofill = () => {
+      const origin = originInput.value.trim();
+      const destination = destinationInput.value.trim();
+
+      // Only proceed if both fields are filled
+      if (!origin || !destination) {
+        distanceInput.value = '';
+        distanceInput.readOnly = true;
+        helperText.textContent = I18n.t('distance.auto');
+        helperText.style.color = '#6b7280'; // Reset to gray
+        return;
+      }
+
+      // Try to find a route in RoutesDB (direct, through other cities or estimated)
+      const selectedMode = root.querySelector('input[name="transport"]:checked');
+      const route = RoutesDB.findRoute(origin, destination, selectedMode ? selectedMode.value : undefined);
+
+      if (route && !route.estimated) {
+        // Direct route found - populate and make readonly
+        distanceInput.value = route.distanceKm;
+        distanceInput.readOnly = true;
+        helperText.textContent = I18n.t('distance.found');
+        helperText.style.color = '#10b981'; // Green for success
+      } else if (route && route.method === 'greatCircle') {
+        // No road data (or a mode off the roads) - populate with the straight-line estimate
+        const routing = selectedMode && TransportModes.has(selectedMode.value)
+          ? TransportModes.get(selectedMode.value).routing
+          : 'ground';
+
+        distanceInput.value = route.distanceKm;
+        distanceInput.readOnly = true;
+        helperText.textContent = I18n.t(`distance.estimated.${routing}`);
+        helperText.style.color = '#0891b2'; // Cyan for estimated
+      } else if (route) {
+        // Route chained through other cities - populate and explain
+        distanceInput.value = route.distanceKm;
+        distanceInput.readOnly = true;
+        helperText.textContent = I18n.t('distance.via', { cities: route.via.join(', ') });
+        helperText.style.color = '#0891b2'; // Cyan for estimated
+      } else {
+        // Distance not found - clear and offer manual entry
+        distanceInput.value = '';
+        distanceInput.readOnly = true;
+        helperText.textContent = I18n.t('distance.notFound') + buildSuggestionText();
+        helperText.style.color = '#f59e0b'; // Amber for warning
+      }
+    };
+
+    /**
+     * Replace loosely typed city names with their canonical form
+     * e.g. "sao paulo - sp" becomes "São Paulo, SP"
+     * @param {HTMLInputElement} input - Origin or destination input
+     */
+    const canonicalizeInput = (input) => {
+      const canonical = CitySearch.resolve(input.value);
+      if (canonical && canonical !== input.value) {
+        input.value = canonical;
+      }
+    };
+
+    /**
+     * Handler for origin/destination input changes
+     */
+    const handleLocationChange = (event) => {
+      if (event && (event.target === originInput || event.target === destinationInput)) {
+        canonicalizeInput(event.target);
+      }
+
+      // If manual distance is NOT checked, attempt autofill
+      if (!manualDistanceCheckbox.checked) {
+        attemptAutofill();
+      }
+    };
+
+    /**
+     * Handler for manual distance checkbox change
+     */
+    const handleManualDistanceToggle = () => {
+      if (manualDistanceCheckbox.checked) {
+        // Enable manual entry
+        distanceInput.readOnly = false;
+        distanceInput.value = '';
+        helperText.textContent = I18n.t('distance.manual');
+        helperText.style.color = '#6b7280'; // Reset to gray
+        distanceInput.focus();
+      } else {
+        // Attempt autofill when unchecked
+        attemptAutofill();
+      }
+    };
+
+    /**
+     * Wrap a handler so its helper text uses the locale of the form
+     * @param {Function} handler - Event handler
+     * @returns {Function} Handler running in getLocale()
+     */
+    const localized = handler => event => I18n.withLocale(getLocale(), () => handler(event));
+
+    // Add event listeners
+    originInput.addEventListener('change', localized(handleLocationChange));
+    destinationInput.addEventListener('change', localized(handleLocationChange));
+
+    // Rank datalist suggestions as the user types
+    [originInput, destinationInput].forEach(input => {
+      input.addEventListener('input', () => this.populateDatalist(input.value.trim(), datalist));
+    });
+    manualDistanceCheckbox.addEventListener('change', localized(handleManualDistanceToggle));
+
+    // Estimated distances depend on the mode's road-winding factor
+    root.querySelectorAll('input[name="transport"]').forEach(radio => {
+      radio.addEventListener('change', localized(handleLocationChange));
+    });
+
+    // Rewrite the helper text in the new language
+    document.addEventListener('localechange', localized(() => {
+      if (manualDistanceCheckbox.checked) {
+        helperText.textContent = I18n.t('distance.manual');
+      } else {
+        attemptAutofill();
+      }
+    }));
+
+    console.log('Distance autofill setup complete');
+  }
+};
@@ -0,0 +1,212 @@
+/**
+ * CitySearch - Accent- and Typo-tolerant City Lookup
+ *
+ * Normalizes free-text city input and matches it against the known cities
+ * from RoutesDB and CitiesDB. Accepts missing accents ("Sao Paulo"), varied
+ * state separators ("Sao Paulo - SP", "São Paulo/SP", "São Paulo (SP)"),
+ * a missing state when the city name is unique, and ranks fuzzy candidates
+ * by edit distance for "você quis dizer…" suggestions.
+ */
+
+const CitySearch = {
+  /**
+   * Maximum edit distance accepted for a suggestion, as a share of the
+   * input length (a minimum of 2 edits is always allowed)
+   */
+  MAX_DISTANCE_RATIO: 0.34,
+
+  /**
+   * Remove diacritics (accents, cedilla) from a string
+   *
+   * @param {string} text - Text to clean
+   * @returns {string} Text without diacritics, case preserved
+   */
+  stripDiacritics: function(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  },
+
+  /**
+   * Normalize text for comparison
+   *
+   * - Strips diacritics and lowercases
+   * - Collapses whitespace
+   * - Rewrites the state separator to ", " ("Sao Paulo - SP" → "sao paulo, sp")
+   *
+   * @param {string} text - Raw city text
+   * @returns {string} Normalized text
+   */
+  normalize: function(text) {
+    const parsed = this.parse(text);
+    return parsed.state ? `${parsed.name}, ${parsed.state}` : parsed.name;
+  },
+
+  /**
+   * Split raw input into a normalized city name and state abbreviation
+   * The trailing two letters are only taken as a state when they are a known UF.
+   *
+   * @param {string} text - Raw city text
+   * @returns {Object} { name: string, state: string|null } (both normalized)
+   */
+  parse: function(text) {
+    const cleaned = this.stripDiacritics(String(text || ''))
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // City name, a separator (comma, dash, slash, space or parenthesis) and a 2-letter state
+    const match = cleaned.match(/^(.+?)\s*(?:,|-|\/|\s|\()\s*([a-z]{2})\)?$/);
+
+    if (match && this.getStates().includes(match[2])) {
+      return { name: match[1].trim(), state: match[2] };
+    }
+
+    return { name: cleaned.replace(/[,\-\/(]+$/, '').trim(), state: null };
+  },
+
+  /**
+   * Get the known state abbreviations, normalized
+   *
+   * @returns {Array<string>} Lowercase state abbreviations
+   */
+  getStates: function() {
+    return Array.from(new Set(CitiesDB.cities.map(city => city.state.toLowerCase())));
+  },
+
+  /**
+   * Get every known city with its normalized parts
+   *
+   * @returns {Array<Object>} [{ city: canonical name, name: normalized name, state: normalized state }]
+   */
+  getCandidates: function() {
+    return RoutesDB.getAllCities().map(city => {
+      const parsed = this.parse(city);
+      return { city: city, name: parsed.name, state: parsed.state };
+    });
+  },
+
+  /**
+   * Resolve free-text input to a canonical city name
+   *
+   * Matches ignoring accents, case and separator style. Input without a
+   * state resolves only when exactly one known city has that name.
+   *
+   * @param {string} text - Raw city text (e.g., "sao paulo", "Brasilia")
+   * @returns {string|null} Canonical city name (e.g., "São Paulo, SP"), null if not resolved
+   */
+  resolve: function(text) {
+    const parsed = this.parse(text);
+
+    if (!parsed.name) {
+      return null;
+    }
+
+    const matches = this.getCandidates().filter(candidate =>
+      candidate.name === parsed.name && (!parsed.state || candidate.state === parsed.state)
+    );
+
+    return matches.length === 1 ? matches[0].city : null;
+  },
+
+  /**
+   * Calculate the Levenshtein edit distance between two strings
+   *
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Minimum number of insertions, deletions and substitutions
+   */
+  levenshtein: function(a, b) {
+    // Single row of the dynamic programming table
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(
+          previous[j] + 1,         // Deletion
+          current[j - 1] + 1,      // Insertion
+          previous[j - 1] + cost   // Substitution
+        );
+      }
+
+      previous = current;
+    }
+
+    return previous[b.length];
+  },
+
+  /**
+   * Suggest known cities close to the input
+   *
+   * Candidates are ranked by edit distance between city names; when the
+   * input has a state, cities from other states rank after it.
+   *
+   * @param {string} text - Raw city text
+   * @param {number} limit - Maximum number of suggestions (default: 3)
+   * @returns {Array<string>} Canonical city names, closest first
+   */
+  suggest: function(text, limit = 3) {
+    const parsed = this.parse(text);
+
+    if (!parsed.name) {
+      return [];
+    }
+
+    const maxDistance = Math.max(2, Math.round(parsed.name.length * this.MAX_DISTANCE_RATIO));
+
+    return this.getCandidates()
+      .map(candidate => ({
+        city: candidate.city,
+        distance: this.levenshtein(parsed.name, candidate.name),
+        stateMismatch: parsed.state && candidate.state !== parsed.state ? 1 : 0
+      }))
+      .filter(ranked => ranked.distance <= maxDistance)
+      .sort((a, b) => a.stateMismatch - b.stateMismatch || a.distance - b.distance || a.city.localeCompare(b.city))
+      .slice(0, limit)
+      .map(ranked => ranked.city);
+  },
+
+  /**
+   * Search cities for autocomplete
+   *
+   * Ranking: names starting with the query, then names containing it,
+   * then fuzzy suggestions.
+   *
+   * @param {string} query - Partial city text
+   * @param {number} limit - Maximum number of results (default: 10)
+   * @returns {Array<string>} Canonical city names (all cities when the query is empty)
+   */
+  search: function(query, limit = 10) {
+    const normalizedQuery = this.normalize(query);
+
+    if (!normalizedQuery) {
+      return RoutesDB.getAllCities();
+    }
+
+    const candidates = this.getCandidates();
+    const fullName = candidate => this.normalize(candidate.city);
+
+    const startsWith = candidates.filter(candidate => fullName(candidate).startsWith(normalizedQuery));
+    const contains = candidates.filter(candidate =>
+      !startsWith.includes(candidate) && fullName(candidate).includes(normalizedQuery)
+    );
+
+    const results = startsWith.concat(contains).map(candidate => candidate.city);
+
+    this.suggest(query, limit).forEach(city => {
+      if (!results.includes(city)) {
+        results.push(city);
+      }
+    });
+
+    return results.slice(0, limit);
+  }
+};
+
+// Node: export the module and load the modules it uses (see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.CitySearch = CitySearch;
+  require('./cities-data');
+  require('./routes-data');
+}
@@ -1,171 +1,119 @@
 /**
  * CONFIG - Global Configuration Object
  * 
- * Contains emission factors, transport mode metadata, carbon credit settings,
- * and initialization methods for the CO2 calculator application.
+ * Contains fuel coefficients, comparison units, carbon credit settings,
+ * currencies, trip frequency and carbon budget settings for the CO2
+ * calculator. Plain data, shared by the browser and Node (see the export at
+ * the bottom).
+ * Transport modes and their emission factors live in TransportModes; the
+ * display names of modes, fuels, units and periods live in MESSAGES.
  */
 
 const CONFIG = {
   /**
-   * Emission factors in kg CO2 per kilometer
-   * Based on average emissions for each transport mode in Brazil
+   * Functional units for comparing transport modes
+   * Each unit includes the decimal places for display; its label and unit
+   * suffix are the "unit.<key>.label" and "unit.<key>.unit" messages
    */
-  EMISSION_FACTORS: {
-    bicycle: 0,           // Zero emissions
-    car: 0.12,            // Car: ~120g CO2/km
-    bus: 0.089,           // Bus: ~89g CO2/km (shared transport)
-    truck: 0.96           // Truck: ~960g CO2/km
+  FUNCTIONAL_UNITS: {
+    vehicle: { decimals: 2 },
+    passenger: { decimals: 2 },
+    "tonne-km": { decimals: 4 }
   },
 
   /**
-   * Transport mode metadata for UI display and categorization
-   * Each mode includes label, icon, and brand color
+   * Fuel emission coefficients for vehicle profiles
+   * Tank-to-wheel CO2 from burning each fuel, plus the mandatory Brazilian
+   * blends and the average emission of the national grid (SIN)
    */
-  TRANSPORT_MODES: {
-    bicycle: {
-      label: "Bicicleta",
-      icon: "🚲",
-      color: "#3b82f6"    // Blue
-    },
-    car: {
-      label: "Carro",
-      icon: "🚗",
-      color: "#ef4444"    // Red
-    },
-    bus: {
-      label: "Ônibus",
-      icon: "🚌",
-      color: "#f59e0b"    // Amber
-    },
-    truck: {
-      label: "Caminhão",
-      icon: "🚚",
-      color: "#6366f1"    // Indigo
-    }
+  FUEL_EMISSIONS: {
+    GASOLINE_A_KG_PER_L: 2.212,          // Pure gasoline (gasolina A)
+    ANHYDROUS_ETHANOL_KG_PER_L: 1.526,   // Ethanol blended into gasoline
+    HYDRATED_ETHANOL_KG_PER_L: 1.457,    // Ethanol sold at the pump (E100)
+    DIESEL_A_KG_PER_L: 2.603,            // Pure fossil diesel
+    BIODIESEL_KG_PER_L: 2.431,           // Biodiesel (B100)
+    GASOLINE_ETHANOL_BLEND: 0.27,        // Gasolina C: 27% anhydrous ethanol
+    DIESEL_BIODIESEL_BLEND: 0.14,        // Diesel B: 14% biodiesel
+    FLEX_ETHANOL_EFFICIENCY: 0.7,        // Flex cars run ~70% of the km/l on ethanol
+    GRID_KG_PER_KWH: 0.0385              // Brazilian grid average (SIN)
+  },
+
+  /**
+   * Global warming potentials (100-year horizon, IPCC AR6)
+   * kg CO2e per kg of each gas; modes can override them (see TransportModes)
+   */
+  GWP: {
+    co2: 1,
+    ch4: 29.8,                 // Fossil methane
+    n2o: 273
+  },
+
+  /**
+   * Fuel types available for vehicle profiles
+   * consumptionUnit tells which consumption field the fuel uses; the label
+   * is the "fuel.<key>" message
+   */
+  FUEL_TYPES: {
+    gasoline: { consumptionUnit: "km/l" },
+    ethanol: { consumptionUnit: "km/l" },
+    flex: { consumptionUnit: "km/l" },
+    diesel: { consumptionUnit: "km/l" },
+    electric: { consumptionUnit: "kWh/100km" },
+    hybrid: { consumptionUnit: "km/l" }
   },
 
   /**
    * Carbon credit configuration
    * Used for calculating carbon offset information
+   * Prices come from the price table (see CreditPricing); the range below is
+   * used while it is not loaded
    */
   CARBON_CREDIT: {
     KG_PER_CREDIT: 1000,      // 1 credit = 1000 kg CO2
-    PRICE_MIN_BRL: 50,         // Minimum price in Brazilian Reals
-    PRICE_MAX_BRL: 150         // Maximum price in Brazilian Reals
+    PRICE_TABLE_URL: 'data/credit-prices.json',
+    PRICE_MIN_BRL: 50,         // Fallback minimum price in Brazilian Reals
+    PRICE_MAX_BRL: 150         // Fallback maximum price in Brazilian Reals
   },
 
   /**
-   * Populate the cities datalist from RoutesDB
-   * Creates option elements for autocomplete functionality
+   * Currencies offset prices can be shown in
+   * rate converts Brazilian Real prices (units per 1 BRL, reference rates)
+   * when the price table has no rates for the currency
    */
-  populateDatalist: function() {
-    // Get the datalist element
-    const datalist = document.getElementById('cities-list');
-    
-    if (!datalist) {
-      console.error('Datalist element with id "cities-list" not found');
-      return;
-    }
-
-    // Clear existing options
-    datalist.innerHTML = '';
-
-    // Get all unique cities from RoutesDB
-    const cities = RoutesDB.getAllCities();
-
-    // Create and append option elements for each city
-    cities.forEach(city => {
-      const option = document.createElement('option');
-      option.value = city;
-      datalist.appendChild(option);
-    });
-
-    console.log(`Datalist populated with ${cities.length} cities`);
+  CURRENCIES: {
+    BRL: { rate: 1 },
+    USD: { rate: 0.18 },
+    EUR: { rate: 0.17 }
   },
 
   /**
-   * Setup automatic distance autofill based on origin and destination
-   * Listens for changes in origin/destination inputs and manual-distance checkbox
+   * Trip frequency configuration
+   * Used to project recurring trips (e.g. daily commutes) over time
+   * Period labels are the "period.<key>" messages
    */
-  setupDistanceAutofill: function() {
-    // Get form elements
-    const originInput = document.getElementById('origin');
-    const destinationInput = document.getElementById('destination');
-    const distanceInput = document.getElementById('distance');
-    const manualDistanceCheckbox = document.getElementById('manual-distance');
-    const helperText = document.querySelector('.calculadora__helper');
-
-    if (!originInput || !destinationInput || !distanceInput || !manualDistanceCheckbox || !helperText) {
-      console.error('Required form elements for distance autofill not found');
-      return;
-    }
-
-    /**
-     * Internal function to attempt automatic distance population
-     */
-    const attemptAutofill = () => {
-      const origin = originInput.value.trim();
-      const destination = destinationInput.value.trim();
-
-      // Only proceed if both fields are filled
-      if (!origin || !destination) {
-        distanceInput.value = '';
-        distanceInput.readOnly = true;
-        helperText.textContent = 'A distância será preenchida automaticamente';
-        helperText.style.color = '#6b7280'; // Reset to gray
-        return;
-      }
-
-      // Try to find distance in RoutesDB
-      const distance = RoutesDB.findDistance(origin, destination);
-
-      if (distance !== null) {
-        // Distance found - populate and make readonly
-        distanceInput.value = distance;
-        distanceInput.readOnly = true;
-        helperText.textContent = '✓ Distância encontrada automaticamente';
-        helperText.style.color = '#10b981'; // Green for success
-      } else {
-        // Distance not found - clear and offer manual entry
-        distanceInput.value = '';
-        distanceInput.readOnly = true;
-        helperText.textContent = '⚠ Rota não encontrada. Marque "inserir distância manualmente" para prosseguir';
-        helperText.style.color = '#f59e0b'; // Amber for warning
-      }
-    };
-
-    /**
-     * Handler for origin/destination input changes
-     */
-    const handleLocationChange = () => {
-      // If manual distance is NOT checked, attempt autofill
-      if (!manualDistanceCheckbox.checked) {
-        attemptAutofill();
-      }
-    };
-
-    /**
-     * Handler for manual distance checkbox change
-     */
-    const handleManualDistanceToggle = () => {
-      if (manualDistanceCheckbox.checked) {
-        // Enable manual entry
-        distanceInput.readOnly = false;
-        distanceInput.value = '';
-        helperText.textContent = 'Digite a distância manualmente em quilômetros';
-        helperText.style.color = '#6b7280'; // Reset to gray
-        distanceInput.focus();
-      } else {
-        // Attempt autofill when unchecked
-        attemptAutofill();
-      }
-    };
-
-    // Add event listeners
-    originInput.addEventListener('change', handleLocationChange);
-    destinationInput.addEventListener('change', handleLocationChange);
-    manualDistanceCheckbox.addEventListener('change', handleManualDistanceToggle);
+  TRIP_FREQUENCY: {
+    PERIODS_PER_YEAR: {
+      day: 260,                // Working days in a year (5 days × 52 weeks)
+      week: 52,
+      month: 12
+    },
+    WEEKS_PER_YEAR: 52,
+    MONTHS_PER_YEAR: 12,
+    DEFAULT_HORIZON_MONTHS: 12
+  },
 
-    console.log('Distance autofill setup complete');
+  /**
+   * Carbon budget configuration (see CarbonBudget)
+   * Period labels are the "budget.period.<key>" messages
+   */
+  CARBON_BUDGET: {
+    PERIODS: ['week', 'month', 'year'],
+    DEFAULT_PERIOD: 'month',
+    WARNING_SHARE: 0.8         // Progress turns amber from 80% of the limit
   }
 };
+
+// Node: export the module (see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.CONFIG = CONFIG;
+}
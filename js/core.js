@@ -0,0 +1,40 @@
+/**
+ * Core - Calculation Engine for Node
+ *
+ * Entry point of the calculation and route modules outside the browser
+ * (bin/co2calc.js, scripts and pipelines). It is not loaded by index.html.
+ *
+ * The same files run in both environments. In the browser they are script
+ * tags sharing globals; in Node each one ends with a block that exports it
+ * and requires the modules it uses. Modules still call each other by their
+ * global names, so that block also puts the module on globalThis.
+ *
+ * Browser-only state has Node defaults: no saved preferences, user routes
+ * or carbon budgets, the selected factor set is FactorSets.DEFAULT_SET, and
+ * credit prices use the CONFIG range until a table is passed to
+ * CreditPricing.setTable().
+ *
+ * Usage:
+ *   const { Calculator, RoutesDB } = require('./js/core');
+ *   const route = RoutesDB.findRoute('São Paulo, SP', 'Rio de Janeiro, RJ', 'bus');
+ *   Calculator.calculateEmission(route.distanceKm, 'bus');
+ */
+
+module.exports = {
+  CONFIG: require('./config'),
+  MESSAGES: require('./messages'),
+  I18n: require('./i18n'),
+  FactorSets: require('./factor-sets'),
+  TransportModes: require('./modes'),
+  VehicleProfiles: require('./vehicles'),
+  CreditPricing: require('./pricing'),
+  Calculator: require('./calculator'),
+  TripFrequency: require('./frequency'),
+  CarbonBudget: require('./budget'),
+  CitiesDB: require('./cities-data'),
+  CitySearch: require('./city-search'),
+  RoutesDB: require('./routes-data'),
+  UserRoutes: require('./user-routes'),
+  Itinerary: require('./itinerary'),
+  BatchImport: require('./batch')
+};
@@ -0,0 +1,232 @@
+/**
+ * ResultExport - Calculation Export
+ *
+ * Serializes the current calculation into a plain report object and writes
+ * it as JSON or CSV for sustainability reports. The same report object feeds
+ * UI.renderReport(), the print layout used to save the result as PDF.
+ * Labels and CSV headings are written in the current I18n locale.
+ */
+
+const ResultExport = {
+  /**
+   * Build a report object from a calculation result
+   *
+   * @param {Object} result - Object returned by Calculator.calculateTrip()
+   * @param {Date} date - Generation date (default: now)
+   * @returns {Object} Report:
+   *   - generatedAt: ISO 8601 date
+   *   - trip: { origin, destination, distance, estimated, distanceMethod, mode, modeLabel }
+   *   - legs: [{ origin, destination, mode, modeLabel, distance, manual, estimated,
+   *     emissionFactor, factorSource, emission }]
+   *   - emission: Total kg CO2
+   *   - comparison: [{ mode, label, distance, emission, value, unit, percentageVsCar }]
+   *   - credits / price: Carbon credits and price range { min, max, average, currency }
+   *   - projection: Object from TripFrequency.project() (null for one-way one-off trips)
+   *   - gases: Per-gas breakdown { ttw, wtw } from Calculator.sumGases()
+   *   - factorSet: Object from FactorSets.describe(), the emission factor dataset
+   */
+  buildReport: function(result, date = new Date()) {
+    const projection = result.projection;
+
+    return {
+      generatedAt: date.toISOString(),
+      trip: {
+        origin: result.origin,
+        destination: result.destination,
+        distance: result.distance,
+        estimated: result.estimated,
+        distanceMethod: result.distanceMethod,
+        mode: result.mode,
+        modeLabel: result.mode ? TransportModes.getLabel(result.mode) : I18n.t('mode.mixed')
+      },
+      legs: result.legs.map(leg => ({
+        origin: leg.origin,
+        destination: leg.destination,
+        mode: leg.mode,
+        modeLabel: TransportModes.getLabel(leg.mode),
+        distance: leg.distance,
+        manual: leg.manual,
+        estimated: leg.estimated,
+        emissionFactor: leg.vehicle
+          ? VehicleProfiles.getEmissionFactor(leg.vehicle)
+          : TransportModes.getFactor(leg.mode, leg.distance, result.factorSet.key),
+        factorSource: this.getFactorSource(leg, result.factorSet.key),
+        emission: leg.emission
+      })),
+      emission: result.emission,
+      gases: result.gases,
+      comparison: result.comparison.map(item => ({
+        mode: item.mode,
+        label: item.label,
+        distance: item.distance,
+        emission: item.emission,
+        value: item.value,
+        unit: item.unit,
+        percentageVsCar: item.percentageVsCar,
+        duration: item.duration,
+        cost: item.cost,
+        currency: item.currency,
+        feasible: item.feasible
+      })),
+      credits: result.credits,
+      price: result.price,
+      projection: projection && (projection.recurring || projection.roundTrip) ? projection : null,
+      factorSet: result.factorSet
+    };
+  },
+
+  /**
+   * Describe where the emission factor of a leg came from
+   *
+   * @param {Object} leg - Calculated leg
+   * @param {string} factorSet - FactorSets key used for the calculation
+   * @returns {string} Vehicle profile description, factor set name and version
+   *   (DEFAULT_SET when the chosen set doesn't cover the mode), or the mode
+   *   average for modes outside every set
+   */
+  getFactorSource: function(leg, factorSet) {
+    if (leg.vehicle) {
+      return VehicleProfiles.describe(leg.vehicle);
+    }
+
+    const source = FactorSets.getSource(factorSet, leg.mode);
+    return source ? FactorSets.getLabel(source.key) : I18n.t('export.modeAverage');
+  },
+
+  /**
+   * Serialize a report as JSON
+   *
+   * @param {Object} report - Report from buildReport()
+   * @returns {string} Indented JSON text
+   */
+  toJSON: function(report) {
+    return JSON.stringify(report, null, 2);
+  },
+
+  /**
+   * Serialize a report as CSV
+   *
+   * The file holds several tables separated by blank lines: a summary of
+   * field/value pairs, the legs with their emission factors, the mode
+   * comparison and, for recurring trips, the projection. Numbers use a dot
+   * as decimal separator.
+   *
+   * @param {Object} report - Report from buildReport()
+   * @returns {string} CSV text
+   */
+  toCSV: function(report) {
+    const t = (key, params) => I18n.t(key, params);
+    const currency = { currency: report.price.currency };
+
+    const summary = [
+      [t('export.field'), t('export.value')],
+      [t('export.generatedAt'), report.generatedAt],
+      [t('form.origin'), report.trip.origin],
+      [t('form.destination'), report.trip.destination],
+      [t('table.mode'), report.trip.modeLabel],
+      [t('export.distanceKm'), report.trip.distance],
+      [t('export.estimatedDistance'), report.trip.estimated ? t('export.yes') : t('export.no')],
+      [t('export.emissionKg'), report.emission],
+      [t('export.co2eTtw'), report.gases.ttw.co2e],
+      [t('export.co2eWtw'), report.gases.wtw.co2e],
+      [t('export.credits'), report.credits],
+      [t('export.priceMin', currency), report.price.min],
+      [t('export.priceAverage', currency), report.price.average],
+      [t('export.priceMax', currency), report.price.max],
+      [t('export.priceSource'), CreditPricing.describe(report.price.entry)],
+      [t('form.factorSet'), `${report.factorSet.name} ${report.factorSet.version}`],
+      [t('report.citation'), report.factorSet.citation]
+    ];
+
+    const legs = [[t('export.leg'), t('form.origin'), t('form.destination'), t('table.mode'), t('export.distanceKm'),
+      t('export.factor'), t('export.factorSource'), t('export.emissionKg')]]
+      .concat(report.legs.map((leg, i) => [
+        i + 1, leg.origin, leg.destination, leg.modeLabel, leg.distance, leg.emissionFactor, leg.factorSource, leg.emission
+      ]));
+
+    const comparison = [[t('table.mode'), t('export.distanceKm'), t('export.emissionKg'), t('export.comparedValue'),
+      t('export.unit'), t('export.vsCar'), t('export.durationHours'), t('export.cost', currency)]]
+      .concat(report.comparison.map(item => [
+        item.label, item.distance, item.emission, item.value, t(`unit.${item.unit}.unit`), item.percentageVsCar,
+        item.duration, item.cost
+      ]));
+
+    const tables = [summary, legs, comparison];
+
+    if (report.projection) {
+      const periods = [[t('projection.perTrip'), report.projection.perTrip]];
+      if (report.projection.recurring) {
+        periods.push(
+          [t('projection.perWeek'), report.projection.weekly],
+          [t('projection.perMonth'), report.projection.monthly],
+          [t('projection.perYear'), report.projection.annual],
+          [t('projection.horizon', { months: report.projection.horizonMonths }), report.projection.horizon]
+        );
+      }
+
+      tables.push([[t('projection.period'), t('export.emissionKg'), t('export.savingsKg')]]
+        .concat(periods.map(([label, totals]) => [label, totals.emission, totals.savings.savedKg])));
+    }
+
+    return tables
+      .map(table => table.map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n'))
+      .join('\r\n\r\n');
+  },
+
+  /**
+   * Quote a CSV value when it contains a delimiter, quote or line break
+   *
+   * Text starting with =, +, -, @ (or a tab or carriage return) would run as
+   * a formula in spreadsheets, e.g. a city name typed as "=HYPERLINK(...)";
+   * it is prefixed with ' and quoted. Numbers are left as they are, so
+   * negative values stay numeric.
+   *
+   * @param {*} value - Cell value (null and undefined become empty cells)
+   * @returns {string} CSV-safe cell
+   */
+  escapeCSV: function(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+      return `"'${text.replace(/"/g, '""')}"`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  /**
+   * Build a file name for a report
+   *
+   * @param {Object} report - Report from buildReport()
+   * @param {string} extension - File extension without the dot
+   * @returns {string} File name (e.g., "emissao-co2-sao-paulo-rio-de-janeiro-2026-10-19.csv")
+   */
+  getFileName: function(report, extension) {
+    const slug = text => CitySearch.parse(text).name.replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const day = report.generatedAt.slice(0, 10);
+
+    return `${I18n.t('export.filePrefix')}-${slug(report.trip.origin)}-${slug(report.trip.destination)}-${day}.${extension}`;
+  },
+
+  /**
+   * Offer text content as a file download
+   *
+   * @param {string} content - File contents
+   * @param {string} fileName - Suggested file name
+   * @param {string} mimeType - MIME type of the file
+   */
+  download: function(content, fileName, mimeType) {
+    // BOM lets spreadsheet apps detect UTF-8 in CSV files
+    const blob = new Blob([mimeType === 'text/csv' ? '\uFEFF' + content : content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+};
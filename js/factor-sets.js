@@ -0,0 +1,342 @@
+/**
+ * FactorSets - Emission Factor Datasets
+ *
+ * Emission factors come from named, versioned datasets published by
+ * reporting programs, so every result can say which methodology produced
+ * it. The user picks a set; the choice is saved in localStorage.
+ *
+ * Structure of a set definition:
+ * - name / publisher: Display name and publishing body
+ * - version / year: Edition of the dataset
+ * - region: ISO 3166 country code, or 'GLOBAL'
+ * - citation / url: Reference for reports and auditors
+ * - base: Key of the set this one is a variant of (optional). Metadata and
+ *   factors missing from the variant are taken from the base, so a regional
+ *   variant only lists what differs (e.g. the grid of electric modes)
+ * - factors: kg CO2 per km keyed by transport mode key. A factor is either a
+ *   number or distance bands [{ maxKm, factor }, ..., { factor }], checked in
+ *   order; the last band has no maxKm
+ *
+ * Modes a set doesn't cover use the factor of DEFAULT_SET, then the factor
+ * of their TransportModes definition. Factors are rounded from the cited
+ * publications and are per vehicle for private modes and per passenger for
+ * shared modes, like TransportModes.
+ */
+
+const FactorSets = {
+  /**
+   * Set used when the user has not picked one; also the fallback for modes
+   * other sets don't cover
+   */
+  DEFAULT_SET: 'ghg-protocol-br',
+
+  /**
+   * localStorage key holding the selected set
+   */
+  STORAGE_KEY: 'co2-calculator-factor-set',
+
+  /**
+   * Registered sets keyed by set key, in registration order
+   */
+  sets: {},
+
+  /**
+   * Key of the selected set, set by init() or select()
+   */
+  selected: 'ghg-protocol-br',
+
+  /**
+   * Register a factor set (or replace an existing one)
+   *
+   * @param {string} key - Set key (e.g., 'defra-2023')
+   * @param {Object} definition - Set definition (see module header)
+   * @returns {Object|null} Registered set, null if the definition is invalid
+   */
+  register: function(key, definition) {
+    const base = definition.base ? this.get(definition.base) : null;
+
+    if (!key || (definition.base && !base)) {
+      console.error(`Invalid factor set definition: ${key}`);
+      return null;
+    }
+
+    const set = Object.assign({}, base, definition, {
+      key: key,
+      factors: Object.assign({}, base ? base.factors : {}, definition.factors)
+    });
+
+    if (!set.name || !set.version || !set.citation) {
+      console.error(`Invalid factor set definition: ${key}`);
+      return null;
+    }
+
+    this.sets[key] = set;
+    return set;
+  },
+
+  /**
+   * Get a registered set
+   *
+   * @param {string} key - Set key
+   * @returns {Object|null} Set definition, null if not registered
+   */
+  get: function(key) {
+    return this.has(key) ? this.sets[key] : null;
+  },
+
+  /**
+   * Check whether a set is registered
+   *
+   * @param {string} key - Set key
+   * @returns {boolean} True if registered
+   */
+  has: function(key) {
+    return typeof key === 'string' && Object.prototype.hasOwnProperty.call(this.sets, key);
+  },
+
+  /**
+   * Get the keys of every registered set, in registration order
+   *
+   * @returns {Array<string>} Set keys
+   */
+  getKeys: function() {
+    return Object.keys(this.sets);
+  },
+
+  /**
+   * Load the saved selection
+   */
+  init: function() {
+    let saved = null;
+
+    try {
+      saved = localStorage.getItem(this.STORAGE_KEY);
+    } catch (error) {
+      console.warn('Could not read the factor set preference:', error);
+    }
+
+    this.selected = this.has(saved) ? saved : this.DEFAULT_SET;
+  },
+
+  /**
+   * @returns {string} Key of the selected set
+   */
+  getSelected: function() {
+    return this.selected;
+  },
+
+  /**
+   * Select a set and save the choice
+   *
+   * @param {string} key - Set key
+   * @returns {boolean} True if the set was selected
+   */
+  select: function(key) {
+    if (!this.has(key)) {
+      return false;
+    }
+
+    this.selected = key;
+
+    try {
+      localStorage.setItem(this.STORAGE_KEY, key);
+    } catch (error) {
+      // Private mode or storage disabled: the choice lasts until the page is closed
+      console.warn('Could not save the factor set preference:', error);
+    }
+
+    return true;
+  },
+
+  /**
+   * Find the set that supplies the factor of a mode
+   *
+   * @param {string} setKey - Set key (unknown keys use DEFAULT_SET)
+   * @param {string} modeKey - Transport mode key
+   * @returns {Object|null} The set itself, or DEFAULT_SET when the set doesn't
+   *   cover the mode; null when neither does
+   */
+  getSource: function(setKey, modeKey) {
+    const covers = set => Boolean(set) && Object.prototype.hasOwnProperty.call(set.factors, modeKey);
+    const set = this.get(setKey);
+    const fallback = this.get(this.DEFAULT_SET);
+
+    if (covers(set)) {
+      return set;
+    }
+
+    return covers(fallback) ? fallback : null;
+  },
+
+  /**
+   * Describe the sets that actually supply the factors of some modes
+   *
+   * @param {string} setKey - Set key (unknown keys use DEFAULT_SET)
+   * @param {Array<string>} modeKeys - Transport mode keys
+   * @returns {Array<Object>} Objects from describe(), one per set in order of
+   *   first use; modes outside every set are left out
+   */
+  getSources: function(setKey, modeKeys) {
+    const keys = [];
+
+    modeKeys.forEach(modeKey => {
+      const source = this.getSource(setKey, modeKey);
+
+      if (source && !keys.includes(source.key)) {
+        keys.push(source.key);
+      }
+    });
+
+    return keys.map(key => this.describe(key));
+  },
+
+  /**
+   * Get the factor of a mode for a given distance
+   *
+   * @param {string} setKey - Set key (unknown keys use DEFAULT_SET)
+   * @param {string} modeKey - Transport mode key
+   * @param {number} distanceKm - Trip distance (used by distance bands)
+   * @returns {number|null} kg CO2 per km, null when no set covers the mode
+   */
+  getFactor: function(setKey, modeKey, distanceKm) {
+    const source = this.getSource(setKey, modeKey);
+
+    if (!source) {
+      return null;
+    }
+
+    const factor = source.factors[modeKey];
+
+    if (!Array.isArray(factor)) {
+      return factor;
+    }
+
+    const band = factor.find(candidate => !(candidate.maxKm < distanceKm));
+    return band ? band.factor : factor[factor.length - 1].factor;
+  },
+
+  /**
+   * Describe a set for results, history and reports
+   *
+   * @param {string} key - Set key (unknown keys use DEFAULT_SET)
+   * @returns {Object} { key, name, publisher, version, year, region, citation, url }
+   */
+  describe: function(key) {
+    const set = this.get(key) || this.get(this.DEFAULT_SET);
+
+    return {
+      key: set.key,
+      name: set.name,
+      publisher: set.publisher,
+      version: set.version,
+      year: set.year,
+      region: set.region,
+      citation: set.citation,
+      url: set.url
+    };
+  },
+
+  /**
+   * Short name of a set with its version (e.g., "DEFRA 2023")
+   *
+   * @param {string} key - Set key (unknown keys use DEFAULT_SET)
+   * @returns {string} Name and version
+   */
+  getLabel: function(key) {
+    const set = this.describe(key);
+    return `${set.name} ${set.version}`;
+  }
+};
+
+// Node: export the module and load the modules it uses (see js/core.js);
+// the built-in sets below need CONFIG
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.FactorSets = FactorSets;
+  require('./config');
+}
+
+/**
+ * Built-in sets
+ */
+FactorSets.register('ghg-protocol-br', {
+  name: 'GHG Protocol Brasil',
+  publisher: 'FGV EAESP / WRI Brasil',
+  version: '2023.0',
+  year: 2023,
+  region: 'BR',
+  citation: 'Programa Brasileiro GHG Protocol. Ferramenta de cálculo, versão 2023.0. FGV EAESP, 2023.',
+  url: 'https://eaesp.fgv.br/centros/centro-estudos-sustentabilidade/projetos/programa-brasileiro-ghg-protocol',
+  factors: {
+    bicycle: 0,
+    car: 0.12,                  // Average gasoline C / ethanol fleet
+    electricCar: Math.round(17 / 100 * CONFIG.FUEL_EMISSIONS.GRID_KG_PER_KWH * 10000) / 10000,   // 17 kWh/100km on the SIN grid
+    motorcycle: 0.07,           // 150cc motorcycle
+    bus: 0.089,                 // Intercity bus, per passenger-km
+    electricBus: Math.round(1.3 * CONFIG.FUEL_EMISSIONS.GRID_KG_PER_KWH / 30 * 10000) / 10000,   // 1.3 kWh/km shared by 30 passengers
+    train: 0.035,               // Per passenger-km
+    ferry: 0.019,               // Foot passenger, per passenger-km
+    plane: [
+      { maxKm: 1500, factor: 0.15 },   // Short haul: take-off and climb weigh more
+      { factor: 0.11 }
+    ],
+    truck: 0.96                 // Medium truck, per vehicle-km
+  }
+});
+
+FactorSets.register('defra-2023', {
+  name: 'DEFRA',
+  publisher: 'UK Department for Energy Security and Net Zero',
+  version: '2023',
+  year: 2023,
+  region: 'GB',
+  citation: 'UK Government GHG Conversion Factors for Company Reporting 2023, full set v1.1. DESNZ/DEFRA, 2023.',
+  url: 'https://www.gov.uk/government/publications/greenhouse-gas-reporting-conversion-factors-2023',
+  factors: {
+    bicycle: 0,
+    car: 0.17,                  // Average car, unknown fuel
+    electricCar: 0.047,         // Battery electric, UK grid
+    motorcycle: 0.113,          // Average motorbike
+    bus: 0.102,                 // Average local bus, per passenger-km
+    train: 0.035,               // National rail, per passenger-km
+    ferry: 0.019,               // Foot passenger, per passenger-km
+    plane: [
+      { maxKm: 500, factor: 0.183 },   // Domestic, without radiative forcing
+      { maxKm: 3700, factor: 0.151 },  // Short haul, average passenger
+      { factor: 0.148 }                // Long haul, average passenger
+    ],
+    truck: 0.86                 // All HGVs, average laden
+  }
+});
+
+FactorSets.register('defra-2023-br', {
+  base: 'defra-2023',
+  name: 'DEFRA (Brasil)',
+  region: 'BR',
+  citation: 'UK Government GHG Conversion Factors for Company Reporting 2023, full set v1.1, ' +
+    'with electric modes on the Brazilian grid (SIN).',
+  factors: {
+    electricCar: Math.round(17 / 100 * CONFIG.FUEL_EMISSIONS.GRID_KG_PER_KWH * 10000) / 10000
+  }
+});
+
+FactorSets.register('ipcc-2006', {
+  name: 'IPCC',
+  publisher: 'Intergovernmental Panel on Climate Change',
+  version: '2006',
+  year: 2006,
+  region: 'GLOBAL',
+  citation: '2006 IPCC Guidelines for National Greenhouse Gas Inventories, Volume 2, Chapter 3 (Mobile Combustion), ' +
+    'default CO2 factors applied to typical fuel consumption.',
+  url: 'https://www.ipcc-nggip.iges.or.jp/public/2006gl/vol2.html',
+  factors: {
+    bicycle: 0,
+    car: 0.18,                  // Gasoline, 8 l/100km
+    motorcycle: 0.07,           // Gasoline, 3 l/100km
+    bus: 0.04,                  // Diesel, 30 l/100km shared by 20 passengers
+    plane: [
+      { maxKm: 1500, factor: 0.13 },
+      { factor: 0.1 }
+    ],
+    truck: 0.88                 // Diesel, 33 l/100km
+  }
+});
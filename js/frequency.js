@@ -0,0 +1,135 @@
+/**
+ * TripFrequency - Recurring Trip Projections
+ *
+ * Builds on Calculator to project the emissions of a trip that repeats over
+ * time, such as a daily commute. Takes round-trip/one-way, a number of trips
+ * per day, week or month, and a time horizon in months, and projects weekly,
+ * monthly and annual emissions, savings versus car and carbon credits.
+ */
+
+const TripFrequency = {
+  /**
+   * Normalize raw frequency options, filling defaults
+   *
+   * @param {Object} options - Raw options:
+   *   - roundTrip: boolean (each trip includes the return)
+   *   - trips: number (trips per period)
+   *   - period: string ('once', 'day', 'week' or 'month')
+   *   - horizonMonths: number (projection horizon)
+   * @returns {Object} Normalized options { roundTrip, trips, period, horizonMonths }
+   */
+  normalize: function(options = {}) {
+    const period = options.period in CONFIG.TRIP_FREQUENCY.PERIODS_PER_YEAR ? options.period : 'once';
+    const trips = parseFloat(options.trips);
+    const horizonMonths = parseFloat(options.horizonMonths);
+
+    return {
+      roundTrip: Boolean(options.roundTrip),
+      trips: period === 'once' ? 1 : (trips > 0 ? trips : 1),
+      period: period,
+      horizonMonths: horizonMonths > 0 ? horizonMonths : CONFIG.TRIP_FREQUENCY.DEFAULT_HORIZON_MONTHS
+    };
+  },
+
+  /**
+   * Check whether the options describe a trip that repeats over time
+   *
+   * @param {Object} options - Frequency options
+   * @returns {boolean} True for daily, weekly or monthly trips
+   */
+  isRecurring: function(options) {
+    return this.normalize(options).period !== 'once';
+  },
+
+  /**
+   * Count one-way journeys per year
+   *
+   * Formula: trips per period × periods per year × (2 if round trip)
+   *
+   * @param {Object} options - Frequency options
+   * @returns {number} One-way journeys per year (0 for a one-off trip)
+   */
+  getJourneysPerYear: function(options) {
+    const normalized = this.normalize(options);
+
+    if (normalized.period === 'once') {
+      return 0;
+    }
+
+    const periodsPerYear = CONFIG.TRIP_FREQUENCY.PERIODS_PER_YEAR[normalized.period];
+    return normalized.trips * periodsPerYear * (normalized.roundTrip ? 2 : 1);
+  },
+
+  /**
+   * Project the emissions of a trip according to its frequency
+   *
+   * The single trip emission is for one way; round trips double it. Weekly,
+   * monthly and annual totals are derived from the annual journey count, and
+   * the horizon total covers horizonMonths.
+   *
+   * @param {Object} trip - Single one-way trip data:
+   *   - emission: number (kg CO2 for the chosen mode)
+   *   - carEmission: number (kg CO2 for the same trip by car)
+   * @param {Object} options - Frequency options (see normalize()), plus the
+   *   currency of the horizon offset price (optional, default BRL)
+   * @returns {Object} Projection:
+   *   {
+   *     roundTrip, trips, period, horizonMonths, recurring, journeysPerYear,
+   *     perTrip: { emission, savings },
+   *     weekly, monthly, annual: { emission, savings } (null when not recurring),
+   *     horizon: { emission, savings, credits, price } (null when not recurring)
+   *   }
+   */
+  project: function(trip, options) {
+    const normalized = this.normalize(options);
+    const recurring = normalized.period !== 'once';
+    const legsPerTrip = normalized.roundTrip ? 2 : 1;
+
+    // Build emission and savings vs car for a number of one-way journeys
+    const totalsFor = (journeys) => {
+      const emission = Math.round(trip.emission * journeys * 100) / 100;
+      const carEmission = trip.carEmission * journeys;
+
+      return {
+        emission: emission,
+        savings: Calculator.calculateSavings(emission, carEmission)
+      };
+    };
+
+    const projection = Object.assign({}, normalized, {
+      recurring: recurring,
+      journeysPerYear: 0,
+      perTrip: totalsFor(legsPerTrip),
+      weekly: null,
+      monthly: null,
+      annual: null,
+      horizon: null
+    });
+
+    if (!recurring) {
+      return projection;
+    }
+
+    const journeysPerYear = this.getJourneysPerYear(normalized);
+    const horizonJourneys = journeysPerYear * normalized.horizonMonths / CONFIG.TRIP_FREQUENCY.MONTHS_PER_YEAR;
+
+    projection.journeysPerYear = journeysPerYear;
+    projection.weekly = totalsFor(journeysPerYear / CONFIG.TRIP_FREQUENCY.WEEKS_PER_YEAR);
+    projection.monthly = totalsFor(journeysPerYear / CONFIG.TRIP_FREQUENCY.MONTHS_PER_YEAR);
+    projection.annual = totalsFor(journeysPerYear);
+    projection.horizon = totalsFor(horizonJourneys);
+
+    // Carbon credits needed to offset the whole horizon
+    projection.horizon.credits = Calculator.calculateCarbonCredits(projection.horizon.emission);
+    projection.horizon.price = Calculator.estimateCreditPrice(projection.horizon.credits, options && options.currency);
+
+    return projection;
+  }
+};
+
+// Node: export the module and load the modules it uses (see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.TripFrequency = TripFrequency;
+  require('./config');
+  require('./calculator');
+}
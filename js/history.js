@@ -0,0 +1,242 @@
+/**
+ * CalculationHistory - Saved Calculations
+ *
+ * Persists every calculation in localStorage so it survives page reloads,
+ * and provides filtering and cumulative totals by transport mode and by
+ * month for the history panel.
+ *
+ * Structure of an entry:
+ * - id: Unique entry id
+ * - timestamp: ISO 8601 date of the calculation
+ * - origin / destination: First origin and final destination of the trip
+ * - mode: Transport mode key (null when the legs use different modes)
+ * - distance: Total distance in kilometers
+ * - emission: Total CO2 emissions in kg
+ * - credits: Carbon credits for the emissions
+ * - factorSet: { key, version } of the emission factor set chosen
+ * - legs: [{ origin, destination, mode, distance, manual, emission, factorSet }]
+ *   factorSet is the { key, version } the leg's factor came from (null for
+ *   vehicle profiles; missing in entries saved before it was recorded)
+ */
+
+const CalculationHistory = {
+  /**
+   * localStorage key holding the saved entries
+   */
+  STORAGE_KEY: 'co2-calculator-history',
+
+  /**
+   * Maximum number of entries kept; the oldest are dropped first
+   */
+  MAX_ENTRIES: 200,
+
+  /**
+   * Read the saved entries
+   *
+   * @returns {Array<Object>} Entries, newest first (empty if storage is unavailable)
+   */
+  load: function() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.error('Could not read calculation history:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Write the entries to localStorage
+   *
+   * @param {Array<Object>} entries - Entries, newest first
+   * @returns {boolean} True if the entries were saved
+   */
+  save: function(entries) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries.slice(0, this.MAX_ENTRIES)));
+      return true;
+    } catch (error) {
+      console.error('Could not save calculation history:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Build a history entry from a calculation result
+   *
+   * @param {Object} result - Object returned by Calculator.calculateTrip()
+   * @param {Date} date - Date of the calculation (default: now)
+   * @returns {Object} History entry (see module header)
+   */
+  createEntry: function(result, date = new Date()) {
+    return {
+      id: `${date.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: date.toISOString(),
+      origin: result.origin,
+      destination: result.destination,
+      mode: result.mode,
+      distance: result.distance,
+      emission: result.emission,
+      credits: result.credits,
+      factorSet: { key: result.factorSet.key, version: result.factorSet.version },
+      legs: result.legs.map(leg => ({
+        origin: leg.origin,
+        destination: leg.destination,
+        mode: leg.mode,
+        distance: leg.distance,
+        manual: leg.manual,
+        emission: leg.emission,
+        factorSet: leg.factorSource ? { key: leg.factorSource.key, version: leg.factorSource.version } : null
+      }))
+    };
+  },
+
+  /**
+   * Save a new entry at the top of the history
+   *
+   * @param {Object} entry - Entry from createEntry()
+   * @returns {Array<Object>} Updated entries
+   */
+  add: function(entry) {
+    const entries = [entry].concat(this.load()).slice(0, this.MAX_ENTRIES);
+    this.save(entries);
+    return entries;
+  },
+
+  /**
+   * Find an entry by id
+   *
+   * @param {string} id - Entry id
+   * @returns {Object|null} Entry, null if not found
+   */
+  find: function(id) {
+    return this.load().find(entry => entry.id === id) || null;
+  },
+
+  /**
+   * Delete an entry
+   *
+   * @param {string} id - Entry id
+   * @returns {Array<Object>} Remaining entries
+   */
+  remove: function(id) {
+    const entries = this.load().filter(entry => entry.id !== id);
+    this.save(entries);
+    return entries;
+  },
+
+  /**
+   * Delete every entry
+   */
+  clear: function() {
+    try {
+      localStorage.removeItem(this.STORAGE_KEY);
+    } catch (error) {
+      console.error('Could not clear calculation history:', error);
+    }
+  },
+
+  /**
+   * Get the month key of an entry in local time
+   *
+   * @param {Object} entry - History entry
+   * @returns {string} Month as "YYYY-MM" (same format as <input type="month">)
+   */
+  getMonthKey: function(entry) {
+    const date = new Date(entry.timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  },
+
+  /**
+   * Filter entries
+   *
+   * A mode filter matches entries with any leg in that mode. The text
+   * filter matches any city of the trip, ignoring accents and case.
+   *
+   * @param {Array<Object>} entries - Entries to filter
+   * @param {Object} filters - { mode, month, query } (empty values are ignored)
+   * @returns {Array<Object>} Matching entries, in the same order
+   */
+  filter: function(entries, filters = {}) {
+    const query = filters.query ? CitySearch.stripDiacritics(filters.query).toLowerCase().trim() : '';
+
+    return entries.filter(entry => {
+      if (filters.mode && !entry.legs.some(leg => leg.mode === filters.mode)) {
+        return false;
+      }
+
+      if (filters.month && this.getMonthKey(entry) !== filters.month) {
+        return false;
+      }
+
+      if (query) {
+        const cities = Itinerary.getStops(entry.legs).join(' ');
+        return CitySearch.stripDiacritics(cities).toLowerCase().includes(query);
+      }
+
+      return true;
+    });
+  },
+
+  /**
+   * Sum distance, emissions and credits per transport mode
+   * Mixed-mode trips add each leg's distance and emissions under its own mode,
+   * and count once under every mode they use, however many legs share it
+   *
+   * @param {Array<Object>} entries - Entries to total
+   * @returns {Array<Object>} [{ mode, trips, distance, emission, credits }], highest emission first
+   */
+  getTotalsByMode: function(entries) {
+    const totals = {};
+
+    entries.forEach(entry => {
+      const counted = [];
+
+      entry.legs.forEach(leg => {
+        const total = totals[leg.mode] || (totals[leg.mode] = { mode: leg.mode, trips: 0, distance: 0, emission: 0 });
+
+        if (!counted.includes(leg.mode)) {
+          counted.push(leg.mode);
+          total.trips += 1;
+        }
+
+        total.distance += leg.distance;
+        total.emission += leg.emission;
+      });
+    });
+
+    return Object.values(totals)
+      .map(total => Object.assign(total, {
+        distance: Math.round(total.distance * 100) / 100,
+        emission: Math.round(total.emission * 100) / 100,
+        credits: Calculator.calculateCarbonCredits(total.emission)
+      }))
+      .sort((a, b) => b.emission - a.emission);
+  },
+
+  /**
+   * Sum distance, emissions and credits per calendar month
+   *
+   * @param {Array<Object>} entries - Entries to total
+   * @returns {Array<Object>} [{ month, trips, distance, emission, credits }], newest month first
+   */
+  getTotalsByMonth: function(entries) {
+    const totals = {};
+
+    entries.forEach(entry => {
+      const month = this.getMonthKey(entry);
+      const total = totals[month] || (totals[month] = { month: month, trips: 0, distance: 0, emission: 0 });
+      total.trips += 1;
+      total.distance += entry.distance;
+      total.emission += entry.emission;
+    });
+
+    return Object.values(totals)
+      .map(total => Object.assign(total, {
+        distance: Math.round(total.distance * 100) / 100,
+        emission: Math.round(total.emission * 100) / 100,
+        credits: Calculator.calculateCarbonCredits(total.emission)
+      }))
+      .sort((a, b) => b.month.localeCompare(a.month));
+  }
+};
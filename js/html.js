@@ -0,0 +1,124 @@
+/**
+ * SafeHTML - Escaping HTML Templates
+ *
+ * Builds HTML from tagged template literals, escaping every interpolated
+ * value unless it is itself a fragment built by this module. Renderers use it
+ * so text typed by the user (city names, imported files, saved history) is
+ * always shown as text and can never inject markup or scripts.
+ *
+ * Example:
+ *   const html = SafeHTML.html;
+ *   element.innerHTML = html`<span class="results__city">${origin}</span>`;
+ *
+ * Interpolated values:
+ * - fragments (from html, raw or join) are inserted as they are
+ * - arrays are inserted item by item, each one following these rules
+ * - null, undefined and false are inserted as nothing
+ * - anything else is converted to a string and escaped
+ */
+
+const SafeHTML = {
+  /**
+   * Characters replaced by escape(), with their entities
+   */
+  ENTITIES: {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  },
+
+  /**
+   * Escape text for use in HTML content or quoted attribute values
+   *
+   * @param {*} value - Value to escape (converted to a string)
+   * @returns {string} Escaped text
+   */
+  escape: function(value) {
+    return String(value).replace(/[&<>"']/g, character => SafeHTML.ENTITIES[character]);
+  },
+
+  /**
+   * Fragments built by raw()
+   * Trust comes from membership, not from a property, so an object parsed
+   * from JSON (saved history, imported files) can't pass for a fragment.
+   */
+  fragments: new WeakSet(),
+
+  /**
+   * Mark markup as safe, so it is inserted without escaping
+   * Only for markup written in the code or built by this module, never for user input.
+   *
+   * @param {string} markup - Trusted HTML
+   * @returns {Object} Frozen fragment; converts to its markup with String() or innerHTML
+   */
+  raw: function(markup) {
+    const fragment = Object.freeze({
+      markup: String(markup),
+      toString: function() {
+        return this.markup;
+      }
+    });
+
+    SafeHTML.fragments.add(fragment);
+    return fragment;
+  },
+
+  /**
+   * Check whether a value is a fragment built by this module
+   *
+   * @param {*} value - Any value
+   * @returns {boolean} True for fragments
+   */
+  isSafe: function(value) {
+    return SafeHTML.fragments.has(value);
+  },
+
+  /**
+   * Convert an interpolated value to markup (see the rules at the top)
+   *
+   * @param {*} value - Interpolated value
+   * @returns {string} Markup
+   */
+  toMarkup: function(value) {
+    if (value === null || value === undefined || value === false) {
+      return '';
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => SafeHTML.toMarkup(item)).join('');
+    }
+
+    return SafeHTML.isSafe(value) ? value.markup : SafeHTML.escape(value);
+  },
+
+  /**
+   * Template tag building a fragment from trusted markup and escaped values
+   * Does not depend on "this", so it can be taken as a local alias.
+   *
+   * @param {Array<string>} strings - Literal parts of the template
+   * @param {...*} values - Interpolated values
+   * @returns {Object} Fragment
+   */
+  html: function(strings, ...values) {
+    return SafeHTML.raw(strings.reduce((markup, string, i) =>
+      markup + string + (i < values.length ? SafeHTML.toMarkup(values[i]) : ''), ''));
+  },
+
+  /**
+   * Join values into a fragment, separated by trusted markup
+   *
+   * @param {Array<*>} values - Values (fragments are kept, the rest is escaped)
+   * @param {string} separator - Trusted HTML placed between values (default: none)
+   * @returns {Object} Fragment
+   */
+  join: function(values, separator = '') {
+    return SafeHTML.raw(values.map(value => SafeHTML.toMarkup(value)).join(separator));
+  }
+};
+
+// Node: export the module (used by the tests; see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.SafeHTML = SafeHTML;
+}
@@ -0,0 +1,302 @@
+/**
+ * I18n - Internationalization
+ *
+ * Looks up interface text in the MESSAGES catalog and formats numbers,
+ * currencies and dates for the selected locale. The locale and the currency
+ * of offset prices are chosen by the user and saved in localStorage.
+ *
+ * Static page text is translated from data attributes (see translatePage):
+ * - data-i18n: text content
+ * - data-i18n-html: HTML content (catalog messages only, never user input)
+ * - data-i18n-placeholder / data-i18n-aria-label: attributes
+ *
+ * Changing the locale or the currency dispatches a "localechange" event on
+ * document, so dynamic text can be rendered again.
+ */
+
+const I18n = {
+  /**
+   * Locale used when no preference is saved and the browser language is
+   * not supported; also the fallback catalog for missing messages
+   */
+  DEFAULT_LOCALE: 'pt-BR',
+
+  /**
+   * Supported locales with their native name and default currency
+   */
+  LOCALES: {
+    'pt-BR': { label: 'Português', currency: 'BRL' },
+    'en-US': { label: 'English', currency: 'USD' },
+    'es-ES': { label: 'Español', currency: 'EUR' }
+  },
+
+  /**
+   * localStorage key for the saved preferences
+   */
+  STORAGE_KEY: 'co2-calculator-preferences',
+
+  /**
+   * Current locale and currency, set by init()
+   */
+  locale: 'pt-BR',
+  currency: 'BRL',
+
+  /**
+   * Load the saved preferences, or detect the locale from the browser
+   * The currency defaults to the one of the locale
+   */
+  init: function() {
+    let saved = {};
+
+    try {
+      saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+    } catch (error) {
+      console.warn('Could not read language preferences:', error);
+    }
+
+    this.locale = this.resolveLocale(saved.locale) ||
+      (navigator.languages || [navigator.language]).map(language => this.resolveLocale(language)).find(Boolean) ||
+      this.DEFAULT_LOCALE;
+    this.currency = saved.currency in CONFIG.CURRENCIES ? saved.currency : this.LOCALES[this.locale].currency;
+  },
+
+  /**
+   * Match a language tag to a supported locale
+   * Exact tags win; otherwise the language alone is matched (e.g. "en-GB" -> "en-US")
+   *
+   * @param {string} tag - BCP 47 language tag
+   * @returns {string|null} Supported locale, null when none matches
+   */
+  resolveLocale: function(tag) {
+    if (typeof tag !== 'string' || !tag) {
+      return null;
+    }
+
+    if (tag in this.LOCALES) {
+      return tag;
+    }
+
+    const language = tag.split('-')[0].toLowerCase();
+    return Object.keys(this.LOCALES).find(locale => locale.split('-')[0] === language) || null;
+  },
+
+  /**
+   * Translate a message key
+   *
+   * @param {string} key - Message key (e.g., 'form.origin')
+   * @param {Object} params - Values for the {placeholders} in the message (optional)
+   * @returns {string} Translated message; the default locale's message when
+   *   missing in the current locale, or the key itself when missing in both
+   */
+  t: function(key, params = {}) {
+    const messages = MESSAGES[this.locale] || {};
+    const message = key in messages ? messages[key] : MESSAGES[this.DEFAULT_LOCALE][key];
+
+    if (message === undefined) {
+      console.warn(`Missing message: ${key}`);
+      return key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      name in params ? String(params[name]) : placeholder
+    );
+  },
+
+  /**
+   * Check whether a message key exists in the catalog
+   *
+   * @param {string} key - Message key
+   * @returns {boolean} True if the default locale defines the key
+   */
+  has: function(key) {
+    return key in MESSAGES[this.DEFAULT_LOCALE];
+  },
+
+  /**
+   * Get a message in every supported locale
+   * Used to recognize text typed in any language (e.g. mode names in imports)
+   *
+   * @param {string} key - Message key
+   * @returns {Array<string>} Messages, without duplicates
+   */
+  translations: function(key) {
+    const messages = Object.keys(this.LOCALES)
+      .map(locale => (MESSAGES[locale] || {})[key])
+      .filter(message => message !== undefined);
+
+    return Array.from(new Set(messages));
+  },
+
+  /**
+   * @returns {string} Current locale
+   */
+  getLocale: function() {
+    return this.locale;
+  },
+
+  /**
+   * Change the locale, save it and translate the page
+   *
+   * @param {string} locale - Supported locale
+   * @returns {boolean} True if the locale was changed
+   */
+  setLocale: function(locale) {
+    if (!(locale in this.LOCALES)) {
+      return false;
+    }
+
+    this.locale = locale;
+    this.save();
+    this.translatePage();
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale: this.locale, currency: this.currency } }));
+    return true;
+  },
+
+  /**
+   * @returns {string} Currency code of offset prices (a CONFIG.CURRENCIES key)
+   */
+  getCurrency: function() {
+    return this.currency;
+  },
+
+  /**
+   * Change the currency of offset prices and save it
+   *
+   * @param {string} currency - Currency code (a CONFIG.CURRENCIES key)
+   * @returns {boolean} True if the currency was changed
+   */
+  setCurrency: function(currency) {
+    if (!(currency in CONFIG.CURRENCIES)) {
+      return false;
+    }
+
+    this.currency = currency;
+    this.save();
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale: this.locale, currency: this.currency } }));
+    return true;
+  },
+
+  /**
+   * Run a function in another locale, then restore the current one
+   * Lets part of a page (e.g. a <carbon-calculator> element) use its own
+   * language; nothing is saved and no "localechange" event is dispatched.
+   *
+   * @param {string} locale - Locale or language tag (unsupported values keep the current locale)
+   * @param {Function} callback - Function to run
+   * @returns {*} Value returned by the callback
+   */
+  withLocale: function(locale, callback) {
+    const current = this.locale;
+    this.locale = this.resolveLocale(locale) || current;
+
+    try {
+      return callback();
+    } finally {
+      this.locale = current;
+    }
+  },
+
+  /**
+   * Save the locale and currency to localStorage
+   */
+  save: function() {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ locale: this.locale, currency: this.currency }));
+    } catch (error) {
+      // Private mode or storage disabled: the choice lasts until the page is closed
+      console.warn('Could not save language preferences:', error);
+    }
+  },
+
+  /**
+   * Format a number with the locale's separators
+   *
+   * @param {number} number - Number to format
+   * @param {number} decimals - Number of decimal places (default: 2)
+   * @returns {string} Formatted number (e.g., "1.234,56" in pt-BR, "1,234.56" in en-US)
+   */
+  formatNumber: function(number, decimals = 2) {
+    return number.toLocaleString(this.locale, {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    });
+  },
+
+  /**
+   * Format a value as currency
+   *
+   * @param {number} value - Value to format
+   * @param {string} currency - Currency code (default: selected currency)
+   * @returns {string} Formatted currency (e.g., "R$ 1.234,56", "$1,234.56")
+   */
+  formatCurrency: function(value, currency = this.currency) {
+    return value.toLocaleString(this.locale, {
+      style: 'currency',
+      currency: currency,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+  },
+
+  /**
+   * Format a duration in hours and minutes
+   *
+   * @param {number} hours - Duration in hours
+   * @returns {string} Formatted duration (e.g., "45 min", "7 h 10 min", "1.234 h" in pt-BR)
+   */
+  formatDuration: function(hours) {
+    const minutes = Math.round(hours * 60);
+
+    if (minutes < 60) {
+      return `${minutes} min`;
+    }
+
+    const rest = minutes % 60;
+    return `${this.formatNumber(Math.floor(minutes / 60), 0)} h${rest > 0 ? ` ${rest} min` : ''}`;
+  },
+
+  /**
+   * Format a date
+   *
+   * @param {Date|string|number} date - Date, ISO string or timestamp
+   * @param {Object} options - Intl.DateTimeFormat options
+   * @returns {string} Formatted date
+   */
+  formatDate: function(date, options) {
+    return new Date(date).toLocaleString(this.locale, options);
+  },
+
+  /**
+   * Translate the static text of the page from its data-i18n attributes
+   *
+   * @param {ParentNode} root - Element or shadow root to translate (default: whole document)
+   */
+  translatePage: function(root = document) {
+    if (root === document) {
+      document.documentElement.lang = this.locale;
+    }
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+      element.innerHTML = this.t(element.dataset.i18nHtml);
+    });
+
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = this.t(element.dataset.i18nPlaceholder);
+    });
+
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+      element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+    });
+  }
+};
+
+// Node: export the module and load the modules it uses (see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.I18n = I18n;
+  require('./messages');
+  require('./config');
+}
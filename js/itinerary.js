@@ -0,0 +1,178 @@
+/**
+ * Itinerary - Multi-leg Trip Model
+ *
+ * Represents a trip as an ordered list of legs, each with its own origin,
+ * destination, transport mode and distance. Consecutive legs are chained:
+ * the destination of one leg is the origin of the next.
+ *
+ * Structure of a leg:
+ * - origin: City name with state (e.g., "Campinas, SP")
+ * - destination: City name with state
+ * - mode: Transport mode key registered in TransportModes
+ * - distance: Distance in kilometers (from RoutesDB or manual entry)
+ * - manual: true when the distance was typed by the user
+ * - estimated: true when RoutesDB had no direct route for the pair
+ * - method: How RoutesDB resolved the distance ('direct', 'graph', 'greatCircle'),
+ *   null for manual or unresolved distances
+ * - vehicle: Vehicle profile used instead of the mode's average factor (optional)
+ * - load: { passengers, cargoTonnes } carried on the leg (optional, defaults per mode)
+ */
+
+const Itinerary = {
+  /**
+   * Create a leg object
+   * When no manual distance is given, the distance is looked up in RoutesDB
+   *
+   * @param {string} origin - Origin city name
+   * @param {string} destination - Destination city name
+   * @param {string} mode - Transport mode key
+   * @param {number} manualDistance - Distance typed by the user (optional)
+   * @returns {Object} Leg object { origin, destination, mode, distance, manual, estimated, method }
+   */
+  createLeg: function(origin, destination, mode, manualDistance) {
+    const manual = typeof manualDistance === 'number' && !isNaN(manualDistance);
+    const route = manual ? null : this.resolveRoute(origin, destination, mode);
+
+    return {
+      origin: origin.trim(),
+      destination: destination.trim(),
+      mode: mode,
+      distance: manual ? manualDistance : (route ? route.distanceKm : null),
+      manual: manual,
+      estimated: route ? route.estimated : false,
+      method: route ? route.method : null
+    };
+  },
+
+  /**
+   * Look up the route between two cities in RoutesDB
+   *
+   * @param {string} origin - Origin city name
+   * @param {string} destination - Destination city name
+   * @param {string} mode - Transport mode key (affects estimated distances)
+   * @returns {Object|null} Route from RoutesDB.findRoute(), or null if unknown
+   */
+  resolveRoute: function(origin, destination, mode) {
+    if (!origin || !origin.trim() || !destination || !destination.trim()) {
+      return null;
+    }
+
+    return RoutesDB.findRoute(origin, destination, mode);
+  },
+
+  /**
+   * Look up the distance between two cities in RoutesDB
+   *
+   * @param {string} origin - Origin city name
+   * @param {string} destination - Destination city name
+   * @param {string} mode - Transport mode key (affects estimated distances)
+   * @returns {number|null} Distance in kilometers, or null if unknown
+   */
+  resolveDistance: function(origin, destination, mode) {
+    const route = this.resolveRoute(origin, destination, mode);
+    return route ? route.distanceKm : null;
+  },
+
+  /**
+   * Look up the distance between two cities in every transport mode
+   * Flights and boats don't follow the roads, so each mode is resolved again.
+   *
+   * @param {string} origin - Origin city name
+   * @param {string} destination - Destination city name
+   * @returns {Object} Distance in kilometers keyed by mode (modes without a route are left out)
+   */
+  getModeDistances: function(origin, destination) {
+    const distances = {};
+
+    TransportModes.getKeys().forEach(mode => {
+      const distance = this.resolveDistance(origin, destination, mode);
+      if (distance !== null) {
+        distances[mode] = distance;
+      }
+    });
+
+    return distances;
+  },
+
+  /**
+   * Validate a single leg
+   *
+   * @param {Object} leg - Leg object
+   * @returns {Object} Map of leg field name to error message (empty if valid)
+   */
+  validateLeg: function(leg) {
+    const errors = {};
+
+    if (!leg.origin) {
+      errors.origin = I18n.t('error.origin');
+    }
+
+    if (!leg.destination) {
+      errors.destination = I18n.t('error.destination');
+    } else if (leg.origin && CitySearch.normalize(leg.origin) === CitySearch.normalize(leg.destination)) {
+      errors.destination = I18n.t('error.sameCity');
+    }
+
+    if (leg.distance === null || isNaN(leg.distance)) {
+      if (!errors.origin && !errors.destination) {
+        errors.distance = I18n.t('error.legRouteNotFound');
+      }
+    } else if (leg.distance <= 0) {
+      errors.distance = I18n.t('error.distancePositive');
+    }
+
+    if (!TransportModes.has(leg.mode)) {
+      errors.mode = I18n.t('error.mode');
+    }
+
+    return errors;
+  },
+
+  /**
+   * Validate every leg of an itinerary
+   *
+   * @param {Array<Object>} legs - Ordered list of legs
+   * @returns {Object} { valid: boolean, errors: Array<Object> } (one error map per leg)
+   */
+  validate: function(legs) {
+    const errors = legs.map(leg => this.validateLeg(leg));
+
+    return {
+      valid: legs.length > 0 && errors.every(legErrors => Object.keys(legErrors).length === 0),
+      errors: errors
+    };
+  },
+
+  /**
+   * List the cities visited by the itinerary, in order
+   *
+   * @param {Array<Object>} legs - Ordered list of legs
+   * @returns {Array<string>} Stops from first origin to final destination
+   */
+  getStops: function(legs) {
+    if (legs.length === 0) {
+      return [];
+    }
+
+    return [legs[0].origin].concat(legs.map(leg => leg.destination));
+  },
+
+  /**
+   * Check whether the itinerary uses more than one transport mode
+   *
+   * @param {Array<Object>} legs - Ordered list of legs
+   * @returns {boolean} True if legs use different modes
+   */
+  isMixedMode: function(legs) {
+    return new Set(legs.map(leg => leg.mode)).size > 1;
+  }
+};
+
+// Node: export the module and load the modules it uses (see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.Itinerary = Itinerary;
+  require('./i18n');
+  require('./city-search');
+  require('./routes-data');
+  require('./modes');
+}
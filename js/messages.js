@@ -0,0 +1,1253 @@
+/**
+ * MESSAGES - Message Catalog
+ *
+ * Every piece of interface text, keyed by locale and then by message key.
+ * Keys are grouped by the part of the page that uses them (form, results,
+ * history...). Messages may hold {placeholders}, filled by I18n.t().
+ *
+ * pt-BR is the reference catalog: keys missing from another locale fall
+ * back to it (see I18n.t).
+ */
+
+const MESSAGES = {
+  'pt-BR': {
+    // Page
+    'app.title': '🍃 Calculadora de Emissão de CO2',
+    'app.subtitle': 'Calcule as emissões estimadas de CO2 com base na rota e no modo de transporte.',
+    'app.footer': 'Desenvolvido com ❤️ para a DIO | Projeto GitHub Copilot do Denny',
+    'app.locale': 'Idioma',
+    'app.currency': 'Moeda',
+
+    // Trip form
+    'form.legend': 'Dados da Viagem',
+    'form.origin': 'Origem',
+    'form.originPlaceholder': 'Digite a cidade de origem',
+    'form.destination': 'Destino',
+    'form.destinationPlaceholder': 'Digite a cidade de destino',
+    'form.distance': 'Distância (km)',
+    'form.manualDistance': 'inserir distância manualmente',
+    'form.transport': 'Modo de transporte',
+    'form.load': 'Ocupação e carga',
+    'form.passengers': 'Pessoas no veículo',
+    'form.cargo': 'Carga (toneladas)',
+    'form.functionalUnit': 'Comparar modos',
+    'form.factorSet': 'Fatores de emissão',
+    'form.loadHelper': 'Em branco, usa a ocupação média do modo de transporte',
+    'form.average': 'Média: {value}',
+    'form.vehicle': 'Perfil do veículo',
+    'form.useVehicle': 'usar o consumo do meu carro',
+    'form.fuel': 'Combustível',
+    'form.consumption': 'Consumo (km/l)',
+    'form.consumptionPlaceholder': 'Ex.: 12',
+    'form.ethanolShare': 'Abastecimentos com etanol (%)',
+    'form.electricConsumption': 'Consumo elétrico (kWh/100km)',
+    'form.electricConsumptionPlaceholder': 'Ex.: 15',
+    'form.electricShare': 'Km rodados no modo elétrico (%)',
+    'form.vehicleFactor': '≈ {factor} kg CO₂/km, aplicado aos trechos feitos de carro',
+    'form.vehicleFactorHint': 'Aplicado aos trechos feitos de carro',
+    'form.legs': 'Etapas adicionais',
+    'form.legsHelper': 'Continue a viagem a partir do destino com outro modo de transporte',
+    'form.addLeg': '+ Adicionar etapa',
+    'form.frequency': 'Frequência da viagem',
+    'form.roundTrip': 'ida e volta',
+    'form.tripCount': 'Viagens',
+    'form.tripPeriod': 'Período',
+    'form.tripHorizon': 'Horizonte (meses)',
+    'form.budget': 'Orçamento de carbono',
+    'form.noBudget': 'Nenhum',
+    'form.submit': 'Calcular Emissão',
+    'form.calculating': 'Calculando...',
+
+    // Distance autofill helper
+    'distance.auto': 'A distância será preenchida automaticamente',
+    'distance.found': '✓ Distância encontrada automaticamente',
+    'distance.estimated.ground': '≈ Distância estimada em linha reta com fator de sinuosidade da estrada',
+    'distance.estimated.air': '≈ Distância de voo estimada em linha reta, com acréscimo de aproximação dos aeroportos',
+    'distance.estimated.water': '≈ Distância estimada em linha reta com fator de sinuosidade da via navegável',
+    'distance.via': '✓ Rota estimada via {cities}',
+    'distance.notFound': '⚠ Rota não encontrada. Marque "inserir distância manualmente" para prosseguir.',
+    'distance.suggestion': ' Você quis dizer {cities}?',
+    'distance.manual': 'Digite a distância manualmente em quilômetros',
+
+    // Additional legs
+    'leg.title': 'Etapa {number}',
+    'leg.from': 'saindo de {origin}',
+    'leg.remove': 'Remover etapa {number}',
+    'leg.mode': 'Modo',
+    'leg.distancePlaceholder': 'Automática',
+
+    // Validation
+    'error.origin': 'Informe a cidade de origem',
+    'error.destination': 'Informe a cidade de destino',
+    'error.sameCity': 'O destino deve ser diferente da origem',
+    'error.manualDistance': 'Digite a distância em quilômetros',
+    'error.routeNotFound': 'Rota não encontrada. Marque "inserir distância manualmente" para prosseguir',
+    'error.legRouteNotFound': 'Rota não encontrada. Informe a distância manualmente',
+    'error.cliUseKm': 'Use --km para informar a distância.',
+    'error.distancePositive': 'A distância deve ser maior que zero',
+    'error.ambiguousDistance': 'Distância ambígua: "{distance}". Use vírgula para decimais ou escreva o número sem ponto de milhar',
+    'error.mode': 'Selecione um modo de transporte',
+    'error.passengers': 'Informe ao menos 1 pessoa',
+    'error.cargo': 'A carga não pode ser negativa',
+    'error.tripCount': 'Informe quantas viagens por período',
+    'error.tripHorizon': 'Informe o horizonte em meses',
+    'error.fuel': 'Selecione o combustível do veículo',
+    'error.consumption': 'Informe o consumo em km/l',
+    'error.electricConsumption': 'Informe o consumo em kWh/100km',
+    'error.share': 'Informe uma porcentagem entre 0 e 100',
+    'error.calculation': 'Não foi possível calcular a emissão. Tente novamente.',
+
+    // Transport modes
+    'mode.bicycle': 'Bicicleta',
+    'mode.car': 'Carro',
+    'mode.electricCar': 'Carro elétrico',
+    'mode.motorcycle': 'Moto',
+    'mode.bus': 'Ônibus',
+    'mode.electricBus': 'Ônibus elétrico',
+    'mode.train': 'Trem',
+    'mode.ferry': 'Balsa/Barco',
+    'mode.plane': 'Avião',
+    'mode.truck': 'Caminhão',
+    'mode.mixed': 'Misto',
+
+    // Vehicle profiles
+    'fuel.gasoline': 'Gasolina',
+    'fuel.ethanol': 'Etanol',
+    'fuel.flex': 'Flex (gasolina/etanol)',
+    'fuel.diesel': 'Diesel',
+    'fuel.electric': 'Elétrico',
+    'fuel.hybrid': 'Híbrido plug-in',
+    'vehicle.ethanolShare': '{share} etanol',
+    'vehicle.electricShare': '{share} elétrico',
+
+    // Functional units
+    'unit.vehicle.label': 'Veículo (total)',
+    'unit.vehicle.unit': 'kg CO₂',
+    'unit.passenger.label': 'Por passageiro',
+    'unit.passenger.unit': 'kg CO₂/passageiro',
+    'unit.tonne-km.label': 'Por tonelada-km',
+    'unit.tonne-km.unit': 'kg CO₂/t·km',
+
+    // Trip frequency periods
+    'period.once': 'uma vez',
+    'period.day': 'por dia útil',
+    'period.week': 'por semana',
+    'period.month': 'por mês',
+
+    // Currencies
+    'currency.BRL': 'Real (R$)',
+    'currency.USD': 'Dólar (US$)',
+    'currency.EUR': 'Euro (€)',
+
+    // Shared table headings
+    'table.mode': 'Modo',
+    'table.month': 'Mês',
+    'table.trips': 'Viagens',
+    'table.distance': 'Distância',
+    'table.emission': 'Emissão',
+    'table.credits': 'Créditos',
+    'table.route': 'Rota',
+    'table.leg': 'Trecho',
+    'table.line': 'Linha',
+    'table.total': 'Total',
+    'table.gas': 'Gás',
+    'table.mass': 'Massa',
+    'table.vsCar': 'vs carro',
+
+    // Results
+    'results.distance': 'Distância',
+    'results.estimatedGreatCircle': 'estimada em linha reta com fator de sinuosidade',
+    'results.estimatedGraph': 'estimada por rotas conectadas',
+    'results.factorSource': 'Fonte: {source}',
+    'results.gases': 'Gases de efeito estufa',
+    'results.scope': 'Escopo',
+    'results.scope.ttw': 'Tanque à roda (TTW)',
+    'results.scope.wtw': 'Poço à roda (WTW)',
+    'results.scopeHelp.ttw': 'Emissões da queima do combustível no veículo',
+    'results.scopeHelp.wtw': 'Inclui a produção e a distribuição do combustível ou da eletricidade',
+    'results.gwpNote': 'CO₂e com GWP de 100 anos (IPCC AR6): CH₄ = {ch4}, N₂O = {n2o}',
+    'results.emission': 'Emissão de CO₂',
+    'results.mode': 'Modo de Transporte',
+    'results.intensity': 'Emissão por Unidade',
+    'results.perPassenger': 'kg CO₂ por passageiro',
+    'results.inVehicle': '({count} no veículo)',
+    'results.perTonneKm': 'kg CO₂ por t·km ({cargo} t de carga)',
+    'results.savings': 'Economia de CO₂',
+    'results.saved': 'economizados',
+    'results.lessThanCar': 'menos que carro',
+    'results.lessThanCarTrip': 'menos que a viagem toda de carro',
+    'results.totalDistance': 'Distância Total',
+    'results.kmInLegs': 'km em {count} etapas',
+    'results.totalEmission': 'Emissão Total de CO₂',
+    'results.legs': 'Etapas da Viagem',
+    'results.manual': 'manual',
+    'results.estimated': '≈ estimada',
+
+    // Projection
+    'projection.title': 'Emissões Projetadas',
+    'projection.perTrip': 'Por viagem',
+    'projection.perRoundTrip': 'Por viagem (ida e volta)',
+    'projection.perWeek': 'Por semana',
+    'projection.perMonth': 'Por mês',
+    'projection.perYear': 'Por ano',
+    'projection.horizon': 'Em {months} meses',
+    'projection.trip': '{count} viagem {period}',
+    'projection.trips': '{count} viagens {period}',
+    'projection.roundTripSuffix': ', ida e volta',
+    'projection.roundTrip': 'Viagem de ida e volta',
+    'projection.period': 'Período',
+
+    // Mode comparison
+    'comparison.note': 'Comparação: {label} ({unit})',
+    'comparison.selected': '✓ Selecionado',
+    'comparison.vsCar': '% vs carro',
+    'comparison.tipLabel': '💡 Dica:',
+    'comparison.tip.bicycle': '🚲 Bicicleta é a opção mais sustentável! Zero emissões de CO₂.',
+    'comparison.tip.bus': '🚌 Usar ônibus é uma ótima opção! Compartilhar transporte reduz emissões por pessoa.',
+    'comparison.tip.default': '⚠️ Considere usar transporte público ou bicicleta para reduzir emissões.',
+    'comparison.tip.best': '{mode} é a opção de menor emissão viável para esta distância.',
+    'comparison.duration': 'tempo estimado',
+    'comparison.cost': 'custo (combustível ou passagem)',
+    'comparison.infeasible': 'Não indicados para esta viagem: {modes}.',
+    'comparison.empty': 'Nenhum meio de transporte é indicado para esta viagem.',
+    'chart.legend': 'Legenda',
+    'chart.comparison.title': 'Emissões por modo de transporte ({unit})',
+    'chart.comparison.description': 'Gráfico de barras com {count} modos. Menor emissão: {lowest}. Maior emissão: {highest}.',
+    'chart.history.title': 'Emissões acumuladas',
+    'chart.history.description': 'Gráfico de linha com {count} cálculos de {start} a {end}, somando {total} kg CO₂.',
+    'chart.history.point': '{date} · {route} · {mode}: +{emission} kg CO₂ (acumulado: {total} kg)',
+
+    // Carbon credits
+    'credits.needed': 'Créditos de Carbono Necessários',
+    'credits.perCredit': '1 crédito = {kg} kg CO₂',
+    'credits.price': 'Valor Estimado de Compensação',
+    'credits.range': 'Variação: {min} - {max}',
+    'pricing.series': 'Série de preços',
+    'pricing.date': 'Data da cotação',
+    'pricing.reference': 'Faixa de referência',
+    'pricing.market.voluntary': 'Mercado voluntário',
+    'pricing.market.compliance': 'Mercado regulado',
+    'pricing.fallback': 'Faixa de referência padrão (tabela de preços não carregada)',
+    'pricing.entry': '{series}, cotação de {date}',
+    'pricing.interpolated': '{series}, {date}: interpolado entre as cotações de {from} e {to}',
+    'credits.horizon': 'Créditos em {months} meses',
+    'credits.projected': '{emission} kg CO₂ projetados',
+    'credits.infoTitle': '❓ O que são Créditos de Carbono?',
+    'credits.infoText': 'Créditos de carbono são certificados que representam a redução ou remoção de uma tonelada ' +
+      '(1.000 kg) de CO₂ equivalente da atmosfera. Você pode compensar as emissões do seu transporte ' +
+      'apoiando projetos de energia renovável, reflorestamento ou outras iniciativas sustentáveis.',
+    'credits.cta': '🛒 Compensar Emissões',
+
+    // Offset checkout and certificates
+    'offset.title': 'Compensar emissões',
+    'offset.loading': 'Carregando projetos de compensação…',
+    'offset.loadError': 'Não foi possível carregar os projetos de compensação. Tente novamente.',
+    'offset.project': 'Projeto',
+    'offset.priceRange': '{min} - {max} por crédito',
+    'offset.type.reforestation': 'Reflorestamento',
+    'offset.type.avoidedDeforestation': 'Desmatamento evitado (REDD+)',
+    'offset.type.renewableEnergy': 'Energia renovável',
+    'offset.type.methaneCapture': 'Captura de metano',
+    'offset.type.cookstoves': 'Fogões eficientes',
+    'offset.quantity': 'Créditos a compensar',
+    'offset.tripCredits': 'Esta viagem: {credits} créditos',
+    'offset.horizonCredits': 'no horizonte: {credits} créditos',
+    'offset.rounding': 'Arredondamento',
+    'offset.rounding.up': 'Para cima (compensa tudo)',
+    'offset.rounding.nearest': 'Para o mais próximo',
+    'offset.summary': 'Resumo do pedido',
+    'offset.provider': 'Fornecedor',
+    'offset.provider.local': 'Simulação local',
+    'offset.credits': 'Créditos (inteiros)',
+    'offset.covered': 'CO₂ compensado',
+    'offset.unitPrice': 'Preço por crédito',
+    'offset.total': 'Total',
+    'offset.wholeCredits': 'Créditos são vendidos inteiros, no mínimo 1 crédito ({kg} kg CO₂).',
+    'offset.simulatedNote': 'Simulação: nenhum pagamento é feito e o certificado não tem validade oficial.',
+    'offset.confirm': 'Confirmar compensação',
+    'offset.cancel': 'Cancelar',
+    'offset.processing': 'Processando…',
+    'offset.purchaseError': 'Não foi possível concluir a compensação. Tente novamente.',
+    'offset.done': '✅ Compensação registrada. Seu certificado:',
+    'offset.simulated': 'Simulado',
+    'offset.certificateAmount': '{credits} crédito(s) · {kg} kg CO₂ compensados',
+    'offset.reference': 'Referência',
+    'offset.issuedAt': 'Emitido em',
+    'certificates.title': 'Certificados de compensação',
+
+    // Export and sharing
+    'export.json': '⬇ Exportar JSON',
+    'export.csv': '⬇ Exportar CSV',
+    'export.print': '🖨 Relatório para impressão / PDF',
+    'export.link': '🔗 Copiar link',
+    'export.linkCopied': '✓ Link copiado',
+    'export.copyPrompt': 'Copie o link da calculadora:',
+    'export.filePrefix': 'emissao-co2',
+    'export.modeAverage': 'Média do modo',
+    'export.field': 'Campo',
+    'export.value': 'Valor',
+    'export.generatedAt': 'Gerado em',
+    'export.distanceKm': 'Distância (km)',
+    'export.estimatedDistance': 'Distância estimada',
+    'export.yes': 'sim',
+    'export.no': 'não',
+    'export.emissionKg': 'Emissão (kg CO2)',
+    'export.credits': 'Créditos de carbono',
+    'export.co2eTtw': 'CO2e tanque à roda (kg)',
+    'export.co2eWtw': 'CO2e poço à roda (kg)',
+    'export.priceMin': 'Preço mínimo ({currency})',
+    'export.priceAverage': 'Preço médio ({currency})',
+    'export.priceMax': 'Preço máximo ({currency})',
+    'export.priceSource': 'Fonte do preço',
+    'export.leg': 'Etapa',
+    'export.factor': 'Fator (kg CO2/km)',
+    'export.factorSource': 'Fonte do fator',
+    'export.comparedValue': 'Valor comparado',
+    'export.unit': 'Unidade',
+    'export.vsCar': '% vs carro',
+    'export.durationHours': 'Tempo estimado (h)',
+    'export.cost': 'Custo ({currency})',
+    'export.savingsKg': 'Economia vs carro (kg CO2)',
+
+    // Print report
+    'report.title': 'Relatório de Emissões de CO₂',
+    'report.generatedAt': 'Gerado em {date}',
+    'report.summary': 'Resumo',
+    'report.mode': 'Modo de transporte',
+    'report.estimated': '(estimada)',
+    'report.credits': 'Créditos de carbono',
+    'report.price': 'Valor de compensação',
+    'report.legs': 'Etapas e fatores de emissão',
+    'report.factor': 'Fator (kg CO₂/km)',
+    'report.factorSource': 'Fonte do fator',
+    'report.citation': 'Referência',
+    'report.comparison': 'Comparação entre modos ({label}, {unit})',
+    'report.footer': 'Fatores de emissão médios por modo de transporte no Brasil. Distâncias estimadas usam ' +
+      'rotas conectadas ou a distância em linha reta com fator de sinuosidade.',
+
+    // Batch import
+    'batch.title': 'Importar viagens em lote',
+    'batch.helper': 'Envie um arquivo CSV ou JSON com as colunas <strong>origem</strong>, <strong>destino</strong>, ' +
+      '<strong>modo</strong> e, opcionalmente, <strong>km</strong>. Sem km, a distância é buscada automaticamente.',
+    'batch.file': 'Arquivo de viagens',
+    'batch.processing': 'Processando arquivo...',
+    'batch.noTrips': 'Nenhuma viagem encontrada no arquivo',
+    'batch.invalidJSON': 'Arquivo JSON inválido',
+    'batch.invalidJSONList': 'O JSON deve ser uma lista de viagens ou um objeto com a lista "trips"',
+    'batch.emptyCSV': 'O arquivo CSV está vazio',
+    'batch.unknownMode': 'Modo de transporte desconhecido: "{mode}"',
+    'batch.missingMode': 'Informe o modo de transporte',
+    'batch.invalidDistance': 'Distância inválida: "{distance}"',
+    'batch.summary': '{file}: {rows} viagens calculadas, {failed} com erro',
+    'batch.skipped': '{count} linhas ignoradas: limite de {max} viagens por arquivo.',
+    'batch.totalEmission': 'Emissão Total',
+    'batch.credits': 'Créditos de Carbono',
+    'batch.byMode': 'Subtotal por Modo',
+    'batch.auto': 'auto',
+    'batch.failed': 'Linhas não calculadas ({count})',
+    'batch.failedLine': 'Linha {line}:',
+
+    // User routes
+    'routes.title': 'Minhas rotas',
+    'routes.helper': 'Cadastre as rotas que você faz com frequência. Elas têm prioridade sobre as rotas embutidas na busca de distâncias.',
+    'routes.cityPlaceholder': 'Cidade, UF',
+    'routes.add': 'Adicionar rota',
+    'routes.update': 'Salvar alterações',
+    'routes.cancel': 'Cancelar edição',
+    'routes.edit': '✎ Editar',
+    'routes.delete': 'Excluir rota',
+    'routes.export': '⬇ Exportar rotas (JSON)',
+    'routes.import': '⬆ Importar rotas (JSON)',
+    'routes.fileName': 'rotas-co2.json',
+    'routes.empty': 'Nenhuma rota cadastrada ainda.',
+    'routes.count': '{count} rotas cadastradas',
+    'routes.replaces': 'substitui {distance} km',
+    'routes.added': 'Rota {origin} → {destination} adicionada.',
+    'routes.updated': 'Rota {origin} → {destination} atualizada.',
+    'routes.deleted': 'Rota {origin} → {destination} excluída.',
+    'routes.imported': '{added} rotas importadas de {file}.',
+    'routes.failed': 'Rotas não importadas ({count})',
+    'routes.failedItem': 'Rota {item}:',
+    'routes.error.cityFormat': 'Use o formato "Cidade, UF": "{city}"',
+    'routes.error.duplicate': 'Essa rota já está cadastrada',
+    'routes.error.conflict': 'Essa rota já está cadastrada com {distance} km',
+    'routes.error.builtIn': 'Essa rota já existe com a mesma distância',
+    'routes.error.importList': 'O JSON deve ser uma lista de rotas ou um objeto com a lista "routes"',
+    'routes.error.limit': 'Limite de {max} rotas atingido. Exclua uma rota para cadastrar outra',
+    'routes.error.storage': 'Não foi possível salvar as rotas: o armazenamento do navegador está cheio ou bloqueado',
+    'routes.warning.replacesBuiltIn': 'A rota embutida de {distance} km entre essas cidades será substituída.',
+
+    // Carbon budgets
+    'budget.title': 'Orçamentos de carbono',
+    'budget.helper': 'Defina um limite de CO₂ por pessoa ou equipe e registre as viagens calculadas para acompanhar o consumo do período.',
+    'budget.name': 'Pessoa ou equipe',
+    'budget.namePlaceholder': 'Ex.: Ana Souza, Equipe comercial',
+    'budget.limit': 'Limite (kg CO₂)',
+    'budget.period': 'Período',
+    'budget.period.week': 'Semanal',
+    'budget.period.month': 'Mensal',
+    'budget.period.year': 'Anual',
+    'budget.add': 'Adicionar orçamento',
+    'budget.update': 'Salvar alterações',
+    'budget.cancel': 'Cancelar edição',
+    'budget.edit': '✎ Editar',
+    'budget.delete': 'Excluir orçamento',
+    'budget.empty': 'Nenhum orçamento cadastrado ainda.',
+    'budget.added': 'Orçamento de {name} adicionado.',
+    'budget.updated': 'Orçamento de {name} atualizado.',
+    'budget.deleted': 'Orçamento de {name} excluído.',
+    'budget.tripLogged': 'Viagem {origin} → {destination} registrada no orçamento de {name}.',
+    'budget.tripRemoved': 'Viagem {origin} → {destination} removida do orçamento de {name}.',
+    'budget.error.name': 'Informe a pessoa ou equipe',
+    'budget.error.duplicate': 'Já existe um orçamento para {name}',
+    'budget.error.limit': 'O limite deve ser maior que zero',
+    'budget.error.period': 'Escolha um período válido',
+    'budget.error.max': 'Limite de {max} orçamentos atingido. Exclua um orçamento para criar outro',
+    'budget.error.storage': 'Não foi possível salvar os orçamentos: o armazenamento do navegador está cheio ou bloqueado',
+    'budget.progress': '{consumed} de {limit} kg CO₂',
+    'budget.remaining': 'Restam {remaining} kg CO₂',
+    'budget.exceeded': 'Limite excedido em {over} kg CO₂',
+    'budget.range': '{start} a {end}',
+    'budget.trips': 'Viagens do período ({count})',
+    'budget.noTrips': 'Nenhuma viagem registrada neste período.',
+    'budget.removeTrip': 'Remover viagem',
+    'budget.check.title': 'Orçamento de {name}',
+    'budget.check.fits': 'Esta viagem ({emission} kg CO₂) cabe no orçamento: restarão {remaining} kg CO₂ de {limit} kg.',
+    'budget.check.exceeds': '⚠️ Esta viagem ({emission} kg CO₂) ultrapassa o orçamento em {over} kg CO₂. Restam {remaining} kg CO₂ de {limit} kg.',
+    'budget.check.suggestion': '{mode} mantém a viagem no orçamento: {emission} kg CO₂ em {duration}.',
+    'budget.check.noSuggestion': 'Nenhum modo de transporte viável para esta distância cabe no saldo restante.',
+    'budget.check.logged': '✓ Viagem registrada no orçamento.',
+    'budget.useMode': 'Calcular com {mode}',
+    'budget.log': 'Registrar no orçamento',
+
+    // Calculation history
+    'history.title': 'Histórico de cálculos',
+    'history.clear': 'Limpar histórico',
+    'history.confirmClear': 'Apagar todos os cálculos do histórico?',
+    'history.city': 'Cidade',
+    'history.cityPlaceholder': 'Filtrar por cidade',
+    'history.allModes': 'Todos os modos',
+    'history.empty': 'Nenhum cálculo salvo ainda.',
+    'history.emptyFiltered': 'Nenhum cálculo encontrado para os filtros escolhidos.',
+    'history.credits': '{credits} créditos',
+    'history.rerun': '↻ Refazer',
+    'history.delete': 'Excluir cálculo',
+    'history.byMode': 'Total por Modo',
+    'history.byMonth': 'Total por Mês'
+  },
+
+  'en-US': {
+    'app.title': '🍃 CO2 Emission Calculator',
+    'app.subtitle': 'Estimate the CO2 emissions of a trip from its route and transport mode.',
+    'app.footer': 'Built with ❤️ for DIO | Denny\'s GitHub Copilot Project',
+    'app.locale': 'Language',
+    'app.currency': 'Currency',
+
+    'form.legend': 'Trip Details',
+    'form.origin': 'Origin',
+    'form.originPlaceholder': 'Type the origin city',
+    'form.destination': 'Destination',
+    'form.destinationPlaceholder': 'Type the destination city',
+    'form.distance': 'Distance (km)',
+    'form.manualDistance': 'enter distance manually',
+    'form.transport': 'Transport mode',
+    'form.load': 'Occupancy and cargo',
+    'form.passengers': 'People in the vehicle',
+    'form.cargo': 'Cargo (tonnes)',
+    'form.functionalUnit': 'Compare modes',
+    'form.factorSet': 'Emission factors',
+    'form.loadHelper': 'Leave blank to use the average occupancy of the transport mode',
+    'form.average': 'Average: {value}',
+    'form.vehicle': 'Vehicle profile',
+    'form.useVehicle': 'use my car\'s fuel consumption',
+    'form.fuel': 'Fuel',
+    'form.consumption': 'Consumption (km/l)',
+    'form.consumptionPlaceholder': 'e.g. 12',
+    'form.ethanolShare': 'Ethanol fill-ups (%)',
+    'form.electricConsumption': 'Electric consumption (kWh/100km)',
+    'form.electricConsumptionPlaceholder': 'e.g. 15',
+    'form.electricShare': 'Km driven on electricity (%)',
+    'form.vehicleFactor': '≈ {factor} kg CO₂/km, applied to the legs made by car',
+    'form.vehicleFactorHint': 'Applied to the legs made by car',
+    'form.legs': 'Additional legs',
+    'form.legsHelper': 'Continue the trip from the destination with another transport mode',
+    'form.addLeg': '+ Add leg',
+    'form.frequency': 'Trip frequency',
+    'form.roundTrip': 'round trip',
+    'form.tripCount': 'Trips',
+    'form.tripPeriod': 'Period',
+    'form.tripHorizon': 'Horizon (months)',
+    'form.budget': 'Carbon budget',
+    'form.noBudget': 'None',
+    'form.submit': 'Calculate Emission',
+    'form.calculating': 'Calculating...',
+
+    'distance.auto': 'The distance will be filled in automatically',
+    'distance.found': '✓ Distance found automatically',
+    'distance.estimated.ground': '≈ Straight-line distance estimate with a road winding factor',
+    'distance.estimated.air': '≈ Straight-line flight distance estimate, plus airport approach uplift',
+    'distance.estimated.water': '≈ Straight-line distance estimate with a waterway winding factor',
+    'distance.via': '✓ Route estimated via {cities}',
+    'distance.notFound': '⚠ Route not found. Check "enter distance manually" to continue.',
+    'distance.suggestion': ' Did you mean {cities}?',
+    'distance.manual': 'Type the distance in kilometers',
+
+    'leg.title': 'Leg {number}',
+    'leg.from': 'leaving from {origin}',
+    'leg.remove': 'Remove leg {number}',
+    'leg.mode': 'Mode',
+    'leg.distancePlaceholder': 'Automatic',
+
+    'error.origin': 'Enter the origin city',
+    'error.destination': 'Enter the destination city',
+    'error.sameCity': 'The destination must differ from the origin',
+    'error.manualDistance': 'Type the distance in kilometers',
+    'error.routeNotFound': 'Route not found. Check "enter distance manually" to continue',
+    'error.legRouteNotFound': 'Route not found. Enter the distance manually',
+    'error.cliUseKm': 'Use --km to enter the distance.',
+    'error.distancePositive': 'The distance must be greater than zero',
+    'error.ambiguousDistance': 'Ambiguous distance: "{distance}". Use a comma for decimals or write the number without a thousands separator',
+    'error.mode': 'Select a transport mode',
+    'error.passengers': 'Enter at least 1 person',
+    'error.cargo': 'The cargo cannot be negative',
+    'error.tripCount': 'Enter how many trips per period',
+    'error.tripHorizon': 'Enter the horizon in months',
+    'error.fuel': 'Select the vehicle\'s fuel',
+    'error.consumption': 'Enter the consumption in km/l',
+    'error.electricConsumption': 'Enter the consumption in kWh/100km',
+    'error.share': 'Enter a percentage between 0 and 100',
+    'error.calculation': 'The emission could not be calculated. Please try again.',
+
+    'mode.bicycle': 'Bicycle',
+    'mode.car': 'Car',
+    'mode.electricCar': 'Electric car',
+    'mode.motorcycle': 'Motorcycle',
+    'mode.bus': 'Bus',
+    'mode.electricBus': 'Electric bus',
+    'mode.train': 'Train',
+    'mode.ferry': 'Ferry/Boat',
+    'mode.plane': 'Plane',
+    'mode.truck': 'Truck',
+    'mode.mixed': 'Mixed',
+
+    'fuel.gasoline': 'Gasoline',
+    'fuel.ethanol': 'Ethanol',
+    'fuel.flex': 'Flex (gasoline/ethanol)',
+    'fuel.diesel': 'Diesel',
+    'fuel.electric': 'Electric',
+    'fuel.hybrid': 'Plug-in hybrid',
+    'vehicle.ethanolShare': '{share} ethanol',
+    'vehicle.electricShare': '{share} electric',
+
+    'unit.vehicle.label': 'Vehicle (total)',
+    'unit.vehicle.unit': 'kg CO₂',
+    'unit.passenger.label': 'Per passenger',
+    'unit.passenger.unit': 'kg CO₂/passenger',
+    'unit.tonne-km.label': 'Per tonne-km',
+    'unit.tonne-km.unit': 'kg CO₂/t·km',
+
+    'period.once': 'once',
+    'period.day': 'per working day',
+    'period.week': 'per week',
+    'period.month': 'per month',
+
+    'currency.BRL': 'Brazilian real (R$)',
+    'currency.USD': 'US dollar ($)',
+    'currency.EUR': 'Euro (€)',
+
+    'table.mode': 'Mode',
+    'table.month': 'Month',
+    'table.trips': 'Trips',
+    'table.distance': 'Distance',
+    'table.emission': 'Emission',
+    'table.credits': 'Credits',
+    'table.route': 'Route',
+    'table.leg': 'Leg',
+    'table.line': 'Line',
+    'table.total': 'Total',
+    'table.gas': 'Gas',
+    'table.mass': 'Mass',
+    'table.vsCar': 'vs car',
+
+    'results.distance': 'Distance',
+    'results.estimatedGreatCircle': 'straight-line estimate with a winding factor',
+    'results.estimatedGraph': 'estimated from connected routes',
+    'results.factorSource': 'Source: {source}',
+    'results.gases': 'Greenhouse gases',
+    'results.scope': 'Scope',
+    'results.scope.ttw': 'Tank-to-wheel (TTW)',
+    'results.scope.wtw': 'Well-to-wheel (WTW)',
+    'results.scopeHelp.ttw': 'Emissions from burning the fuel in the vehicle',
+    'results.scopeHelp.wtw': 'Includes producing and delivering the fuel or electricity',
+    'results.gwpNote': 'CO₂e with 100-year GWP (IPCC AR6): CH₄ = {ch4}, N₂O = {n2o}',
+    'results.emission': 'CO₂ Emission',
+    'results.mode': 'Transport Mode',
+    'results.intensity': 'Emission per Unit',
+    'results.perPassenger': 'kg CO₂ per passenger',
+    'results.inVehicle': '({count} in the vehicle)',
+    'results.perTonneKm': 'kg CO₂ per t·km ({cargo} t of cargo)',
+    'results.savings': 'CO₂ Savings',
+    'results.saved': 'saved',
+    'results.lessThanCar': 'less than by car',
+    'results.lessThanCarTrip': 'less than the whole trip by car',
+    'results.totalDistance': 'Total Distance',
+    'results.kmInLegs': 'km in {count} legs',
+    'results.totalEmission': 'Total CO₂ Emission',
+    'results.legs': 'Trip Legs',
+    'results.manual': 'manual',
+    'results.estimated': '≈ estimated',
+
+    'projection.title': 'Projected Emissions',
+    'projection.perTrip': 'Per trip',
+    'projection.perRoundTrip': 'Per trip (round trip)',
+    'projection.perWeek': 'Per week',
+    'projection.perMonth': 'Per month',
+    'projection.perYear': 'Per year',
+    'projection.horizon': 'In {months} months',
+    'projection.trip': '{count} trip {period}',
+    'projection.trips': '{count} trips {period}',
+    'projection.roundTripSuffix': ', round trip',
+    'projection.roundTrip': 'Round trip',
+    'projection.period': 'Period',
+
+    'comparison.note': 'Comparison: {label} ({unit})',
+    'comparison.selected': '✓ Selected',
+    'comparison.vsCar': '% vs car',
+    'comparison.tipLabel': '💡 Tip:',
+    'comparison.tip.bicycle': '🚲 Cycling is the most sustainable option! Zero CO₂ emissions.',
+    'comparison.tip.bus': '🚌 Taking the bus is a great choice! Shared transport cuts emissions per person.',
+    'comparison.tip.default': '⚠️ Consider public transport or cycling to cut emissions.',
+    'comparison.tip.best': '{mode} is the lowest-emission practical option for this distance.',
+    'comparison.duration': 'estimated time',
+    'comparison.cost': 'cost (fuel or fare)',
+    'comparison.infeasible': 'Not practical for this trip: {modes}.',
+    'comparison.empty': 'No transport mode is practical for this trip.',
+    'chart.legend': 'Legend',
+    'chart.comparison.title': 'Emissions by transport mode ({unit})',
+    'chart.comparison.description': 'Bar chart of {count} modes. Lowest emission: {lowest}. Highest emission: {highest}.',
+    'chart.history.title': 'Cumulative emissions',
+    'chart.history.description': 'Line chart of {count} calculations from {start} to {end}, adding up to {total} kg CO₂.',
+    'chart.history.point': '{date} · {route} · {mode}: +{emission} kg CO₂ (cumulative: {total} kg)',
+
+    'credits.needed': 'Carbon Credits Needed',
+    'credits.perCredit': '1 credit = {kg} kg CO₂',
+    'credits.price': 'Estimated Offset Cost',
+    'credits.range': 'Range: {min} - {max}',
+    'pricing.series': 'Price series',
+    'pricing.date': 'Price date',
+    'pricing.reference': 'Reference range',
+    'pricing.market.voluntary': 'Voluntary market',
+    'pricing.market.compliance': 'Compliance market',
+    'pricing.fallback': 'Default reference range (price table not loaded)',
+    'pricing.entry': '{series}, price of {date}',
+    'pricing.interpolated': '{series}, {date}: interpolated between the prices of {from} and {to}',
+    'credits.horizon': 'Credits in {months} months',
+    'credits.projected': '{emission} kg CO₂ projected',
+    'credits.infoTitle': '❓ What are Carbon Credits?',
+    'credits.infoText': 'Carbon credits are certificates representing the reduction or removal of one tonne ' +
+      '(1,000 kg) of CO₂ equivalent from the atmosphere. You can offset the emissions of your trips ' +
+      'by supporting renewable energy, reforestation or other sustainable projects.',
+    'credits.cta': '🛒 Offset Emissions',
+
+    'offset.title': 'Offset emissions',
+    'offset.loading': 'Loading offset projects…',
+    'offset.loadError': 'Could not load the offset projects. Please try again.',
+    'offset.project': 'Project',
+    'offset.priceRange': '{min} - {max} per credit',
+    'offset.type.reforestation': 'Reforestation',
+    'offset.type.avoidedDeforestation': 'Avoided deforestation (REDD+)',
+    'offset.type.renewableEnergy': 'Renewable energy',
+    'offset.type.methaneCapture': 'Methane capture',
+    'offset.type.cookstoves': 'Efficient cookstoves',
+    'offset.quantity': 'Credits to offset',
+    'offset.tripCredits': 'This trip: {credits} credits',
+    'offset.horizonCredits': 'over the horizon: {credits} credits',
+    'offset.rounding': 'Rounding',
+    'offset.rounding.up': 'Up (offsets everything)',
+    'offset.rounding.nearest': 'To the nearest',
+    'offset.summary': 'Order summary',
+    'offset.provider': 'Provider',
+    'offset.provider.local': 'Local simulation',
+    'offset.credits': 'Credits (whole)',
+    'offset.covered': 'CO₂ offset',
+    'offset.unitPrice': 'Price per credit',
+    'offset.total': 'Total',
+    'offset.wholeCredits': 'Credits are sold whole, at least 1 credit ({kg} kg CO₂).',
+    'offset.simulatedNote': 'Simulation: no payment is made and the certificate has no official value.',
+    'offset.confirm': 'Confirm offset',
+    'offset.cancel': 'Cancel',
+    'offset.processing': 'Processing…',
+    'offset.purchaseError': 'Could not complete the offset. Please try again.',
+    'offset.done': '✅ Offset recorded. Your certificate:',
+    'offset.simulated': 'Simulated',
+    'offset.certificateAmount': '{credits} credit(s) · {kg} kg CO₂ offset',
+    'offset.reference': 'Reference',
+    'offset.issuedAt': 'Issued on',
+    'certificates.title': 'Offset certificates',
+
+    'export.json': '⬇ Export JSON',
+    'export.csv': '⬇ Export CSV',
+    'export.print': '🖨 Printable report / PDF',
+    'export.link': '🔗 Copy link',
+    'export.linkCopied': '✓ Link copied',
+    'export.copyPrompt': 'Copy the calculator link:',
+    'export.filePrefix': 'co2-emissions',
+    'export.modeAverage': 'Mode average',
+    'export.field': 'Field',
+    'export.value': 'Value',
+    'export.generatedAt': 'Generated at',
+    'export.distanceKm': 'Distance (km)',
+    'export.estimatedDistance': 'Estimated distance',
+    'export.yes': 'yes',
+    'export.no': 'no',
+    'export.emissionKg': 'Emission (kg CO2)',
+    'export.credits': 'Carbon credits',
+    'export.co2eTtw': 'Tank-to-wheel CO2e (kg)',
+    'export.co2eWtw': 'Well-to-wheel CO2e (kg)',
+    'export.priceMin': 'Minimum price ({currency})',
+    'export.priceAverage': 'Average price ({currency})',
+    'export.priceMax': 'Maximum price ({currency})',
+    'export.priceSource': 'Price source',
+    'export.leg': 'Leg',
+    'export.factor': 'Factor (kg CO2/km)',
+    'export.factorSource': 'Factor source',
+    'export.comparedValue': 'Compared value',
+    'export.unit': 'Unit',
+    'export.vsCar': '% vs car',
+    'export.durationHours': 'Estimated time (h)',
+    'export.cost': 'Cost ({currency})',
+    'export.savingsKg': 'Savings vs car (kg CO2)',
+
+    'report.title': 'CO₂ Emissions Report',
+    'report.generatedAt': 'Generated on {date}',
+    'report.summary': 'Summary',
+    'report.mode': 'Transport mode',
+    'report.estimated': '(estimated)',
+    'report.credits': 'Carbon credits',
+    'report.price': 'Offset cost',
+    'report.legs': 'Legs and emission factors',
+    'report.factor': 'Factor (kg CO₂/km)',
+    'report.factorSource': 'Factor source',
+    'report.citation': 'Reference',
+    'report.comparison': 'Mode comparison ({label}, {unit})',
+    'report.footer': 'Average emission factors per transport mode in Brazil. Estimated distances use ' +
+      'connected routes or the straight-line distance with a winding factor.',
+
+    'batch.title': 'Import trips in bulk',
+    'batch.helper': 'Upload a CSV or JSON file with the columns <strong>origin</strong>, <strong>destination</strong>, ' +
+      '<strong>mode</strong> and, optionally, <strong>km</strong>. Without km, the distance is looked up automatically.',
+    'batch.file': 'Trips file',
+    'batch.processing': 'Processing file...',
+    'batch.noTrips': 'No trips found in the file',
+    'batch.invalidJSON': 'Invalid JSON file',
+    'batch.invalidJSONList': 'The JSON must be a list of trips or an object with a "trips" list',
+    'batch.emptyCSV': 'The CSV file is empty',
+    'batch.unknownMode': 'Unknown transport mode: "{mode}"',
+    'batch.missingMode': 'Enter the transport mode',
+    'batch.invalidDistance': 'Invalid distance: "{distance}"',
+    'batch.summary': '{file}: {rows} trips calculated, {failed} with errors',
+    'batch.skipped': '{count} lines ignored: limit of {max} trips per file.',
+    'batch.totalEmission': 'Total Emission',
+    'batch.credits': 'Carbon Credits',
+    'batch.byMode': 'Subtotal by Mode',
+    'batch.auto': 'auto',
+    'batch.failed': 'Lines not calculated ({count})',
+    'batch.failedLine': 'Line {line}:',
+
+    'routes.title': 'My routes',
+    'routes.helper': 'Save the routes you travel often. They take precedence over the built-in routes when distances are looked up.',
+    'routes.cityPlaceholder': 'City, ST',
+    'routes.add': 'Add route',
+    'routes.update': 'Save changes',
+    'routes.cancel': 'Cancel editing',
+    'routes.edit': '✎ Edit',
+    'routes.delete': 'Delete route',
+    'routes.export': '⬇ Export routes (JSON)',
+    'routes.import': '⬆ Import routes (JSON)',
+    'routes.fileName': 'co2-routes.json',
+    'routes.empty': 'No routes saved yet.',
+    'routes.count': '{count} saved routes',
+    'routes.replaces': 'replaces {distance} km',
+    'routes.added': 'Route {origin} → {destination} added.',
+    'routes.updated': 'Route {origin} → {destination} updated.',
+    'routes.deleted': 'Route {origin} → {destination} deleted.',
+    'routes.imported': '{added} routes imported from {file}.',
+    'routes.failed': 'Routes not imported ({count})',
+    'routes.failedItem': 'Route {item}:',
+    'routes.error.cityFormat': 'Use the "City, ST" format: "{city}"',
+    'routes.error.duplicate': 'This route is already saved',
+    'routes.error.conflict': 'This route is already saved with {distance} km',
+    'routes.error.builtIn': 'This route already exists with the same distance',
+    'routes.error.importList': 'The JSON must be a list of routes or an object with a "routes" list',
+    'routes.error.limit': 'You have reached the limit of {max} routes. Delete a route to add another',
+    'routes.error.storage': 'Could not save the routes: the browser storage is full or blocked',
+    'routes.warning.replacesBuiltIn': 'The built-in {distance} km route between these cities will be replaced.',
+
+    // Carbon budgets
+    'budget.title': 'Carbon budgets',
+    'budget.helper': 'Set a CO₂ limit per person or team and log calculated trips to track what each period consumes.',
+    'budget.name': 'Person or team',
+    'budget.namePlaceholder': 'E.g. Ana Souza, Sales team',
+    'budget.limit': 'Limit (kg CO₂)',
+    'budget.period': 'Period',
+    'budget.period.week': 'Weekly',
+    'budget.period.month': 'Monthly',
+    'budget.period.year': 'Yearly',
+    'budget.add': 'Add budget',
+    'budget.update': 'Save changes',
+    'budget.cancel': 'Cancel editing',
+    'budget.edit': '✎ Edit',
+    'budget.delete': 'Delete budget',
+    'budget.empty': 'No budgets set yet.',
+    'budget.added': 'Budget for {name} added.',
+    'budget.updated': 'Budget for {name} updated.',
+    'budget.deleted': 'Budget for {name} deleted.',
+    'budget.tripLogged': 'Trip {origin} → {destination} logged against the budget for {name}.',
+    'budget.tripRemoved': 'Trip {origin} → {destination} removed from the budget for {name}.',
+    'budget.error.name': 'Enter the person or team',
+    'budget.error.duplicate': 'There is already a budget for {name}',
+    'budget.error.limit': 'The limit must be greater than zero',
+    'budget.error.period': 'Choose a valid period',
+    'budget.error.max': 'You have reached the limit of {max} budgets. Delete a budget to create another',
+    'budget.error.storage': 'Could not save the budgets: the browser storage is full or blocked',
+    'budget.progress': '{consumed} of {limit} kg CO₂',
+    'budget.remaining': '{remaining} kg CO₂ left',
+    'budget.exceeded': 'Limit exceeded by {over} kg CO₂',
+    'budget.range': '{start} to {end}',
+    'budget.trips': 'Trips this period ({count})',
+    'budget.noTrips': 'No trips logged this period.',
+    'budget.removeTrip': 'Remove trip',
+    'budget.check.title': 'Budget for {name}',
+    'budget.check.fits': 'This trip ({emission} kg CO₂) fits the budget: {remaining} kg CO₂ of {limit} kg will be left.',
+    'budget.check.exceeds': '⚠️ This trip ({emission} kg CO₂) exceeds the budget by {over} kg CO₂. {remaining} kg CO₂ of {limit} kg are left.',
+    'budget.check.suggestion': '{mode} keeps the trip within budget: {emission} kg CO₂ in {duration}.',
+    'budget.check.noSuggestion': 'No practical transport mode for this distance fits the remaining budget.',
+    'budget.check.logged': '✓ Trip logged against the budget.',
+    'budget.useMode': 'Calculate with {mode}',
+    'budget.log': 'Log against budget',
+
+    'history.title': 'Calculation history',
+    'history.clear': 'Clear history',
+    'history.confirmClear': 'Delete every calculation from the history?',
+    'history.city': 'City',
+    'history.cityPlaceholder': 'Filter by city',
+    'history.allModes': 'All modes',
+    'history.empty': 'No calculations saved yet.',
+    'history.emptyFiltered': 'No calculations match the selected filters.',
+    'history.credits': '{credits} credits',
+    'history.rerun': '↻ Run again',
+    'history.delete': 'Delete calculation',
+    'history.byMode': 'Total by Mode',
+    'history.byMonth': 'Total by Month'
+  },
+
+  'es-ES': {
+    'app.title': '🍃 Calculadora de Emisiones de CO2',
+    'app.subtitle': 'Calcula las emisiones estimadas de CO2 según la ruta y el medio de transporte.',
+    'app.footer': 'Desarrollado con ❤️ para DIO | Proyecto GitHub Copilot de Denny',
+    'app.locale': 'Idioma',
+    'app.currency': 'Moneda',
+
+    'form.legend': 'Datos del Viaje',
+    'form.origin': 'Origen',
+    'form.originPlaceholder': 'Escribe la ciudad de origen',
+    'form.destination': 'Destino',
+    'form.destinationPlaceholder': 'Escribe la ciudad de destino',
+    'form.distance': 'Distancia (km)',
+    'form.manualDistance': 'introducir la distancia manualmente',
+    'form.transport': 'Medio de transporte',
+    'form.load': 'Ocupación y carga',
+    'form.passengers': 'Personas en el vehículo',
+    'form.cargo': 'Carga (toneladas)',
+    'form.functionalUnit': 'Comparar medios',
+    'form.factorSet': 'Factores de emisión',
+    'form.loadHelper': 'En blanco, se usa la ocupación media del medio de transporte',
+    'form.average': 'Media: {value}',
+    'form.vehicle': 'Perfil del vehículo',
+    'form.useVehicle': 'usar el consumo de mi coche',
+    'form.fuel': 'Combustible',
+    'form.consumption': 'Consumo (km/l)',
+    'form.consumptionPlaceholder': 'Ej.: 12',
+    'form.ethanolShare': 'Repostajes con etanol (%)',
+    'form.electricConsumption': 'Consumo eléctrico (kWh/100km)',
+    'form.electricConsumptionPlaceholder': 'Ej.: 15',
+    'form.electricShare': 'Km recorridos en modo eléctrico (%)',
+    'form.vehicleFactor': '≈ {factor} kg CO₂/km, aplicado a los tramos hechos en coche',
+    'form.vehicleFactorHint': 'Aplicado a los tramos hechos en coche',
+    'form.legs': 'Etapas adicionales',
+    'form.legsHelper': 'Continúa el viaje desde el destino con otro medio de transporte',
+    'form.addLeg': '+ Añadir etapa',
+    'form.frequency': 'Frecuencia del viaje',
+    'form.roundTrip': 'ida y vuelta',
+    'form.tripCount': 'Viajes',
+    'form.tripPeriod': 'Periodo',
+    'form.tripHorizon': 'Horizonte (meses)',
+    'form.budget': 'Presupuesto de carbono',
+    'form.noBudget': 'Ninguno',
+    'form.submit': 'Calcular Emisión',
+    'form.calculating': 'Calculando...',
+
+    'distance.auto': 'La distancia se completará automáticamente',
+    'distance.found': '✓ Distancia encontrada automáticamente',
+    'distance.estimated.ground': '≈ Distancia estimada en línea recta con factor de sinuosidad de la carretera',
+    'distance.estimated.air': '≈ Distancia de vuelo estimada en línea recta, con recargo de aproximación a los aeropuertos',
+    'distance.estimated.water': '≈ Distancia estimada en línea recta con factor de sinuosidad de la vía navegable',
+    'distance.via': '✓ Ruta estimada vía {cities}',
+    'distance.notFound': '⚠ Ruta no encontrada. Marca "introducir la distancia manualmente" para continuar.',
+    'distance.suggestion': ' ¿Quisiste decir {cities}?',
+    'distance.manual': 'Escribe la distancia en kilómetros',
+
+    'leg.title': 'Etapa {number}',
+    'leg.from': 'saliendo de {origin}',
+    'leg.remove': 'Quitar etapa {number}',
+    'leg.mode': 'Medio',
+    'leg.distancePlaceholder': 'Automática',
+
+    'error.origin': 'Indica la ciudad de origen',
+    'error.destination': 'Indica la ciudad de destino',
+    'error.sameCity': 'El destino debe ser distinto del origen',
+    'error.manualDistance': 'Escribe la distancia en kilómetros',
+    'error.routeNotFound': 'Ruta no encontrada. Marca "introducir la distancia manualmente" para continuar',
+    'error.legRouteNotFound': 'Ruta no encontrada. Indica la distancia manualmente',
+    'error.cliUseKm': 'Usa --km para indicar la distancia.',
+    'error.distancePositive': 'La distancia debe ser mayor que cero',
+    'error.ambiguousDistance': 'Distancia ambigua: "{distance}". Usa coma para los decimales o escribe el número sin separador de miles',
+    'error.mode': 'Selecciona un medio de transporte',
+    'error.passengers': 'Indica al menos 1 persona',
+    'error.cargo': 'La carga no puede ser negativa',
+    'error.tripCount': 'Indica cuántos viajes por periodo',
+    'error.tripHorizon': 'Indica el horizonte en meses',
+    'error.fuel': 'Selecciona el combustible del vehículo',
+    'error.consumption': 'Indica el consumo en km/l',
+    'error.electricConsumption': 'Indica el consumo en kWh/100km',
+    'error.share': 'Indica un porcentaje entre 0 y 100',
+    'error.calculation': 'No se pudo calcular la emisión. Inténtalo de nuevo.',
+
+    'mode.bicycle': 'Bicicleta',
+    'mode.car': 'Coche',
+    'mode.electricCar': 'Coche eléctrico',
+    'mode.motorcycle': 'Moto',
+    'mode.bus': 'Autobús',
+    'mode.electricBus': 'Autobús eléctrico',
+    'mode.train': 'Tren',
+    'mode.ferry': 'Ferri/Barco',
+    'mode.plane': 'Avión',
+    'mode.truck': 'Camión',
+    'mode.mixed': 'Mixto',
+
+    'fuel.gasoline': 'Gasolina',
+    'fuel.ethanol': 'Etanol',
+    'fuel.flex': 'Flex (gasolina/etanol)',
+    'fuel.diesel': 'Diésel',
+    'fuel.electric': 'Eléctrico',
+    'fuel.hybrid': 'Híbrido enchufable',
+    'vehicle.ethanolShare': '{share} etanol',
+    'vehicle.electricShare': '{share} eléctrico',
+
+    'unit.vehicle.label': 'Vehículo (total)',
+    'unit.vehicle.unit': 'kg CO₂',
+    'unit.passenger.label': 'Por pasajero',
+    'unit.passenger.unit': 'kg CO₂/pasajero',
+    'unit.tonne-km.label': 'Por tonelada-km',
+    'unit.tonne-km.unit': 'kg CO₂/t·km',
+
+    'period.once': 'una vez',
+    'period.day': 'por día laborable',
+    'period.week': 'por semana',
+    'period.month': 'por mes',
+
+    'currency.BRL': 'Real brasileño (R$)',
+    'currency.USD': 'Dólar estadounidense (US$)',
+    'currency.EUR': 'Euro (€)',
+
+    'table.mode': 'Medio',
+    'table.month': 'Mes',
+    'table.trips': 'Viajes',
+    'table.distance': 'Distancia',
+    'table.emission': 'Emisión',
+    'table.credits': 'Créditos',
+    'table.route': 'Ruta',
+    'table.leg': 'Tramo',
+    'table.line': 'Línea',
+    'table.total': 'Total',
+    'table.gas': 'Gas',
+    'table.mass': 'Masa',
+    'table.vsCar': 'vs coche',
+
+    'results.distance': 'Distancia',
+    'results.estimatedGreatCircle': 'estimada en línea recta con factor de sinuosidad',
+    'results.estimatedGraph': 'estimada por rutas conectadas',
+    'results.factorSource': 'Fuente: {source}',
+    'results.gases': 'Gases de efecto invernadero',
+    'results.scope': 'Alcance',
+    'results.scope.ttw': 'Tanque a rueda (TTW)',
+    'results.scope.wtw': 'Pozo a rueda (WTW)',
+    'results.scopeHelp.ttw': 'Emisiones de quemar el combustible en el vehículo',
+    'results.scopeHelp.wtw': 'Incluye la producción y la distribución del combustible o de la electricidad',
+    'results.gwpNote': 'CO₂e con GWP a 100 años (IPCC AR6): CH₄ = {ch4}, N₂O = {n2o}',
+    'results.emission': 'Emisión de CO₂',
+    'results.mode': 'Medio de Transporte',
+    'results.intensity': 'Emisión por Unidad',
+    'results.perPassenger': 'kg CO₂ por pasajero',
+    'results.inVehicle': '({count} en el vehículo)',
+    'results.perTonneKm': 'kg CO₂ por t·km ({cargo} t de carga)',
+    'results.savings': 'Ahorro de CO₂',
+    'results.saved': 'ahorrados',
+    'results.lessThanCar': 'menos que en coche',
+    'results.lessThanCarTrip': 'menos que todo el viaje en coche',
+    'results.totalDistance': 'Distancia Total',
+    'results.kmInLegs': 'km en {count} etapas',
+    'results.totalEmission': 'Emisión Total de CO₂',
+    'results.legs': 'Etapas del Viaje',
+    'results.manual': 'manual',
+    'results.estimated': '≈ estimada',
+
+    'projection.title': 'Emisiones Proyectadas',
+    'projection.perTrip': 'Por viaje',
+    'projection.perRoundTrip': 'Por viaje (ida y vuelta)',
+    'projection.perWeek': 'Por semana',
+    'projection.perMonth': 'Por mes',
+    'projection.perYear': 'Por año',
+    'projection.horizon': 'En {months} meses',
+    'projection.trip': '{count} viaje {period}',
+    'projection.trips': '{count} viajes {period}',
+    'projection.roundTripSuffix': ', ida y vuelta',
+    'projection.roundTrip': 'Viaje de ida y vuelta',
+    'projection.period': 'Periodo',
+
+    'comparison.note': 'Comparación: {label} ({unit})',
+    'comparison.selected': '✓ Seleccionado',
+    'comparison.vsCar': '% vs coche',
+    'comparison.tipLabel': '💡 Consejo:',
+    'comparison.tip.bicycle': '🚲 ¡La bicicleta es la opción más sostenible! Cero emisiones de CO₂.',
+    'comparison.tip.bus': '🚌 ¡El autobús es una gran opción! Compartir transporte reduce las emisiones por persona.',
+    'comparison.tip.default': '⚠️ Considera el transporte público o la bicicleta para reducir emisiones.',
+    'comparison.tip.best': '{mode} es la opción viable con menos emisiones para esta distancia.',
+    'comparison.duration': 'tiempo estimado',
+    'comparison.cost': 'coste (combustible o billete)',
+    'comparison.infeasible': 'No indicados para este viaje: {modes}.',
+    'comparison.empty': 'Ningún medio de transporte es indicado para este viaje.',
+    'chart.legend': 'Leyenda',
+    'chart.comparison.title': 'Emisiones por medio de transporte ({unit})',
+    'chart.comparison.description': 'Gráfico de barras con {count} medios. Menor emisión: {lowest}. Mayor emisión: {highest}.',
+    'chart.history.title': 'Emisiones acumuladas',
+    'chart.history.description': 'Gráfico de líneas con {count} cálculos de {start} a {end}, que suman {total} kg CO₂.',
+    'chart.history.point': '{date} · {route} · {mode}: +{emission} kg CO₂ (acumulado: {total} kg)',
+
+    'credits.needed': 'Créditos de Carbono Necesarios',
+    'credits.perCredit': '1 crédito = {kg} kg CO₂',
+    'credits.price': 'Coste Estimado de Compensación',
+    'credits.range': 'Rango: {min} - {max}',
+    'pricing.series': 'Serie de precios',
+    'pricing.date': 'Fecha de la cotización',
+    'pricing.reference': 'Rango de referencia',
+    'pricing.market.voluntary': 'Mercado voluntario',
+    'pricing.market.compliance': 'Mercado regulado',
+    'pricing.fallback': 'Rango de referencia por defecto (tabla de precios no cargada)',
+    'pricing.entry': '{series}, cotización del {date}',
+    'pricing.interpolated': '{series}, {date}: interpolado entre las cotizaciones del {from} y del {to}',
+    'credits.horizon': 'Créditos en {months} meses',
+    'credits.projected': '{emission} kg CO₂ proyectados',
+    'credits.infoTitle': '❓ ¿Qué son los Créditos de Carbono?',
+    'credits.infoText': 'Los créditos de carbono son certificados que representan la reducción o eliminación de una tonelada ' +
+      '(1.000 kg) de CO₂ equivalente de la atmósfera. Puedes compensar las emisiones de tus viajes ' +
+      'apoyando proyectos de energía renovable, reforestación u otras iniciativas sostenibles.',
+    'credits.cta': '🛒 Compensar Emisiones',
+
+    'offset.title': 'Compensar emisiones',
+    'offset.loading': 'Cargando proyectos de compensación…',
+    'offset.loadError': 'No se pudieron cargar los proyectos de compensación. Inténtalo de nuevo.',
+    'offset.project': 'Proyecto',
+    'offset.priceRange': '{min} - {max} por crédito',
+    'offset.type.reforestation': 'Reforestación',
+    'offset.type.avoidedDeforestation': 'Deforestación evitada (REDD+)',
+    'offset.type.renewableEnergy': 'Energía renovable',
+    'offset.type.methaneCapture': 'Captura de metano',
+    'offset.type.cookstoves': 'Cocinas eficientes',
+    'offset.quantity': 'Créditos a compensar',
+    'offset.tripCredits': 'Este viaje: {credits} créditos',
+    'offset.horizonCredits': 'en el horizonte: {credits} créditos',
+    'offset.rounding': 'Redondeo',
+    'offset.rounding.up': 'Hacia arriba (compensa todo)',
+    'offset.rounding.nearest': 'Al más cercano',
+    'offset.summary': 'Resumen del pedido',
+    'offset.provider': 'Proveedor',
+    'offset.provider.local': 'Simulación local',
+    'offset.credits': 'Créditos (enteros)',
+    'offset.covered': 'CO₂ compensado',
+    'offset.unitPrice': 'Precio por crédito',
+    'offset.total': 'Total',
+    'offset.wholeCredits': 'Los créditos se venden enteros, como mínimo 1 crédito ({kg} kg CO₂).',
+    'offset.simulatedNote': 'Simulación: no se realiza ningún pago y el certificado no tiene validez oficial.',
+    'offset.confirm': 'Confirmar compensación',
+    'offset.cancel': 'Cancelar',
+    'offset.processing': 'Procesando…',
+    'offset.purchaseError': 'No se pudo completar la compensación. Inténtalo de nuevo.',
+    'offset.done': '✅ Compensación registrada. Tu certificado:',
+    'offset.simulated': 'Simulado',
+    'offset.certificateAmount': '{credits} crédito(s) · {kg} kg CO₂ compensados',
+    'offset.reference': 'Referencia',
+    'offset.issuedAt': 'Emitido el',
+    'certificates.title': 'Certificados de compensación',
+
+    'export.json': '⬇ Exportar JSON',
+    'export.csv': '⬇ Exportar CSV',
+    'export.print': '🖨 Informe para imprimir / PDF',
+    'export.link': '🔗 Copiar enlace',
+    'export.linkCopied': '✓ Enlace copiado',
+    'export.copyPrompt': 'Copia el enlace de la calculadora:',
+    'export.filePrefix': 'emision-co2',
+    'export.modeAverage': 'Media del medio',
+    'export.field': 'Campo',
+    'export.value': 'Valor',
+    'export.generatedAt': 'Generado el',
+    'export.distanceKm': 'Distancia (km)',
+    'export.estimatedDistance': 'Distancia estimada',
+    'export.yes': 'sí',
+    'export.no': 'no',
+    'export.emissionKg': 'Emisión (kg CO2)',
+    'export.credits': 'Créditos de carbono',
+    'export.co2eTtw': 'CO2e tanque a rueda (kg)',
+    'export.co2eWtw': 'CO2e pozo a rueda (kg)',
+    'export.priceMin': 'Precio mínimo ({currency})',
+    'export.priceAverage': 'Precio medio ({currency})',
+    'export.priceMax': 'Precio máximo ({currency})',
+    'export.priceSource': 'Fuente del precio',
+    'export.leg': 'Etapa',
+    'export.factor': 'Factor (kg CO2/km)',
+    'export.factorSource': 'Fuente del factor',
+    'export.comparedValue': 'Valor comparado',
+    'export.unit': 'Unidad',
+    'export.vsCar': '% vs coche',
+    'export.durationHours': 'Tiempo estimado (h)',
+    'export.cost': 'Coste ({currency})',
+    'export.savingsKg': 'Ahorro vs coche (kg CO2)',
+
+    'report.title': 'Informe de Emisiones de CO₂',
+    'report.generatedAt': 'Generado el {date}',
+    'report.summary': 'Resumen',
+    'report.mode': 'Medio de transporte',
+    'report.estimated': '(estimada)',
+    'report.credits': 'Créditos de carbono',
+    'report.price': 'Coste de compensación',
+    'report.legs': 'Etapas y factores de emisión',
+    'report.factor': 'Factor (kg CO₂/km)',
+    'report.factorSource': 'Fuente del factor',
+    'report.citation': 'Referencia',
+    'report.comparison': 'Comparación entre medios ({label}, {unit})',
+    'report.footer': 'Factores de emisión medios por medio de transporte en Brasil. Las distancias estimadas usan ' +
+      'rutas conectadas o la distancia en línea recta con factor de sinuosidad.',
+
+    'batch.title': 'Importar viajes en lote',
+    'batch.helper': 'Sube un archivo CSV o JSON con las columnas <strong>origen</strong>, <strong>destino</strong>, ' +
+      '<strong>modo</strong> y, opcionalmente, <strong>km</strong>. Sin km, la distancia se busca automáticamente.',
+    'batch.file': 'Archivo de viajes',
+    'batch.processing': 'Procesando archivo...',
+    'batch.noTrips': 'No se encontraron viajes en el archivo',
+    'batch.invalidJSON': 'Archivo JSON no válido',
+    'batch.invalidJSONList': 'El JSON debe ser una lista de viajes o un objeto con la lista "trips"',
+    'batch.emptyCSV': 'El archivo CSV está vacío',
+    'batch.unknownMode': 'Medio de transporte desconocido: "{mode}"',
+    'batch.missingMode': 'Indica el medio de transporte',
+    'batch.invalidDistance': 'Distancia no válida: "{distance}"',
+    'batch.summary': '{file}: {rows} viajes calculados, {failed} con error',
+    'batch.skipped': '{count} líneas ignoradas: límite de {max} viajes por archivo.',
+    'batch.totalEmission': 'Emisión Total',
+    'batch.credits': 'Créditos de Carbono',
+    'batch.byMode': 'Subtotal por Medio',
+    'batch.auto': 'auto',
+    'batch.failed': 'Líneas no calculadas ({count})',
+    'batch.failedLine': 'Línea {line}:',
+
+    'routes.title': 'Mis rutas',
+    'routes.helper': 'Guarda las rutas que haces con frecuencia. Tienen prioridad sobre las rutas incluidas al buscar distancias.',
+    'routes.cityPlaceholder': 'Ciudad, UF',
+    'routes.add': 'Añadir ruta',
+    'routes.update': 'Guardar cambios',
+    'routes.cancel': 'Cancelar edición',
+    'routes.edit': '✎ Editar',
+    'routes.delete': 'Eliminar ruta',
+    'routes.export': '⬇ Exportar rutas (JSON)',
+    'routes.import': '⬆ Importar rutas (JSON)',
+    'routes.fileName': 'rutas-co2.json',
+    'routes.empty': 'Todavía no hay rutas guardadas.',
+    'routes.count': '{count} rutas guardadas',
+    'routes.replaces': 'sustituye {distance} km',
+    'routes.added': 'Ruta {origin} → {destination} añadida.',
+    'routes.updated': 'Ruta {origin} → {destination} actualizada.',
+    'routes.deleted': 'Ruta {origin} → {destination} eliminada.',
+    'routes.imported': '{added} rutas importadas de {file}.',
+    'routes.failed': 'Rutas no importadas ({count})',
+    'routes.failedItem': 'Ruta {item}:',
+    'routes.error.cityFormat': 'Usa el formato "Ciudad, UF": "{city}"',
+    'routes.error.duplicate': 'Esta ruta ya está guardada',
+    'routes.error.conflict': 'Esta ruta ya está guardada con {distance} km',
+    'routes.error.builtIn': 'Esta ruta ya existe con la misma distancia',
+    'routes.error.importList': 'El JSON debe ser una lista de rutas o un objeto con la lista "routes"',
+    'routes.error.limit': 'Llegaste al límite de {max} rutas. Elimina una ruta para agregar otra',
+    'routes.error.storage': 'No se pudieron guardar las rutas: el almacenamiento del navegador está lleno o bloqueado',
+    'routes.warning.replacesBuiltIn': 'La ruta incluida de {distance} km entre estas ciudades será sustituida.',
+
+    // Carbon budgets
+    'budget.title': 'Presupuestos de carbono',
+    'budget.helper': 'Define un límite de CO₂ por persona o equipo y registra los viajes calculados para seguir el consumo del periodo.',
+    'budget.name': 'Persona o equipo',
+    'budget.namePlaceholder': 'P. ej.: Ana Souza, Equipo comercial',
+    'budget.limit': 'Límite (kg CO₂)',
+    'budget.period': 'Periodo',
+    'budget.period.week': 'Semanal',
+    'budget.period.month': 'Mensual',
+    'budget.period.year': 'Anual',
+    'budget.add': 'Añadir presupuesto',
+    'budget.update': 'Guardar cambios',
+    'budget.cancel': 'Cancelar edición',
+    'budget.edit': '✎ Editar',
+    'budget.delete': 'Eliminar presupuesto',
+    'budget.empty': 'Aún no hay presupuestos.',
+    'budget.added': 'Presupuesto de {name} añadido.',
+    'budget.updated': 'Presupuesto de {name} actualizado.',
+    'budget.deleted': 'Presupuesto de {name} eliminado.',
+    'budget.tripLogged': 'Viaje {origin} → {destination} registrado en el presupuesto de {name}.',
+    'budget.tripRemoved': 'Viaje {origin} → {destination} eliminado del presupuesto de {name}.',
+    'budget.error.name': 'Indica la persona o el equipo',
+    'budget.error.duplicate': 'Ya existe un presupuesto para {name}',
+    'budget.error.limit': 'El límite debe ser mayor que cero',
+    'budget.error.period': 'Elige un periodo válido',
+    'budget.error.max': 'Llegaste al límite de {max} presupuestos. Elimina un presupuesto para crear otro',
+    'budget.error.storage': 'No se pudieron guardar los presupuestos: el almacenamiento del navegador está lleno o bloqueado',
+    'budget.progress': '{consumed} de {limit} kg CO₂',
+    'budget.remaining': 'Quedan {remaining} kg CO₂',
+    'budget.exceeded': 'Límite superado en {over} kg CO₂',
+    'budget.range': '{start} a {end}',
+    'budget.trips': 'Viajes del periodo ({count})',
+    'budget.noTrips': 'No hay viajes registrados en este periodo.',
+    'budget.removeTrip': 'Quitar viaje',
+    'budget.check.title': 'Presupuesto de {name}',
+    'budget.check.fits': 'Este viaje ({emission} kg CO₂) cabe en el presupuesto: quedarán {remaining} kg CO₂ de {limit} kg.',
+    'budget.check.exceeds': '⚠️ Este viaje ({emission} kg CO₂) supera el presupuesto en {over} kg CO₂. Quedan {remaining} kg CO₂ de {limit} kg.',
+    'budget.check.suggestion': '{mode} mantiene el viaje dentro del presupuesto: {emission} kg CO₂ en {duration}.',
+    'budget.check.noSuggestion': 'Ningún modo de transporte viable para esta distancia cabe en el saldo restante.',
+    'budget.check.logged': '✓ Viaje registrado en el presupuesto.',
+    'budget.useMode': 'Calcular con {mode}',
+    'budget.log': 'Registrar en el presupuesto',
+
+    'history.title': 'Historial de cálculos',
+    'history.clear': 'Borrar historial',
+    'history.confirmClear': '¿Borrar todos los cálculos del historial?',
+    'history.city': 'Ciudad',
+    'history.cityPlaceholder': 'Filtrar por ciudad',
+    'history.allModes': 'Todos los medios',
+    'history.empty': 'Aún no hay cálculos guardados.',
+    'history.emptyFiltered': 'Ningún cálculo coincide con los filtros elegidos.',
+    'history.credits': '{credits} créditos',
+    'history.rerun': '↻ Repetir',
+    'history.delete': 'Eliminar cálculo',
+    'history.byMode': 'Total por Medio',
+    'history.byMonth': 'Total por Mes'
+  }
+};
+
+// Node: export the module and load the modules it uses (see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.MESSAGES = MESSAGES;
+}
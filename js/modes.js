@@ -0,0 +1,366 @@
+/**
+ * TransportModes - Registry of Transport Modes
+ *
+ * Every transport mode the calculator knows is registered here with its
+ * display metadata, typical load and routing rules. Emission factors come
+ * from the selected dataset in FactorSets. The
+ * calculator, the route lookup and the transport grid all read from this
+ * registry, so a new mode only needs a TransportModes.register() call.
+ *
+ * Structure of a mode definition:
+ * - icon / color: Display metadata
+ * - label: Display name, only needed when MESSAGES has no "mode.<key>" message
+ * - factor: kg CO2 per km, or getFactor(distanceKm) for distance-dependent factors;
+ *   only needed for modes that FactorSets.DEFAULT_SET doesn't cover
+ * - shared: true when the factor is already the share of one passenger
+ *   (public transport); false when it is the whole vehicle
+ * - load: Typical load { passengers, cargoTonnes } of private vehicles
+ * - routing: 'ground' (uses the road routes), 'air' or 'water' (straight line)
+ * - winding: Multiplier applied to straight-line distances
+ * - uplift: getUplift(distanceKm) extra km added to straight-line distances (optional)
+ * - speed: Average speed in km/h, stops included (optional; no duration without it)
+ * - overhead: Hours spent outside the vehicle, e.g. at stations or airports (optional)
+ * - cost: BRL per km, for fuel or energy (whole vehicle) on private modes and
+ *   the fare of one passenger on shared modes (optional; no cost without it)
+ * - minDistance / maxDistance: Trip lengths in km the mode is practical for (optional)
+ * - Water modes are only practical between cities on the same waters (see CitiesDB.shareWaters)
+ * - ghg: Greenhouse gas profile used by Calculator.calculateGases() (optional):
+ *   - ch4 / n2o: kg of each gas emitted per kg of CO2 (tank-to-wheel)
+ *   - wtt: Well-to-tank emissions (producing and delivering the fuel) as a
+ *     share of the tank-to-wheel emissions
+ *   - electric: true when the factor is the grid's, so nothing is emitted
+ *     while driving and the whole emission is upstream
+ *   - gwp: GWP weights replacing CONFIG.GWP for this mode ({ co2, ch4, n2o })
+ */
+
+const TransportModes = {
+  /**
+   * Mode selected when the form loads
+   */
+  DEFAULT_MODE: 'car',
+
+  /**
+   * Registered modes keyed by mode key, in registration order
+   */
+  modes: {},
+
+  /**
+   * Register a transport mode (or replace an existing one)
+   *
+   * @param {string} key - Mode key (e.g., 'train')
+   * @param {Object} definition - Mode definition (see module header)
+   * @returns {Object|null} Registered mode, null if the definition is invalid
+   */
+  register: function(key, definition) {
+    const hasFactor = typeof definition.factor === 'number' || typeof definition.getFactor === 'function' ||
+      FactorSets.getSource(FactorSets.DEFAULT_SET, key) !== null;
+
+    const hasLabel = Boolean(definition.label) || I18n.has(`mode.${key}`);
+
+    if (!key || !hasLabel || !definition.icon || !hasFactor) {
+      console.error(`Invalid transport mode definition: ${key}`);
+      return null;
+    }
+
+    this.modes[key] = Object.assign({
+      color: '#6b7280',
+      shared: false,
+      load: { passengers: 1 },
+      routing: 'ground',
+      winding: 1.3
+    }, definition, { key: key });
+
+    return this.modes[key];
+  },
+
+  /**
+   * Get a registered mode
+   *
+   * @param {string} key - Mode key
+   * @returns {Object|null} Mode definition, null if not registered
+   */
+  get: function(key) {
+    return this.has(key) ? this.modes[key] : null;
+  },
+
+  /**
+   * Check whether a mode is registered
+   *
+   * @param {string} key - Mode key
+   * @returns {boolean} True if registered
+   */
+  has: function(key) {
+    return typeof key === 'string' && Object.prototype.hasOwnProperty.call(this.modes, key);
+  },
+
+  /**
+   * Get the keys of every registered mode, in registration order
+   *
+   * @returns {Array<string>} Mode keys
+   */
+  getKeys: function() {
+    return Object.keys(this.modes);
+  },
+
+  /**
+   * Get the display name of a mode in the current locale
+   *
+   * @param {string} key - Mode key
+   * @returns {string} Translated "mode.<key>" message, or the definition's label
+   *   for modes outside the catalog
+   */
+  getLabel: function(key) {
+    if (I18n.has(`mode.${key}`)) {
+      return I18n.t(`mode.${key}`);
+    }
+
+    const mode = this.get(key);
+    return mode && mode.label ? mode.label : String(key);
+  },
+
+  /**
+   * Get the emission factor of a mode for a given distance
+   *
+   * Factor sets come first (see FactorSets); the mode definition's own
+   * factor is only used for modes no set covers.
+   *
+   * @param {string} key - Mode key
+   * @param {number} distanceKm - Trip distance (used by distance-dependent factors)
+   * @param {string} factorSet - FactorSets key (default: the selected set)
+   * @returns {number|null} kg CO2 per km, null if the mode is not registered
+   */
+  getFactor: function(key, distanceKm, factorSet = FactorSets.getSelected()) {
+    const mode = this.get(key);
+
+    if (!mode) {
+      return null;
+    }
+
+    const setFactor = FactorSets.getFactor(factorSet, key, distanceKm);
+
+    if (setFactor !== null) {
+      return setFactor;
+    }
+
+    return typeof mode.getFactor === 'function' ? mode.getFactor(distanceKm) : mode.factor;
+  },
+
+  /**
+   * Get the typical load of a mode
+   * Shared modes always count a single passenger, since their factor is per passenger
+   *
+   * @param {string} key - Mode key
+   * @returns {Object} { passengers, cargoTonnes } (cargoTonnes only for cargo modes)
+   */
+  getLoad: function(key) {
+    const mode = this.get(key);
+
+    if (!mode || mode.shared) {
+      return { passengers: 1 };
+    }
+
+    return mode.load;
+  },
+
+  /**
+   * Estimate the travel distance of a mode from a straight-line distance
+   *
+   * Formula: straight line × winding factor + uplift
+   *
+   * @param {string} key - Mode key (unknown modes use the default road winding)
+   * @param {number} straightLineKm - Great-circle distance in kilometers
+   * @returns {number} Travel distance in kilometers, rounded
+   */
+  getTravelDistance: function(key, straightLineKm) {
+    const mode = this.get(key);
+    const winding = mode ? mode.winding : 1.3;
+    const uplift = mode && typeof mode.getUplift === 'function' ? mode.getUplift(straightLineKm) : 0;
+
+    return Math.round(straightLineKm * winding + uplift);
+  },
+
+  /**
+   * Estimate the duration of a trip
+   *
+   * Formula: distance ÷ average speed + overhead
+   *
+   * @param {string} key - Mode key
+   * @param {number} distanceKm - Travel distance in kilometers
+   * @returns {number|null} Hours, null when the mode has no speed
+   */
+  getDuration: function(key, distanceKm) {
+    const mode = this.get(key);
+
+    if (!mode || !(mode.speed > 0)) {
+      return null;
+    }
+
+    return distanceKm / mode.speed + (mode.overhead || 0);
+  },
+
+  /**
+   * Check whether a mode is practical for a trip
+   * (e.g. nobody cycles 3000 km, flies 50 km or takes a ferry from Brasília)
+   *
+   * @param {string} key - Mode key
+   * @param {number} distanceKm - Travel distance in kilometers
+   * @param {Array<Object>} legs - Legs of the trip [{ origin, destination }] (optional);
+   *   water modes need every leg between cities on the same waters. Legs with a
+   *   city outside CitiesDB are not ruled out
+   * @returns {boolean} True when the distance is within the mode's limits and
+   *   the mode can reach the cities
+   */
+  isFeasible: function(key, distanceKm, legs = []) {
+    const mode = this.get(key);
+
+    if (!mode) {
+      return false;
+    }
+
+    if (mode.routing === 'water' && legs.some(leg => CitiesDB.shareWaters(leg.origin, leg.destination) === false)) {
+      return false;
+    }
+
+    return !(distanceKm < mode.minDistance) && !(distanceKm > mode.maxDistance);
+  },
+
+  /**
+   * Check whether a mode travels on the road network
+   * Air and water modes ignore road routes and use straight-line distances
+   *
+   * @param {string} key - Mode key (unknown modes count as ground modes)
+   * @returns {boolean} True for ground modes
+   */
+  usesRoads: function(key) {
+    const mode = this.get(key);
+    return !mode || mode.routing === 'ground';
+  }
+};
+
+// Node: export the module and load the modules it uses (see js/core.js);
+// registering the built-in modes below needs FactorSets and I18n
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.TransportModes = TransportModes;
+  require('./factor-sets');
+  require('./i18n');
+  require('./cities-data');
+}
+
+/**
+ * Built-in modes
+ * Their factors are in the built-in FactorSets (per vehicle for private
+ * modes, per passenger for shared modes)
+ */
+TransportModes.register('bicycle', {
+  icon: "🚲",
+  color: "#3b82f6",       // Blue
+  winding: 1.35,          // Cycling routes avoid highways
+  speed: 15,
+  cost: 0,
+  maxDistance: 50         // Beyond a long commute by bike
+});
+
+TransportModes.register('car', {
+  icon: "🚗",
+  color: "#ef4444",       // Red
+  load: { passengers: 1.5 },  // Average urban occupancy
+  ghg: { ch4: 0.00015, n2o: 0.000025, wtt: 0.24 },  // Gasoline / ethanol engine
+  speed: 70,
+  cost: 0.5               // Gasoline at ~R$ 6/l, ~12 km/l
+});
+
+TransportModes.register('electricCar', {
+  icon: "🔌",
+  color: "#14b8a6",       // Teal
+  load: { passengers: 1.5 },
+  ghg: { electric: true },
+  speed: 70,
+  cost: 0.15              // ~17 kWh/100 km at ~R$ 0.90/kWh
+});
+
+TransportModes.register('motorcycle', {
+  icon: "🏍️",
+  color: "#ec4899",       // Pink
+  load: { passengers: 1.1 },
+  ghg: { ch4: 0.00095, n2o: 0.00002, wtt: 0.24 },   // Small engines emit more unburnt methane
+  speed: 65,
+  cost: 0.2               // ~30 km/l
+});
+
+TransportModes.register('bus', {
+  icon: "🚌",
+  color: "#f59e0b",       // Amber
+  shared: true,
+  winding: 1.35,          // Bus lines detour through intermediate stops
+  ghg: { ch4: 0.00005, n2o: 0.000035, wtt: 0.24 },  // Diesel engine
+  speed: 60,
+  overhead: 0.5,          // Getting to the station and boarding
+  cost: 0.25              // Intercity fare per passenger-km
+});
+
+TransportModes.register('electricBus', {
+  icon: "🚎",
+  color: "#84cc16",       // Lime
+  shared: true,
+  winding: 1.35,
+  ghg: { electric: true },
+  speed: 25,              // City lines
+  overhead: 0.25,
+  cost: 0.3,
+  maxDistance: 100        // Urban and metropolitan lines only
+});
+
+TransportModes.register('train', {
+  icon: "🚆",
+  color: "#8b5cf6",       // Violet
+  shared: true,
+  winding: 1.2,           // Rail lines are straighter than roads
+  ghg: { ch4: 0.00005, n2o: 0.000035, wtt: 0.25 },  // Diesel and electric traction mix
+  speed: 70,
+  overhead: 0.5,
+  cost: 0.3
+});
+
+TransportModes.register('ferry', {
+  icon: "⛴️",
+  color: "#0ea5e9",       // Sky
+  shared: true,
+  routing: 'water',
+  winding: 1.2,           // Waterways bend around coasts and river bends
+  ghg: { ch4: 0.00005, n2o: 0.00003, wtt: 0.21 },   // Marine diesel
+  speed: 25,
+  overhead: 0.5,
+  cost: 0.35
+});
+
+TransportModes.register('plane', {
+  icon: "✈️",
+  color: "#64748b",       // Slate
+  shared: true,
+  routing: 'air',
+  winding: 1,
+  ghg: { ch4: 0.00001, n2o: 0.00003, wtt: 0.21 },   // Jet kerosene
+  speed: 700,             // Block speed, taxiing and climb included
+  overhead: 2.5,          // Airport transfers, check-in and boarding
+  cost: 0.6,
+  minDistance: 200,       // Shorter hops are faster by road
+
+  /**
+   * Airport-distance uplift (ICAO): flights are longer than the great circle
+   * because of holding patterns, approach paths and air traffic routing
+   */
+  getUplift: function(straightLineKm) {
+    if (straightLineKm < 550) return 50;
+    if (straightLineKm <= 5500) return 100;
+    return 125;
+  }
+});
+
+TransportModes.register('truck', {
+  icon: "🚚",
+  color: "#6366f1",       // Indigo
+  load: { passengers: 1, cargoTonnes: 10 },  // Driver and average cargo
+  ghg: { ch4: 0.00005, n2o: 0.000035, wtt: 0.24 },  // Diesel engine
+  speed: 55,
+  cost: 2                 // Diesel at ~R$ 6/l, ~3 km/l
+});
@@ -0,0 +1,323 @@
+/**
+ * CarbonOffset - Offset Checkout and Certificates
+ *
+ * Turns the credits of a calculation into an offset order: the user picks a
+ * project from a provider, a quantity of credits and how to round it to
+ * whole credits, then confirms. Each confirmed order is saved in
+ * localStorage as a compensation certificate.
+ *
+ * Providers are pluggable, so a marketplace API can replace the local
+ * simulation registered at the bottom of this file. A provider is:
+ * - label: Display name (optional when an "offset.provider.<key>" message exists)
+ * - simulated: True when no real purchase happens
+ * - getProjects(): Promise of the projects on offer:
+ *   [{ key, type, name, location, priceMin, priceMax }]
+ *   Prices are per credit in Brazilian Reals, converted with the CreditPricing
+ *   rates; type is a PROJECT_TYPES key
+ * - purchase(order): Promise of a receipt { reference } for an order from
+ *   createOrder(); rejects when the purchase fails
+ *
+ * Structure of a certificate:
+ * - id / issuedAt: Unique id and ISO 8601 date
+ * - provider: { key, label, simulated }
+ * - reference: Provider's reference of the purchase
+ * - project: { key, type, name, location }
+ * - credits / kg: Whole credits retired and the CO2 they cover
+ * - unitPrice / total / currency: Price paid per credit and in total
+ * - trip: { origin, destination, emission } the credits were bought for
+ */
+
+const CarbonOffset = {
+  /**
+   * localStorage key holding the saved certificates
+   */
+  STORAGE_KEY: 'co2-calculator-certificates',
+
+  /**
+   * Maximum number of certificates kept; the oldest are dropped first
+   */
+  MAX_CERTIFICATES: 100,
+
+  /**
+   * Kinds of offset project, with their icon
+   * Labels are the "offset.type.<key>" messages
+   */
+  PROJECT_TYPES: {
+    reforestation: { icon: '🌳' },
+    avoidedDeforestation: { icon: '🛡️' },
+    renewableEnergy: { icon: '☀️' },
+    methaneCapture: { icon: '♻️' },
+    cookstoves: { icon: '🔥' }
+  },
+
+  /**
+   * Ways to turn the requested credits into whole credits
+   * Labels are the "offset.rounding.<key>" messages
+   */
+  ROUNDING: {
+    up: Math.ceil,
+    nearest: Math.round
+  },
+
+  /**
+   * Registered providers keyed by provider key
+   */
+  providers: {},
+
+  /**
+   * Key of the provider used for checkout
+   */
+  activeProvider: 'local',
+
+  /**
+   * Register an offset provider (or replace an existing one)
+   *
+   * @param {string} key - Provider key (e.g., 'local')
+   * @param {Object} provider - Provider (see module header)
+   * @returns {Object|null} Registered provider, null if it is invalid
+   */
+  registerProvider: function(key, provider) {
+    const hasLabel = Boolean(provider.label) || I18n.has(`offset.provider.${key}`);
+
+    if (!key || !hasLabel || typeof provider.getProjects !== 'function' || typeof provider.purchase !== 'function') {
+      console.error(`Invalid offset provider: ${key}`);
+      return null;
+    }
+
+    this.providers[key] = Object.assign({ simulated: false }, provider, { key: key });
+    return this.providers[key];
+  },
+
+  /**
+   * Choose the provider used for checkout
+   *
+   * @param {string} key - Provider key
+   * @returns {boolean} True if the provider is registered
+   */
+  useProvider: function(key) {
+    if (!Object.prototype.hasOwnProperty.call(this.providers, key)) {
+      return false;
+    }
+
+    this.activeProvider = key;
+    return true;
+  },
+
+  /**
+   * @returns {Object} Provider used for checkout
+   */
+  getProvider: function() {
+    return this.providers[this.activeProvider];
+  },
+
+  /**
+   * Get the display name of a provider
+   *
+   * @param {string} key - Provider key
+   * @returns {string} Translated name, or the provider's label
+   */
+  getProviderLabel: function(key) {
+    const provider = this.providers[key];
+    return I18n.has(`offset.provider.${key}`) ? I18n.t(`offset.provider.${key}`) : (provider ? provider.label : key);
+  },
+
+  /**
+   * Load the projects of the active provider
+   *
+   * @returns {Promise<Array<Object>>} Projects with a known type
+   */
+  getProjects: function() {
+    return this.getProvider().getProjects()
+      .then(projects => projects.filter(project => project.type in this.PROJECT_TYPES));
+  },
+
+  /**
+   * Round requested credits to whole credits, never less than one
+   *
+   * @param {number} credits - Requested credits (may be fractional)
+   * @param {string} rounding - ROUNDING key (unknown keys round up)
+   * @returns {number} Whole credits, at least 1
+   */
+  roundCredits: function(credits, rounding = 'up') {
+    const round = this.ROUNDING[rounding] || this.ROUNDING.up;
+    return Math.max(1, round(credits > 0 ? credits : 0));
+  },
+
+  /**
+   * Build the checkout summary of an offset
+   *
+   * @param {Object} project - Project from getProjects()
+   * @param {number} requested - Credits the user asked for
+   * @param {string} rounding - ROUNDING key
+   * @param {string} currency - Currency code, a CONFIG.CURRENCIES key (default: 'BRL')
+   * @returns {Object} Order:
+   *   { provider, project, requested, rounding, credits, kg, unitPrice, total, currency }
+   *   The unit price is the middle of the project's price range
+   */
+  createOrder: function(project, requested, rounding, currency = 'BRL') {
+    const code = currency in CONFIG.CURRENCIES ? currency : 'BRL';
+    const rate = CreditPricing.getRate(code);
+    const credits = this.roundCredits(requested, rounding);
+    const unitPrice = Math.round((project.priceMin + project.priceMax) / 2 * rate * 100) / 100;
+
+    return {
+      provider: this.activeProvider,
+      project: project,
+      requested: requested,
+      rounding: rounding in this.ROUNDING ? rounding : 'up',
+      credits: credits,
+      kg: credits * CONFIG.CARBON_CREDIT.KG_PER_CREDIT,
+      unitPrice: unitPrice,
+      total: Math.round(unitPrice * credits * 100) / 100,
+      currency: code
+    };
+  },
+
+  /**
+   * Purchase an order from its provider and save the certificate
+   *
+   * @param {Object} order - Order from createOrder()
+   * @param {Object} trip - { origin, destination, emission } of the calculation
+   * @returns {Promise<Object>} Saved certificate; rejects when the purchase fails
+   */
+  checkout: function(order, trip) {
+    const provider = this.providers[order.provider];
+
+    return provider.purchase(order).then(receipt => {
+      const certificate = this.createCertificate(order, receipt, trip);
+      this.add(certificate);
+      return certificate;
+    });
+  },
+
+  /**
+   * Build a certificate from a purchased order
+   *
+   * @param {Object} order - Order from createOrder()
+   * @param {Object} receipt - { reference } returned by the provider
+   * @param {Object} trip - { origin, destination, emission } of the calculation
+   * @param {Date} date - Date of issue (default: now)
+   * @returns {Object} Certificate (see module header)
+   */
+  createCertificate: function(order, receipt, trip, date = new Date()) {
+    const provider = this.providers[order.provider];
+
+    return {
+      id: `${date.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      issuedAt: date.toISOString(),
+      provider: {
+        key: order.provider,
+        label: this.getProviderLabel(order.provider),
+        simulated: provider.simulated
+      },
+      reference: receipt.reference,
+      project: {
+        key: order.project.key,
+        type: order.project.type,
+        name: order.project.name,
+        location: order.project.location
+      },
+      credits: order.credits,
+      kg: order.kg,
+      unitPrice: order.unitPrice,
+      total: order.total,
+      currency: order.currency,
+      trip: {
+        origin: trip.origin,
+        destination: trip.destination,
+        emission: trip.emission
+      }
+    };
+  },
+
+  /**
+   * Read the saved certificates
+   *
+   * @returns {Array<Object>} Certificates, newest first (empty if storage is unavailable)
+   */
+  load: function() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.error('Could not read compensation certificates:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Save a certificate at the top of the list
+   *
+   * @param {Object} certificate - Certificate from createCertificate()
+   * @returns {Array<Object>} Updated certificates
+   */
+  add: function(certificate) {
+    const certificates = [certificate].concat(this.load()).slice(0, this.MAX_CERTIFICATES);
+
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(certificates));
+    } catch (error) {
+      console.error('Could not save compensation certificate:', error);
+    }
+
+    return certificates;
+  }
+};
+
+/**
+ * Local simulation: a fixed catalog and purchases that always succeed
+ * Stands in for a marketplace until a real provider is registered.
+ */
+CarbonOffset.registerProvider('local', {
+  simulated: true,
+
+  getProjects: function() {
+    return Promise.resolve([
+      {
+        key: 'atlantic-forest',
+        type: 'reforestation',
+        name: 'Restauração da Mata Atlântica',
+        location: 'BR',
+        priceMin: 90,
+        priceMax: 180
+      },
+      {
+        key: 'amazon-redd',
+        type: 'avoidedDeforestation',
+        name: 'REDD+ Amazônia',
+        location: 'BR',
+        priceMin: 60,
+        priceMax: 120
+      },
+      {
+        key: 'northeast-wind',
+        type: 'renewableEnergy',
+        name: 'Parque Eólico do Nordeste',
+        location: 'BR',
+        priceMin: 25,
+        priceMax: 60
+      },
+      {
+        key: 'landfill-gas',
+        type: 'methaneCapture',
+        name: 'Biogás de Aterro Sanitário',
+        location: 'BR',
+        priceMin: 40,
+        priceMax: 85
+      },
+      {
+        key: 'clean-cookstoves',
+        type: 'cookstoves',
+        name: 'Fogões Eficientes',
+        location: 'GLOBAL',
+        priceMin: 50,
+        priceMax: 110
+      }
+    ]);
+  },
+
+  purchase: function(order) {
+    const reference = `SIM-${Date.now().toString(36).toUpperCase()}-${order.credits}`;
+    return Promise.resolve({ reference: reference });
+  }
+});
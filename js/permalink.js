@@ -0,0 +1,159 @@
+/**
+ * Permalink - Shareable Calculation Links
+ *
+ * Encodes the trip of a calculation (origin, destination, mode and, when
+ * typed by hand, the distance) in the URL query string, and decodes it back
+ * so a shared link restores the form and re-runs the calculation.
+ *
+ * Additional legs are numbered from 2, with the parameters of the first leg
+ * followed by the leg number: para2, modo2 and, for distances typed by hand, km2.
+ *
+ * Example: index.html?de=S%C3%A3o+Paulo%2C+SP&para=Rio+de+Janeiro%2C+RJ&modo=bus
+ *   &para2=Belo+Horizonte%2C+MG&modo2=car
+ */
+
+const Permalink = {
+  /**
+   * Query parameter names, keyed by trip field
+   */
+  PARAMS: {
+    origin: 'de',
+    destination: 'para',
+    mode: 'modo',
+    distance: 'km',
+    manual: 'manual'
+  },
+
+  /**
+   * Highest leg number read from a link, including the first leg
+   */
+  MAX_LEGS: 20,
+
+  /**
+   * Encode a trip as a query string
+   * The distance is only included for manual distances; looked-up distances
+   * are resolved again when the link is opened.
+   *
+   * @param {Object} trip - { origin, destination, mode, distance, manual, legs }
+   *   legs are the additional legs, [{ destination, mode, distance, manual }] (optional)
+   * @returns {string} Query string, starting with "?"
+   */
+  encode: function(trip) {
+    const params = new URLSearchParams();
+
+    params.set(this.PARAMS.origin, trip.origin);
+    params.set(this.PARAMS.destination, trip.destination);
+    params.set(this.PARAMS.mode, trip.mode);
+
+    if (trip.manual) {
+      params.set(this.PARAMS.manual, '1');
+      params.set(this.PARAMS.distance, String(trip.distance));
+    }
+
+    (trip.legs || []).forEach((leg, i) => {
+      const number = i + 2;
+
+      params.set(`${this.PARAMS.destination}${number}`, leg.destination);
+      params.set(`${this.PARAMS.mode}${number}`, leg.mode);
+
+      if (leg.manual) {
+        params.set(`${this.PARAMS.distance}${number}`, String(leg.distance));
+      }
+    });
+
+    return `?${params.toString()}`;
+  },
+
+  /**
+   * Decode a trip from a query string
+   *
+   * @param {string} search - Query string (e.g., window.location.search)
+   * @returns {Object|null} { origin, destination, mode, distance, manual, legs }, null when the
+   *   link holds no trip. Unknown modes fall back to TransportModes.DEFAULT_MODE.
+   *   legs are the additional legs, [{ destination, mode, distance, manual }], up to the
+   *   first number without a destination
+   */
+  decode: function(search) {
+    const params = new URLSearchParams(search);
+    const origin = (params.get(this.PARAMS.origin) || '').trim();
+    const destination = (params.get(this.PARAMS.destination) || '').trim();
+
+    if (!origin || !destination) {
+      return null;
+    }
+
+    const modeOf = key => TransportModes.has(params.get(key)) ? params.get(key) : TransportModes.DEFAULT_MODE;
+    const manual = params.get(this.PARAMS.manual) === '1';
+    const distance = parseFloat(params.get(this.PARAMS.distance));
+    const legs = [];
+
+    for (let number = 2; number <= this.MAX_LEGS; number++) {
+      const legDestination = (params.get(`${this.PARAMS.destination}${number}`) || '').trim();
+      const legDistance = parseFloat(params.get(`${this.PARAMS.distance}${number}`));
+
+      if (!legDestination) {
+        break;
+      }
+
+      legs.push({
+        destination: legDestination,
+        mode: modeOf(`${this.PARAMS.mode}${number}`),
+        distance: isNaN(legDistance) ? null : legDistance,
+        manual: !isNaN(legDistance)
+      });
+    }
+
+    return {
+      origin: origin,
+      destination: destination,
+      mode: modeOf(this.PARAMS.mode),
+      distance: manual && !isNaN(distance) ? distance : null,
+      manual: manual && !isNaN(distance),
+      legs: legs
+    };
+  },
+
+  /**
+   * Build the full link to a trip
+   *
+   * @param {Object} trip - Trip (see encode)
+   * @param {string} baseUrl - Page URL (default: current page, without query or hash)
+   * @returns {string} Absolute URL
+   */
+  buildUrl: function(trip, baseUrl = window.location.href) {
+    return baseUrl.split(/[?#]/)[0] + this.encode(trip);
+  },
+
+  /**
+   * Copy text to the clipboard
+   * Falls back to a temporary text area where the Clipboard API is unavailable
+   * (e.g. pages opened from file://)
+   *
+   * @param {string} text - Text to copy
+   * @returns {Promise<void>} Resolves once copied, rejects if copying failed
+   */
+  copy: function(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+      return navigator.clipboard.writeText(text);
+    }
+
+    return new Promise((resolve, reject) => {
+      const textArea = document.createElement('textarea');
+      textArea.value = text;
+      textArea.setAttribute('readonly', '');
+      textArea.style.position = 'fixed';
+      textArea.style.opacity = '0';
+      document.body.appendChild(textArea);
+      textArea.select();
+
+      const copied = document.execCommand('copy');
+      textArea.remove();
+
+      if (copied) {
+        resolve();
+      } else {
+        reject(new Error('Copy command was rejected'));
+      }
+    });
+  }
+};
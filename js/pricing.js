@@ -0,0 +1,389 @@
+/**
+ * CreditPricing - Carbon Credit Price Tables
+ *
+ * Prices carbon credits from a dated price table instead of a fixed range.
+ * The table is a JSON file (CONFIG.CARBON_CREDIT.PRICE_TABLE_URL) with:
+ * - currency: Currency of the prices ('BRL')
+ * - source: Where the values come from
+ * - prices: [{ market, standard, date, min, max, close }], price per credit
+ *   by market (e.g. 'voluntary'), standard (e.g. 'VCS', 'Gold Standard')
+ *   and date (YYYY-MM-DD)
+ * - rates: [{ date, BRL, USD, ... }], units of each currency per unit of the
+ *   table currency
+ *
+ * Each market and standard pair is a price series. For a chosen date, prices
+ * and rates are interpolated linearly between the entries around it; dates
+ * outside the table use the first or last entry.
+ *
+ * Until a table is loaded (or when it can't be, e.g. on file:// pages) a
+ * single undated entry built from the CONFIG.CARBON_CREDIT range is used, and
+ * rates come from CONFIG.CURRENCIES.
+ */
+
+const CreditPricing = {
+  /**
+   * localStorage key holding the selected price series
+   */
+  STORAGE_KEY: 'co2-calculator-price-series',
+
+  /**
+   * Series used when the user has not picked one or the pick is not in the table
+   */
+  DEFAULT_SERIES: 'voluntary/VCS',
+
+  /**
+   * Key of the series built from the CONFIG range
+   */
+  FALLBACK_SERIES: 'reference/reference',
+
+  /**
+   * Loaded table, normalized by setTable(); null until loaded
+   */
+  table: null,
+
+  /**
+   * Saved series choice, applied when the table has it (see getSelected)
+   */
+  selected: null,
+
+  /**
+   * Date prices are taken at, as YYYY-MM-DD; null for today
+   */
+  date: null,
+
+  /**
+   * Load the saved series choice
+   */
+  init: function() {
+    try {
+      this.selected = localStorage.getItem(this.STORAGE_KEY);
+    } catch (error) {
+      console.warn('Could not read the price series preference:', error);
+    }
+  },
+
+  /**
+   * Fetch and use a price table
+   *
+   * @param {string} url - URL of the JSON table (default: CONFIG.CARBON_CREDIT.PRICE_TABLE_URL)
+   * @returns {Promise<Object>} Normalized table; rejects when it can't be fetched or is invalid
+   */
+  load: function(url = CONFIG.CARBON_CREDIT.PRICE_TABLE_URL) {
+    // Started from a promise so a missing fetch() also ends up in the rejection
+    return Promise.resolve()
+      .then(() => fetch(url))
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(data => this.setTable(data));
+  },
+
+  /**
+   * Use a price table
+   *
+   * @param {Object} data - Table (see module header)
+   * @returns {Object} Normalized table: entries sorted by date
+   * @throws {Error} When the table has no valid price entry
+   */
+  setTable: function(data) {
+    const isDate = value => typeof value === 'string' && !Number.isNaN(this.toTime(value));
+    const isPrice = value => typeof value === 'number' && value >= 0;
+    const byDate = (a, b) => a.date.localeCompare(b.date);
+
+    const prices = (data && Array.isArray(data.prices) ? data.prices : [])
+      .filter(entry => entry.market && entry.standard && isDate(entry.date) &&
+        isPrice(entry.min) && isPrice(entry.max) && isPrice(entry.close))
+      .sort(byDate);
+
+    const rates = (data && Array.isArray(data.rates) ? data.rates : [])
+      .filter(entry => isDate(entry.date))
+      .sort(byDate);
+
+    if (prices.length === 0) {
+      throw new Error('Price table has no valid entries');
+    }
+
+    this.table = {
+      currency: data.currency || 'BRL',
+      source: data.source || null,
+      prices: prices,
+      rates: rates
+    };
+
+    return this.table;
+  },
+
+  /**
+   * Get the table in use
+   *
+   * @returns {Object} Loaded table, or the fallback built from CONFIG
+   */
+  getTable: function() {
+    if (this.table) {
+      return this.table;
+    }
+
+    const range = CONFIG.CARBON_CREDIT;
+
+    return {
+      currency: 'BRL',
+      source: null,
+      prices: [{
+        market: 'reference',
+        standard: 'reference',
+        date: null,
+        min: range.PRICE_MIN_BRL,
+        max: range.PRICE_MAX_BRL,
+        close: (range.PRICE_MIN_BRL + range.PRICE_MAX_BRL) / 2
+      }],
+      rates: []
+    };
+  },
+
+  /**
+   * Key of the series of an entry
+   *
+   * @param {Object} entry - Price entry
+   * @returns {string} Series key (e.g., 'voluntary/VCS')
+   */
+  getSeriesKey: function(entry) {
+    return `${entry.market}/${entry.standard}`;
+  },
+
+  /**
+   * Get the price series of the table in use
+   *
+   * @returns {Array<Object>} [{ key, market, standard }] in table order
+   */
+  getSeries: function() {
+    const series = [];
+
+    this.getTable().prices.forEach(entry => {
+      const key = this.getSeriesKey(entry);
+      if (!series.some(item => item.key === key)) {
+        series.push({ key: key, market: entry.market, standard: entry.standard });
+      }
+    });
+
+    return series;
+  },
+
+  /**
+   * Display name of a series (e.g., "VCS · Voluntary market")
+   *
+   * @param {string} key - Series key
+   * @returns {string} Translated name
+   */
+  getSeriesLabel: function(key) {
+    const series = this.getSeries().find(item => item.key === key);
+
+    if (!series || key === this.FALLBACK_SERIES) {
+      return I18n.t('pricing.reference');
+    }
+
+    const marketKey = `pricing.market.${series.market}`;
+    return `${series.standard} · ${I18n.has(marketKey) ? I18n.t(marketKey) : series.market}`;
+  },
+
+  /**
+   * @returns {string} Key of the selected series, if the table has it; else
+   *   DEFAULT_SERIES, else the first series of the table
+   */
+  getSelected: function() {
+    const keys = this.getSeries().map(series => series.key);
+
+    if (keys.includes(this.selected)) {
+      return this.selected;
+    }
+
+    return keys.includes(this.DEFAULT_SERIES) ? this.DEFAULT_SERIES : keys[0];
+  },
+
+  /**
+   * Select a series and save the choice
+   *
+   * @param {string} key - Series key
+   * @returns {boolean} True if the table has the series
+   */
+  select: function(key) {
+    if (!this.getSeries().some(series => series.key === key)) {
+      return false;
+    }
+
+    this.selected = key;
+
+    try {
+      localStorage.setItem(this.STORAGE_KEY, key);
+    } catch (error) {
+      // Private mode or storage disabled: the choice lasts until the page is closed
+      console.warn('Could not save the price series preference:', error);
+    }
+
+    return true;
+  },
+
+  /**
+   * @returns {string} Date prices are taken at (YYYY-MM-DD)
+   */
+  getDate: function() {
+    return this.date || this.toDateString(new Date());
+  },
+
+  /**
+   * Set the date prices are taken at
+   *
+   * @param {string|null} date - YYYY-MM-DD, or null/empty for today
+   * @returns {boolean} True if the date is valid
+   */
+  setDate: function(date) {
+    if (date && Number.isNaN(this.toTime(date))) {
+      return false;
+    }
+
+    this.date = date || null;
+    return true;
+  },
+
+  /**
+   * @param {string} date - YYYY-MM-DD
+   * @returns {number} Milliseconds at midnight UTC (NaN when invalid)
+   */
+  toTime: function(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) ? Date.parse(`${date}T00:00:00Z`) : NaN;
+  },
+
+  /**
+   * @param {Date} date - Date
+   * @returns {string} Local date as YYYY-MM-DD
+   */
+  toDateString: function(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  /**
+   * Interpolate fields of dated entries at a date
+   *
+   * @param {Array<Object>} entries - Entries sorted by date (at least one)
+   * @param {string} date - YYYY-MM-DD
+   * @param {Array<string>} fields - Numeric fields to interpolate
+   * @returns {Object} { values, from, to } where from and to are the entries
+   *   used (the same entry when the date matches one or is outside the table)
+   */
+  interpolate: function(entries, date, fields) {
+    const time = this.toTime(date);
+    const pick = entry => ({
+      values: fields.reduce((values, field) => Object.assign(values, { [field]: entry[field] }), {}),
+      from: entry,
+      to: entry
+    });
+
+    const nextIndex = entries.findIndex(entry => this.toTime(entry.date) >= time);
+
+    if (entries.length === 1 || nextIndex === 0 || Number.isNaN(time)) {
+      return pick(entries[0]);
+    }
+
+    if (nextIndex === -1) {
+      return pick(entries[entries.length - 1]);
+    }
+
+    const to = entries[nextIndex];
+    const from = entries[nextIndex - 1];
+
+    if (this.toTime(to.date) === time) {
+      return pick(to);
+    }
+
+    const share = (time - this.toTime(from.date)) / (this.toTime(to.date) - this.toTime(from.date));
+
+    return {
+      values: fields.reduce((values, field) => Object.assign(values, {
+        [field]: from[field] + (to[field] - from[field]) * share
+      }), {}),
+      from: from,
+      to: to
+    };
+  },
+
+  /**
+   * Get the price of one credit in the table currency
+   *
+   * @param {string} date - YYYY-MM-DD (default: getDate())
+   * @param {string} seriesKey - Series key (default: getSelected(); unknown keys use it too)
+   * @returns {Object} { min, max, close, entry }
+   *   entry tells which table entries were used:
+   *   { market, standard, date, from, to, interpolated }
+   *   date is the priced date, from/to the dates of the entries around it
+   *   (null for the undated CONFIG range)
+   */
+  getPrice: function(date = this.getDate(), seriesKey = this.getSelected()) {
+    const prices = this.getTable().prices;
+    const key = prices.some(entry => this.getSeriesKey(entry) === seriesKey) ? seriesKey : this.getSelected();
+    const entries = prices.filter(entry => this.getSeriesKey(entry) === key);
+    const result = this.interpolate(entries, date, ['min', 'max', 'close']);
+
+    return Object.assign(result.values, {
+      entry: {
+        market: result.from.market,
+        standard: result.from.standard,
+        date: date,
+        from: result.from.date,
+        to: result.to.date,
+        interpolated: result.from !== result.to
+      }
+    });
+  },
+
+  /**
+   * Describe the table entries a price was taken from
+   *
+   * @param {Object} entry - entry of getPrice() or Calculator.estimateCreditPrice()
+   * @returns {string} Translated description (e.g., "VCS · Voluntary market, price of 7/1/25")
+   */
+  describe: function(entry) {
+    if (!entry.from) {
+      return I18n.t('pricing.fallback');
+    }
+
+    const formatDate = date => I18n.formatDate(new Date(`${date}T00:00:00`), { dateStyle: 'short' });
+    const series = this.getSeriesLabel(this.getSeriesKey(entry));
+
+    return entry.interpolated
+      ? I18n.t('pricing.interpolated', {
+        series: series,
+        date: formatDate(entry.date),
+        from: formatDate(entry.from),
+        to: formatDate(entry.to)
+      })
+      : I18n.t('pricing.entry', { series: series, date: formatDate(entry.from) });
+  },
+
+  /**
+   * Get the exchange rate from the table currency
+   *
+   * @param {string} currency - Currency code, a CONFIG.CURRENCIES key
+   * @param {string} date - YYYY-MM-DD (default: getDate())
+   * @returns {number} Units of the currency per unit of the table currency;
+   *   the CONFIG.CURRENCIES rate when the table has no rates for it
+   */
+  getRate: function(currency, date = this.getDate()) {
+    const rates = this.getTable().rates.filter(entry => typeof entry[currency] === 'number');
+
+    if (rates.length === 0) {
+      return CONFIG.CURRENCIES[currency] ? CONFIG.CURRENCIES[currency].rate : 1;
+    }
+
+    return this.interpolate(rates, date, [currency]).values[currency];
+  }
+};
+
+// Node: export the module and load the modules it uses (see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.CreditPricing = CreditPricing;
+  require('./config');
+  require('./i18n');
+}
@@ -5,13 +5,17 @@
  * and utility methods to query and manage route data.
  * 
  * Structure:
- * - routes: Array of route objects with origin, destination, and distanceKm
+ * - routes: Array of built-in route objects with origin, destination, and distanceKm
+ * - getRoutes(): Built-in routes merged with the user's own (see UserRoutes)
  * - Methods for finding distances and retrieving unique cities
+ * - Shortest-path resolution for city pairs without a direct route
+ * - Great-circle fallback (via CitiesDB coordinates) when no route connects two cities
  */
 
 const RoutesDB = {
   /**
-   * Array of route objects containing popular Brazilian routes
+   * Array of route objects containing popular Brazilian routes (built-in set)
+   * Each pair of cities is listed once; routes work in both directions.
    * Each route has:
    * - origin: City name with state abbreviation (e.g., "São Paulo, SP")
    * - destination: City name with state abbreviation
@@ -63,28 +67,41 @@ const RoutesDB = {
     // Center-West Region - Regional Routes
     { origin: "Brasília, DF", destination: "Goiânia, GO", distanceKm: 209 },
     { origin: "Brasília, DF", destination: "Cuiabá, MT", distanceKm: 990 },
-    { origin: "Goiânia, GO", destination: "Brasília, DF", distanceKm: 209 },
     { origin: "Campo Grande, MS", destination: "Brasília, DF", distanceKm: 1255 },
 
     // Cross-Region Connections
     { origin: "Curitiba, PR", destination: "Belo Horizonte, MG", distanceKm: 820 },
     { origin: "Porto Alegre, RS", destination: "Rio de Janeiro, RJ", distanceKm: 1460 },
-    { origin: "Salvador, BA", destination: "Brasília, DF", distanceKm: 1535 },
     { origin: "Fortaleza, CE", destination: "Rio de Janeiro, RJ", distanceKm: 2761 },
   ],
 
   /**
-   * Get all unique city names from the routes database
+   * Get the routes used for distance lookups: the user's routes (see
+   * UserRoutes) followed by the built-in routes they don't replace
+   * @returns {Array<Object>} Routes { origin, destination, distanceKm }
+   */
+  getRoutes: function() {
+    const userRoutes = UserRoutes.load();
+    const builtIn = this.routes.filter(route => !userRoutes.some(userRoute => UserRoutes.isSamePair(userRoute, route)));
+
+    return userRoutes.concat(builtIn);
+  },
+
+  /**
+   * Get all unique city names from the routes database and the city registry
    * @returns {Array<string>} Sorted array of unique city names with states
    */
   getAllCities: function() {
     const cities = new Set();
     
     // Extract all cities from both origin and destination
-    this.routes.forEach(route => {
+    this.getRoutes().forEach(route => {
       cities.add(route.origin);
       cities.add(route.destination);
     });
+
+    // Cities with coordinates can be reached through the great-circle fallback
+    CitiesDB.getAllNames().forEach(city => cities.add(city));
     
     // Convert to array and sort alphabetically
     return Array.from(cities).sort();
@@ -92,23 +109,230 @@ const RoutesDB = {
 
   /**
    * Find the distance between two cities
-   * Searches in both directions (A→B and B→A)
+   * Searches in both directions (A→B and B→A), then through other cities,
+   * then falls back to an estimated great-circle distance
    * @param {string} origin - Origin city name (case-insensitive, whitespace-trimmed)
    * @param {string} destination - Destination city name (case-insensitive, whitespace-trimmed)
+   * @param {string} mode - Transport mode key used for routing and the winding factor (optional)
    * @returns {number|null} Distance in kilometers if found, null if route doesn't exist
    */
-  findDistance: function(origin, destination) {
-    // Normalize inputs: trim whitespace and convert to lowercase
-    const normalizedOrigin = origin.trim().toLowerCase();
-    const normalizedDestination = destination.trim().toLowerCase();
+  findDistance: function(origin, destination, mode) {
+    const route = this.findRoute(origin, destination, mode);
+
+    // Return distance if found, null otherwise
+    return route ? route.distanceKm : null;
+  },
+
+  /**
+   * Find the distance of a route stored directly in the database
+   * Searches in both directions (A→B and B→A)
+   * @param {string} origin - Origin city name (accent-, case- and separator-insensitive)
+   * @param {string} destination - Destination city name (accent-, case- and separator-insensitive)
+   * @returns {number|null} Distance in kilometers if a direct route exists, null otherwise
+   */
+  findDirectDistance: function(origin, destination) {
+    // Normalize inputs: strip accents, lowercase and unify the state separator
+    const normalizedOrigin = CitySearch.normalize(origin);
+    const normalizedDestination = CitySearch.normalize(destination);
+    const normalize = city => CitySearch.normalize(city);
     
     // Search for the route in both directions
-    const route = this.routes.find(r => 
-      (r.origin.toLowerCase() === normalizedOrigin && r.destination.toLowerCase() === normalizedDestination) ||
-      (r.origin.toLowerCase() === normalizedDestination && r.destination.toLowerCase() === normalizedOrigin)
+    const route = this.getRoutes().find(r => 
+      (normalize(r.origin) === normalizedOrigin && normalize(r.destination) === normalizedDestination) ||
+      (normalize(r.origin) === normalizedDestination && normalize(r.destination) === normalizedOrigin)
     );
     
     // Return distance if found, null otherwise
     return route ? route.distanceKm : null;
+  },
+
+  /**
+   * Build an undirected graph of the routes
+   * Each city is a node keyed by its normalized name; each route is an edge
+   * weighted by its distance. When a pair appears more than once, the
+   * shortest distance is kept.
+   * @returns {Map<string, Object>} Map of normalized city name to
+   *   { name: string, edges: Map<string, number> } (neighbor key → km)
+   */
+  buildGraph: function() {
+    const graph = new Map();
+
+    const addNode = (city) => {
+      const key = CitySearch.normalize(city);
+      if (!graph.has(key)) {
+        graph.set(key, { name: city, edges: new Map() });
+      }
+      return graph.get(key);
+    };
+
+    const addEdge = (from, toKey, distanceKm) => {
+      const current = from.edges.get(toKey);
+      if (current === undefined || distanceKm < current) {
+        from.edges.set(toKey, distanceKm);
+      }
+    };
+
+    this.getRoutes().forEach(route => {
+      const originNode = addNode(route.origin);
+      const destinationNode = addNode(route.destination);
+
+      // Routes can be travelled in both directions
+      addEdge(originNode, CitySearch.normalize(route.destination), route.distanceKm);
+      addEdge(destinationNode, CitySearch.normalize(route.origin), route.distanceKm);
+    });
+
+    return graph;
+  },
+
+  /**
+   * Find a route between two cities
+   *
+   * Resolution order:
+   * 1. Direct route stored in the database
+   * 2. Shortest path through other cities (Dijkstra)
+   * 3. Great-circle distance × road-winding factor for the mode
+   *
+   * Air and water modes skip the road routes and go straight to step 3,
+   * with the mode's own winding factor and uplift.
+   * Only direct routes are exact; the others are flagged as estimated.
+   * Inputs are resolved with CitySearch, so "sao paulo" or "Brasilia - DF" work.
+   * @param {string} origin - Origin city name (accent-, case- and separator-insensitive)
+   * @param {string} destination - Destination city name (accent-, case- and separator-insensitive)
+   * @param {string} mode - Transport mode key used for routing and the winding factor (optional)
+   * @returns {Object|null} Route if one can be resolved, null otherwise:
+   *   - distanceKm: number (total distance)
+   *   - path: Array<string> (every city from origin to destination)
+   *   - via: Array<string> (intermediate cities, empty unless method is 'graph')
+   *   - estimated: boolean (true unless method is 'direct')
+   *   - method: string ('direct', 'graph' or 'greatCircle')
+   */
+  findRoute: function(origin, destination, mode) {
+    // Use canonical names when the input resolves to a known city
+    origin = CitySearch.resolve(origin) || origin.trim();
+    destination = CitySearch.resolve(destination) || destination.trim();
+
+    if (CitySearch.normalize(origin) === CitySearch.normalize(destination)) {
+      return null;
+    }
+
+    // Air and water modes don't follow roads: use the straight line
+    if (!TransportModes.usesRoads(mode)) {
+      return this.estimateGreatCircleRoute(origin, destination, mode);
+    }
+
+    // Prefer a route stored directly in the database
+    const directDistance = this.findDirectDistance(origin, destination);
+    if (directDistance !== null) {
+      return {
+        distanceKm: directDistance,
+        path: [origin, destination],
+        via: [],
+        estimated: false,
+        method: 'direct'
+      };
+    }
+
+    return this.findShortestPath(origin, destination) ||
+      this.estimateGreatCircleRoute(origin, destination, mode);
+  },
+
+  /**
+   * Find the shortest route between two cities using Dijkstra's algorithm
+   * The route is chained through intermediate cities of the routes graph.
+   * @param {string} origin - Origin city name (accent-, case- and separator-insensitive)
+   * @param {string} destination - Destination city name (accent-, case- and separator-insensitive)
+   * @returns {Object|null} Route (see findRoute) with method 'graph', null if not connected
+   */
+  findShortestPath: function(origin, destination) {
+    const originKey = CitySearch.normalize(origin);
+    const destinationKey = CitySearch.normalize(destination);
+
+    const graph = this.buildGraph();
+    if (!graph.has(originKey) || !graph.has(destinationKey) || originKey === destinationKey) {
+      return null;
+    }
+
+    // Shortest known distance and previous node for each city
+    const distances = new Map([[originKey, 0]]);
+    const previous = new Map();
+    const visited = new Set();
+
+    while (visited.size < graph.size) {
+      // Pick the closest unvisited city
+      let currentKey = null;
+      distances.forEach((distance, key) => {
+        if (!visited.has(key) && (currentKey === null || distance < distances.get(currentKey))) {
+          currentKey = key;
+        }
+      });
+
+      // Remaining cities are unreachable, or the destination was reached
+      if (currentKey === null || currentKey === destinationKey) {
+        break;
+      }
+
+      visited.add(currentKey);
+
+      // Relax edges to neighboring cities
+      graph.get(currentKey).edges.forEach((edgeDistance, neighborKey) => {
+        const candidate = distances.get(currentKey) + edgeDistance;
+        if (!visited.has(neighborKey) && (!distances.has(neighborKey) || candidate < distances.get(neighborKey))) {
+          distances.set(neighborKey, candidate);
+          previous.set(neighborKey, currentKey);
+        }
+      });
+    }
+
+    if (!distances.has(destinationKey)) {
+      return null;
+    }
+
+    // Walk back from destination to origin to rebuild the path
+    const path = [];
+    for (let key = destinationKey; key !== undefined; key = previous.get(key)) {
+      path.unshift(graph.get(key).name);
+    }
+
+    return {
+      distanceKm: distances.get(destinationKey),
+      path: path,
+      via: path.slice(1, -1),
+      estimated: true,
+      method: 'graph'
+    };
+  },
+
+  /**
+   * Estimate a travel distance from the great-circle distance between two cities
+   * Formula: haversine distance × winding factor + uplift of the transport mode
+   * (see TransportModes.getTravelDistance)
+   * @param {string} origin - Origin city name (must exist in CitiesDB)
+   * @param {string} destination - Destination city name (must exist in CitiesDB)
+   * @param {string} mode - Transport mode key (optional, uses the default factor)
+   * @returns {Object|null} Route (see findRoute) with method 'greatCircle', null if a city has no coordinates
+   */
+  estimateGreatCircleRoute: function(origin, destination, mode) {
+    const straightLineKm = CitiesDB.greatCircleDistance(origin, destination);
+
+    if (straightLineKm === null) {
+      return null;
+    }
+
+    return {
+      distanceKm: TransportModes.getTravelDistance(mode, straightLineKm),
+      path: [CitiesDB.findCity(origin).name, CitiesDB.findCity(destination).name],
+      via: [],
+      estimated: true,
+      method: 'greatCircle'
+    };
   }
 };
+
+// Node: export the module and load the modules it uses (see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.RoutesDB = RoutesDB;
+  require('./city-search');
+  require('./cities-data');
+  require('./modes');
+  require('./user-routes');
+}
@@ -4,6 +4,11 @@
  * Handles all DOM manipulation, element rendering, formatting, and display logic.
  * Provides utility methods for common UI operations and methods for rendering
  * calculation results with proper formatting and styling.
+ * Text comes from the I18n message catalog, in the current locale.
+ *
+ * Render methods build their markup with SafeHTML templates, so origins,
+ * destinations, imported rows and saved history are escaped and always
+ * displayed as text.
  */
 
 const UI = {
@@ -12,29 +17,31 @@ const UI = {
    * 
    * @param {number} number - Number to format
    * @param {number} decimals - Number of decimal places (default: 2)
-   * @returns {string} Formatted number string (e.g., "1.234,56")
+   * @returns {string} Formatted number string in the current locale (e.g., "1.234,56")
    */
   formatNumber: function(number, decimals = 2) {
-    // Use toLocaleString with pt-BR locale for proper formatting
-    return number.toLocaleString('pt-BR', {
-      minimumFractionDigits: decimals,
-      maximumFractionDigits: decimals
-    });
+    return I18n.formatNumber(number, decimals);
   },
 
   /**
-   * Format a value as Brazilian currency
+   * Format a value as currency
    * 
-   * @param {number} value - Value to format in Brazilian Reals
-   * @returns {string} Formatted currency string (e.g., "R$ 1.234,56")
+   * @param {number} value - Value to format
+   * @param {string} currency - Currency code (default: the selected currency)
+   * @returns {string} Formatted currency string in the current locale (e.g., "R$ 1.234,56")
    */
-  formatCurrency: function(value) {
-    return value.toLocaleString('pt-BR', {
-      style: 'currency',
-      currency: 'BRL',
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2
-    });
+  formatCurrency: function(value, currency) {
+    return I18n.formatCurrency(value, currency);
+  },
+
+  /**
+   * Format a duration in hours and minutes
+   *
+   * @param {number|null} hours - Duration in hours
+   * @returns {string} Formatted duration (e.g., "45 min", "7 h 10 min"), "—" when unknown
+   */
+  formatDuration: function(hours) {
+    return typeof hours === 'number' ? I18n.formatDuration(hours) : '—';
   },
 
   /**
@@ -93,39 +100,92 @@ const UI = {
    *   - origin: string
    *   - destination: string
    *   - distance: number (km)
+   *   - estimated: boolean (true when the distance is not from a direct route)
+   *   - distanceMethod: string (RoutesDB method: 'direct', 'graph' or 'greatCircle')
    *   - emission: number (kg CO2)
    *   - mode: string (transport mode key)
+   *   - vehicle: Object vehicle profile used for the emission (optional)
+   *   - intensity: Object from Calculator.calculateIntensity() (optional)
    *   - savings: Object { savedKg, percentage } (optional)
-   * @returns {string} HTML string for results section
+   *   - projection: Object from TripFrequency.project() (optional)
+   *   - factorSources: Array<Object> sets the factors came from (optional, see Calculator.calculateItinerary())
+   *   - gases: Object { ttw, wtw } from Calculator.sumGases() (optional)
+   *   - gasScope: string scope shown first, 'ttw' or 'wtw' (default: 'ttw')
+   * @returns {Object} SafeHTML fragment for results section
    */
   renderResults: function(data) {
-    const modeInfo = CONFIG.TRANSPORT_MODES[data.mode];
+    const html = SafeHTML.html;
+    const modeInfo = TransportModes.get(data.mode);
+    const t = (key, params) => I18n.t(key, params);
     
     // Build savings card HTML (only show if mode is not car and savings exist)
     const savingsHTML = data.mode !== 'car' && data.savings
-      ? `
+      ? html`
         <div class="results__card results__card--savings">
-          <div class="results__card-header">Economia de CO₂</div>
+          <div class="results__card-header">${t('results.savings')}</div>
           <div class="results__card-body">
             <div class="results__stat">
               <span class="results__value" style="color: #10b981; font-weight: 700; font-size: 1.5rem;">
                 ${this.formatNumber(data.savings.savedKg, 2)} kg
               </span>
-              <span class="results__label">economizados</span>
+              <span class="results__label">${t('results.saved')}</span>
             </div>
             <div class="results__stat">
               <span class="results__value" style="color: #10b981; font-weight: 700;">
                 ${this.formatNumber(data.savings.percentage, 1)}%
               </span>
-              <span class="results__label">menos que carro</span>
+              <span class="results__label">${t('results.lessThanCar')}</span>
             </div>
           </div>
         </div>
       `
       : '';
 
+    // Explain how an estimated distance was obtained
+    const estimateHTML = data.estimated
+      ? html`
+              <span class="results__estimate">
+                ≈ ${data.distanceMethod === 'greatCircle'
+                  ? t('results.estimatedGreatCircle')
+                  : t('results.estimatedGraph')}
+              </span>`
+      : '';
+
+    // Describe the vehicle profile when it replaced the average factor
+    const vehicleHTML = data.vehicle
+      ? html`
+              <span class="results__mode-detail">
+                ${VehicleProfiles.describe(data.vehicle)} ·
+                ${this.formatNumber(VehicleProfiles.getEmissionFactor(data.vehicle), 3)} kg CO₂/km
+              </span>`
+      : '';
+
+    // Build intensity card HTML (per passenger and, for cargo, per tonne-km)
+    const intensityHTML = data.intensity
+      ? html`
+        <div class="results__card results__card--intensity">
+          <div class="results__card-header">${t('results.intensity')}</div>
+          <div class="results__card-body">
+            <div class="results__stat">
+              <span class="results__value">${this.formatNumber(data.intensity.perPassenger, 2)}</span>
+              <span class="results__label">
+                ${t('results.perPassenger')}${modeInfo.shared ? '' : ` ${t('results.inVehicle', { count: this.formatNumber(data.intensity.passengers, 1) })}`}
+              </span>
+            </div>
+            ${data.intensity.perTonneKm !== null ? html`
+            <div class="results__stat">
+              <span class="results__value">${this.formatNumber(data.intensity.perTonneKm, 4)}</span>
+              <span class="results__label">
+                ${t('results.perTonneKm', { cargo: this.formatNumber(data.intensity.cargoTonnes, 1) })}
+              </span>
+            </div>` : ''}
+          </div>
+        </div>
+      `
+      : '';
+
     // Build complete results HTML
-    return `
+    return html`
       <div class="results__container">
         <!-- Route Card -->
         <div class="results__card results__card--route">
@@ -138,40 +198,428 @@ const UI = {
 
         <!-- Distance Card -->
         <div class="results__card results__card--distance">
-          <div class="results__card-header">Distância</div>
+          <div class="results__card-header">${t('results.distance')}</div>
           <div class="results__card-body">
             <div class="results__stat">
               <span class="results__value" style="color: #0891b2;">${this.formatNumber(data.distance, 1)}</span>
-              <span class="results__label">km</span>
+              <span class="results__label">km</span>${estimateHTML}
             </div>
           </div>
         </div>
 
         <!-- Emission Card -->
         <div class="results__card results__card--emission">
-          <div class="results__card-header">Emissão de CO₂</div>
+          <div class="results__card-header">${t('results.emission')}</div>
           <div class="results__card-body">
             <div class="results__stat">
               <span class="results__value" style="color: #dc2626; font-weight: 700; font-size: 2rem;">
                 🍃 ${this.formatNumber(data.emission, 2)}
               </span>
-              <span class="results__label">kg CO₂</span>
+              <span class="results__label">kg CO₂</span>${this.renderFactorSource(data.factorSources)}
             </div>
           </div>
         </div>
 
         <!-- Transport Mode Card -->
         <div class="results__card results__card--mode">
-          <div class="results__card-header">Modo de Transporte</div>
+          <div class="results__card-header">${t('results.mode')}</div>
           <div class="results__card-body">
             <div class="results__mode" style="color: ${modeInfo.color};">
               <span class="results__mode-icon" style="font-size: 2.5rem;">${modeInfo.icon}</span>
-              <span class="results__mode-label">${modeInfo.label}</span>
+              <span class="results__mode-label">${TransportModes.getLabel(data.mode)}</span>${vehicleHTML}
             </div>
           </div>
         </div>
 
+        ${intensityHTML}
+
+        ${data.gases ? this.renderGases(data.gases, data.gasScope) : ''}
+
         ${savingsHTML}
+
+        ${data.projection ? this.renderProjection(data.projection) : ''}
+      </div>
+    `;
+  },
+
+  /**
+   * Render the source line of an emission value
+   * Cites every set the factors came from; the full citations are shown as a tooltip
+   *
+   * @param {Array<Object>} sources - Objects from FactorSets.describe() (optional)
+   * @returns {Object} SafeHTML fragment (empty without sources)
+   */
+  renderFactorSource: function(sources) {
+    if (!sources || sources.length === 0) {
+      return '';
+    }
+
+    const html = SafeHTML.html;
+    const names = sources.map(source => `${source.name} ${source.version}`).join(' · ');
+
+    return html`
+              <span class="results__source" title="${sources.map(source => source.citation).join('\n')}">
+                ${I18n.t('results.factorSource', { source: names })}
+              </span>`;
+  },
+
+  /**
+   * Render the greenhouse gas breakdown with a scope toggle
+   *
+   * HTML structure:
+   * - Toggle buttons for the tank-to-wheel and well-to-wheel scopes
+   *   (handled by App via data-action="gas-scope")
+   * - One table per scope with the mass and CO2e of each gas; the table of
+   *   the other scope is hidden
+   * - Note with the GWP weights
+   *
+   * @param {Object} gases - { ttw, wtw } from Calculator.sumGases()
+   * @param {string} scope - Scope shown, 'ttw' or 'wtw' (default: 'ttw')
+   * @returns {Object} SafeHTML fragment for the gases card
+   */
+  renderGases: function(gases, scope = 'ttw') {
+    const html = SafeHTML.html;
+    const t = (key, params) => I18n.t(key, params);
+    const gwp = CONFIG.GWP;
+
+    // CH4 and N2O are a few grams per trip, so their mass is shown in grams
+    const tableHTML = key => {
+      const values = gases[key];
+
+      return html`
+        <div class="gases__scope${key === scope ? '' : ' hidden'}" data-gas-scope="${key}">
+          <p class="projection__summary">${t(`results.scopeHelp.${key}`)}</p>
+          <table class="projection__table">
+            <thead>
+              <tr>
+                <th class="projection__heading">${t('table.gas')}</th>
+                <th class="projection__heading projection__cell--number">${t('table.mass')}</th>
+                <th class="projection__heading projection__cell--number">CO₂e</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr class="projection__row">
+                <td class="projection__cell">CO₂</td>
+                <td class="projection__cell projection__cell--number">${this.formatNumber(values.co2, 2)} kg</td>
+                <td class="projection__cell projection__cell--number">${this.formatNumber(values.co2 * gwp.co2, 2)} kg</td>
+              </tr>
+              <tr class="projection__row">
+                <td class="projection__cell">CH₄</td>
+                <td class="projection__cell projection__cell--number">${this.formatNumber(values.ch4 * 1000, 2)} g</td>
+                <td class="projection__cell projection__cell--number">${this.formatNumber(values.ch4 * gwp.ch4, 2)} kg</td>
+              </tr>
+              <tr class="projection__row">
+                <td class="projection__cell">N₂O</td>
+                <td class="projection__cell projection__cell--number">${this.formatNumber(values.n2o * 1000, 2)} g</td>
+                <td class="projection__cell projection__cell--number">${this.formatNumber(values.n2o * gwp.n2o, 2)} kg</td>
+              </tr>
+              <tr class="projection__row batch__total-row">
+                <td class="projection__cell">${t('table.total')}</td>
+                <td class="projection__cell"></td>
+                <td class="projection__cell projection__cell--number"><strong>${this.formatNumber(values.co2e, 2)} kg</strong></td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      `;
+    };
+
+    return html`
+      <!-- Greenhouse Gases Card -->
+      <div class="results__card results__card--gases">
+        <div class="results__card-header">${t('results.gases')}</div>
+        <div class="gases__toggle" role="group" aria-label="${t('results.scope')}">
+          ${['ttw', 'wtw'].map(key => html`
+          <button type="button" class="gases__button" data-action="gas-scope" value="${key}" aria-pressed="${key === scope}">
+            ${t(`results.scope.${key}`)}
+          </button>`)}
+        </div>
+        ${tableHTML('ttw')}
+        ${tableHTML('wtw')}
+        <p class="gases__note">
+          ${t('results.gwpNote', { ch4: this.formatNumber(gwp.ch4, 1), n2o: this.formatNumber(gwp.n2o, 0) })}
+        </p>
+      </div>
+    `;
+  },
+
+  /**
+   * Render projected emissions for a round or recurring trip
+   *
+   * HTML structure:
+   * - Projection card with frequency summary
+   * - One row per period (trip, week, month, year, horizon) with emission
+   *   and savings vs car
+   *
+   * @param {Object} projection - Object from TripFrequency.project()
+   * @returns {Object} SafeHTML fragment for projection card (empty for one-way one-off trips)
+   */
+  renderProjection: function(projection) {
+    if (!projection.recurring && !projection.roundTrip) {
+      return '';
+    }
+
+    const html = SafeHTML.html;
+    const t = (key, params) => I18n.t(key, params);
+    const rows = [
+      { label: t(projection.roundTrip ? 'projection.perRoundTrip' : 'projection.perTrip'), totals: projection.perTrip }
+    ];
+
+    if (projection.recurring) {
+      rows.push(
+        { label: t('projection.perWeek'), totals: projection.weekly },
+        { label: t('projection.perMonth'), totals: projection.monthly },
+        { label: t('projection.perYear'), totals: projection.annual },
+        { label: t('projection.horizon', { months: this.formatNumber(projection.horizonMonths, 0) }), totals: projection.horizon }
+      );
+    }
+
+    const rowsHTML = rows.map(row => html`
+      <tr class="projection__row">
+        <td class="projection__cell">${row.label}</td>
+        <td class="projection__cell projection__cell--number">${this.formatNumber(row.totals.emission, 2)} kg</td>
+        <td class="projection__cell projection__cell--number" style="color: #10b981;">
+          ${row.totals.savings.savedKg > 0 ? `-${this.formatNumber(row.totals.savings.savedKg, 2)} kg` : '—'}
+        </td>
+      </tr>
+    `);
+
+    const frequencyText = projection.recurring
+      ? t(projection.trips === 1 ? 'projection.trip' : 'projection.trips', {
+        count: this.formatNumber(projection.trips, 0),
+        period: t(`period.${projection.period}`)
+      }) + (projection.roundTrip ? t('projection.roundTripSuffix') : '')
+      : t('projection.roundTrip');
+
+    return html`
+      <!-- Projection Card -->
+      <div class="results__card results__card--projection">
+        <div class="results__card-header">${t('projection.title')}</div>
+        <p class="projection__summary">${frequencyText}</p>
+        <table class="projection__table">
+          <thead>
+            <tr>
+              <th class="projection__heading">${t('projection.period')}</th>
+              <th class="projection__heading projection__cell--number">CO₂</th>
+              <th class="projection__heading projection__cell--number">${t('table.vsCar')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHTML}
+          </tbody>
+        </table>
+      </div>
+    `;
+  },
+
+  /**
+   * Render the results of a multi-leg itinerary
+   *
+   * HTML structure:
+   * - Route card with every stop joined by arrows
+   * - Total distance and total emission cards
+   * - Savings card comparing the itinerary to the whole trip by car
+   * - Per-leg breakdown table with mode, distance and emission
+   *
+   * @param {Object} data - Result data object containing:
+   *   - legs: Array<Object> [{ origin, destination, mode, distance, manual, estimated, emission }]
+   *   - totalDistance: number (km)
+   *   - totalEmission: number (kg CO2)
+   *   - totalPerPassenger: number (kg CO2 per passenger, optional)
+   *   - savings: Object { savedKg, percentage } (optional, vs whole trip by car)
+   *   - projection: Object from TripFrequency.project() (optional)
+   *   - factorSources: Array<Object> sets the factors came from (optional, see Calculator.calculateItinerary())
+   *   - gases: Object { ttw, wtw } from Calculator.sumGases() (optional)
+   *   - gasScope: string scope shown first, 'ttw' or 'wtw' (default: 'ttw')
+   * @returns {Object} SafeHTML fragment for itinerary results
+   */
+  renderItinerary: function(data) {
+    const html = SafeHTML.html;
+    const stops = Itinerary.getStops(data.legs);
+    const t = (key, params) => I18n.t(key, params);
+
+    // Build route with an arrow between each stop
+    const routeHTML = SafeHTML.join(
+      stops.map(stop => html`<span class="results__city">${stop}</span>`),
+      '<span class="results__arrow">→</span>'
+    );
+
+    // Build savings card HTML (only when the itinerary beats the car)
+    const savingsHTML = data.savings && data.savings.savedKg > 0
+      ? html`
+        <div class="results__card results__card--savings">
+          <div class="results__card-header">${t('results.savings')}</div>
+          <div class="results__card-body">
+            <div class="results__stat">
+              <span class="results__value" style="color: #10b981; font-weight: 700; font-size: 1.5rem;">
+                ${this.formatNumber(data.savings.savedKg, 2)} kg
+              </span>
+              <span class="results__label">${t('results.saved')}</span>
+            </div>
+            <div class="results__stat">
+              <span class="results__value" style="color: #10b981; font-weight: 700;">
+                ${this.formatNumber(data.savings.percentage, 1)}%
+              </span>
+              <span class="results__label">${t('results.lessThanCarTrip')}</span>
+            </div>
+          </div>
+        </div>
+      `
+      : '';
+
+    // Build one table row per leg
+    const legsHTML = data.legs.map((leg, index) => {
+      const modeInfo = TransportModes.get(leg.mode);
+
+      return html`
+        <tr class="itinerary__row">
+          <td class="itinerary__cell">${index + 1}</td>
+          <td class="itinerary__cell">${leg.origin} → ${leg.destination}</td>
+          <td class="itinerary__cell" style="color: ${modeInfo.color};">${modeInfo.icon} ${TransportModes.getLabel(leg.mode)}</td>
+          <td class="itinerary__cell itinerary__cell--number">
+            ${this.formatNumber(leg.distance, 1)} km${leg.manual ? html` <span class="itinerary__tag">${t('results.manual')}</span>` : ''}${leg.estimated ? html` <span class="itinerary__tag">${t('results.estimated')}</span>` : ''}
+          </td>
+          <td class="itinerary__cell itinerary__cell--number">${this.formatNumber(leg.emission, 2)} kg</td>
+        </tr>
+      `;
+    });
+
+    return html`
+      <div class="results__container">
+        <!-- Route Card -->
+        <div class="results__card results__card--route">
+          <div class="results__route">
+            ${routeHTML}
+          </div>
+        </div>
+
+        <!-- Total Distance Card -->
+        <div class="results__card results__card--distance">
+          <div class="results__card-header">${t('results.totalDistance')}</div>
+          <div class="results__card-body">
+            <div class="results__stat">
+              <span class="results__value" style="color: #0891b2;">${this.formatNumber(data.totalDistance, 1)}</span>
+              <span class="results__label">${t('results.kmInLegs', { count: data.legs.length })}</span>
+            </div>
+          </div>
+        </div>
+
+        <!-- Total Emission Card -->
+        <div class="results__card results__card--emission">
+          <div class="results__card-header">${t('results.totalEmission')}</div>
+          <div class="results__card-body">
+            <div class="results__stat">
+              <span class="results__value" style="color: #dc2626; font-weight: 700; font-size: 2rem;">
+                🍃 ${this.formatNumber(data.totalEmission, 2)}
+              </span>
+              <span class="results__label">kg CO₂</span>${this.renderFactorSource(data.factorSources)}
+            </div>
+            ${typeof data.totalPerPassenger === 'number' ? html`
+            <div class="results__stat">
+              <span class="results__value">${this.formatNumber(data.totalPerPassenger, 2)}</span>
+              <span class="results__label">${t('results.perPassenger')}</span>
+            </div>` : ''}
+          </div>
+        </div>
+
+        ${data.gases ? this.renderGases(data.gases, data.gasScope) : ''}
+
+        ${savingsHTML}
+
+        ${data.projection ? this.renderProjection(data.projection) : ''}
+
+        <!-- Per-leg Breakdown -->
+        <div class="results__card results__card--legs">
+          <div class="results__card-header">${t('results.legs')}</div>
+          <table class="itinerary__table">
+            <thead>
+              <tr>
+                <th class="itinerary__heading">#</th>
+                <th class="itinerary__heading">${t('table.leg')}</th>
+                <th class="itinerary__heading">${t('table.mode')}</th>
+                <th class="itinerary__heading itinerary__cell--number">${t('table.distance')}</th>
+                <th class="itinerary__heading itinerary__cell--number">CO₂</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${legsHTML}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Render the transport mode radio grid
+   *
+   * One radio card per mode registered in TransportModes, in registration order
+   *
+   * @param {string} selectedMode - Key of the mode checked by default
+   * @returns {Object} SafeHTML fragment for the transport grid items
+   */
+  renderTransportGrid: function(selectedMode) {
+    const html = SafeHTML.html;
+    return SafeHTML.join(TransportModes.getKeys().map(mode => {
+      const modeInfo = TransportModes.get(mode);
+
+      return html`
+        <label class="calculadora__transport-item">
+          <input type="radio" name="transport" value="${mode}" class="calculadora__transport-input"${mode === selectedMode ? html` checked` : ''}>
+          <span class="calculadora__transport-icon">${modeInfo.icon}</span>
+          <span class="calculadora__transport-text">${TransportModes.getLabel(mode)}</span>
+        </label>
+      `;
+    }));
+  },
+
+  /**
+   * Render a form row for an additional itinerary leg
+   *
+   * HTML structure:
+   * - Header with leg number, origin (previous destination) and remove button
+   * - Destination input sharing the cities datalist
+   * - Transport mode select built from the TransportModes registry
+   * - Distance input (autofilled when the route is known, editable otherwise)
+   *
+   * @param {number} index - Leg index (1 for the second leg of the trip)
+   * @param {string} origin - Origin of the leg (destination of the previous leg)
+   * @returns {Object} SafeHTML fragment for the leg row
+   */
+  renderLegRow: function(index, origin) {
+    const html = SafeHTML.html;
+    const optionsHTML = TransportModes.getKeys().map(mode => {
+      const modeInfo = TransportModes.get(mode);
+      return html`<option value="${mode}"${mode === TransportModes.DEFAULT_MODE ? html` selected` : ''}>${modeInfo.icon} ${TransportModes.getLabel(mode)}</option>`;
+    });
+    const t = (key, params) => I18n.t(key, params);
+
+    return html`
+      <div class="calculadora__leg" data-leg-index="${index}">
+        <div class="calculadora__leg-header">
+          <span class="calculadora__leg-title">${t('leg.title', { number: index + 1 })}</span>
+          <span class="calculadora__leg-origin">${t('leg.from', { origin: origin || '—' })}</span>
+          <button type="button" class="calculadora__leg-remove" data-action="remove-leg" aria-label="${t('leg.remove', { number: index + 1 })}">✕</button>
+        </div>
+
+        <div class="calculadora__field">
+          <label for="leg-${index}-destination" class="calculadora__label">${t('form.destination')}</label>
+          <input id="leg-${index}-destination" class="calculadora__input" list="cities-list" placeholder="${t('form.destinationPlaceholder')}" autocomplete="off" data-leg-field="destination">
+        </div>
+
+        <div class="calculadora__leg-grid">
+          <div class="calculadora__field">
+            <label for="leg-${index}-mode" class="calculadora__label">${t('leg.mode')}</label>
+            <select id="leg-${index}-mode" class="calculadora__input" data-leg-field="mode">
+              ${optionsHTML}
+            </select>
+          </div>
+
+          <div class="calculadora__field">
+            <label for="leg-${index}-distance" class="calculadora__label">${t('form.distance')}</label>
+            <input id="leg-${index}-distance" type="number" min="0" step="any" class="calculadora__input" placeholder="${t('leg.distancePlaceholder')}" data-leg-field="distance">
+          </div>
+        </div>
       </div>
     `;
   },
@@ -180,82 +628,137 @@ const UI = {
    * Render comparison of all transport modes with emission analysis
    * 
    * HTML structure:
+   * - SVG bar chart of the modes, with a legend in the mode colors
    * - Grid of comparison items, one per transport mode
-   * - Each item shows mode icon, emission, percentage vs car
-   * - Color-coded progress bar indicating emission intensity
+   * - Each item shows mode icon, emission, percentage vs car, duration and cost
+   * - Percentage vs car color-coded from green (≤ 25%) to red (above the car)
    * - Selected mode highlighted with badge
-   * - Tip box with helpful recommendation
+   * - Note listing the modes left out as impractical for the distance
+   * - Tip box recommending the lowest-emission practical mode
+   * 
+   * Values are shown in the functional unit the modes were ranked on
+   * (total, per passenger or per tonne-km). Impractical modes (see
+   * TransportModes.isFeasible()) are left out, unless they are the selected one.
+   * When none is left, a short note replaces the chart and the cards.
    * 
    * @param {Array<Object>} modeArray - Array of mode objects from Calculator.calculateAllModes()
    * @param {string} selectedMode - Key of currently selected transport mode
-   * @returns {string} HTML string for comparison section
+   * @returns {Object} SafeHTML fragment for comparison section
    */
   renderComparison: function(modeArray, selectedMode) {
-    // Find max emission for progress bar scaling
-    const maxEmission = Math.max(...modeArray.map(m => m.emission));
-    
-    // Determine bar color based on percentage of max
-    const getBarColor = (emission) => {
-      const percentage = (emission / maxEmission) * 100;
-      if (percentage <= 25) return '#10b981';      // Green
-      if (percentage <= 75) return '#f59e0b';      // Yellow/Amber
-      if (percentage <= 100) return '#f97316';     // Orange
-      return '#ef4444';                             // Red
+    const html = SafeHTML.html;
+    const unit = modeArray.length > 0 ? modeArray[0].unit : 'vehicle';
+    const unitInfo = CONFIG.FUNCTIONAL_UNITS[unit];
+    const unitSuffix = I18n.t(`unit.${unit}.unit`);
+    const t = (key, params) => I18n.t(key, params);
+
+    // Rate each mode against the car: the share of the maximum can never
+    // exceed 100%, so rating on it left the red band unreachable
+    const getRatingColor = (percentageVsCar) => {
+      if (percentageVsCar === null) return null;        // No car baseline for this unit
+      if (percentageVsCar <= 25) return '#10b981';      // Green
+      if (percentageVsCar <= 75) return '#f59e0b';      // Yellow/Amber
+      if (percentageVsCar <= 100) return '#f97316';     // Orange
+      return '#ef4444';                                 // Red: more than the car
     };
 
+    // Impractical modes are left out, but the user's own choice is always shown
+    const shownModes = modeArray.filter(mode => mode.feasible !== false || mode.mode === selectedMode);
+    const hiddenModes = modeArray.filter(mode => !shownModes.includes(mode));
+
+    const chartItems = shownModes.map(mode => {
+      const label = TransportModes.getLabel(mode.mode);
+      const value = `${this.formatNumber(mode.value, unitInfo.decimals)} ${unitSuffix}`;
+      const versusCar = mode.percentageVsCar !== null
+        ? ` · ${this.formatNumber(mode.percentageVsCar, 1)} ${t('comparison.vsCar')}`
+        : '';
+
+      return {
+        label: label,
+        value: mode.value,
+        valueLabel: value,
+        color: TransportModes.get(mode.mode).color,
+        tooltip: `${mode.icon} ${label}: ${value}${versusCar}`,
+        highlighted: mode.mode === selectedMode
+      };
+    });
+
+    // Every mode may be ruled out (or none calculated): there is nothing to chart
+    const lowest = chartItems[0];
+    const highest = chartItems[chartItems.length - 1];
+    const chart = chartItems.length === 0 ? '' : Charts.renderBarChart(chartItems, {
+      title: t('chart.comparison.title', { unit: unitSuffix }),
+      description: t('chart.comparison.description', {
+        count: chartItems.length,
+        lowest: `${lowest.label} (${lowest.valueLabel})`,
+        highest: `${highest.label} (${highest.valueLabel})`
+      })
+    });
+
     // Build comparison items HTML
-    const itemsHTML = modeArray.map(mode => {
+    const itemsHTML = shownModes.map(mode => {
       const isSelected = mode.mode === selectedMode;
-      const barColor = getBarColor(mode.emission);
-      const barWidth = (mode.emission / maxEmission) * 100;
+      const ratingColor = getRatingColor(mode.percentageVsCar);
 
-      return `
+      return html`
         <div class="comparison__item ${isSelected ? 'comparison__item--selected' : ''}">
           <div class="comparison__header">
             <div class="comparison__mode">
               <span class="comparison__icon">${mode.icon}</span>
-              <span class="comparison__label">${mode.label}</span>
+              <span class="comparison__label">${TransportModes.getLabel(mode.mode)}</span>
             </div>
-            ${isSelected ? '<span class="comparison__badge">✓ Selecionado</span>' : ''}
+            ${isSelected ? html`<span class="comparison__badge">${t('comparison.selected')}</span>` : ''}
           </div>
 
           <div class="comparison__stats">
             <div class="comparison__stat">
-              <span class="comparison__value">${this.formatNumber(mode.emission, 2)}</span>
-              <span class="comparison__unit">kg CO₂</span>
+              <span class="comparison__value">${this.formatNumber(mode.value, unitInfo.decimals)}</span>
+              <span class="comparison__unit">${unitSuffix}</span>
             </div>
             <div class="comparison__stat">
-              <span class="comparison__value">${this.formatNumber(mode.percentageVsCar, 1)}</span>
-              <span class="comparison__unit">% vs carro</span>
+              <span class="comparison__value"${ratingColor ? html` style="color: ${ratingColor};"` : ''}>${mode.percentageVsCar !== null ? this.formatNumber(mode.percentageVsCar, 1) : '—'}</span>
+              <span class="comparison__unit">${t('comparison.vsCar')}</span>
+            </div>
+            <div class="comparison__stat">
+              <span class="comparison__value">${this.formatDuration(mode.duration)}</span>
+              <span class="comparison__unit">${t('comparison.duration')}</span>
+            </div>
+            <div class="comparison__stat">
+              <span class="comparison__value">${typeof mode.cost === 'number' ? this.formatCurrency(mode.cost, mode.currency) : '—'}</span>
+              <span class="comparison__unit">${t('comparison.cost')}</span>
             </div>
-          </div>
-
-          <div class="comparison__bar-container">
-            <div class="comparison__bar" style="
-              width: ${barWidth}%;
-              background-color: ${barColor};
-              height: 8px;
-              border-radius: 4px;
-              transition: width 0.3s ease;
-            "></div>
           </div>
         </div>
       `;
-    }).join('');
+    });
 
-    // Get recommendation based on lowest emission mode
-    const bestMode = modeArray[0]; // First item is lowest emission (sorted in Calculator)
-    const tipMessage = bestMode.mode === 'bicycle'
-      ? '🚲 Bicicleta é a opção mais sustentável! Zero emissões de CO₂.'
+    // Recommend the lowest emission mode that is practical for the trip
+    // (modes are sorted in Calculator, lowest first)
+    const bestMode = modeArray.find(mode => mode.feasible !== false);
+    const tipMessage = !bestMode
+      ? t('comparison.tip.default')
+      : bestMode.mode === 'bicycle'
+      ? t('comparison.tip.bicycle')
       : bestMode.mode === 'bus'
-      ? '🚌 Usar ônibus é uma ótima opção! Compartilhar transporte reduz emissões por pessoa.'
-      : '⚠️ Considere usar transporte público ou bicicleta para reduzir emissões.';
+      ? t('comparison.tip.bus')
+      : t('comparison.tip.best', { mode: `${bestMode.icon} ${TransportModes.getLabel(bestMode.mode)}` });
 
-    return `
+    return html`
       <div class="comparison__container">
+        <p class="comparison__unit-note">${t('comparison.note', { label: t(`unit.${unit}.label`), unit: unitSuffix })}</p>
+        ${chartItems.length > 0 ? html`
+        <figure class="chart__figure">
+          ${chart}
+          ${Charts.renderLegend(chartItems, t('chart.legend'))}
+        </figure>
         <div class="comparison__grid">
           ${itemsHTML}
-        </div>
+        </div>` : html`
+        <p class="comparison__empty">${t('comparison.empty')}</p>`}
+        ${hiddenModes.length > 0 ? html`
+        <p class="comparison__unit-note">
+          ${t('comparison.infeasible', { modes: hiddenModes.map(mode => TransportModes.getLabel(mode.mode)).join(', ') })}
+        </p>` : ''}
 
         <div class="comparison__tip" style="
           background-color: #f0fdf4;
@@ -265,7 +768,7 @@ const UI = {
           margin-top: 1.5rem;
         ">
           <p style="color: #1f2937; font-size: 0.95rem;">
-            <strong>💡 Dica:</strong> ${tipMessage}
+            <strong>${t('comparison.tipLabel')}</strong> ${tipMessage}
           </p>
         </div>
       </div>
@@ -277,46 +780,101 @@ const UI = {
    * 
    * HTML structure:
    * - Credits needed card (large prominent number)
-   * - Estimated market price card (min-max range with average)
+   * - Estimated market price card (min-max range with average) and the price
+   *   table entry it comes from
+   * - Price series and date fields
    * - Info box explaining what carbon credits are
-   * - Call-to-action button for compensation (demo/non-functional)
+   * - Call-to-action button opening the offset checkout (see renderOffset)
    * 
    * @param {Object} creditsData - Object containing:
    *   - credits: number (amount of carbon credits)
-   *   - price: Object { min, max, average } (in BRL)
-   * @returns {string} HTML string for carbon credits section
+   *   - price: Object { min, max, average, currency, entry } from Calculator.estimateCreditPrice()
+   *   - projection: Object from TripFrequency.project() (optional)
+   * @param {Object} options - { controls: boolean } renders the price series
+   *   and date fields and the offset button, which need App (default: true)
+   * @returns {Object} SafeHTML fragment for carbon credits section
    */
-  renderCarbonoCredits: function(creditsData) {
-    return `
+  renderCarbonoCredits: function(creditsData, options = {}) {
+    const html = SafeHTML.html;
+    const projection = creditsData.projection;
+    const t = (key, params) => I18n.t(key, params);
+    const price = creditsData.price;
+    const controls = options.controls !== false;
+
+    // Build projected credits card (only for recurring trips)
+    const projectionHTML = projection && projection.recurring
+      ? html`
+          <!-- Projected Credits Card -->
+          <div class="carbon-credits__card carbon-credits__card--projection">
+            <div class="carbon-credits__card-header">
+              ${t('credits.horizon', { months: this.formatNumber(projection.horizonMonths, 0) })}
+            </div>
+            <div class="carbon-credits__card-body">
+              <div class="carbon-credits__main-value">
+                ${this.formatNumber(projection.horizon.credits, 4)}
+              </div>
+              <p class="carbon-credits__helper">
+                ${t('credits.projected', { emission: this.formatNumber(projection.horizon.emission, 2) })}
+              </p>
+              <p class="carbon-credits__range">
+                ${this.formatCurrency(projection.horizon.price.average, projection.horizon.price.currency)}
+                (${this.formatCurrency(projection.horizon.price.min, projection.horizon.price.currency)} - ${this.formatCurrency(projection.horizon.price.max, projection.horizon.price.currency)})
+              </p>
+            </div>
+          </div>
+        `
+      : '';
+
+    return html`
       <div class="carbon-credits__container">
         <div class="carbon-credits__grid">
           <!-- Credits Card -->
           <div class="carbon-credits__card">
-            <div class="carbon-credits__card-header">Créditos de Carbono Necessários</div>
+            <div class="carbon-credits__card-header">${t('credits.needed')}</div>
             <div class="carbon-credits__card-body">
               <div class="carbon-credits__main-value">
                 ${this.formatNumber(creditsData.credits, 4)}
               </div>
               <p class="carbon-credits__helper">
-                1 crédito = 1.000 kg CO₂
+                ${t('credits.perCredit', { kg: this.formatNumber(CONFIG.CARBON_CREDIT.KG_PER_CREDIT, 0) })}
               </p>
             </div>
           </div>
 
           <!-- Price Card -->
           <div class="carbon-credits__card">
-            <div class="carbon-credits__card-header">Valor Estimado de Compensação</div>
+            <div class="carbon-credits__card-header">${t('credits.price')}</div>
             <div class="carbon-credits__card-body">
               <div class="carbon-credits__main-value" style="color: #059669;">
-                ${this.formatCurrency(creditsData.price.average)}
+                ${this.formatCurrency(price.average, price.currency)}
               </div>
               <p class="carbon-credits__range">
-                Variação: ${this.formatCurrency(creditsData.price.min)} - ${this.formatCurrency(creditsData.price.max)}
+                ${t('credits.range', { min: this.formatCurrency(price.min, price.currency), max: this.formatCurrency(price.max, price.currency) })}
               </p>
+              <p class="carbon-credits__source">${CreditPricing.describe(price.entry)}</p>
             </div>
           </div>
+
+          ${projectionHTML}
         </div>
 
+        <!-- Price series and date (handled by App) -->
+        ${controls ? html`<div class="carbon-credits__pricing">
+          <div class="calculadora__field">
+            <label for="price-series" class="calculadora__label">${t('pricing.series')}</label>
+            <select id="price-series" class="calculadora__input">
+              ${CreditPricing.getSeries().map(series => html`
+                <option value="${series.key}"${series.key === CreditPricing.getSelected() ? html` selected` : ''}>${CreditPricing.getSeriesLabel(series.key)}</option>
+              `)}
+            </select>
+          </div>
+
+          <div class="calculadora__field">
+            <label for="price-date" class="calculadora__label">${t('pricing.date')}</label>
+            <input id="price-date" type="date" class="calculadora__input" value="${CreditPricing.getDate()}">
+          </div>
+        </div>` : ''}
+
         <!-- Info Box -->
         <div class="carbon-credits__info" style="
           background-color: #f0f9ff;
@@ -326,41 +884,898 @@ const UI = {
           margin-top: 1.5rem;
         ">
           <h3 style="color: #0c4a6e; margin-bottom: 0.75rem; font-size: 1rem;">
-            ❓ O que são Créditos de Carbono?
+            ${t('credits.infoTitle')}
           </h3>
           <p style="color: #1f2937; font-size: 0.9rem; line-height: 1.6;">
-            Créditos de carbono são certificados que representam a redução ou remoção de uma tonelada 
-            (1.000 kg) de CO₂ equivalente da atmosfera. Você pode compensar as emissões do seu transporte 
-            apoiando projetos de energia renovável, reflorestamento ou outras iniciativas sustentáveis.
+            ${t('credits.infoText')}
           </p>
         </div>
 
-        <!-- Call-to-Action Button -->
-        <button class="carbon-credits__cta" style="
-          width: 100%;
-          padding: 1rem;
-          background-color: #10b981;
-          color: white;
-          border: none;
-          border-radius: 0.5rem;
-          font-size: 1rem;
-          font-weight: 600;
-          cursor: pointer;
-          margin-top: 1.5rem;
-          transition: all 0.3s ease;
-        " onmouseover="this.style.backgroundColor='#059669'" onmouseout="this.style.backgroundColor='#10b981'">
-          🛒 Compensar Emissões
-        </button>
+        <!-- Call-to-Action Button: opens the offset checkout (handled by App via data-action) -->
+        ${controls ? html`<button type="button" class="carbon-credits__cta" data-action="offset-start">
+          ${t('credits.cta')}
+        </button>` : ''}
+      </div>
+    `;
+  },
+
+  /**
+   * Render the offset checkout
+   *
+   * HTML structure:
+   * - Project cards to choose from, with their type and price per credit
+   * - Quantity of credits and rounding to whole credits
+   * - Checkout summary (see renderOffsetSummary)
+   * - Confirm and cancel buttons (handled by App via data-action)
+   *
+   * @param {Array<Object>} projects - Projects from CarbonOffset.getProjects()
+   * @param {Object} order - Order from CarbonOffset.createOrder() for the current choices
+   * @param {Object} options - { tripCredits, horizonCredits } shown as quantity hints
+   *   (horizonCredits only for recurring trips)
+   * @returns {Object} SafeHTML fragment for the offset section content
+   */
+  renderOffset: function(projects, order, options) {
+    const html = SafeHTML.html;
+    const t = (key, params) => I18n.t(key, params);
+    const rate = CreditPricing.getRate(order.currency);
+
+    const projectsHTML = projects.map(project => {
+      const checked = project.key === order.project.key;
+
+      return html`
+        <label class="offset__project${checked ? ' offset__project--selected' : ''}">
+          <input type="radio" name="offset-project" value="${project.key}" class="offset__radio"${checked ? html` checked` : ''}>
+          <span class="offset__project-type">${CarbonOffset.PROJECT_TYPES[project.type].icon} ${t(`offset.type.${project.type}`)}</span>
+          <span class="offset__project-name">${project.name}</span>
+          <span class="offset__project-price">
+            ${t('offset.priceRange', {
+              min: this.formatCurrency(project.priceMin * rate, order.currency),
+              max: this.formatCurrency(project.priceMax * rate, order.currency)
+            })}
+          </span>
+        </label>
+      `;
+    });
+
+    const hints = [t('offset.tripCredits', { credits: this.formatNumber(options.tripCredits, 4) })];
+    if (options.horizonCredits) {
+      hints.push(t('offset.horizonCredits', { credits: this.formatNumber(options.horizonCredits, 4) }));
+    }
+
+    return html`
+      <fieldset class="offset__projects">
+        <legend class="calculadora__label">${t('offset.project')}</legend>
+        ${projectsHTML}
+      </fieldset>
+
+      <div class="offset__quantity">
+        <div class="calculadora__field">
+          <label for="offset-quantity" class="calculadora__label">${t('offset.quantity')}</label>
+          <input id="offset-quantity" type="number" min="0" step="any" class="calculadora__input" value="${order.requested}">
+          <p class="calculadora__helper">${hints.join(' · ')}</p>
+        </div>
+
+        <div class="calculadora__field">
+          <label for="offset-rounding" class="calculadora__label">${t('offset.rounding')}</label>
+          <select id="offset-rounding" class="calculadora__input">
+            ${Object.keys(CarbonOffset.ROUNDING).map(key => html`
+              <option value="${key}"${key === order.rounding ? html` selected` : ''}>${t(`offset.rounding.${key}`)}</option>
+            `)}
+          </select>
+        </div>
+      </div>
+
+      <div id="offset-summary" class="offset__summary">
+        ${this.renderOffsetSummary(order)}
+      </div>
+
+      <div class="offset__actions">
+        <button type="button" class="calculadora__button" data-action="offset-confirm">${t('offset.confirm')}</button>
+        <button type="button" class="calculadora__button calculadora__button--secondary" data-action="offset-cancel">${t('offset.cancel')}</button>
+      </div>
+    `;
+  },
+
+  /**
+   * Render the checkout summary of an offset order
+   *
+   * @param {Object} order - Order from CarbonOffset.createOrder()
+   * @returns {Object} SafeHTML fragment with the summary table and notes
+   */
+  renderOffsetSummary: function(order) {
+    const html = SafeHTML.html;
+    const t = (key, params) => I18n.t(key, params);
+    const provider = CarbonOffset.providers[order.provider];
+
+    const rows = [
+      [t('offset.provider'), CarbonOffset.getProviderLabel(order.provider)],
+      [t('offset.project'), `${order.project.name} (${t(`offset.type.${order.project.type}`)})`],
+      [t('offset.credits'), this.formatNumber(order.credits, 0)],
+      [t('offset.covered'), `${this.formatNumber(order.kg, 0)} kg CO₂`],
+      [t('offset.unitPrice'), this.formatCurrency(order.unitPrice, order.currency)]
+    ];
+
+    return html`
+      <h3 class="offset__subtitle">${t('offset.summary')}</h3>
+      <table class="projection__table">
+        <tbody>
+          ${rows.map(([label, value]) => html`
+            <tr class="projection__row">
+              <th class="projection__cell" scope="row">${label}</th>
+              <td class="projection__cell projection__cell--number">${value}</td>
+            </tr>
+          `)}
+          <tr class="projection__row offset__total-row">
+            <th class="projection__cell" scope="row">${t('offset.total')}</th>
+            <td class="projection__cell projection__cell--number">${this.formatCurrency(order.total, order.currency)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <p class="calculadora__helper">
+        ${t('offset.wholeCredits', { kg: this.formatNumber(CONFIG.CARBON_CREDIT.KG_PER_CREDIT, 0) })}
+      </p>
+      ${provider.simulated ? html`<p class="offset__note">${t('offset.simulatedNote')}</p>` : ''}
+    `;
+  },
+
+  /**
+   * Render a compensation certificate
+   *
+   * @param {Object} certificate - Certificate from CarbonOffset.checkout()
+   * @returns {Object} SafeHTML fragment for the certificate card
+   */
+  renderCertificate: function(certificate) {
+    const html = SafeHTML.html;
+    const t = (key, params) => I18n.t(key, params);
+
+    return html`
+      <div class="offset__certificate" data-certificate-id="${certificate.id}">
+        <div class="offset__certificate-header">
+          <span>${CarbonOffset.PROJECT_TYPES[certificate.project.type].icon} ${certificate.project.name}</span>
+          ${certificate.provider.simulated ? html`<span class="offset__badge">${t('offset.simulated')}</span>` : ''}
+        </div>
+        <p class="offset__certificate-amount">
+          ${t('offset.certificateAmount', {
+            credits: this.formatNumber(certificate.credits, 0),
+            kg: this.formatNumber(certificate.kg, 0)
+          })}
+        </p>
+        <p class="offset__certificate-details">
+          ${certificate.trip.origin} → ${certificate.trip.destination} ·
+          ${this.formatCurrency(certificate.total, certificate.currency)} ·
+          ${certificate.provider.label}
+        </p>
+        <p class="offset__certificate-details">
+          ${t('offset.reference')}: <code>${certificate.reference}</code> ·
+          ${t('offset.issuedAt')} ${I18n.formatDate(certificate.issuedAt, { dateStyle: 'short', timeStyle: 'short' })}
+        </p>
+      </div>
+    `;
+  },
+
+  /**
+   * Render the confirmation shown after an offset is purchased
+   *
+   * @param {Object} certificate - Certificate from CarbonOffset.checkout()
+   * @returns {Object} SafeHTML fragment for the offset section content
+   */
+  renderOffsetConfirmation: function(certificate) {
+    const html = SafeHTML.html;
+    const t = (key, params) => I18n.t(key, params);
+
+    return html`
+      <p class="offset__confirmation" role="status">${t('offset.done')}</p>
+      ${this.renderCertificate(certificate)}
+    `;
+  },
+
+  /**
+   * Render the list of saved compensation certificates
+   *
+   * @param {Array<Object>} certificates - Certificates from CarbonOffset.load()
+   * @returns {Object} SafeHTML fragment for the certificates section content
+   */
+  renderCertificates: function(certificates) {
+    const html = SafeHTML.html;
+
+    return html`
+      <ul class="offset__certificates">
+        ${certificates.map(certificate => html`<li>${this.renderCertificate(certificate)}</li>`)}
+      </ul>
+    `;
+  },
+
+  /**
+   * Render the calculation history panel
+   *
+   * HTML structure:
+   * - SVG chart of cumulative emissions over time, points colored by mode
+   * - List of entries with date, route, mode, distance, emission and credits,
+   *   each with re-run and delete buttons (handled by App via data-action)
+   * - Cumulative totals by transport mode
+   * - Cumulative totals by month
+   *
+   * @param {Array<Object>} entries - Filtered entries from CalculationHistory
+   * @param {Object} totals - { byMode, byMonth } from CalculationHistory.getTotalsByMode/getTotalsByMonth
+   * @param {boolean} filtered - True when a filter hides some entries
+   * @returns {Object} SafeHTML fragment for the history panel content
+   */
+  renderHistory: function(entries, totals, filtered) {
+    const html = SafeHTML.html;
+    const t = (key, params) => I18n.t(key, params);
+
+    if (entries.length === 0) {
+      return html`
+        <p class="history__empty">
+          ${t(filtered ? 'history.emptyFiltered' : 'history.empty')}
+        </p>
+      `;
+    }
+
+    const modeText = mode => {
+      const modeInfo = TransportModes.get(mode);
+      return modeInfo ? `${modeInfo.icon} ${TransportModes.getLabel(mode)}` : `🔀 ${t('mode.mixed')}`;
+    };
+
+    const monthText = month => {
+      const [year, monthNumber] = month.split('-').map(Number);
+      return I18n.formatDate(new Date(year, monthNumber - 1, 1), { month: 'long', year: 'numeric' });
+    };
+
+    // Sets the leg factors came from; entries saved before legs recorded them cite the chosen set
+    const sourceHTML = entry => {
+      const sources = entry.legs.every(leg => leg.factorSet !== undefined)
+        ? entry.legs.map(leg => leg.factorSet).filter(Boolean)
+        : [entry.factorSet].filter(Boolean);
+      const labels = sources.map(source => {
+        const set = FactorSets.get(source.key);
+        return `${set ? set.name : source.key} ${source.version}`;
+      });
+      const unique = labels.filter((label, index) => labels.indexOf(label) === index);
+
+      return unique.length === 0 ? '' : html`
+          <span class="history__source">${t('results.factorSource', { source: unique.join(' · ') })}</span>`;
+    };
+
+    const entriesHTML = entries.map(entry => html`
+      <li class="history__entry" data-entry-id="${entry.id}">
+        <div class="history__entry-main">
+          <span class="history__date">${I18n.formatDate(entry.timestamp, { dateStyle: 'short', timeStyle: 'short' })}</span>
+          <span class="history__route">${Itinerary.getStops(entry.legs).join(' → ')}</span>
+          <span class="history__details">
+            ${modeText(entry.mode)} · ${this.formatNumber(entry.distance, 1)} km ·
+            <strong>${this.formatNumber(entry.emission, 2)} kg CO₂</strong> ·
+            ${t('history.credits', { credits: this.formatNumber(entry.credits, 4) })}
+          </span>
+          ${sourceHTML(entry)}
+        </div>
+        <div class="history__entry-actions">
+          <button type="button" class="history__button" data-action="rerun-entry">${t('history.rerun')}</button>
+          <button type="button" class="history__button history__button--delete" data-action="delete-entry" aria-label="${t('history.delete')}">✕</button>
+        </div>
+      </li>
+    `);
+
+    // Cumulative emissions, oldest calculation first
+    const chronological = entries.slice().sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    let cumulative = 0;
+    const points = chronological.map(entry => {
+      cumulative += entry.emission;
+      const modeInfo = TransportModes.get(entry.mode);
+
+      return {
+        date: new Date(entry.timestamp),
+        value: cumulative,
+        mode: entry.mode,
+        color: modeInfo ? modeInfo.color : '#6b7280',
+        tooltip: t('chart.history.point', {
+          date: I18n.formatDate(entry.timestamp, { dateStyle: 'short' }),
+          route: Itinerary.getStops(entry.legs).join(' → '),
+          mode: modeText(entry.mode),
+          emission: this.formatNumber(entry.emission, 2),
+          total: this.formatNumber(cumulative, 2)
+        })
+      };
+    });
+
+    const chartDate = date => I18n.formatDate(date, { dateStyle: 'short' });
+    const chart = Charts.renderTimeSeries(points, {
+      title: t('chart.history.title'),
+      description: t('chart.history.description', {
+        count: points.length,
+        start: chartDate(points[0].date),
+        end: chartDate(points[points.length - 1].date),
+        total: this.formatNumber(cumulative, 2)
+      }),
+      formatValue: value => `${this.formatNumber(value, value < 10 ? 1 : 0)} kg`,
+      formatDate: chartDate
+    });
+
+    const legendItems = points
+      .filter((point, i) => points.findIndex(other => other.mode === point.mode) === i)
+      .map(point => ({ label: modeText(point.mode), color: point.color }));
+
+    const totalsTable = (heading, rows) => html`
+      <table class="projection__table history__totals">
+        <thead>
+          <tr>
+            <th class="projection__heading">${heading}</th>
+            <th class="projection__heading projection__cell--number">${t('table.trips')}</th>
+            <th class="projection__heading projection__cell--number">${t('table.distance')}</th>
+            <th class="projection__heading projection__cell--number">CO₂</th>
+            <th class="projection__heading projection__cell--number">${t('table.credits')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => html`
+            <tr class="projection__row">
+              <td class="projection__cell">${row.label}</td>
+              <td class="projection__cell projection__cell--number">${this.formatNumber(row.trips, 0)}</td>
+              <td class="projection__cell projection__cell--number">${this.formatNumber(row.distance, 1)} km</td>
+              <td class="projection__cell projection__cell--number">${this.formatNumber(row.emission, 2)} kg</td>
+              <td class="projection__cell projection__cell--number">${this.formatNumber(row.credits, 4)}</td>
+            </tr>
+          `)}
+        </tbody>
+      </table>
+    `;
+
+    return html`
+      <figure class="chart__figure">
+        ${chart}
+        ${Charts.renderLegend(legendItems, t('chart.legend'))}
+      </figure>
+
+      <ul class="history__list">
+        ${entriesHTML}
+      </ul>
+
+      <div class="history__summary">
+        <div class="results__card">
+          <div class="results__card-header">${t('history.byMode')}</div>
+          ${totalsTable(t('table.mode'), totals.byMode.map(row => Object.assign({ label: modeText(row.mode) }, row)))}
+        </div>
+
+        <div class="results__card">
+          <div class="results__card-header">${t('history.byMonth')}</div>
+          ${totalsTable(t('table.month'), totals.byMonth.map(row => Object.assign({ label: monthText(row.month) }, row)))}
+        </div>
       </div>
     `;
   },
 
+  /**
+   * Render the report of a batch import
+   *
+   * HTML structure:
+   * - Summary cards: trips, distance, emissions, credits and offset price
+   * - Subtotals by transport mode
+   * - Table of calculated trips with their source line
+   * - List of rows that could not be calculated, with the reasons
+   *
+   * @param {Object} report - Report from BatchImport.run()
+   * @param {string} fileName - Name of the imported file
+   * @returns {Object} SafeHTML fragment for the batch report
+   */
+  renderBatchReport: function(report, fileName) {
+    const html = SafeHTML.html;
+    const modeText = mode => `${TransportModes.get(mode).icon} ${TransportModes.getLabel(mode)}`;
+    const t = (key, params) => I18n.t(key, params);
+    const price = report.price;
+
+    const byModeHTML = report.byMode.map(subtotal => html`
+      <tr class="projection__row">
+        <td class="projection__cell">${modeText(subtotal.mode)}</td>
+        <td class="projection__cell projection__cell--number">${this.formatNumber(subtotal.trips, 0)}</td>
+        <td class="projection__cell projection__cell--number">${this.formatNumber(subtotal.distance, 1)} km</td>
+        <td class="projection__cell projection__cell--number">${this.formatNumber(subtotal.emission, 2)} kg</td>
+        <td class="projection__cell projection__cell--number">${this.formatNumber(subtotal.credits, 4)}</td>
+      </tr>
+    `);
+
+    const rowsHTML = report.rows.map(row => html`
+      <tr class="projection__row">
+        <td class="projection__cell projection__cell--number">${row.line}</td>
+        <td class="projection__cell">${row.origin} → ${row.destination}</td>
+        <td class="projection__cell">${modeText(row.mode)}</td>
+        <td class="projection__cell projection__cell--number">
+          ${this.formatNumber(row.distance, 1)} km${row.manual ? '' : html` <span class="itinerary__tag">${t('batch.auto')}</span>`}
+        </td>
+        <td class="projection__cell projection__cell--number">${this.formatNumber(row.emission, 2)} kg</td>
+      </tr>
+    `);
+
+    const failedHTML = report.failed.length > 0
+      ? html`
+        <div class="batch__failed">
+          <div class="results__card-header">${t('batch.failed', { count: this.formatNumber(report.failed.length, 0) })}</div>
+          <ul class="batch__failed-list">
+            ${report.failed.map(row => html`
+              <li class="batch__failed-item">
+                <strong>${t('batch.failedLine', { line: row.line })}</strong> ${row.errors.join('; ')}
+              </li>
+            `)}
+          </ul>
+        </div>
+      `
+      : '';
+
+    const skippedHTML = report.skipped > 0
+      ? html`<p class="calculadora__error">${t('batch.skipped', { count: this.formatNumber(report.skipped, 0), max: this.formatNumber(BatchImport.MAX_ROWS, 0) })}</p>`
+      : '';
+
+    return html`
+      <p class="projection__summary">
+        ${t('batch.summary', {
+          file: fileName,
+          rows: this.formatNumber(report.rows.length, 0),
+          failed: this.formatNumber(report.failed.length, 0)
+        })}${this.renderFactorSource(report.factorSources)}
+      </p>
+      ${skippedHTML}
+
+      <div class="results__grid batch__summary">
+        <div class="results__card">
+          <div class="results__card-header">${t('results.totalDistance')}</div>
+          <div class="results__card-body">
+            <span class="results__value">${this.formatNumber(report.totals.distance, 1)} km</span>
+          </div>
+        </div>
+        <div class="results__card">
+          <div class="results__card-header">${t('batch.totalEmission')}</div>
+          <div class="results__card-body">
+            <span class="results__value">${this.formatNumber(report.totals.emission, 2)} kg CO₂</span>
+          </div>
+        </div>
+        <div class="results__card">
+          <div class="results__card-header">${t('batch.credits')}</div>
+          <div class="results__card-body">
+            <span class="results__value">${this.formatNumber(report.totals.credits, 4)}</span>
+            <span class="results__label">
+              ${this.formatCurrency(price.average, price.currency)}
+              (${this.formatCurrency(price.min, price.currency)} - ${this.formatCurrency(price.max, price.currency)})
+            </span>
+          </div>
+        </div>
+      </div>
+
+      ${report.byMode.length > 0 ? html`
+      <div class="results__card">
+        <div class="results__card-header">${t('batch.byMode')}</div>
+        <table class="projection__table">
+          <thead>
+            <tr>
+              <th class="projection__heading">${t('table.mode')}</th>
+              <th class="projection__heading projection__cell--number">${t('table.trips')}</th>
+              <th class="projection__heading projection__cell--number">${t('table.distance')}</th>
+              <th class="projection__heading projection__cell--number">CO₂</th>
+              <th class="projection__heading projection__cell--number">${t('table.credits')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${byModeHTML}
+            <tr class="projection__row batch__total-row">
+              <td class="projection__cell">${t('table.total')}</td>
+              <td class="projection__cell projection__cell--number">${this.formatNumber(report.totals.trips, 0)}</td>
+              <td class="projection__cell projection__cell--number">${this.formatNumber(report.totals.distance, 1)} km</td>
+              <td class="projection__cell projection__cell--number">${this.formatNumber(report.totals.emission, 2)} kg</td>
+              <td class="projection__cell projection__cell--number">${this.formatNumber(report.totals.credits, 4)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div class="results__card batch__rows">
+        <div class="results__card-header">${t('table.trips')}</div>
+        <table class="projection__table">
+          <thead>
+            <tr>
+              <th class="projection__heading projection__cell--number">${t('table.line')}</th>
+              <th class="projection__heading">${t('table.route')}</th>
+              <th class="projection__heading">${t('table.mode')}</th>
+              <th class="projection__heading projection__cell--number">${t('table.distance')}</th>
+              <th class="projection__heading projection__cell--number">CO₂</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHTML}
+          </tbody>
+        </table>
+      </div>
+      ` : ''}
+
+      ${failedHTML}
+    `;
+  },
+
+  /**
+   * Render the user route list
+   *
+   * HTML structure:
+   * - Notice of the last change (success, warning or error)
+   * - Routes not imported from the last file, with their errors
+   * - List of routes with the built-in distance they replace, each with
+   *   edit and delete buttons (handled by App via data-action)
+   *
+   * @param {Array<Object>} routes - Routes from UserRoutes.load()
+   * @param {Object|null} notice - { type: 'success'|'warning'|'error', message, failed }
+   *   failed: routes not imported, from UserRoutes.importJSON() (optional)
+   * @returns {Object} SafeHTML fragment for the routes section content
+   */
+  renderUserRoutes: function(routes, notice) {
+    const html = SafeHTML.html;
+    const t = (key, params) => I18n.t(key, params);
+
+    const noticeHTML = notice ? html`
+      <p class="routes__notice routes__notice--${notice.type}" role="${notice.type === 'error' ? 'alert' : 'status'}">
+        ${notice.message}
+      </p>
+    ` : '';
+
+    const failedHTML = notice && notice.failed && notice.failed.length > 0 ? html`
+      <div class="batch__failed">
+        <div class="results__card-header">${t('routes.failed', { count: this.formatNumber(notice.failed.length, 0) })}</div>
+        <ul class="batch__failed-list">
+          ${notice.failed.map(failure => html`
+            <li class="batch__failed-item">
+              <strong>${t('routes.failedItem', { item: failure.item })}</strong> ${failure.errors.join('; ')}
+            </li>
+          `)}
+        </ul>
+      </div>
+    ` : '';
+
+    if (routes.length === 0) {
+      return html`
+        ${noticeHTML}
+        ${failedHTML}
+        <p class="history__empty">${t('routes.empty')}</p>
+      `;
+    }
+
+    const routesHTML = routes.map(route => {
+      const builtIn = RoutesDB.routes.find(other => UserRoutes.isSamePair(other, route));
+
+      return html`
+        <li class="history__entry" data-route-id="${route.id}">
+          <div class="history__entry-main">
+            <span class="history__route">${route.origin} ↔ ${route.destination}</span>
+            <span class="history__details">
+              ${this.formatNumber(route.distanceKm, 1)} km${builtIn
+                ? html` <span class="itinerary__tag">${t('routes.replaces', { distance: this.formatNumber(builtIn.distanceKm, 1) })}</span>`
+                : ''}
+            </span>
+          </div>
+          <div class="history__entry-actions">
+            <button type="button" class="history__button" data-action="edit-route">${t('routes.edit')}</button>
+            <button type="button" class="history__button history__button--delete" data-action="delete-route" aria-label="${t('routes.delete')}">✕</button>
+          </div>
+        </li>
+      `;
+    });
+
+    return html`
+      ${noticeHTML}
+      ${failedHTML}
+      <p class="projection__summary">${t('routes.count', { count: this.formatNumber(routes.length, 0) })}</p>
+      <ul class="history__list routes__list">
+        ${routesHTML}
+      </ul>
+    `;
+  },
+
+  /**
+   * Render the carbon budgets with the progress of their current period
+   *
+   * HTML structure, per budget:
+   * - Name, period and edit / delete buttons
+   * - Progress bar of the consumed share of the limit, amber from
+   *   CONFIG.CARBON_BUDGET.WARNING_SHARE and red once exceeded
+   * - Consumed vs limit, what is left (or by how much it was exceeded) and the period dates
+   * - Trips logged in the period, each with a remove button
+   *
+   * @param {Array<Object>} budgets - Budgets from CarbonBudget.load()
+   * @param {Object|null} notice - { type: 'success'|'error', message }
+   * @returns {Object} SafeHTML fragment for the budgets section content
+   */
+  renderBudgets: function(budgets, notice) {
+    const html = SafeHTML.html;
+    const t = (key, params) => I18n.t(key, params);
+    const shortDate = date => I18n.formatDate(date, { dateStyle: 'short' });
+
+    const noticeHTML = notice ? html`
+      <p class="routes__notice routes__notice--${notice.type}" role="${notice.type === 'error' ? 'alert' : 'status'}">
+        ${notice.message}
+      </p>
+    ` : '';
+
+    if (budgets.length === 0) {
+      return html`
+        ${noticeHTML}
+        <p class="history__empty">${t('budget.empty')}</p>
+      `;
+    }
+
+    const budgetsHTML = budgets.map(budget => {
+      const progress = CarbonBudget.getProgress(budget);
+      const percent = Math.round(progress.share * 100);
+      let state = 'ok';
+      if (progress.exceeded) {
+        state = 'exceeded';
+      } else if (progress.share >= CONFIG.CARBON_BUDGET.WARNING_SHARE) {
+        state = 'warning';
+      }
+
+      const progressText = t('budget.progress', {
+        consumed: this.formatNumber(progress.consumed, 2),
+        limit: this.formatNumber(budget.limitKg, 2)
+      });
+
+      // The period end is exclusive; show its last day
+      const lastDay = new Date(progress.end.getFullYear(), progress.end.getMonth(), progress.end.getDate() - 1);
+
+      const tripsHTML = progress.trips.length > 0 ? html`
+        <ul class="budget__trips">
+          ${progress.trips.map(trip => {
+            const modeInfo = TransportModes.get(trip.mode);
+            return html`
+              <li class="budget__trip" data-trip-id="${trip.id}">
+                <span class="history__date">${I18n.formatDate(trip.timestamp, { dateStyle: 'short' })}</span>
+                <span class="budget__trip-route">
+                  ${modeInfo ? modeInfo.icon : '🔀'} ${trip.origin} → ${trip.destination}
+                </span>
+                <strong>${this.formatNumber(trip.emission, 2)} kg</strong>
+                <button type="button" class="history__button history__button--delete" data-action="budget-unlog" aria-label="${t('budget.removeTrip')}">✕</button>
+              </li>
+            `;
+          })}
+        </ul>
+      ` : html`<p class="budget__empty">${t('budget.noTrips')}</p>`;
+
+      return html`
+        <li class="budget__card" data-budget-id="${budget.id}">
+          <div class="budget__header">
+            <span class="history__route">${budget.name}</span>
+            <span class="itinerary__tag">${t(`budget.period.${budget.period}`)}</span>
+            <div class="history__entry-actions">
+              <button type="button" class="history__button" data-action="edit-budget">${t('budget.edit')}</button>
+              <button type="button" class="history__button history__button--delete" data-action="delete-budget" aria-label="${t('budget.delete')}">✕</button>
+            </div>
+          </div>
+          <div class="budget__bar" role="progressbar" aria-valuemin="0" aria-valuemax="100"
+            aria-valuenow="${Math.min(percent, 100)}" aria-valuetext="${progressText}">
+            <div class="budget__fill budget__fill--${state}" style="width: ${Math.min(percent, 100)}%"></div>
+          </div>
+          <p class="budget__summary">
+            <strong>${progressText}</strong> (${this.formatNumber(percent, 0)}%) ·
+            <span class="budget__status budget__status--${state}">${progress.exceeded
+              ? t('budget.exceeded', { over: this.formatNumber(progress.consumed - budget.limitKg, 2) })
+              : t('budget.remaining', { remaining: this.formatNumber(progress.remaining, 2) })}</span>
+          </p>
+          <p class="calculadora__helper">${t('budget.range', { start: shortDate(progress.start), end: shortDate(lastDay) })}</p>
+          <details class="budget__details">
+            <summary>${t('budget.trips', { count: this.formatNumber(progress.trips.length, 0) })}</summary>
+            ${tripsHTML}
+          </details>
+        </li>
+      `;
+    });
+
+    return html`
+      ${noticeHTML}
+      <ul class="budget__list">
+        ${budgetsHTML}
+      </ul>
+    `;
+  },
+
+  /**
+   * Render how a calculated trip fits the selected carbon budget
+   *
+   * HTML structure:
+   * - Whether the trip fits, with what is left before and after it
+   * - When it doesn't, the mode suggested by CarbonBudget.suggestMode() and
+   *   a button to calculate the trip with it
+   * - A button to log the trip against the budget
+   * Once the trip is logged, only the budget's progress is shown.
+   *
+   * @param {Object} data - Object containing:
+   *   - budget: Object (budget from CarbonBudget)
+   *   - emission: number (kg CO2 of the trip, both ways for round trips)
+   *   - check: Object from CarbonBudget.check()
+   *   - suggestion: Object from CarbonBudget.suggestMode(), or null
+   *   - logged: boolean (the trip was already logged)
+   * @returns {Object} SafeHTML fragment for the budget check
+   */
+  renderBudgetCheck: function(data) {
+    const html = SafeHTML.html;
+    const t = (key, params) => I18n.t(key, params);
+    const { budget, check, suggestion } = data;
+    const modeText = mode => `${TransportModes.get(mode).icon} ${TransportModes.getLabel(mode)}`;
+
+    if (data.logged) {
+      const progress = CarbonBudget.getProgress(budget);
+
+      return html`
+        <div class="budget__check budget__check--${progress.exceeded ? 'exceeded' : 'ok'}" role="status">
+          <div class="results__card-header">${t('budget.check.title', { name: budget.name })}</div>
+          <p class="budget__logged">${t('budget.check.logged')}</p>
+          <p>
+            <strong>${t('budget.progress', {
+              consumed: this.formatNumber(progress.consumed, 2),
+              limit: this.formatNumber(budget.limitKg, 2)
+            })}</strong> ·
+            ${progress.exceeded
+              ? t('budget.exceeded', { over: this.formatNumber(progress.consumed - budget.limitKg, 2) })
+              : t('budget.remaining', { remaining: this.formatNumber(progress.remaining, 2) })}
+          </p>
+        </div>
+      `;
+    }
+
+    const params = {
+      emission: this.formatNumber(data.emission, 2),
+      remaining: this.formatNumber(check.fits ? budget.limitKg - check.after : check.remaining, 2),
+      limit: this.formatNumber(budget.limitKg, 2),
+      over: this.formatNumber(check.over, 2)
+    };
+
+    let suggestionHTML = '';
+    if (!check.fits) {
+      suggestionHTML = suggestion ? html`
+        <p class="budget__suggestion">
+          ${t('budget.check.suggestion', {
+            mode: modeText(suggestion.mode),
+            emission: this.formatNumber(suggestion.emission, 2),
+            duration: this.formatDuration(suggestion.duration)
+          })}
+          <button type="button" class="history__button" data-action="budget-use-mode" value="${suggestion.mode}">
+            ${t('budget.useMode', { mode: TransportModes.getLabel(suggestion.mode) })}
+          </button>
+        </p>
+      ` : html`<p class="budget__suggestion">${t('budget.check.noSuggestion')}</p>`;
+    }
+
+    return html`
+      <div class="budget__check budget__check--${check.fits ? 'ok' : 'exceeded'}" role="status">
+        <div class="results__card-header">${t('budget.check.title', { name: budget.name })}</div>
+        <p>${t(check.fits ? 'budget.check.fits' : 'budget.check.exceeds', params)}</p>
+        ${suggestionHTML}
+        <button type="button" class="export__button" data-action="budget-log">${t('budget.log')}</button>
+      </div>
+    `;
+  },
+
+  /**
+   * Render the printable report of a calculation
+   *
+   * Laid out for paper by css/print.css, so the browser's "Save as PDF"
+   * produces a document that can be attached to sustainability reports.
+   *
+   * HTML structure:
+   * - Title and generation date
+   * - Trip summary (route, mode, distance, emissions, credits and price range)
+   * - Legs with the emission factor used for each one
+   * - Mode comparison
+   * - Projection for round or recurring trips
+   *
+   * @param {Object} report - Report from ResultExport.buildReport()
+   * @returns {Object} SafeHTML fragment for the report
+   */
+  renderReport: function(report) {
+    const html = SafeHTML.html;
+    const unit = report.comparison.length > 0 ? report.comparison[0].unit : 'vehicle';
+    const unitInfo = CONFIG.FUNCTIONAL_UNITS[unit];
+    const t = (key, params) => I18n.t(key, params);
+    const price = report.price;
+
+    const legsHTML = report.legs.map((leg, i) => html`
+      <tr>
+        <td>${i + 1}</td>
+        <td>${leg.origin} → ${leg.destination}</td>
+        <td>${leg.modeLabel}</td>
+        <td class="report__number">${this.formatNumber(leg.distance, 1)} km${leg.estimated ? ` ${t('report.estimated')}` : ''}</td>
+        <td class="report__number">${this.formatNumber(leg.emissionFactor, 4)}</td>
+        <td>${leg.factorSource}</td>
+        <td class="report__number">${this.formatNumber(leg.emission, 2)} kg</td>
+      </tr>
+    `);
+
+    const comparisonHTML = report.comparison.map(item => html`
+      <tr${item.mode === report.trip.mode ? html` class="report__row--selected"` : ''}>
+        <td>${item.label}</td>
+        <td class="report__number">${this.formatNumber(item.distance, 1)} km</td>
+        <td class="report__number">${this.formatNumber(item.value, unitInfo.decimals)}</td>
+        <td class="report__number">${item.percentageVsCar !== null ? `${this.formatNumber(item.percentageVsCar, 1)}%` : '—'}</td>
+      </tr>
+    `);
+
+    return html`
+      <header class="report__header">
+        <h1 class="report__title">${t('report.title')}</h1>
+        <p class="report__date">${t('report.generatedAt', { date: I18n.formatDate(report.generatedAt, { dateStyle: 'long', timeStyle: 'short' }) })}</p>
+      </header>
+
+      <section class="report__section">
+        <h2 class="report__heading">${t('report.summary')}</h2>
+        <table class="report__table">
+          <tbody>
+            <tr><th>${t('table.route')}</th><td>${report.trip.origin} → ${report.trip.destination}</td></tr>
+            <tr><th>${t('report.mode')}</th><td>${report.trip.modeLabel}</td></tr>
+            <tr><th>${t('table.distance')}</th><td>${this.formatNumber(report.trip.distance, 1)} km${report.trip.estimated ? ` ${t('report.estimated')}` : ''}</td></tr>
+            <tr><th>${t('table.emission')}</th><td><strong>${this.formatNumber(report.emission, 2)} kg CO₂</strong></td></tr>
+            <tr><th>${t('results.scope.ttw')}</th><td>${this.formatNumber(report.gases.ttw.co2e, 2)} kg CO₂e</td></tr>
+            <tr><th>${t('results.scope.wtw')}</th><td>${this.formatNumber(report.gases.wtw.co2e, 2)} kg CO₂e</td></tr>
+            <tr>
+              <th>${t('report.credits')}</th>
+              <td>${this.formatNumber(report.credits, 4)} (${t('credits.perCredit', { kg: this.formatNumber(CONFIG.CARBON_CREDIT.KG_PER_CREDIT, 0) })})</td>
+            </tr>
+            <tr>
+              <th>${t('report.price')}</th>
+              <td>${this.formatCurrency(price.average, price.currency)} (${this.formatCurrency(price.min, price.currency)} - ${this.formatCurrency(price.max, price.currency)})</td>
+            </tr>
+            <tr><th>${t('export.priceSource')}</th><td>${CreditPricing.describe(price.entry)}</td></tr>
+            <tr><th>${t('form.factorSet')}</th><td>${report.factorSet.name} ${report.factorSet.version} (${report.factorSet.region})</td></tr>
+            <tr><th>${t('report.citation')}</th><td>${report.factorSet.citation} ${report.factorSet.url}</td></tr>
+          </tbody>
+        </table>
+      </section>
+
+      <section class="report__section">
+        <h2 class="report__heading">${t('report.legs')}</h2>
+        <table class="report__table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>${t('table.leg')}</th>
+              <th>${t('table.mode')}</th>
+              <th class="report__number">${t('table.distance')}</th>
+              <th class="report__number">${t('report.factor')}</th>
+              <th>${t('report.factorSource')}</th>
+              <th class="report__number">${t('table.emission')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${legsHTML}
+          </tbody>
+        </table>
+      </section>
+
+      <section class="report__section">
+        <h2 class="report__heading">${t('report.comparison', { label: t(`unit.${unit}.label`), unit: t(`unit.${unit}.unit`) })}</h2>
+        <table class="report__table">
+          <thead>
+            <tr>
+              <th>${t('table.mode')}</th>
+              <th class="report__number">${t('table.distance')}</th>
+              <th class="report__number">${t('table.emission')}</th>
+              <th class="report__number">${t('table.vsCar')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${comparisonHTML}
+          </tbody>
+        </table>
+      </section>
+
+      ${report.projection ? html`
+      <section class="report__section">
+        ${this.renderProjection(report.projection)}
+      </section>
+      ` : ''}
+
+      <footer class="report__footer">
+        ${t('report.footer')}
+      </footer>
+    `;
+  },
+
   /**
    * Show loading state on submit button
    * 
    * - Saves original button text in data attribute
    * - Disables button
-   * - Shows spinner animation with "Calculando..." text
+   * - Shows spinner animation with the "calculating" text
    * 
    * @param {HTMLElement} buttonElement - The submit button element
    */
@@ -372,7 +1787,7 @@ const UI = {
     buttonElement.disabled = true;
 
     // Show spinner and loading text
-    buttonElement.innerHTML = '<span class="spinner"></span> Calculando...';
+    buttonElement.innerHTML = SafeHTML.html`<span class="spinner"></span> ${I18n.t('form.calculating')}`;
   },
 
   /**
@@ -388,6 +1803,6 @@ const UI = {
     buttonElement.disabled = false;
 
     // Restore original text from saved data attribute
-    buttonElement.textContent = buttonElement.dataset.originalText || 'Calcular Emissão';
+    buttonElement.textContent = buttonElement.dataset.originalText || I18n.t('form.submit');
   }
 };
@@ -0,0 +1,313 @@
+/**
+ * UserRoutes - User-Managed Routes
+ *
+ * Lets users keep their own regular routes in localStorage. RoutesDB layers
+ * them over the built-in routes: a user route replaces the built-in route
+ * between the same two cities, in either direction.
+ *
+ * Structure of a route:
+ * - id: Unique route id
+ * - origin / destination: "Cidade, UF" (e.g. "Joinville, SC")
+ * - distanceKm: Distance in kilometers
+ *
+ * Routes are validated before they are saved: city format, positive
+ * distance, no duplicates and no second distance for a pair of cities.
+ * They can be exported to and imported from JSON ({ routes: [...] }).
+ */
+
+const UserRoutes = {
+  /**
+   * localStorage key holding the saved routes
+   */
+  STORAGE_KEY: 'co2-calculator-routes',
+
+  /**
+   * Maximum number of routes; put() refuses new routes beyond it
+   */
+  MAX_ROUTES: 500,
+
+  /**
+   * Brazilian state abbreviations (UF) accepted after the city name
+   */
+  STATES: ['AC', 'AL', 'AM', 'AP', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MG', 'MS', 'MT', 'PA',
+    'PB', 'PE', 'PI', 'PR', 'RJ', 'RN', 'RO', 'RR', 'RS', 'SC', 'SE', 'SP', 'TO'],
+
+  /**
+   * Read the saved routes
+   *
+   * @returns {Array<Object>} Routes in the order they were added (empty if storage is unavailable)
+   */
+  load: function() {
+    try {
+      // Node (CLI and scripts) has no saved routes. Inside the try since
+      // reading localStorage throws where storage is blocked (e.g. sandboxed iframes)
+      if (typeof localStorage === 'undefined') {
+        return [];
+      }
+
+      const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.error('Could not read user routes:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Write the routes to localStorage
+   *
+   * @param {Array<Object>} routes - Routes
+   * @returns {boolean} True if the routes were saved
+   */
+  save: function(routes) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(routes));
+      return true;
+    } catch (error) {
+      console.error('Could not save user routes:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Lowercase words kept in city names (e.g. "São José dos Campos")
+   */
+  PARTICLES: ['da', 'das', 'de', 'do', 'dos', 'e'],
+
+  /**
+   * Format a city as "Cidade, UF"
+   * Known cities get their canonical name (e.g. "sao paulo" → "São Paulo, SP");
+   * other names get capitalized words (e.g. "joinville, sc" → "Joinville, SC")
+   *
+   * @param {string} text - City typed by the user
+   * @returns {string|null} Formatted city, null when it has no valid UF
+   */
+  formatCity: function(text) {
+    const canonical = CitySearch.resolve(text || '');
+    if (canonical) {
+      return canonical;
+    }
+
+    const match = String(text || '').trim().match(/^([^,]+?)\s*,\s*([A-Za-z]{2})$/);
+    if (!match || !this.STATES.includes(match[2].toUpperCase())) {
+      return null;
+    }
+
+    const name = match[1].split(/\s+/)
+      .map((word, index) => index > 0 && this.PARTICLES.includes(word.toLowerCase())
+        ? word.toLowerCase()
+        : word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+
+    return `${name}, ${match[2].toUpperCase()}`;
+  },
+
+  /**
+   * Check whether two routes join the same cities, in either direction
+   *
+   * @param {Object} a - Route
+   * @param {Object} b - Route
+   * @returns {boolean} True for the same pair of cities
+   */
+  isSamePair: function(a, b) {
+    const key = route => [CitySearch.normalize(route.origin), CitySearch.normalize(route.destination)].sort().join('|');
+    return key(a) === key(b);
+  },
+
+  /**
+   * Validate a route against the saved routes and the built-in set
+   *
+   * @param {Object} route - { id, origin, destination, distanceKm } (id when editing)
+   * @param {Array<Object>} routes - Saved routes to check against (default: load())
+   * @returns {Object} { valid, route, errors, warning }
+   *   - route: the route with formatted cities and numeric distance
+   *   - errors: messages keyed by field (origin, destination, distanceKm, route)
+   *   - warning: message when the route replaces a built-in distance, else null
+   */
+  validate: function(route, routes = this.load()) {
+    const errors = {};
+    // Typed distances accept the same formats as imported spreadsheets ("1.234,5")
+    const distanceKm = typeof route.distanceKm === 'number'
+      ? route.distanceKm
+      : BatchImport.parseDistance(String(route.distanceKm || '').trim());
+    const normalized = {
+      id: route.id,
+      origin: this.formatCity(route.origin),
+      destination: this.formatCity(route.destination),
+      distanceKm: distanceKm
+    };
+    let warning = null;
+
+    ['origin', 'destination'].forEach(field => {
+      if (!String(route[field] || '').trim()) {
+        errors[field] = I18n.t(`error.${field}`);
+      } else if (!normalized[field]) {
+        errors[field] = I18n.t('routes.error.cityFormat', { city: String(route[field]).trim() });
+      }
+    });
+
+    if (!errors.origin && !errors.destination &&
+      CitySearch.normalize(normalized.origin) === CitySearch.normalize(normalized.destination)) {
+      errors.destination = I18n.t('error.sameCity');
+    }
+
+    if (typeof route.distanceKm === 'string' && BatchImport.AMBIGUOUS_DISTANCE.test(route.distanceKm.trim())) {
+      errors.distanceKm = I18n.t('error.ambiguousDistance', { distance: route.distanceKm.trim() });
+    } else if (!Number.isFinite(distanceKm) || distanceKm <= 0) {
+      errors.distanceKm = I18n.t('error.distancePositive');
+    }
+
+    if (Object.keys(errors).length === 0) {
+      const saved = routes.find(other => other.id !== route.id && this.isSamePair(other, normalized));
+      const builtIn = RoutesDB.routes.find(other => this.isSamePair(other, normalized));
+
+      if (saved) {
+        errors.route = saved.distanceKm === distanceKm
+          ? I18n.t('routes.error.duplicate')
+          : I18n.t('routes.error.conflict', { distance: I18n.formatNumber(saved.distanceKm, 1) });
+      } else if (builtIn && builtIn.distanceKm === distanceKm) {
+        errors.route = I18n.t('routes.error.builtIn');
+      } else if (builtIn) {
+        warning = I18n.t('routes.warning.replacesBuiltIn', { distance: I18n.formatNumber(builtIn.distanceKm, 1) });
+      }
+    }
+
+    return {
+      valid: Object.keys(errors).length === 0,
+      route: normalized,
+      errors: errors,
+      warning: warning
+    };
+  },
+
+  /**
+   * Validate and save a new route, or replace the route with the same id
+   *
+   * @param {Object} route - { id, origin, destination, distanceKm } (id when editing)
+   * @returns {Object} Validation from validate(); the route is saved only when valid.
+   *   A new route beyond MAX_ROUTES, or a route the storage refused, is invalid
+   *   with errors.route set
+   */
+  put: function(route) {
+    const routes = this.load();
+    const validation = this.validate(route, routes);
+
+    if (!validation.valid) {
+      return validation;
+    }
+
+    const saved = Object.assign({}, validation.route, {
+      id: route.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+    });
+    const index = routes.findIndex(other => other.id === saved.id);
+
+    if (index === -1 && routes.length >= this.MAX_ROUTES) {
+      return Object.assign(validation, {
+        valid: false,
+        errors: { route: I18n.t('routes.error.limit', { max: I18n.formatNumber(this.MAX_ROUTES, 0) }) }
+      });
+    }
+
+    if (index === -1) {
+      routes.push(saved);
+    } else {
+      routes[index] = saved;
+    }
+
+    if (!this.save(routes)) {
+      return Object.assign(validation, { valid: false, errors: { route: I18n.t('routes.error.storage') } });
+    }
+
+    validation.route = saved;
+    return validation;
+  },
+
+  /**
+   * Find a route by id
+   *
+   * @param {string} id - Route id
+   * @returns {Object|null} Route, null if not found
+   */
+  find: function(id) {
+    return this.load().find(route => route.id === id) || null;
+  },
+
+  /**
+   * Delete a route
+   *
+   * @param {string} id - Route id
+   * @returns {Array<Object>|null} Remaining routes, null when the storage refused the change
+   */
+  remove: function(id) {
+    const routes = this.load().filter(route => route.id !== id);
+    return this.save(routes) ? routes : null;
+  },
+
+  /**
+   * Serialize the saved routes for export
+   *
+   * @returns {string} JSON text { routes: [{ origin, destination, distanceKm }] }
+   */
+  toJSON: function() {
+    const routes = this.load().map(route => ({
+      origin: route.origin,
+      destination: route.destination,
+      distanceKm: route.distanceKm
+    }));
+
+    return JSON.stringify({ routes: routes }, null, 2);
+  },
+
+  /**
+   * Import routes from JSON: a list of routes, or an object with a "routes" list
+   * Each route is validated like a new route; invalid ones are skipped and reported.
+   *
+   * @param {string} text - JSON text (distance may be "distanceKm", "km" or "distance")
+   * @returns {Object} { added: number, failed: [{ item, route, errors: Array<string> }] }
+   *   item is the 1-based position of the route in the file
+   * @throws {Error} When the JSON is invalid or holds no route list
+   */
+  importJSON: function(text) {
+    let data;
+
+    try {
+      data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new Error(I18n.t('batch.invalidJSON'));
+    }
+
+    const items = Array.isArray(data) ? data : (data && data.routes);
+    if (!Array.isArray(items)) {
+      throw new Error(I18n.t('routes.error.importList'));
+    }
+
+    const failed = [];
+    let added = 0;
+
+    items.forEach((item, index) => {
+      const values = item && typeof item === 'object' ? item : {};
+      const validation = this.put({
+        origin: values.origin,
+        destination: values.destination,
+        distanceKm: [values.distanceKm, values.km, values.distance].find(value => value !== undefined)
+      });
+
+      if (validation.valid) {
+        added += 1;
+      } else {
+        failed.push({ item: index + 1, route: values, errors: Object.values(validation.errors) });
+      }
+    });
+
+    return { added: added, failed: failed };
+  }
+};
+
+// Node: export the module and load the modules it uses (see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.UserRoutes = UserRoutes;
+  require('./city-search');
+  require('./routes-data');
+  require('./i18n');
+  require('./batch');
+}
@@ -0,0 +1,197 @@
+/**
+ * VehicleProfiles - Vehicle-specific Emission Factors
+ *
+ * Derives kg CO2 per kilometer from a vehicle's fuel type and consumption,
+ * using the fuel coefficients in CONFIG.FUEL_EMISSIONS. Accounts for the
+ * Brazilian ethanol/gasoline and biodiesel/diesel blends, the share of
+ * ethanol fill-ups in flex cars and the grid factor for electric driving.
+ *
+ * Structure of a profile:
+ * - fuel: Fuel type key (gasoline, ethanol, flex, diesel, electric, hybrid)
+ * - consumption: km per liter (combustion fuels; gasoline km/l for flex and hybrid)
+ * - ethanolShare: 0-1 share of ethanol fill-ups (flex only)
+ * - electricConsumption: kWh per 100 km (electric and hybrid)
+ * - electricShare: 0-1 share of kilometers driven on electricity (hybrid only)
+ */
+
+const VehicleProfiles = {
+  /**
+   * Create a profile object with only the fields its fuel type uses
+   *
+   * @param {Object} values - Raw values { fuel, consumption, ethanolShare, electricConsumption, electricShare }
+   * @returns {Object} Profile object
+   */
+  createProfile: function(values) {
+    const profile = { fuel: values.fuel };
+    const number = value => parseFloat(value);
+
+    if (values.fuel !== 'electric') {
+      profile.consumption = number(values.consumption);
+    }
+
+    if (values.fuel === 'flex') {
+      profile.ethanolShare = number(values.ethanolShare);
+    }
+
+    if (values.fuel === 'electric' || values.fuel === 'hybrid') {
+      profile.electricConsumption = number(values.electricConsumption);
+    }
+
+    if (values.fuel === 'hybrid') {
+      profile.electricShare = number(values.electricShare);
+    }
+
+    return profile;
+  },
+
+  /**
+   * Check whether a value is a vehicle profile (rather than a mode key)
+   *
+   * @param {*} value - Value to check
+   * @returns {boolean} True for profile objects
+   */
+  isProfile: function(value) {
+    return value !== null && typeof value === 'object' && 'fuel' in value;
+  },
+
+  /**
+   * Validate a profile
+   *
+   * @param {Object} profile - Profile object
+   * @returns {Object} Map of profile field name to error message (empty if valid)
+   */
+  validate: function(profile) {
+    const errors = {};
+    const isShare = value => !isNaN(value) && value >= 0 && value <= 1;
+
+    if (!(profile.fuel in CONFIG.FUEL_TYPES)) {
+      errors.fuel = I18n.t('error.fuel');
+      return errors;
+    }
+
+    if ('consumption' in profile && !(profile.consumption > 0)) {
+      errors.consumption = I18n.t('error.consumption');
+    }
+
+    if ('ethanolShare' in profile && !isShare(profile.ethanolShare)) {
+      errors.ethanolShare = I18n.t('error.share');
+    }
+
+    if ('electricConsumption' in profile && !(profile.electricConsumption > 0)) {
+      errors.electricConsumption = I18n.t('error.electricConsumption');
+    }
+
+    if ('electricShare' in profile && !isShare(profile.electricShare)) {
+      errors.electricShare = I18n.t('error.share');
+    }
+
+    return errors;
+  },
+
+  /**
+   * Get kg CO2 per liter of gasoline C (gasoline A blended with anhydrous ethanol)
+   *
+   * @returns {number} kg CO2 per liter
+   */
+  getGasolineFactor: function() {
+    const fuel = CONFIG.FUEL_EMISSIONS;
+    const blend = fuel.GASOLINE_ETHANOL_BLEND;
+    return (1 - blend) * fuel.GASOLINE_A_KG_PER_L + blend * fuel.ANHYDROUS_ETHANOL_KG_PER_L;
+  },
+
+  /**
+   * Get kg CO2 per liter of diesel B (fossil diesel blended with biodiesel)
+   *
+   * @returns {number} kg CO2 per liter
+   */
+  getDieselFactor: function() {
+    const fuel = CONFIG.FUEL_EMISSIONS;
+    const blend = fuel.DIESEL_BIODIESEL_BLEND;
+    return (1 - blend) * fuel.DIESEL_A_KG_PER_L + blend * fuel.BIODIESEL_KG_PER_L;
+  },
+
+  /**
+   * Calculate the emission factor of a vehicle profile
+   *
+   * Formulas (kg CO2/km):
+   * - Combustion: fuel kg CO2/l ÷ consumption km/l
+   * - Flex: weighted by ethanol share, ethanol km/l = gasoline km/l × FLEX_ETHANOL_EFFICIENCY
+   * - Electric: kWh/100km ÷ 100 × grid kg CO2/kWh
+   * - Hybrid: weighted by the share of km driven on electricity
+   *
+   * @param {Object} profile - Profile object
+   * @returns {number|null} kg CO2 per km (4 decimal places), null if the profile is invalid
+   */
+  getEmissionFactor: function(profile) {
+    if (Object.keys(this.validate(profile)).length > 0) {
+      return null;
+    }
+
+    const fuel = CONFIG.FUEL_EMISSIONS;
+    const electricFactor = () => profile.electricConsumption / 100 * fuel.GRID_KG_PER_KWH;
+    const gasolineFactor = () => this.getGasolineFactor() / profile.consumption;
+    let factor;
+
+    switch (profile.fuel) {
+      case 'gasoline':
+        factor = gasolineFactor();
+        break;
+      case 'ethanol':
+        factor = fuel.HYDRATED_ETHANOL_KG_PER_L / profile.consumption;
+        break;
+      case 'flex': {
+        const ethanolConsumption = profile.consumption * fuel.FLEX_ETHANOL_EFFICIENCY;
+        factor = profile.ethanolShare * (fuel.HYDRATED_ETHANOL_KG_PER_L / ethanolConsumption) +
+          (1 - profile.ethanolShare) * gasolineFactor();
+        break;
+      }
+      case 'diesel':
+        factor = this.getDieselFactor() / profile.consumption;
+        break;
+      case 'electric':
+        factor = electricFactor();
+        break;
+      case 'hybrid':
+        factor = profile.electricShare * electricFactor() + (1 - profile.electricShare) * gasolineFactor();
+        break;
+    }
+
+    return Math.round(factor * 10000) / 10000;
+  },
+
+  /**
+   * Describe a profile in a short human-readable line, in the current locale
+   *
+   * @param {Object} profile - Profile object
+   * @returns {string} Description (e.g., "Flex (gasolina/etanol) · 12 km/l · 50% etanol")
+   */
+  describe: function(profile) {
+    const parts = [I18n.t(`fuel.${profile.fuel}`)];
+    const percent = share => `${Math.round(share * 100)}%`;
+
+    if ('consumption' in profile) {
+      parts.push(`${profile.consumption} km/l`);
+    }
+
+    if ('electricConsumption' in profile) {
+      parts.push(`${profile.electricConsumption} kWh/100km`);
+    }
+
+    if ('ethanolShare' in profile) {
+      parts.push(I18n.t('vehicle.ethanolShare', { share: percent(profile.ethanolShare) }));
+    }
+
+    if ('electricShare' in profile) {
+      parts.push(I18n.t('vehicle.electricShare', { share: percent(profile.electricShare) }));
+    }
+
+    return parts.join(' · ');
+  }
+};
+
+// Node: export the module and load the modules it uses (see js/core.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = globalThis.VehicleProfiles = VehicleProfiles;
+  require('./config');
+  require('./i18n');
+}
@@ -0,0 +1,100 @@
+/**
+ * BatchImport - Parsing and Calculation Tests
+ *
+ * Covers CSV and JSON parsing, distance formats (including the ambiguous
+ * "1.234") and the per-mode totals of a report.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { BatchImport } = require('../js/core');
+
+test('parseCSV detects the delimiter and honors quoted fields', () => {
+  const rows = BatchImport.parse('origem;destino;modo;km\r\n"Curitiba; PR";"Joinville ""SC""";carro;130\r\n\r\n;;;\r\n');
+
+  assert.deepStrictEqual(rows, [{
+    line: 2,
+    values: { origem: 'Curitiba; PR', destino: 'Joinville "SC"', modo: 'carro', km: '130' }
+  }]);
+});
+
+test('parseCSV reports the line where a multi-line record starts', () => {
+  const rows = BatchImport.parse('origin,destination,mode\n"A\nB",C,car\nD,E,bus');
+
+  assert.deepStrictEqual(rows.map(row => row.line), [2, 4]);
+});
+
+test('parseJSON accepts a list or a "trips" object and rejects anything else', () => {
+  const trip = { origin: 'Curitiba', destination: 'Joinville', mode: 'car' };
+
+  assert.deepStrictEqual(BatchImport.parse(JSON.stringify([trip])), [{ line: 1, values: trip }]);
+  assert.deepStrictEqual(BatchImport.parse(JSON.stringify({ trips: [trip] }), 'trips.json'), [{ line: 1, values: trip }]);
+  assert.throws(() => BatchImport.parse('{"trips": 1}', 'trips.json'));
+  assert.throws(() => BatchImport.parse('[', 'trips.json'));
+});
+
+test('parseDistance reads pt-BR and en-US formats', () => {
+  assert.strictEqual(BatchImport.parseDistance(''), null);
+  assert.strictEqual(BatchImport.parseDistance('130'), 130);
+  assert.strictEqual(BatchImport.parseDistance('1234.5'), 1234.5);
+  assert.strictEqual(BatchImport.parseDistance('1234,5'), 1234.5);
+  assert.strictEqual(BatchImport.parseDistance('1.234,5'), 1234.5);
+  assert.strictEqual(BatchImport.parseDistance('1.5'), 1.5);
+  assert.strictEqual(BatchImport.parseDistance(95.125), 95.125);
+  assert.ok(Number.isNaN(BatchImport.parseDistance('abc')));
+  assert.ok(Number.isNaN(BatchImport.parseDistance('-5')));
+});
+
+test('parseDistance rejects a dot before groups of three digits as ambiguous', () => {
+  ['1.234', '12.500', '1.234.567'].forEach(text => {
+    assert.ok(Number.isNaN(BatchImport.parseDistance(text)), text);
+  });
+  assert.strictEqual(BatchImport.parseDistance('1234.567'), 1234.567);
+});
+
+test('JSON numbers are never read as ambiguous text', () => {
+  const rows = BatchImport.parse(JSON.stringify([
+    { origem: 'Curitiba', destino: 'Joinville', modo: 'carro', km: 95.125 },
+    { origem: 'Curitiba', destino: 'Joinville', modo: 'carro', km: 1.234 },
+    { origem: 'Curitiba', destino: 'Joinville', modo: 'carro', km: '1.234' }
+  ]), 'trips.json');
+  const report = BatchImport.run(rows);
+
+  assert.deepStrictEqual(report.rows.map(row => row.distance), [95.125, 1.234]);
+  assert.strictEqual(report.failed.length, 1);
+  assert.strictEqual(report.failed[0].line, 3);
+  assert.match(report.failed[0].errors[0], /amb[ií]gua/i);
+});
+
+test('processRow resolves mode labels in any locale and reports bad rows', () => {
+  assert.strictEqual(BatchImport.resolveMode('Ônibus'), 'bus');
+  assert.strictEqual(BatchImport.resolveMode('autobús'), 'bus');
+  assert.strictEqual(BatchImport.resolveMode('bus'), 'bus');
+  assert.strictEqual(BatchImport.resolveMode('teleporte'), null);
+
+  const failed = BatchImport.processRow({ line: 5, values: { origin: 'Curitiba', destination: 'Curitiba', mode: 'x', km: 'abc' } });
+  assert.strictEqual(failed.line, 5);
+  assert.ok(failed.errors.length >= 2);
+});
+
+test('run totals the rows by mode, highest emission first', () => {
+  const rows = BatchImport.parse([
+    'origin,destination,mode,km',
+    'Curitiba,Joinville,car,100',
+    'Curitiba,Joinville,car,50',
+    'Curitiba,Joinville,bus,100',
+    'Curitiba,Joinville,rocket,100'
+  ].join('\n'));
+  const report = BatchImport.run(rows, 'BRL', 'ghg-protocol-br');
+
+  assert.strictEqual(report.totals.trips, 3);
+  assert.strictEqual(report.totals.distance, 250);
+  assert.strictEqual(report.failed.length, 1);
+  assert.deepStrictEqual(report.byMode.map(subtotal => [subtotal.mode, subtotal.trips, subtotal.distance]),
+    [['car', 2, 150], ['bus', 1, 100]]);
+  assert.strictEqual(report.totals.emission,
+    Math.round(report.byMode.reduce((sum, subtotal) => sum + subtotal.emission, 0) * 100) / 100);
+});
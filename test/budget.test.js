@@ -0,0 +1,143 @@
+/**
+ * CarbonBudget - Period, Roll-up and Storage Tests
+ *
+ * Node has no localStorage, so the storage tests install an in-memory one
+ * (or one that refuses writes, like a full or blocked browser storage).
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CarbonBudget } = require('../js/core');
+
+/**
+ * Install an in-memory localStorage
+ *
+ * @param {boolean} full - True to make every write throw, as a full storage does
+ * @returns {Map} Stored items
+ */
+function installStorage(full = false) {
+  const items = new Map();
+
+  globalThis.localStorage = {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      if (full) {
+        throw new Error('QuotaExceededError');
+      }
+      items.set(key, String(value));
+    },
+    removeItem: key => items.delete(key)
+  };
+
+  return items;
+}
+
+test.afterEach(() => {
+  delete globalThis.localStorage;
+});
+
+test('periods follow the calendar, weeks starting on Monday', () => {
+  const sunday = new Date(2026, 9, 18, 15);
+  const week = CarbonBudget.getPeriodRange('week', sunday);
+  const month = CarbonBudget.getPeriodRange('month', sunday);
+  const year = CarbonBudget.getPeriodRange('year', sunday);
+
+  assert.deepStrictEqual([week.start, week.end], [new Date(2026, 9, 12), new Date(2026, 9, 19)]);
+  assert.deepStrictEqual([month.start, month.end], [new Date(2026, 9, 1), new Date(2026, 10, 1)]);
+  assert.deepStrictEqual([year.start, year.end], [new Date(2026, 0, 1), new Date(2027, 0, 1)]);
+});
+
+test('getProgress sums only the trips of the current period', () => {
+  const budget = {
+    limitKg: 100,
+    period: 'month',
+    trips: [
+      { timestamp: new Date(2026, 9, 20).toISOString(), emission: 60.111 },
+      { timestamp: new Date(2026, 9, 1).toISOString(), emission: 50 },
+      { timestamp: new Date(2026, 8, 30, 23).toISOString(), emission: 999 }
+    ]
+  };
+  const progress = CarbonBudget.getProgress(budget, new Date(2026, 9, 25));
+
+  assert.strictEqual(progress.trips.length, 2);
+  assert.strictEqual(progress.consumed, 110.11);
+  assert.strictEqual(progress.remaining, 0);
+  assert.strictEqual(progress.exceeded, true);
+});
+
+test('check tells how far a planned trip goes over the limit', () => {
+  const budget = { limitKg: 100, period: 'year', trips: [{ timestamp: new Date(2026, 2, 1).toISOString(), emission: 70 }] };
+  const date = new Date(2026, 5, 1);
+
+  assert.deepStrictEqual(CarbonBudget.check(budget, 30, date), { fits: true, consumed: 70, remaining: 30, after: 100, over: 0 });
+  assert.deepStrictEqual(CarbonBudget.check(budget, 45.5, date), { fits: false, consumed: 70, remaining: 30, after: 115.5, over: 15.5 });
+});
+
+test('suggestMode picks the fastest practical mode that fits', () => {
+  const comparison = [
+    { mode: 'bicycle', emission: 0, duration: 30, feasible: false, cost: 0, currency: 'BRL' },
+    { mode: 'bus', emission: 10, duration: 8, feasible: true, cost: 100, currency: 'BRL' },
+    { mode: 'train', emission: 8, duration: 8, feasible: true, cost: 120, currency: 'BRL' },
+    { mode: 'plane', emission: 60, duration: 2, feasible: true, cost: 500, currency: 'BRL' },
+    { mode: 'car', emission: 40, duration: 6, feasible: true, cost: 200, currency: 'BRL' }
+  ];
+
+  assert.strictEqual(CarbonBudget.suggestMode(comparison, 50, { exclude: 'car' }).mode, 'train');
+  assert.deepStrictEqual(CarbonBudget.suggestMode(comparison, 25, { multiplier: 2 }),
+    { mode: 'train', emission: 16, duration: 16, cost: 240, currency: 'BRL' });
+  assert.strictEqual(CarbonBudget.suggestMode(comparison, 5), null);
+});
+
+test('validate rejects a missing name, a duplicate and a bad limit or period', () => {
+  const budgets = [{ id: 'a', name: 'Ana Souza', limitKg: 100, period: 'month', trips: [] }];
+  const errors = budget => Object.keys(CarbonBudget.validate(budget, budgets).errors).sort();
+
+  assert.deepStrictEqual(errors({ name: ' ', limitKg: '10', period: 'month' }), ['name']);
+  assert.deepStrictEqual(errors({ name: 'ana souza', limitKg: '10', period: 'month' }), ['name']);
+  assert.deepStrictEqual(errors({ id: 'a', name: 'Ana Souza', limitKg: '0', period: 'day' }), ['limitKg', 'period']);
+});
+
+test('put, logTrip and removeTrip keep the trips of a budget', () => {
+  installStorage();
+  const { budget } = CarbonBudget.put({ name: 'Equipe Sul', limitKg: '150', period: 'month' });
+  const logged = CarbonBudget.logTrip(budget.id, { origin: 'A', destination: 'B', mode: 'car', emission: 12.5 });
+
+  assert.strictEqual(logged.trips.length, 1);
+  assert.strictEqual(CarbonBudget.put({ id: budget.id, name: 'Equipe Sul', limitKg: 200, period: 'week' }).valid, true);
+  assert.strictEqual(CarbonBudget.find(budget.id).trips.length, 1);
+  assert.deepStrictEqual(CarbonBudget.removeTrip(budget.id, logged.trips[0].id).trips, []);
+  assert.strictEqual(CarbonBudget.logTrip('missing', { emission: 1 }), null);
+});
+
+test('put refuses new budgets beyond MAX_BUDGETS', () => {
+  const items = installStorage();
+  const budgets = Array.from({ length: CarbonBudget.MAX_BUDGETS }, (_, i) => ({
+    id: `b${i}`, name: `Equipe ${i}`, limitKg: 100, period: 'month', trips: []
+  }));
+  items.set(CarbonBudget.STORAGE_KEY, JSON.stringify(budgets));
+
+  const validation = CarbonBudget.put({ name: 'Nova equipe', limitKg: 100, period: 'month' });
+
+  assert.strictEqual(validation.valid, false);
+  assert.ok(validation.errors.budget);
+  assert.strictEqual(CarbonBudget.load().length, CarbonBudget.MAX_BUDGETS);
+});
+
+test('every change reports a storage that refuses it', () => {
+  const items = installStorage();
+  const { budget } = CarbonBudget.put({ name: 'Equipe Sul', limitKg: 150, period: 'month' });
+  const trip = CarbonBudget.logTrip(budget.id, { origin: 'A', destination: 'B', mode: 'car', emission: 1 }).trips[0];
+  const stored = items.get(CarbonBudget.STORAGE_KEY);
+
+  installStorage(true).set(CarbonBudget.STORAGE_KEY, stored);
+
+  const validation = CarbonBudget.put({ name: 'Equipe Norte', limitKg: 150, period: 'month' });
+  assert.strictEqual(validation.valid, false);
+  assert.ok(validation.errors.budget);
+  assert.strictEqual(CarbonBudget.logTrip(budget.id, { origin: 'A', destination: 'B', mode: 'car', emission: 1 }), null);
+  assert.strictEqual(CarbonBudget.removeTrip(budget.id, trip.id), null);
+  assert.strictEqual(CarbonBudget.remove(budget.id), null);
+});
@@ -0,0 +1,57 @@
+/**
+ * CitySearch - Lookup Tests
+ *
+ * Covers the accent-, case- and separator-insensitive matching of city
+ * names and the fuzzy suggestions for typos.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CitySearch } = require('../js/core');
+
+test('normalize strips accents, case and the state separator style', () => {
+  assert.strictEqual(CitySearch.normalize('  São  Paulo - SP '), 'sao paulo, sp');
+  assert.strictEqual(CitySearch.normalize('Brasília (DF)'), 'brasilia, df');
+  assert.strictEqual(CitySearch.normalize('Salvador/BA'), 'salvador, ba');
+  assert.strictEqual(CitySearch.normalize('Campinas,'), 'campinas');
+});
+
+test('parse only takes two trailing letters as a known state', () => {
+  assert.deepStrictEqual(CitySearch.parse('Rio Branco AC'), { name: 'rio branco', state: 'ac' });
+  assert.deepStrictEqual(CitySearch.parse('Campinas XX'), { name: 'campinas xx', state: null });
+});
+
+test('resolve returns the canonical name of a known city', () => {
+  assert.strictEqual(CitySearch.resolve('sao paulo'), 'São Paulo, SP');
+  assert.strictEqual(CitySearch.resolve('SALVADOR/ba'), 'Salvador, BA');
+  assert.strictEqual(CitySearch.resolve('Sao Paulo, RJ'), null);
+  assert.strictEqual(CitySearch.resolve('Sao Palo'), null);
+  assert.strictEqual(CitySearch.resolve(''), null);
+});
+
+test('levenshtein counts insertions, deletions and substitutions', () => {
+  assert.strictEqual(CitySearch.levenshtein('kitten', 'sitting'), 3);
+  assert.strictEqual(CitySearch.levenshtein('', 'abc'), 3);
+  assert.strictEqual(CitySearch.levenshtein('curitiba', 'curitiba'), 0);
+});
+
+test('suggest offers the closest cities for a typo', () => {
+  assert.deepStrictEqual(CitySearch.suggest('Sao Palo'), ['São Paulo, SP']);
+  assert.deepStrictEqual(CitySearch.suggest('Curitba'), ['Curitiba, PR', 'Cuiabá, MT']);
+  assert.deepStrictEqual(CitySearch.suggest('Curitba', 1), ['Curitiba, PR']);
+  assert.deepStrictEqual(CitySearch.suggest('xyzxyzxyz'), []);
+});
+
+test('suggest keeps a city from another state when the name is right', () => {
+  assert.deepStrictEqual(CitySearch.suggest('florianopolis, sp'), ['Florianópolis, SC']);
+});
+
+test('search ranks prefixes first and falls back to suggestions', () => {
+  assert.strictEqual(CitySearch.search('').length, CitySearch.getCandidates().length);
+  assert.strictEqual(CitySearch.search('são')[0].startsWith('São'), true);
+  assert.ok(CitySearch.search('paulo').includes('São Paulo, SP'));
+  assert.deepStrictEqual(CitySearch.search('Curitba', 1), ['Curitiba, PR']);
+});
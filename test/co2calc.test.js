@@ -0,0 +1,91 @@
+/**
+ * co2calc - Command-line Tests
+ *
+ * Runs bin/co2calc.js as a separate process, as a user or a pipeline would,
+ * and checks its text and JSON output and its exit codes.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const BIN = path.join(__dirname, '..', 'bin', 'co2calc.js');
+
+/**
+ * Run the command
+ *
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Object} { status, stdout, stderr }
+ */
+function co2calc(args) {
+  const run = spawnSync(process.execPath, [BIN].concat(args), {
+    encoding: 'utf8',
+    env: Object.assign({}, process.env, { LANG: 'C' }),
+    timeout: 30000
+  });
+
+  return { status: run.status, stdout: run.stdout, stderr: run.stderr };
+}
+
+test('prints the trip in the chosen locale', () => {
+  const run = co2calc(['--from', 'sao paulo', '--to', 'Rio de Janeiro', '--mode', 'bus', '--locale', 'en-US']);
+
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.stdout, /^São Paulo, SP → Rio de Janeiro, RJ$/m);
+  assert.match(run.stdout, /Distance: 430\.0 km/);
+  assert.match(run.stdout, /^▸ 🚌/m);
+});
+
+test('--json returns the result with numbers, not formatted text', () => {
+  const run = co2calc(['--from', 'Curitiba', '--to', 'Joinville', '--km', '130', '--json']);
+  const result = JSON.parse(run.stdout);
+
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.deepStrictEqual(result.distance, { km: 130, manual: true, estimated: false, method: null });
+  assert.strictEqual(typeof result.emission, 'number');
+  assert.strictEqual(result.factorSet.key, 'ghg-protocol-br');
+  assert.ok(result.comparison.length > 1);
+});
+
+test('cites the set a factor falls back to, not only the chosen one', () => {
+  const args = ['--from', 'São Paulo', '--to', 'Rio de Janeiro', '--mode', 'train', '--factor-set', 'ipcc-2006'];
+  const text = co2calc(args.concat(['--locale', 'pt-BR']));
+  const json = JSON.parse(co2calc(args.concat(['--json'])).stdout);
+
+  assert.strictEqual(text.status, 0, text.stderr);
+  assert.match(text.stdout, /^Fonte: GHG Protocol Brasil 2023\.0$/m);
+  assert.doesNotMatch(text.stdout, /Fonte: IPCC/);
+  assert.strictEqual(json.factorSet.key, 'ipcc-2006');
+  assert.deepStrictEqual(json.factorSources.map(source => source.key), ['ghg-protocol-br']);
+});
+
+test('suggests --km only when the route is not found', () => {
+  const missing = co2calc(['--from', 'Curitiba', '--to', 'Joinville', '--locale', 'es-ES']);
+  const sameCity = co2calc(['--from', 'Curitiba', '--to', 'curitiba', '--locale', 'es-ES']);
+
+  assert.strictEqual(missing.status, 1);
+  assert.match(missing.stderr, /Usa --km para indicar la distancia\./);
+  assert.strictEqual(sameCity.status, 1);
+  assert.doesNotMatch(sameCity.stderr, /--km/);
+});
+
+test('rejects invalid options with the usage text', () => {
+  [['--from', 'A'], ['--from', 'A', '--to', 'B', '--mode', 'rocket'], ['--from', 'A', '--to', 'B', '--km', '-3']]
+    .forEach(args => {
+      const run = co2calc(args);
+
+      assert.strictEqual(run.status, 2, args.join(' '));
+      assert.match(run.stderr, /Usage: co2calc/);
+    });
+});
+
+test('marks the ferry as not practical between inland cities', () => {
+  const run = co2calc(['--from', 'Brasília', '--to', 'Goiânia', '--locale', 'en-US']);
+
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.stdout, /^✗ ⛴️/m);
+  assert.match(run.stdout, /Not practical for this trip: .*Ferry/);
+});
@@ -0,0 +1,62 @@
+/**
+ * UI - Mode Comparison Tests
+ *
+ * Checks which modes the comparison shows and that it still renders when
+ * every mode is ruled out for the trip.
+ *
+ * ui.js and charts.js are browser scripts without a Node export block; they
+ * are run here as the page runs them, sharing the globals set by js/core.js.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { Calculator, I18n } = require('../js/core');
+require('../js/html');
+
+/**
+ * Run a browser script in the global scope and return one of its globals
+ *
+ * @param {string} file - Path relative to js/
+ * @param {string} name - Global declared by the script
+ * @returns {*} Value of the global
+ */
+function loadScript(file, name) {
+  const filename = path.join(__dirname, '..', 'js', file);
+  return vm.runInThisContext(`${fs.readFileSync(filename, 'utf8')}\n;${name}`, { filename: filename });
+}
+
+loadScript('charts.js', 'Charts');
+const UI = loadScript('ui.js', 'UI');
+
+test('impractical modes are left out unless they are the selected one', () => {
+  const comparison = Calculator.calculateAllModes(20);
+  const markup = String(UI.renderComparison(comparison, 'plane'));
+
+  assert.strictEqual(comparison.find(mode => mode.mode === 'plane').feasible, false);
+  assert.match(markup, /comparison__item--selected/);
+  assert.match(markup, /chart__figure/);
+  assert.doesNotMatch(markup, /comparison__empty/);
+});
+
+test('renders an empty state when no mode is practical', () => {
+  const comparison = Calculator.calculateAllModes(100).map(mode => Object.assign({}, mode, { feasible: false }));
+  const markup = String(UI.renderComparison(comparison, 'teleport'));
+
+  assert.match(markup, /comparison__empty/);
+  assert.ok(markup.includes(I18n.t('comparison.empty')));
+  assert.doesNotMatch(markup, /chart__figure|comparison__item/);
+  assert.match(markup, /comparison__tip/);
+});
+
+test('renders an empty state without any calculated mode', () => {
+  const markup = String(UI.renderComparison([], 'car'));
+
+  assert.match(markup, /comparison__empty/);
+  assert.doesNotMatch(markup, /chart__figure/);
+});
@@ -0,0 +1,91 @@
+/**
+ * ResultExport - CSV and JSON Tests
+ *
+ * Checks that typed text can't run as a spreadsheet formula and that the
+ * exported tables keep the numbers of the calculation.
+ *
+ * export.js is a browser script without a Node export block; it is run here
+ * as the page runs it, sharing the globals set by js/core.js.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { Calculator, Itinerary } = require('../js/core');
+
+const filename = path.join(__dirname, '..', 'js', 'export.js');
+const ResultExport = vm.runInThisContext(`${fs.readFileSync(filename, 'utf8')}\n;ResultExport`, { filename: filename });
+
+/**
+ * Build the report of a one-leg car trip with a typed distance
+ *
+ * @param {string} origin - Origin city
+ * @param {string} destination - Destination city
+ * @returns {Object} Report from ResultExport.buildReport()
+ */
+function report(origin, destination) {
+  const result = Calculator.calculateTrip({
+    origin: origin,
+    destination: destination,
+    manual: true,
+    mode: 'car',
+    legs: [Itinerary.createLeg(origin, destination, 'car', 120)],
+    load: {},
+    vehicle: null,
+    unit: 'vehicle',
+    currency: 'BRL',
+    frequency: {}
+  });
+
+  return ResultExport.buildReport(result, new Date('2026-10-19T12:00:00Z'));
+}
+
+test('escapeCSV quotes delimiters, quotes and line breaks', () => {
+  assert.strictEqual(ResultExport.escapeCSV('Curitiba'), 'Curitiba');
+  assert.strictEqual(ResultExport.escapeCSV('Curitiba, PR'), '"Curitiba, PR"');
+  assert.strictEqual(ResultExport.escapeCSV('a "b"'), '"a ""b"""');
+  assert.strictEqual(ResultExport.escapeCSV('a\nb'), '"a\nb"');
+  assert.strictEqual(ResultExport.escapeCSV(null), '');
+  assert.strictEqual(ResultExport.escapeCSV(undefined), '');
+});
+
+test('escapeCSV disarms text that a spreadsheet would run as a formula', () => {
+  assert.strictEqual(ResultExport.escapeCSV('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+  ['+1', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd'].forEach(text => {
+    assert.strictEqual(ResultExport.escapeCSV(text), `"'${text}"`, JSON.stringify(text));
+  });
+});
+
+test('escapeCSV keeps negative numbers numeric', () => {
+  assert.strictEqual(ResultExport.escapeCSV(-12.5), '-12.5');
+  assert.strictEqual(ResultExport.escapeCSV(0), '0');
+});
+
+test('toCSV writes typed city names as plain text', () => {
+  const csv = ResultExport.toCSV(report('=HYPERLINK("http://x")', '-2+3'));
+  const cells = csv.split(/\r\n|,/);
+
+  cells.forEach(cell => assert.doesNotMatch(cell, /^[=+\-@]/, cell));
+  assert.ok(csv.includes('"\'=HYPERLINK(""http://x"")","\'-2+3"'));
+});
+
+test('toCSV and toJSON keep the numbers of the calculation', () => {
+  const exported = report('Curitiba', 'Joinville');
+  const tables = ResultExport.toCSV(exported).split('\r\n\r\n');
+  const leg = tables[1].split('\r\n')[1].split(',');
+
+  assert.strictEqual(tables.length, 3);
+  assert.deepStrictEqual([leg[0], leg[4], Number(leg[7])], ['1', '120', exported.emission]);
+  assert.strictEqual(tables[2].split('\r\n').length, exported.comparison.length + 1);
+  assert.deepStrictEqual(JSON.parse(ResultExport.toJSON(exported)), exported);
+});
+
+test('getFileName builds a slug from the cities and the date', () => {
+  assert.strictEqual(ResultExport.getFileName(report('São Paulo, SP', 'Rio de Janeiro, RJ'), 'csv'),
+    'emissao-co2-sao-paulo-rio-de-janeiro-2026-10-19.csv');
+});
@@ -0,0 +1,86 @@
+/**
+ * TransportModes - Feasibility Tests
+ *
+ * Checks which modes the comparison marks as practical: distance limits of
+ * bicycles, electric buses and planes, and ferries only between cities on
+ * the same waters.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Calculator, CitiesDB, Itinerary, TransportModes } = require('../js/core');
+
+/**
+ * Compare every mode for a one-leg trip with a looked-up distance
+ *
+ * @param {string} origin - Origin city
+ * @param {string} destination - Destination city
+ * @returns {Object} Comparison results keyed by mode
+ */
+function compare(origin, destination) {
+  const leg = Itinerary.createLeg(origin, destination, 'car');
+  const result = Calculator.calculateTrip({
+    origin: origin,
+    destination: destination,
+    manual: false,
+    mode: 'car',
+    legs: [leg],
+    load: {},
+    vehicle: null,
+    unit: 'vehicle',
+    currency: 'BRL',
+    frequency: {}
+  });
+
+  return Object.fromEntries(result.comparison.map(item => [item.mode, item]));
+}
+
+test('distance limits rule out bicycles, electric buses and short flights', () => {
+  assert.strictEqual(TransportModes.isFeasible('bicycle', 30), true);
+  assert.strictEqual(TransportModes.isFeasible('bicycle', 80), false);
+  assert.strictEqual(TransportModes.isFeasible('electricBus', 150), false);
+  assert.strictEqual(TransportModes.isFeasible('plane', 100), false);
+  assert.strictEqual(TransportModes.isFeasible('plane', 900), true);
+  assert.strictEqual(TransportModes.isFeasible('teleport', 10), false);
+});
+
+test('shareWaters needs a port on the same waters', () => {
+  assert.strictEqual(CitiesDB.shareWaters('Rio de Janeiro, RJ', 'Niterói, RJ'), true);
+  assert.strictEqual(CitiesDB.shareWaters('Manaus, AM', 'Belém, PA'), true);
+  assert.strictEqual(CitiesDB.shareWaters('Manaus, AM', 'Rio de Janeiro, RJ'), false);
+  assert.strictEqual(CitiesDB.shareWaters('Brasília, DF', 'Goiânia, GO'), false);
+  assert.strictEqual(CitiesDB.shareWaters('Brasília, DF', 'Atlantis, XX'), null);
+});
+
+test('ferries are not practical on landlocked routes', () => {
+  [
+    ['Brasília, DF', 'Goiânia, GO'],
+    ['Campinas, SP', 'Rio de Janeiro, RJ'],
+    ['Manaus, AM', 'Rio de Janeiro, RJ']
+  ].forEach(([origin, destination]) => {
+    assert.strictEqual(compare(origin, destination).ferry.feasible, false, `${origin} → ${destination}`);
+  });
+});
+
+test('ferries stay practical between ports on the same waters', () => {
+  assert.strictEqual(compare('Rio de Janeiro, RJ', 'Niterói, RJ').ferry.feasible, true);
+  assert.strictEqual(compare('Salvador, BA', 'Recife, PE').ferry.feasible, true);
+});
+
+test('every leg of a multi-leg trip must be reachable by water', () => {
+  const legs = [
+    { origin: 'Santos, SP', destination: 'Rio de Janeiro, RJ' },
+    { origin: 'Rio de Janeiro, RJ', destination: 'Belo Horizonte, MG' }
+  ];
+
+  assert.strictEqual(TransportModes.isFeasible('ferry', 500, legs.slice(0, 1)), true);
+  assert.strictEqual(TransportModes.isFeasible('ferry', 800, legs), false);
+  assert.strictEqual(TransportModes.isFeasible('car', 800, legs), true);
+});
+
+test('cities outside the registry do not rule a ferry out', () => {
+  assert.strictEqual(TransportModes.isFeasible('ferry', 40, [{ origin: 'Ilhabela, SP', destination: 'São Sebastião, SP' }]), true);
+});
@@ -0,0 +1,61 @@
+/**
+ * Calculator - Occupancy and Cargo Tests
+ *
+ * Covers the per-passenger and per-tonne-km intensities and the comparison
+ * in each functional unit.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Calculator } = require('../js/core');
+
+test('vehicle emissions are shared by the passengers on board', () => {
+  assert.deepStrictEqual(Calculator.calculateIntensity(100, 200, 'car', { passengers: 4 }), {
+    passengers: 4,
+    cargoTonnes: null,
+    perPassenger: 25,
+    perPassengerKm: 0.125,
+    perTonneKm: null
+  });
+});
+
+test('a missing load falls back to the typical load of the mode', () => {
+  const intensity = Calculator.calculateIntensity(100, 200, 'car', { passengers: 0 });
+
+  assert.strictEqual(intensity.passengers, 1.5);
+  assert.strictEqual(intensity.perPassenger, 66.67);
+  assert.strictEqual(Calculator.calculateIntensity(100, 0, 'car').perPassengerKm, 0);
+});
+
+test('shared modes already have per-passenger factors', () => {
+  const intensity = Calculator.calculateIntensity(100, 200, 'bus', { passengers: 40 });
+
+  assert.strictEqual(intensity.passengers, 1);
+  assert.strictEqual(intensity.perPassenger, 100);
+});
+
+test('cargo divides emissions by tonnes and distance', () => {
+  assert.strictEqual(Calculator.calculateIntensity(96, 100, 'truck').cargoTonnes, 10);
+  assert.strictEqual(Calculator.calculateIntensity(96, 100, 'truck').perTonneKm, 0.096);
+  assert.strictEqual(Calculator.calculateIntensity(96, 100, 'truck', { cargoTonnes: 24 }).perTonneKm, 0.04);
+  assert.strictEqual(Calculator.calculateIntensity(96, 100, 'car', { cargoTonnes: 0 }).perTonneKm, null);
+});
+
+test('the per-passenger comparison uses the car occupancy as baseline', () => {
+  const comparison = Calculator.calculateAllModes(100, { unit: 'passenger', loads: { car: { passengers: 4 } } });
+  const car = comparison.find(mode => mode.mode === 'car');
+
+  assert.strictEqual(car.value, car.emission / 4);
+  assert.strictEqual(car.percentageVsCar, 100);
+  comparison.forEach(mode => assert.strictEqual(mode.unit, 'passenger'));
+});
+
+test('the tonne-km comparison keeps only modes that carry cargo', () => {
+  const comparison = Calculator.calculateAllModes(100, { unit: 'tonne-km' });
+
+  assert.deepStrictEqual(comparison.map(mode => mode.mode), ['truck']);
+  assert.strictEqual(comparison[0].percentageVsCar, null);
+});
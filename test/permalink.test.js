@@ -0,0 +1,70 @@
+/**
+ * Permalink - Encoding Tests
+ *
+ * Checks that a trip survives the round trip through the query string,
+ * with its additional legs and the distances typed by hand.
+ *
+ * permalink.js is a browser script without a Node export block; it is run
+ * here as the page runs it, sharing the globals set by js/core.js.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { TransportModes } = require('../js/core');
+
+const filename = path.join(__dirname, '..', 'js', 'permalink.js');
+const Permalink = vm.runInThisContext(`${fs.readFileSync(filename, 'utf8')}\n;Permalink`, { filename: filename });
+
+test('a looked-up trip round-trips without its distance', () => {
+  const trip = { origin: 'São Paulo, SP', destination: 'Rio de Janeiro, RJ', mode: 'bus', distance: 430, manual: false };
+  const search = Permalink.encode(trip);
+
+  assert.strictEqual(search, '?de=S%C3%A3o+Paulo%2C+SP&para=Rio+de+Janeiro%2C+RJ&modo=bus');
+  assert.deepStrictEqual(Permalink.decode(search), Object.assign({}, trip, { distance: null, legs: [] }));
+});
+
+test('a distance typed by hand round-trips', () => {
+  const trip = { origin: 'Curitiba', destination: 'Joinville & Cia', mode: 'car', distance: 130.5, manual: true, legs: [] };
+
+  assert.deepStrictEqual(Permalink.decode(Permalink.encode(trip)), trip);
+});
+
+test('multi-leg trips keep every leg in order', () => {
+  const trip = {
+    origin: 'São Paulo, SP',
+    destination: 'Rio de Janeiro, RJ',
+    mode: 'bus',
+    distance: null,
+    manual: false,
+    legs: [
+      { destination: 'Belo Horizonte, MG', mode: 'car', distance: null, manual: false },
+      { destination: 'Ouro Preto, MG', mode: 'bicycle', distance: 98.2, manual: true }
+    ]
+  };
+  const search = Permalink.encode(trip);
+
+  assert.match(search, /&para2=Belo\+Horizonte%2C\+MG&modo2=car&para3=Ouro\+Preto%2C\+MG&modo3=bicycle&km3=98\.2$/);
+  assert.deepStrictEqual(Permalink.decode(search), trip);
+});
+
+test('decode ignores broken or incomplete links', () => {
+  assert.strictEqual(Permalink.decode(''), null);
+  assert.strictEqual(Permalink.decode('?de=Curitiba&para=%20'), null);
+
+  const trip = Permalink.decode('?de=Curitiba&para=Joinville&modo=rocket&manual=1&km=abc&para3=Blumenau');
+  assert.strictEqual(trip.mode, TransportModes.DEFAULT_MODE);
+  assert.deepStrictEqual([trip.distance, trip.manual, trip.legs], [null, false, []]);
+});
+
+test('buildUrl replaces the query and hash of the page', () => {
+  const trip = { origin: 'Curitiba', destination: 'Joinville', mode: 'car' };
+
+  assert.strictEqual(Permalink.buildUrl(trip, 'https://example.org/co2/index.html?de=X#resultado'),
+    'https://example.org/co2/index.html?de=Curitiba&para=Joinville&modo=car');
+});
@@ -0,0 +1,103 @@
+/**
+ * CreditPricing - Price Table Tests
+ *
+ * Covers the validation of a price table, the linear interpolation of
+ * prices and exchange rates between dates, and the CONFIG fallback.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Calculator, CONFIG, CreditPricing } = require('../js/core');
+
+const TABLE = {
+  currency: 'BRL',
+  source: 'Test values',
+  prices: [
+    { market: 'voluntary', standard: 'VCS', date: '2026-01-11', min: 30, max: 90, close: 60 },
+    { market: 'voluntary', standard: 'VCS', date: '2026-01-01', min: 20, max: 60, close: 40 },
+    { market: 'voluntary', standard: 'Gold Standard', date: '2026-01-01', min: 50, max: 150, close: 100 },
+    { market: 'voluntary', standard: 'VCS', date: '01/02/2026', min: 1, max: 1, close: 1 },
+    { market: 'voluntary', standard: 'VCS', date: '2026-01-05', min: -1, max: 1, close: 1 }
+  ],
+  rates: [
+    { date: '2026-01-01', BRL: 1, USD: 0.25 },
+    { date: '2026-01-11', BRL: 1, USD: 0.125 }
+  ]
+};
+
+test.afterEach(() => {
+  CreditPricing.table = null;
+  CreditPricing.selected = null;
+  CreditPricing.date = null;
+});
+
+test('setTable keeps the valid entries, sorted by date', () => {
+  const table = CreditPricing.setTable(TABLE);
+
+  assert.deepStrictEqual(table.prices.map(entry => [entry.standard, entry.date]),
+    [['VCS', '2026-01-01'], ['Gold Standard', '2026-01-01'], ['VCS', '2026-01-11']]);
+  assert.throws(() => CreditPricing.setTable({ prices: [TABLE.prices[3]] }));
+  assert.throws(() => CreditPricing.setTable(null));
+});
+
+test('prices between two dates are interpolated linearly', () => {
+  CreditPricing.setTable(TABLE);
+  const price = CreditPricing.getPrice('2026-01-06', 'voluntary/VCS');
+
+  assert.deepStrictEqual([price.min, price.max, price.close], [25, 75, 50]);
+  assert.deepStrictEqual(price.entry, {
+    market: 'voluntary',
+    standard: 'VCS',
+    date: '2026-01-06',
+    from: '2026-01-01',
+    to: '2026-01-11',
+    interpolated: true
+  });
+});
+
+test('dates on or outside the table use a single entry', () => {
+  CreditPricing.setTable(TABLE);
+
+  assert.strictEqual(CreditPricing.getPrice('2026-01-11', 'voluntary/VCS').close, 60);
+  assert.strictEqual(CreditPricing.getPrice('2025-06-01', 'voluntary/VCS').close, 40);
+  assert.strictEqual(CreditPricing.getPrice('2027-06-01', 'voluntary/VCS').entry.interpolated, false);
+  assert.strictEqual(CreditPricing.getPrice('2026-01-06', 'voluntary/Gold Standard').close, 100);
+});
+
+test('an unknown or saved series falls back to the default one', () => {
+  CreditPricing.setTable(TABLE);
+
+  assert.strictEqual(CreditPricing.getPrice('2026-01-01', 'compliance/EU ETS').close, 40);
+  CreditPricing.selected = 'voluntary/Gold Standard';
+  assert.strictEqual(CreditPricing.getSelected(), 'voluntary/Gold Standard');
+  CreditPricing.selected = 'compliance/EU ETS';
+  assert.strictEqual(CreditPricing.getSelected(), CreditPricing.DEFAULT_SERIES);
+});
+
+test('setDate accepts YYYY-MM-DD or nothing for today', () => {
+  assert.strictEqual(CreditPricing.setDate('2026-02-30x'), false);
+  assert.strictEqual(CreditPricing.setDate('2026-01-06'), true);
+  assert.strictEqual(CreditPricing.getDate(), '2026-01-06');
+  assert.strictEqual(CreditPricing.setDate(''), true);
+  assert.strictEqual(CreditPricing.getDate(), CreditPricing.toDateString(new Date()));
+});
+
+test('estimateCreditPrice converts with the rate of the priced date', () => {
+  CreditPricing.setTable(TABLE);
+  const price = Calculator.estimateCreditPrice(2, 'USD', '2026-01-06', 'voluntary/VCS');
+
+  assert.strictEqual(CreditPricing.getRate('USD', '2026-01-06'), 0.1875);
+  assert.deepStrictEqual([price.min, price.max, price.average, price.currency], [9.38, 28.13, 18.75, 'USD']);
+});
+
+test('without a table the CONFIG range is used', () => {
+  const range = CONFIG.CARBON_CREDIT;
+  const price = CreditPricing.getPrice('2026-01-06');
+
+  assert.deepStrictEqual([price.min, price.max], [range.PRICE_MIN_BRL, range.PRICE_MAX_BRL]);
+  assert.strictEqual(price.entry.from, null);
+  assert.strictEqual(CreditPricing.getRate('USD'), CONFIG.CURRENCIES.USD.rate);
+});
@@ -0,0 +1,83 @@
+/**
+ * RoutesDB - Routing Tests
+ *
+ * Covers the resolution order of findRoute: direct routes, the shortest
+ * path through other cities (Dijkstra) and the great-circle estimate.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CitiesDB, RoutesDB, TransportModes } = require('../js/core');
+
+test('direct routes are exact and found in both directions', () => {
+  const route = RoutesDB.findRoute('São Paulo, SP', 'Rio de Janeiro, RJ');
+
+  assert.deepStrictEqual(route, {
+    distanceKm: 430,
+    path: ['São Paulo, SP', 'Rio de Janeiro, RJ'],
+    via: [],
+    estimated: false,
+    method: 'direct'
+  });
+  assert.strictEqual(RoutesDB.findDistance('Rio de Janeiro, RJ', 'São Paulo, SP'), 430);
+});
+
+test('inputs resolve to the registered cities', () => {
+  const route = RoutesDB.findRoute('sao paulo', 'brasilia - df');
+
+  assert.deepStrictEqual(route.path, ['São Paulo, SP', 'Brasília, DF']);
+  assert.strictEqual(route.method, 'direct');
+  assert.strictEqual(RoutesDB.findRoute('São Paulo', 'sao paulo, sp'), null);
+});
+
+test('findShortestPath chains routes through other cities', () => {
+  const route = RoutesDB.findRoute('Santos, SP', 'Niterói, RJ');
+
+  assert.strictEqual(route.method, 'graph');
+  assert.strictEqual(route.estimated, true);
+  assert.deepStrictEqual(route.via, ['São Paulo, SP', 'Rio de Janeiro, RJ']);
+  assert.strictEqual(route.distanceKm, RoutesDB.findDistance('Santos, SP', 'São Paulo, SP') +
+    RoutesDB.findDistance('São Paulo, SP', 'Rio de Janeiro, RJ') +
+    RoutesDB.findDistance('Rio de Janeiro, RJ', 'Niterói, RJ'));
+});
+
+test('findShortestPath keeps the shorter of two paths', () => {
+  const graph = RoutesDB.buildGraph();
+  const route = RoutesDB.findShortestPath('Campinas, SP', 'Rio de Janeiro, RJ');
+
+  assert.deepStrictEqual(route.path, ['Campinas, SP', 'São Paulo, SP', 'Rio de Janeiro, RJ']);
+  assert.strictEqual(route.distanceKm, 95 + 430);
+  assert.strictEqual(graph.get('sao paulo, sp').edges.get('campinas, sp'), 95);
+  assert.strictEqual(RoutesDB.findShortestPath('Campinas, SP', 'Aracaju, SE'), null);
+});
+
+test('greatCircleDistance follows the haversine formula', () => {
+  const distance = CitiesDB.greatCircleDistance('São Paulo, SP', 'Rio de Janeiro, RJ');
+
+  assert.ok(distance > 355 && distance < 365, String(distance));
+  assert.strictEqual(CitiesDB.greatCircleDistance('Rio de Janeiro, RJ', 'São Paulo, SP'), distance);
+  assert.strictEqual(CitiesDB.greatCircleDistance('São Paulo, SP', 'São Paulo, SP'), 0);
+  assert.strictEqual(CitiesDB.greatCircleDistance('São Paulo, SP', 'Atlantis, XX'), null);
+});
+
+test('cities outside the road graph fall back to the great circle', () => {
+  const straightLineKm = CitiesDB.greatCircleDistance('Aracaju, SE', 'São Paulo, SP');
+  const route = RoutesDB.findRoute('Aracaju, SE', 'São Paulo, SP', 'car');
+
+  assert.strictEqual(route.method, 'greatCircle');
+  assert.strictEqual(route.estimated, true);
+  assert.strictEqual(route.distanceKm, TransportModes.getTravelDistance('car', straightLineKm));
+  assert.strictEqual(RoutesDB.findRoute('Atlantis, XX', 'São Paulo, SP'), null);
+});
+
+test('planes skip the road routes and add their uplift', () => {
+  const straightLineKm = CitiesDB.greatCircleDistance('São Paulo, SP', 'Rio de Janeiro, RJ');
+  const route = RoutesDB.findRoute('São Paulo, SP', 'Rio de Janeiro, RJ', 'plane');
+
+  assert.strictEqual(route.method, 'greatCircle');
+  assert.strictEqual(route.distanceKm, TransportModes.getTravelDistance('plane', straightLineKm));
+  assert.ok(TransportModes.getTravelDistance('plane', 100) > TransportModes.getTravelDistance('car', 100));
+});
@@ -0,0 +1,135 @@
+/**
+ * SafeHTML - Escaping Tests
+ *
+ * Feeds malicious city names through SafeHTML and the UI renderers and
+ * checks they come out as inert text.
+ *
+ * ui.js, charts.js and history.js are browser scripts without a Node export
+ * block; they are run here as the page runs them, sharing the globals set
+ * by js/core.js.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { Calculator, Itinerary } = require('../js/core');
+const SafeHTML = require('../js/html');
+
+/**
+ * Run a browser script in the global scope and return one of its globals
+ *
+ * @param {string} file - Path relative to js/
+ * @param {string} name - Global declared by the script
+ * @returns {*} Value of the global
+ */
+function loadScript(file, name) {
+  const filename = path.join(__dirname, '..', 'js', file);
+  return vm.runInThisContext(`${fs.readFileSync(filename, 'utf8')}\n;${name}`, { filename: filename });
+}
+
+const Charts = loadScript('charts.js', 'Charts');
+const CalculationHistory = loadScript('history.js', 'CalculationHistory');
+const UI = loadScript('ui.js', 'UI');
+
+const ATTACKS = [
+  '<img src=x onerror=alert(1)>',
+  '"><script>alert(1)</script>',
+  "' onmouseover='alert(1)"
+];
+
+/**
+ * Check that markup holds no element or attribute injected by an attack
+ *
+ * @param {string} markup - Rendered HTML
+ */
+function assertInert(markup) {
+  assert.doesNotMatch(markup, /<img|<script/i);
+  assert.doesNotMatch(markup, /["']\s*on(error|mouseover)=/i);
+}
+
+/**
+ * Calculate a one-leg trip with a typed distance, as the form does
+ *
+ * @param {string} origin - Origin city
+ * @param {string} destination - Destination city
+ * @returns {Object} Result of Calculator.calculateTrip()
+ */
+function calculate(origin, destination) {
+  return Calculator.calculateTrip({
+    origin: origin,
+    destination: destination,
+    manual: true,
+    mode: 'car',
+    legs: [Itinerary.createLeg(origin, destination, 'car', 120)],
+    load: {},
+    vehicle: null,
+    unit: 'vehicle',
+    currency: 'BRL',
+    frequency: {}
+  });
+}
+
+test('html escapes interpolated text', () => {
+  ATTACKS.forEach(attack => {
+    const markup = String(SafeHTML.html`<span title="${attack}">${attack}</span>`);
+
+    assertInert(markup);
+    assert.ok(markup.includes(SafeHTML.escape(attack)));
+  });
+});
+
+test('html keeps fragments built by the module', () => {
+  const inner = SafeHTML.html`<strong>${'a & b'}</strong>`;
+
+  assert.strictEqual(String(SafeHTML.html`<p>${inner}</p>`), '<p><strong>a &amp; b</strong></p>');
+  assert.strictEqual(String(SafeHTML.join(['<b>', inner], ', ')), '&lt;b&gt;, <strong>a &amp; b</strong>');
+});
+
+test('objects that only look like fragments are escaped', () => {
+  const forged = [
+    { isSafeHTML: true, markup: ATTACKS[0], toString: () => ATTACKS[0] },
+    JSON.parse(JSON.stringify(SafeHTML.raw(ATTACKS[0])))
+  ];
+
+  forged.forEach(value => {
+    assert.strictEqual(SafeHTML.isSafe(value), false);
+    assertInert(String(SafeHTML.html`<p>${value}</p>`));
+  });
+});
+
+test('fragments cannot be changed after they are built', () => {
+  const fragment = SafeHTML.html`<p>${ATTACKS[0]}</p>`;
+
+  assert.throws(() => {
+    'use strict';
+    fragment.markup = ATTACKS[0];
+  }, TypeError);
+  assertInert(String(fragment));
+});
+
+test('renderResults shows malicious city names as text', () => {
+  ATTACKS.forEach(attack => {
+    const result = calculate(attack, `${attack} 2`);
+    const markup = String(UI.renderResults(Object.assign({ gasScope: 'ttw' }, result)));
+
+    assertInert(markup);
+    assert.ok(markup.includes(SafeHTML.escape(attack)));
+  });
+});
+
+test('renderHistory shows malicious saved entries as text', () => {
+  const entries = ATTACKS.map((attack, i) =>
+    CalculationHistory.createEntry(calculate(attack, `${attack} 2`), new Date(2025, 0, i + 1)));
+  const markup = String(UI.renderHistory(entries, {
+    byMode: CalculationHistory.getTotalsByMode(entries),
+    byMonth: CalculationHistory.getTotalsByMonth(entries)
+  }, false));
+
+  assertInert(markup);
+  ATTACKS.forEach(attack => assert.ok(markup.includes(SafeHTML.escape(attack))));
+});
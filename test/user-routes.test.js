@@ -0,0 +1,126 @@
+/**
+ * UserRoutes - Validation and Storage Tests
+ *
+ * Node has no localStorage, so each test installs an in-memory one (or one
+ * that refuses writes, like a full or blocked browser storage).
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { RoutesDB, UserRoutes } = require('../js/core');
+
+/**
+ * Install an in-memory localStorage
+ *
+ * @param {boolean} full - True to make every write throw, as a full storage does
+ * @returns {Map} Stored items
+ */
+function installStorage(full = false) {
+  const items = new Map();
+
+  globalThis.localStorage = {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      if (full) {
+        throw new Error('QuotaExceededError');
+      }
+      items.set(key, String(value));
+    },
+    removeItem: key => items.delete(key)
+  };
+
+  return items;
+}
+
+test.afterEach(() => {
+  delete globalThis.localStorage;
+});
+
+test('formatCity normalizes known and new cities', () => {
+  assert.strictEqual(UserRoutes.formatCity('sao paulo'), 'São Paulo, SP');
+  assert.strictEqual(UserRoutes.formatCity(' joinville ,sc '), 'Joinville, SC');
+  assert.strictEqual(UserRoutes.formatCity('são josé dos campos, sp'), 'São José dos Campos, SP');
+  assert.strictEqual(UserRoutes.formatCity('Joinville'), null);
+  assert.strictEqual(UserRoutes.formatCity('Joinville, XX'), null);
+});
+
+test('validate checks cities, distance, duplicates and built-in routes', () => {
+  const saved = [{ id: 'a', origin: 'Joinville, SC', destination: 'Blumenau, SC', distanceKm: 95 }];
+  const valid = UserRoutes.validate({ origin: 'itajaí, sc', destination: 'Blumenau, SC', distanceKm: '52,5' }, saved);
+
+  assert.strictEqual(valid.valid, true);
+  assert.deepStrictEqual([valid.route.origin, valid.route.distanceKm], ['Itajaí, SC', 52.5]);
+
+  const errors = field => Object.keys(UserRoutes.validate(field, saved).errors);
+  assert.deepStrictEqual(errors({ origin: 'Joinville', destination: 'Blumenau, SC', distanceKm: 10 }), ['origin']);
+  assert.deepStrictEqual(errors({ origin: 'Joinville, SC', destination: 'joinville, sc', distanceKm: 10 }), ['destination']);
+  assert.deepStrictEqual(errors({ origin: 'Joinville, SC', destination: 'Itajaí, SC', distanceKm: '0' }), ['distanceKm']);
+  assert.deepStrictEqual(errors({ origin: 'Blumenau, SC', destination: 'Joinville, SC', distanceKm: 95 }), ['route']);
+  assert.deepStrictEqual(errors({ origin: 'Blumenau, SC', destination: 'Joinville, SC', distanceKm: 99 }), ['route']);
+});
+
+test('validate reports "1.234" as ambiguous and accepts numbers as they are', () => {
+  const ambiguous = UserRoutes.validate({ origin: 'Joinville, SC', destination: 'Itajaí, SC', distanceKm: '1.234' }, []);
+  const number = UserRoutes.validate({ origin: 'Joinville, SC', destination: 'Itajaí, SC', distanceKm: 1.234 }, []);
+
+  assert.match(ambiguous.errors.distanceKm, /amb[ií]gua/i);
+  assert.strictEqual(number.valid, true);
+  assert.strictEqual(number.route.distanceKm, 1.234);
+});
+
+test('put saves a route that RoutesDB then prefers, in both directions', () => {
+  installStorage();
+  const builtIn = RoutesDB.findDistance('Rio de Janeiro, RJ', 'São Paulo, SP');
+  const validation = UserRoutes.put({ origin: 'Rio de Janeiro, RJ', destination: 'São Paulo, SP', distanceKm: builtIn - 30 });
+
+  assert.strictEqual(validation.valid, true);
+  assert.ok(validation.warning);
+  assert.strictEqual(RoutesDB.findDistance('São Paulo, SP', 'Rio de Janeiro, RJ'), builtIn - 30);
+  assert.deepStrictEqual(UserRoutes.remove(validation.route.id), []);
+  assert.strictEqual(RoutesDB.findDistance('São Paulo, SP', 'Rio de Janeiro, RJ'), builtIn);
+});
+
+test('put refuses new routes beyond MAX_ROUTES but still saves edits', () => {
+  const items = installStorage();
+  const routes = Array.from({ length: UserRoutes.MAX_ROUTES }, (_, i) => ({
+    id: `r${i}`, origin: `Cidade ${i}, SC`, destination: `Outra ${i}, SC`, distanceKm: 10 + i
+  }));
+  items.set(UserRoutes.STORAGE_KEY, JSON.stringify(routes));
+
+  const added = UserRoutes.put({ origin: 'Joinville, SC', destination: 'Itajaí, SC', distanceKm: 90 });
+  const edited = UserRoutes.put({ id: 'r0', origin: 'Cidade 0, SC', destination: 'Outra 0, SC', distanceKm: 12 });
+
+  assert.strictEqual(added.valid, false);
+  assert.ok(added.errors.route);
+  assert.strictEqual(edited.valid, true);
+  assert.strictEqual(UserRoutes.load().length, UserRoutes.MAX_ROUTES);
+  assert.strictEqual(UserRoutes.find('r0').distanceKm, 12);
+});
+
+test('put and remove report a storage that refuses the change', () => {
+  installStorage(true);
+  const validation = UserRoutes.put({ origin: 'Joinville, SC', destination: 'Itajaí, SC', distanceKm: 90 });
+
+  assert.strictEqual(validation.valid, false);
+  assert.ok(validation.errors.route);
+  assert.strictEqual(UserRoutes.remove('missing'), null);
+});
+
+test('importJSON saves valid routes and reports the others by position', () => {
+  installStorage();
+  const result = UserRoutes.importJSON(JSON.stringify({
+    routes: [
+      { origin: 'Joinville, SC', destination: 'Blumenau, SC', km: 95 },
+      { origin: 'Joinville, SC', destination: 'Blumenau, SC', distanceKm: 95 },
+      { origin: 'Itajaí, SC', destination: 'Blumenau, SC', distance: '52,5' },
+      null
+    ]
+  }));
+
+  assert.strictEqual(result.added, 2);
+  assert.deepStrictEqual(result.failed.map(failure => failure.item), [2, 4]);
+  assert.throws(() => UserRoutes.importJSON('{"routes": {}}'));
+});